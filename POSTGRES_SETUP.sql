@@ -1,6 +1,11 @@
 -- ================================================
 -- E-DNA Quiz - PostgreSQL Database Schema
 -- For Aurora PostgreSQL
+--
+-- The numbered migrations in src/migrations are the source of truth and
+-- are applied with `node src/migrate-db.js up`. This file is a readable
+-- snapshot of the resulting schema (version 14). A database created from
+-- it is adopted by the first `up`, which only records the versions.
 -- ================================================
 
 -- Create database (run this separately if needed)
@@ -25,8 +30,25 @@ CREATE TABLE IF NOT EXISTS quiz_results (
     subtype VARCHAR(50),
     core_mastery INTEGER,
     subtype_mastery INTEGER,
-    pdf_url TEXT,
+    pdf_url TEXT, -- Full (paid) report
     s3_key TEXT,
+    summary_pdf_url TEXT, -- Free summary report (Layers 1-2)
+    summary_s3_key TEXT,
+    definition_version VARCHAR(50), -- Quiz definition version that scored this result
+    answers JSONB, -- Raw answers for server-scored submissions
+    revision INTEGER DEFAULT 1, -- Bumped every time the result is re-scored
+    locale VARCHAR(20), -- Language the report and emails were written in
+    payment_status VARCHAR(20) DEFAULT 'pending', -- pending, paid, refunded
+    payment_date TIMESTAMP,
+    payment_amount NUMERIC(10, 2),
+    payment_currency VARCHAR(3),
+    payment_reference VARCHAR(255), -- GHL order / transaction ID
+    pdf_status VARCHAR(20), -- queued, rendering, uploaded, failed
+    pdf_error TEXT,
+    pdf_queued_at TIMESTAMP,
+    pdf_rendering_at TIMESTAMP,
+    pdf_uploaded_at TIMESTAMP,
+    pdf_failed_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -35,6 +57,7 @@ CREATE TABLE IF NOT EXISTS quiz_results (
 CREATE INDEX IF NOT EXISTS idx_quiz_email ON quiz_results(email);
 CREATE INDEX IF NOT EXISTS idx_quiz_created_at ON quiz_results(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_quiz_user_id ON quiz_results(user_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_email_history ON quiz_results(LOWER(TRIM(email)), created_at DESC, id DESC);
 
 -- ================================================
 -- Table 2: pdf_download_tokens
@@ -45,6 +68,13 @@ CREATE TABLE IF NOT EXISTS pdf_download_tokens (
     token VARCHAR(255) PRIMARY KEY,
     quiz_result_id UUID NOT NULL REFERENCES quiz_results(id) ON DELETE CASCADE,
     expires_at TIMESTAMP NOT NULL,
+    tier VARCHAR(20) NOT NULL DEFAULT 'full', -- Report tier: summary or full
+    download_count INTEGER NOT NULL DEFAULT 0,
+    max_uses INTEGER, -- NULL = unlimited until expiry
+    first_accessed_at TIMESTAMP,
+    last_accessed_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_reason TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -52,8 +82,267 @@ CREATE TABLE IF NOT EXISTS pdf_download_tokens (
 CREATE INDEX IF NOT EXISTS idx_token_expires ON pdf_download_tokens(expires_at);
 CREATE INDEX IF NOT EXISTS idx_token_quiz_id ON pdf_download_tokens(quiz_result_id);
 
+-- ================================================
+-- Table 3: quiz_result_revisions
+-- Previous versions of results that were re-scored
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS quiz_result_revisions (
+    id SERIAL PRIMARY KEY,
+    quiz_result_id UUID NOT NULL REFERENCES quiz_results(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    quiz_data JSONB NOT NULL,
+    definition_version VARCHAR(50),
+    edna_type VARCHAR(100),
+    core_type VARCHAR(50),
+    subtype VARCHAR(50),
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (quiz_result_id, revision)
+);
+
+-- ================================================
+-- Table 4: pdf_jobs
+-- Durable queue for background PDF generation
+-- Steps: render -> upload -> token -> notify -> done
+-- Status: pending, running, succeeded, failed (dead-lettered)
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS pdf_jobs (
+    id UUID PRIMARY KEY,
+    quiz_result_id UUID NOT NULL REFERENCES quiz_results(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    payload JSONB NOT NULL,
+    tier VARCHAR(20) NOT NULL DEFAULT 'full', -- Report tier: summary or full
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    step VARCHAR(20) NOT NULL DEFAULT 'render',
+    step_data JSONB NOT NULL DEFAULT '{}',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    last_error TEXT,
+    run_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    locked_by VARCHAR(255),
+    locked_at TIMESTAMP,
+    dead_lettered_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_jobs_ready ON pdf_jobs(status, run_after);
+CREATE INDEX IF NOT EXISTS idx_pdf_jobs_result ON pdf_jobs(quiz_result_id);
+
+-- ================================================
+-- Table 5: agent_token_denylist
+-- Revoked agent access/refresh tokens (by jti)
+-- Rows can be deleted once expires_at has passed
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS agent_token_denylist (
+    jti VARCHAR(64) PRIMARY KEY,
+    user_id VARCHAR(255),
+    token_type VARCHAR(20) NOT NULL, -- access, refresh
+    reason TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_denylist_expires ON agent_token_denylist(expires_at);
+
+-- ================================================
+-- Table 6: ghl_webhook_nonces
+-- Nonces of accepted GHL webhooks (replay protection)
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS ghl_webhook_nonces (
+    nonce VARCHAR(255) PRIMARY KEY,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ================================================
+-- Table 7: ghl_webhook_audit
+-- Every inbound GHL webhook call, accepted or rejected
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS ghl_webhook_audit (
+    id SERIAL PRIMARY KEY,
+    endpoint VARCHAR(255) NOT NULL,
+    auth_method VARCHAR(20), -- signature, api_key
+    automation VARCHAR(255), -- X-GHL-Automation header or workflowId
+    email VARCHAR(255),
+    quiz_result_id UUID, -- Report returned, if any
+    status_code INTEGER,
+    reason TEXT, -- Why the call was rejected
+    nonce VARCHAR(255),
+    source_ip VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ghl_audit_email ON ghl_webhook_audit(email, created_at DESC);
+
+-- ================================================
+-- Table 8: cleanup_runs
+-- Report of every expired data cleanup run (src/cleanup.js)
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS cleanup_runs (
+    id SERIAL PRIMARY KEY,
+    trigger VARCHAR(20) NOT NULL, -- scheduler, cli, admin
+    dry_run BOOLEAN NOT NULL DEFAULT false,
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP,
+    report JSONB NOT NULL, -- Rows and S3 PDFs removed per task, errors
+    error_count INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_cleanup_runs_started ON cleanup_runs(started_at DESC);
+
+-- ================================================
+-- Table 9: quiz_progress
+-- In-progress quizzes, saved so users can resume
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS quiz_progress (
+    email VARCHAR(255) PRIMARY KEY,
+    progress_data JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ================================================
+-- Table 10: users
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    name VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ================================================
+-- Table 11: organisations
+-- B2B clients that put whole teams through the quiz
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS organisations (
+    id UUID PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ================================================
+-- Table 12: teams
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS teams (
+    id UUID PRIMARY KEY,
+    organisation_id UUID NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_teams_organisation ON teams(organisation_id);
+
+-- Team a quiz result was submitted for (with an invite code)
+ALTER TABLE quiz_results ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_quiz_team ON quiz_results(team_id, created_at DESC);
+
+-- ================================================
+-- Table 13: team_members
+-- Emails in a team; managers can see the team profile
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS team_members (
+    team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL, -- Lowercased
+    role VARCHAR(20) NOT NULL DEFAULT 'member', -- member, manager
+    invite_code VARCHAR(32), -- Code they joined with (NULL if added by an admin)
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (team_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_members_email ON team_members(email);
+
+-- ================================================
+-- Table 14: team_invites
+-- Invite codes that attach submissions to a team
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS team_invites (
+    code VARCHAR(32) PRIMARY KEY,
+    team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'member', -- Role given to everyone who joins with it
+    max_uses INTEGER, -- NULL = unlimited
+    use_count INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP, -- NULL = never
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_invites_team ON team_invites(team_id);
+
+-- ================================================
+-- Table 15: admin_audit_log
+-- Every call to an /api/admin route, accepted or rejected
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id SERIAL PRIMARY KEY,
+    actor VARCHAR(100), -- Name from ADMIN_API_KEYS ('admin' for ADMIN_API_KEY), NULL if rejected
+    action VARCHAR(255) NOT NULL, -- e.g. quiz_results.delete
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(500) NOT NULL,
+    target_type VARCHAR(50),
+    target_id VARCHAR(255),
+    email VARCHAR(255), -- Owner of the result acted on
+    details JSONB, -- Filters, old/new values, outcome
+    status_code INTEGER,
+    reason TEXT, -- Why the call was rejected
+    source_ip VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit_log(target_id, created_at DESC);
+
+-- ================================================
+-- Table 16: quiz_sessions
+-- Quizzes taken with saved progress, for funnel analytics (src/analytics.js)
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS quiz_sessions (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, -- First progress save
+    last_saved_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_layer INTEGER, -- Furthest layer answered (1-7)
+    answered INTEGER NOT NULL DEFAULT 0,
+    completed_at TIMESTAMP, -- Set when the result is saved; NULL = unfinished
+    quiz_result_id UUID REFERENCES quiz_results(id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quiz_sessions_open ON quiz_sessions(email) WHERE completed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_quiz_sessions_started ON quiz_sessions(started_at);
+
+-- ================================================
+-- Table 17: schema_migrations
+-- Applied migrations (managed by src/migrate.js - do not edit by hand)
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ================================================
 -- Cleanup Function: Remove expired tokens
+-- The server purges expired data on a schedule (src/cleanup.js, keeping
+-- tokens for DOWNLOAD_TOKEN_RETENTION_DAYS); this is for one-off manual use
 -- ================================================
 
 CREATE OR REPLACE FUNCTION cleanup_expired_tokens()
@@ -0,0 +1,103 @@
+import { timingSafeEqual } from 'crypto';
+import dotenv from 'dotenv';
+import { recordAdminAudit } from './postgres-db.js';
+
+dotenv.config();
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} provided - Value sent by the client
+ * @param {string} expected - Configured secret
+ * @returns {boolean}
+ */
+export function safeCompare(provided, expected) {
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  return timingSafeEqual(a, b);
+}
+
+/**
+ * Staff allowed to use the admin routes
+ * ADMIN_API_KEYS=alice:<secret>,bob:<secret> gives each person their own key, so the
+ * audit log shows who did what. A single ADMIN_API_KEY is recorded as 'admin'.
+ * @returns {Array<{name: string, key: string}>}
+ */
+function getAdminAccounts() {
+  const accounts = (process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) }
+        : null;
+    })
+    .filter(account => account && account.key);
+
+  if (process.env.ADMIN_API_KEY) {
+    accounts.push({ name: 'admin', key: process.env.ADMIN_API_KEY });
+  }
+
+  return accounts;
+}
+
+/**
+ * Middleware to protect admin routes with ADMIN_API_KEYS / ADMIN_API_KEY
+ * Requires X-Admin-Key: <key> header and sets req.admin = { name }
+ * Every call, accepted or not, is written to the admin_audit_log table. Routes
+ * describe what they did via req.adminAudit (action, targetType, targetId, email, details).
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+export function requireAdminKey(req, res, next) {
+  req.adminAudit = {
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    sourceIp: req.ip,
+    userAgent: req.headers['user-agent'] || null
+  };
+
+  res.on('finish', () => {
+    recordAdminAudit({
+      ...req.adminAudit,
+      // Defaults to the route, e.g. 'DELETE /api/admin/results/:id'
+      action: req.adminAudit.action || `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+      targetId: req.adminAudit.targetId || req.params?.id || null,
+      statusCode: res.statusCode
+    }).catch(error => console.error('❌ Failed to record admin audit:', error.message));
+  });
+
+  const accounts = getAdminAccounts();
+
+  if (accounts.length === 0) {
+    console.warn('⚠️ ADMIN_API_KEY not configured - admin routes are disabled');
+    req.adminAudit.reason = 'Admin API not configured';
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API is not configured',
+    });
+  }
+
+  const providedKey = req.headers['x-admin-key'];
+  const account = providedKey && accounts.find(candidate => safeCompare(providedKey, candidate.key));
+
+  if (!account) {
+    req.adminAudit.reason = providedKey ? 'Invalid admin key' : 'Missing admin key';
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or missing admin key',
+    });
+  }
+
+  req.admin = { name: account.name };
+  req.adminAudit.actor = account.name;
+
+  next();
+}
@@ -1,6 +1,8 @@
 import jwt from 'jsonwebtoken';
+import { randomUUID } from 'crypto';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { revokeAgentToken, isAgentTokenRevoked } from './postgres-db.js';
 
 dotenv.config();
 
@@ -9,63 +11,260 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
-// JWT secret for Agent access tokens (should be in .env)
-const JWT_SECRET = process.env.AGENT_JWT_SECRET || 'your-secret-key-change-this-in-production';
-const TOKEN_EXPIRY = '2h'; // 2 hour expiry
+const TOKEN_EXPIRY = process.env.AGENT_TOKEN_EXPIRY || '2h'; // 2 hour expiry
+const REFRESH_TOKEN_EXPIRY = process.env.AGENT_REFRESH_TOKEN_EXPIRY || '30d';
+
+// Development-only secret - refused when NODE_ENV=production
+const FALLBACK_SECRET = 'your-secret-key-change-this-in-production';
+
+// Key ID for AGENT_JWT_SECRET and for tokens issued before kid headers
+const LEGACY_KID = 'default';
+
+/**
+ * What an agent token may be used for
+ * Tokens issued before scopes existed are treated as having all of them
+ */
+export const AGENT_SCOPES = ['read:results', 'read:pdf', 'write:progress'];
+
+export class AgentTokenConfigError extends Error {
+  constructor() {
+    super('Agent tokens are not configured - set AGENT_JWT_KEYS or AGENT_JWT_SECRET');
+    this.name = 'AgentTokenConfigError';
+    this.code = 'AGENT_TOKENS_NOT_CONFIGURED';
+  }
+}
+
+/**
+ * JWT signing keys by kid
+ * AGENT_JWT_KEYS=2026-10:<secret>,2026-04:<secret> - tokens are signed with
+ * AGENT_JWT_ACTIVE_KID (default: the first key) and verified with whichever key
+ * their kid header names, so old keys keep working until they are removed.
+ * AGENT_JWT_SECRET is still accepted as the "default" key.
+ */
+function loadSigningKeys() {
+  const keys = new Map();
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  for (const entry of (process.env.AGENT_JWT_KEYS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      keys.set(entry.slice(0, separator).trim(), entry.slice(separator + 1).trim());
+    }
+  }
+
+  if (process.env.AGENT_JWT_SECRET && !keys.has(LEGACY_KID)) {
+    keys.set(LEGACY_KID, process.env.AGENT_JWT_SECRET);
+  }
+
+  if (isProduction) {
+    for (const [kid, secret] of keys) {
+      if (!secret || secret === FALLBACK_SECRET) {
+        console.error(`❌ Agent JWT key "${kid}" uses the placeholder secret - refusing it in production`);
+        keys.delete(kid);
+      }
+    }
+  } else if (keys.size === 0) {
+    console.warn('⚠️ AGENT_JWT_SECRET not set - using the development fallback secret');
+    keys.set(LEGACY_KID, FALLBACK_SECRET);
+  }
+
+  return keys;
+}
+
+const SIGNING_KEYS = loadSigningKeys();
+const ACTIVE_KID = process.env.AGENT_JWT_ACTIVE_KID || SIGNING_KEYS.keys().next().value || LEGACY_KID;
+
+/**
+ * Whether tokens can be issued (a usable signing key is configured)
+ */
+export function agentTokensConfigured() {
+  return SIGNING_KEYS.has(ACTIVE_KID);
+}
+
+/**
+ * Validate requested scopes
+ * @param {string|string[]} requested - Array or space-separated list (default: all scopes)
+ * @param {string[]} allowed - Scopes the caller may ask for
+ * @returns {object} { success, scopes, error }
+ */
+export function parseScopes(requested, allowed = AGENT_SCOPES) {
+  if (requested === undefined || requested === null || requested === '') {
+    return { success: true, scopes: [...allowed] };
+  }
+
+  const scopes = Array.isArray(requested) ? requested : String(requested).split(/\s+/).filter(Boolean);
+  const unknown = scopes.filter(scope => !allowed.includes(scope));
+
+  if (unknown.length > 0) {
+    return { success: false, error: `Scope not allowed: ${unknown.join(', ')}` };
+  }
+
+  return { success: true, scopes: [...new Set(scopes)] };
+}
+
+/**
+ * Scopes granted by a decoded token
+ */
+export function getTokenScopes(decoded) {
+  return Array.isArray(decoded.scopes) ? decoded.scopes : [...AGENT_SCOPES];
+}
+
+function signToken(payload, expiresIn) {
+  if (!agentTokensConfigured()) {
+    throw new AgentTokenConfigError();
+  }
+
+  return jwt.sign(payload, SIGNING_KEYS.get(ACTIVE_KID), {
+    algorithm: 'HS256',
+    expiresIn,
+    keyid: ACTIVE_KID,
+    jwtid: randomUUID()
+  });
+}
 
 /**
  * Generate a lightweight JWT token for Agent iframe access
  * @param {string} userId - Supabase user ID
+ * @param {string} email - Supabase user email (lets the token authorize per-user endpoints)
+ * @param {string[]} scopes - Granted scopes (default: all)
  * @returns {string} JWT token
  */
-export function generateAgentToken(userId) {
-  const payload = {
-    userId,
-    type: 'agent_access',
-    iat: Math.floor(Date.now() / 1000),
-  };
+export function generateAgentToken(userId, email, scopes = AGENT_SCOPES) {
+  return signToken({ userId, email, scopes, type: 'agent_access' }, TOKEN_EXPIRY);
+}
 
-  const token = jwt.sign(payload, JWT_SECRET, {
-    expiresIn: TOKEN_EXPIRY,
-  });
+/**
+ * Generate a refresh token that can be exchanged once for a new token pair
+ * @param {string} userId - Supabase user ID
+ * @param {string} email - Supabase user email
+ * @param {string[]} scopes - Scopes the refreshed access tokens may carry
+ * @returns {string} JWT token
+ */
+export function generateAgentRefreshToken(userId, email, scopes = AGENT_SCOPES) {
+  return signToken({ userId, email, scopes, type: 'agent_refresh' }, REFRESH_TOKEN_EXPIRY);
+}
 
-  return token;
+function issueTokenPair(userId, email, scopes) {
+  return {
+    success: true,
+    token: generateAgentToken(userId, email, scopes),
+    refreshToken: generateAgentRefreshToken(userId, email, scopes),
+    userId,
+    scopes,
+    expiresIn: TOKEN_EXPIRY,
+    refreshExpiresIn: REFRESH_TOKEN_EXPIRY
+  };
 }
 
 /**
- * Verify an Agent access token
- * @param {string} token - JWT token to verify
+ * Check a token's signature and expiry with the key named by its kid header
  * @returns {object|null} Decoded payload or null if invalid
  */
-export function verifyAgentToken(token) {
+function verifySignature(token) {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // Check token type
-    if (decoded.type !== 'agent_access') {
-      console.log('❌ Invalid token type:', decoded.type);
+    const kid = jwt.decode(token, { complete: true })?.header?.kid || LEGACY_KID;
+    const secret = SIGNING_KEYS.get(kid);
+
+    if (!secret) {
+      console.log('❌ Unknown agent token key:', kid);
       return null;
     }
 
-    return decoded;
+    return jwt.verify(token, secret, { algorithms: ['HS256'] });
   } catch (error) {
     console.log('❌ Token verification failed:', error.message);
     return null;
   }
 }
 
+async function verifyToken(token, expectedType) {
+  const decoded = verifySignature(token);
+
+  if (!decoded) {
+    return null;
+  }
+
+  // Check token type
+  if (decoded.type !== expectedType) {
+    console.log('❌ Invalid token type:', decoded.type);
+    return null;
+  }
+
+  // Tokens issued before revocation support have no jti and simply expire
+  if (decoded.jti) {
+    const denylist = await isAgentTokenRevoked(decoded.jti)
+      .catch(error => ({ success: false, error: error.message }));
+
+    // Fail closed - a revoked token must not slip through while the database is unavailable
+    if (!denylist.success || denylist.revoked) {
+      console.log(`❌ Agent token ${denylist.success ? 'has been revoked' : 'could not be checked against the denylist'}`);
+      return null;
+    }
+  }
+
+  return decoded;
+}
+
 /**
- * Verify Supabase session and generate Agent access token
+ * Verify an Agent access token (signature, expiry, type and denylist)
+ * @param {string} token - JWT token to verify
+ * @returns {Promise<object|null>} Decoded payload or null if invalid
+ */
+export async function verifyAgentToken(token) {
+  return verifyToken(token, 'agent_access');
+}
+
+/**
+ * Verify a Supabase session token
+ * @param {string} supabaseAccessToken - Supabase auth token from frontend
+ * @returns {Promise<object|null>} Supabase user or null if invalid
+ */
+export async function verifySupabaseSession(supabaseAccessToken) {
+  const { data, error } = await supabase.auth.getUser(supabaseAccessToken);
+
+  if (error || !data?.user) {
+    console.log('❌ Supabase session verification failed:', error?.message);
+    return null;
+  }
+
+  return data.user;
+}
+
+/**
+ * Look up a Supabase user's email by ID
+ * (agent tokens issued before they carried an email only have the user ID)
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<string|null>}
+ */
+export async function getSupabaseUserEmail(userId) {
+  const { data, error } = await supabase.auth.admin.getUserById(userId);
+
+  if (error || !data?.user) {
+    console.log('❌ Supabase user lookup failed:', error?.message);
+    return null;
+  }
+
+  return data.user.email || null;
+}
+
+/**
+ * Verify Supabase session and generate Agent access + refresh tokens
  * @param {string} supabaseAccessToken - Supabase auth token from frontend
- * @returns {object} { success, token, userId, error }
+ * @param {string|string[]} requestedScopes - Scopes to grant (default: all)
+ * @returns {object} { success, token, refreshToken, userId, scopes, expiresIn, refreshExpiresIn, error, code }
  */
-export async function createAgentTokenFromSupabase(supabaseAccessToken) {
+export async function createAgentTokenFromSupabase(supabaseAccessToken, requestedScopes) {
   try {
+    const scopeResult = parseScopes(requestedScopes);
+
+    if (!scopeResult.success) {
+      return { success: false, error: scopeResult.error, code: 'INVALID_SCOPE' };
+    }
+
     // Verify the Supabase token and get user
-    const { data: { user }, error } = await supabase.auth.getUser(supabaseAccessToken);
+    const user = await verifySupabaseSession(supabaseAccessToken);
 
-    if (error || !user) {
-      console.log('❌ Supabase session verification failed:', error?.message);
+    if (!user) {
       return {
         success: false,
         error: 'Invalid or expired Supabase session',
@@ -75,30 +274,120 @@ export async function createAgentTokenFromSupabase(supabaseAccessToken) {
     console.log('✅ Supabase session verified for user:', user.id);
 
     // Generate lightweight Agent access token
-    const agentToken = generateAgentToken(user.id);
+    return issueTokenPair(user.id, user.email, scopeResult.scopes);
+  } catch (err) {
+    if (err instanceof AgentTokenConfigError) {
+      console.error('❌', err.message);
+      return { success: false, error: err.message, code: err.code };
+    }
 
+    console.error('❌ Error creating Agent token:', err);
     return {
-      success: true,
-      token: agentToken,
-      userId: user.id,
-      expiresIn: TOKEN_EXPIRY,
+      success: false,
+      error: 'Failed to create Agent access token',
     };
+  }
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair
+ * Refresh tokens are single-use: the old one is revoked as part of the exchange
+ * @param {string} refreshToken - Refresh token from /api/agent/token or a previous refresh
+ * @param {string|string[]} requestedScopes - Optional narrower set of scopes
+ * @returns {object} Same shape as createAgentTokenFromSupabase
+ */
+export async function refreshAgentToken(refreshToken, requestedScopes) {
+  try {
+    const decoded = await verifyToken(refreshToken, 'agent_refresh');
+
+    if (!decoded) {
+      return { success: false, error: 'Invalid or expired refresh token' };
+    }
+
+    const scopeResult = parseScopes(requestedScopes, getTokenScopes(decoded));
+
+    if (!scopeResult.success) {
+      return { success: false, error: scopeResult.error, code: 'INVALID_SCOPE' };
+    }
+
+    // Claim the old refresh token first so two concurrent refreshes cannot both succeed
+    const revokeResult = await revokeAgentToken({
+      jti: decoded.jti,
+      userId: decoded.userId,
+      tokenType: 'refresh',
+      expiresAt: new Date(decoded.exp * 1000),
+      reason: 'rotated'
+    });
+
+    if (!revokeResult.success) {
+      throw new Error(revokeResult.error);
+    }
+
+    if (!revokeResult.revoked) {
+      console.warn(`⚠️ Refresh token for user ${decoded.userId} was already used`);
+      return { success: false, error: 'Invalid or expired refresh token' };
+    }
+
+    console.log('✅ Agent token refreshed for user:', decoded.userId);
+
+    return issueTokenPair(decoded.userId, decoded.email, scopeResult.scopes);
   } catch (err) {
-    console.error('❌ Error creating Agent token:', err);
+    if (err instanceof AgentTokenConfigError) {
+      console.error('❌', err.message);
+      return { success: false, error: err.message, code: err.code };
+    }
+
+    console.error('❌ Error refreshing Agent token:', err);
     return {
       success: false,
-      error: 'Failed to create Agent access token',
+      error: 'Failed to refresh Agent access token',
     };
   }
 }
 
+/**
+ * Revoke an access or refresh token (adds its jti to the denylist)
+ * @param {string} token - Token to revoke
+ * @param {string} reason - Stored with the denylist entry
+ * @returns {object} { success, userId, tokenType, error }
+ */
+export async function revokeAgentTokenByValue(token, reason = 'revoked') {
+  const decoded = verifySignature(token);
+
+  if (!decoded || !['agent_access', 'agent_refresh'].includes(decoded.type)) {
+    return { success: false, error: 'Invalid or expired token' };
+  }
+
+  if (!decoded.jti) {
+    return { success: false, error: 'Token was issued before revocation support and expires on its own' };
+  }
+
+  const tokenType = decoded.type === 'agent_refresh' ? 'refresh' : 'access';
+  const result = await revokeAgentToken({
+    jti: decoded.jti,
+    userId: decoded.userId,
+    tokenType,
+    expiresAt: new Date(decoded.exp * 1000),
+    reason
+  });
+
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  console.log(`🚫 Agent ${tokenType} token revoked for user:`, decoded.userId);
+
+  return { success: true, userId: decoded.userId, tokenType };
+}
+
 /**
  * Middleware to verify Agent access token from request
+ * Sets req.userId and req.agentToken ({ userId, email, scopes, jti, expiresAt })
  * @param {object} req - Express request
  * @param {object} res - Express response
  * @param {function} next - Express next function
  */
-export function verifyAgentTokenMiddleware(req, res, next) {
+export async function verifyAgentTokenMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -109,7 +398,7 @@ export function verifyAgentTokenMiddleware(req, res, next) {
   }
 
   const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-  const decoded = verifyAgentToken(token);
+  const decoded = await verifyAgentToken(token);
 
   if (!decoded) {
     return res.status(401).json({
@@ -120,5 +409,29 @@ export function verifyAgentTokenMiddleware(req, res, next) {
 
   // Attach user ID to request
   req.userId = decoded.userId;
+  req.agentToken = {
+    userId: decoded.userId,
+    email: decoded.email || null,
+    scopes: getTokenScopes(decoded),
+    jti: decoded.jti || null,
+    expiresAt: new Date(decoded.exp * 1000).toISOString()
+  };
   next();
 }
+
+/**
+ * Middleware requiring a scope on the Agent token (use after verifyAgentTokenMiddleware)
+ * @param {string} scope - One of AGENT_SCOPES
+ */
+export function requireAgentScope(scope) {
+  return (req, res, next) => {
+    if (!req.agentToken?.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `Token is missing the ${scope} scope`,
+      });
+    }
+
+    next();
+  };
+}
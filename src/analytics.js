@@ -0,0 +1,289 @@
+/**
+ * Analytics
+ * Aggregate reporting for marketing over a date range:
+ *   - Layer 1 type and Layer 2 subtype distribution per day, week or month
+ *   - Funnel: quiz sessions started vs ended in a saved result, median time to complete
+ *   - Drop-off: the furthest layer reached by sessions that were never finished
+ *   - PDF delivery: how the reports of saved results ended up
+ * Sessions come from quiz_sessions (fed by save-progress), so people who never
+ * saved progress only appear in the result counts. Every section is available as
+ * JSON (buildAnalyticsReport) or CSV (analyticsToCsv). Dates are UTC.
+ */
+import dotenv from 'dotenv';
+dotenv.config();
+
+import {
+  getResultTypeCounts,
+  getResultDeliveryCounts,
+  getQuizSessionCounts,
+  getQuizDropOff
+} from './postgres-db.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 28;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const QUESTION_ID = /^L(\d+)_/;
+
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+export const ANALYTICS_METRICS = ['types', 'subtypes', 'funnel', 'drop-off', 'pdf-delivery'];
+
+/**
+ * Hours without a progress save after which an unfinished session counts as abandoned
+ */
+export function getAbandonAfterHours() {
+  const hours = parseFloat(process.env.ANALYTICS_ABANDON_AFTER_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : 24;
+}
+
+/**
+ * Furthest layer in a saved progress snapshot
+ * Question IDs start with their layer (L3_Q17 is Layer 3); answers are read from
+ * progressData.answers, or from progressData itself when it is a flat answer map.
+ * @returns {object} { layer, answered } layer is null when no answer is recognised
+ */
+export function getProgressLayer(progressData) {
+  const answers = progressData?.answers && typeof progressData.answers === 'object'
+    ? progressData.answers
+    : progressData;
+  const layers = Object.keys(answers && typeof answers === 'object' ? answers : {})
+    .map(id => id.match(QUESTION_ID))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10));
+
+  return {
+    layer: layers.length > 0 ? Math.max(...layers) : null,
+    answered: layers.length
+  };
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Validate the requested range
+ * from and to are dates or timestamps; a date-only to includes that whole day.
+ * Defaults to the last four weeks, by week.
+ * @param {object} query - { from, to, interval }
+ * @returns {object} { success, range: { from, to, until, interval }, error } until is the exclusive bound used in queries
+ */
+export function resolveAnalyticsRange({ from, to, interval = 'week' } = {}) {
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    return { success: false, error: `interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}` };
+  }
+
+  for (const [field, value] of Object.entries({ from, to })) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return { success: false, error: `${field} must be a date (e.g. 2025-01-31)` };
+    }
+  }
+
+  const end = to || new Date().toISOString().slice(0, 10);
+  const range = {
+    from: from || addDays(end.slice(0, 10), -(DEFAULT_RANGE_DAYS - 1)),
+    to: end,
+    until: DATE_ONLY.test(end) ? addDays(end, 1) : end,
+    interval
+  };
+
+  if (Date.parse(range.from) >= Date.parse(range.until)) {
+    return { success: false, error: 'from must be before to' };
+  }
+
+  return { success: true, range };
+}
+
+function percentage(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : null;
+}
+
+function unwrap(result) {
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data;
+}
+
+function addCount(items, key, item, count) {
+  if (!items.has(key)) {
+    items.set(key, { ...item, count: 0 });
+  }
+  items.get(key).count += count;
+}
+
+/**
+ * Per-period and whole-range counts of one result column
+ * @param {string} column - edna_type (Layer 1 type) or subtype (Layer 2)
+ * @param {string} label - Property name of that column in the report
+ */
+function summarizeDistribution(rows, column, label) {
+  const totals = new Map();
+  const periods = new Map();
+  const periodTotals = {};
+
+  rows.forEach(row => {
+    const item = { coreType: row.core_type, [label]: row[column] };
+    const key = `${row.core_type}\u0000${row[column]}`;
+
+    addCount(totals, key, item, row.count);
+    addCount(periods, `${row.period}\u0000${key}`, { period: row.period, ...item }, row.count);
+    periodTotals[row.period] = (periodTotals[row.period] || 0) + row.count;
+  });
+
+  const grandTotal = Object.values(periodTotals).reduce((sum, count) => sum + count, 0);
+  const byCount = (a, b) => b.count - a.count;
+
+  return {
+    total: [...totals.values()]
+      .sort(byCount)
+      .map(item => ({ ...item, percentage: percentage(item.count, grandTotal) })),
+    periods: [...periods.values()]
+      .sort((a, b) => a.period.localeCompare(b.period) || byCount(a, b))
+      .map(item => ({ ...item, percentage: percentage(item.count, periodTotals[item.period]) }))
+  };
+}
+
+function funnelRow(sessions = {}, delivery = {}) {
+  const started = sessions.started || 0;
+  const completed = sessions.completed || 0;
+  const medianSeconds = sessions.median_seconds == null ? null : Number(sessions.median_seconds);
+
+  return {
+    started,
+    completed,
+    completionRate: percentage(completed, started),
+    medianMinutes: medianSeconds === null ? null : Math.round(medianSeconds / 6) / 10,
+    resultsSaved: delivery.results || 0
+  };
+}
+
+function deliveryRow(row = {}) {
+  const delivered = row.delivered || 0;
+  const failed = row.failed || 0;
+
+  return {
+    results: row.results || 0,
+    delivered,
+    failed,
+    pending: row.pending || 0,
+    noPdf: row.no_pdf || 0,
+    // Reports still rendering are left out until they succeed or fail
+    successRate: percentage(delivered, delivered + failed)
+  };
+}
+
+/**
+ * Build the analytics report for a range from resolveAnalyticsRange()
+ * @returns {Promise<object>} { range, generatedAt, types, subtypes, funnel, dropOff, pdfDelivery }
+ */
+export async function buildAnalyticsReport(range) {
+  const query = { from: range.from, to: range.until, interval: range.interval };
+  const abandonAfterHours = getAbandonAfterHours();
+
+  const [typeRows, deliveryRows, sessionRows, dropOffRows] = await Promise.all([
+    getResultTypeCounts(query).then(unwrap),
+    getResultDeliveryCounts(query).then(unwrap),
+    getQuizSessionCounts(query).then(unwrap),
+    getQuizDropOff({ from: range.from, to: range.until, abandonAfterHours }).then(unwrap)
+  ]);
+
+  // ROLLUP adds the whole-range total as the row without a period
+  const byPeriod = rows => Object.fromEntries(rows.filter(row => row.period !== null).map(row => [row.period, row]));
+  const totalOf = rows => rows.find(row => row.period === null);
+  const sessionsByPeriod = byPeriod(sessionRows);
+  const deliveryByPeriod = byPeriod(deliveryRows);
+  const periods = [...new Set([...Object.keys(sessionsByPeriod), ...Object.keys(deliveryByPeriod)])].sort();
+
+  const abandoned = dropOffRows.reduce((sum, row) => sum + row.abandoned, 0);
+
+  return {
+    range: { from: range.from, to: range.to, interval: range.interval },
+    generatedAt: new Date().toISOString(),
+    types: summarizeDistribution(typeRows, 'edna_type', 'type'),
+    subtypes: summarizeDistribution(typeRows, 'subtype', 'subtype'),
+    funnel: {
+      total: funnelRow(totalOf(sessionRows), totalOf(deliveryRows)),
+      periods: periods.map(period => ({ period, ...funnelRow(sessionsByPeriod[period], deliveryByPeriod[period]) }))
+    },
+    dropOff: {
+      abandonAfterHours,
+      abandoned,
+      inProgress: dropOffRows.reduce((sum, row) => sum + row.in_progress, 0),
+      layers: dropOffRows.map(row => ({
+        layer: row.last_layer,
+        abandoned: row.abandoned,
+        inProgress: row.in_progress,
+        share: percentage(row.abandoned, abandoned)
+      }))
+    },
+    pdfDelivery: {
+      total: deliveryRow(totalOf(deliveryRows)),
+      periods: Object.keys(deliveryByPeriod).sort().map(period => ({ period, ...deliveryRow(deliveryByPeriod[period]) }))
+    }
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  // Stop spreadsheets from running labels that were saved by the frontend as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [
+    columns.map(([heading]) => heading).join(','),
+    ...rows.map(row => columns.map(([, field]) => csvCell(row[field])).join(','))
+  ].join('\r\n') + '\r\n';
+}
+
+/**
+ * One section of a report as CSV (one row per period, or per layer for drop-off)
+ * Funnel and PDF delivery end with a 'total' row for the whole range.
+ * @param {string} metric - One of ANALYTICS_METRICS
+ */
+export function analyticsToCsv(report, metric) {
+  switch (metric) {
+    case 'types':
+      return toCsv(
+        [['period', 'period'], ['core_type', 'coreType'], ['type', 'type'], ['count', 'count'], ['percentage', 'percentage']],
+        report.types.periods
+      );
+
+    case 'subtypes':
+      return toCsv(
+        [['period', 'period'], ['core_type', 'coreType'], ['subtype', 'subtype'], ['count', 'count'], ['percentage', 'percentage']],
+        report.subtypes.periods
+      );
+
+    case 'funnel':
+      return toCsv(
+        [['period', 'period'], ['started', 'started'], ['completed', 'completed'], ['completion_rate', 'completionRate'],
+          ['median_minutes', 'medianMinutes'], ['results_saved', 'resultsSaved']],
+        [...report.funnel.periods, { period: 'total', ...report.funnel.total }]
+      );
+
+    case 'drop-off':
+      return toCsv(
+        [['layer', 'layer'], ['abandoned', 'abandoned'], ['in_progress', 'inProgress'], ['share', 'share']],
+        report.dropOff.layers
+      );
+
+    case 'pdf-delivery':
+      return toCsv(
+        [['period', 'period'], ['results', 'results'], ['delivered', 'delivered'], ['failed', 'failed'],
+          ['pending', 'pending'], ['no_pdf', 'noPdf'], ['success_rate', 'successRate']],
+        [...report.pdfDelivery.periods, { period: 'total', ...report.pdfDelivery.total }]
+      );
+
+    default:
+      throw new Error(`Unknown analytics metric: ${metric}`);
+  }
+}
+
+export default { buildAnalyticsReport, analyticsToCsv, resolveAnalyticsRange, getProgressLayer };
@@ -0,0 +1,273 @@
+/**
+ * Puppeteer Browser Pool
+ * Keeps a fixed number of warm Chromium instances shared by every PDF
+ * generator instead of launching a browser per request. Each browser renders
+ * one page at a time and is replaced after MAX_PAGES_PER_BROWSER pages, when
+ * it crashes, or when it fails a health check.
+ */
+import dotenv from 'dotenv';
+dotenv.config();
+
+import puppeteer from 'puppeteer';
+
+// Pool configuration
+const POOL_SIZE = parseInt(process.env.PDF_BROWSER_POOL_SIZE || '2'); // Warm browsers = max PDFs rendering at once
+const MAX_PAGES_PER_BROWSER = parseInt(process.env.PDF_BROWSER_MAX_PAGES || '50'); // Recycle to cap memory growth
+const ACQUIRE_TIMEOUT_MS = parseInt(process.env.PDF_BROWSER_ACQUIRE_TIMEOUT_MS || '60000'); // Max wait for a free browser
+const HEALTH_CHECK_INTERVAL_MS = 30 * 1000;
+const HEALTH_CHECK_TIMEOUT_MS = 5 * 1000;
+
+const LAUNCH_OPTIONS = {
+  headless: 'new',
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-web-security',
+    '--disable-features=IsolateOrigins,site-per-process'
+  ]
+};
+
+/**
+ * Thrown when no browser frees up within ACQUIRE_TIMEOUT_MS
+ */
+export class BrowserPoolBusyError extends Error {
+  constructor() {
+    super(`No PDF browser available after ${ACQUIRE_TIMEOUT_MS / 1000}s - the server is busy, please retry`);
+    this.name = 'BrowserPoolBusyError';
+    this.code = 'BROWSER_POOL_BUSY';
+  }
+}
+
+// Pool slots: { id, browser, launching, busy, pagesServed, launches }
+const slots = [];
+const waiters = [];
+let healthTimer = null;
+let closing = false;
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Launch (or relaunch) the browser for a slot
+ */
+async function launchSlot(slot) {
+  if (!slot.launching) {
+    slot.launching = (async () => {
+      const browser = await puppeteer.launch(LAUNCH_OPTIONS);
+
+      // Crash recovery: forget the browser so the next use relaunches it
+      browser.on('disconnected', () => {
+        if (slot.browser === browser) {
+          slot.browser = null;
+          if (!closing) {
+            console.warn(`⚠️ PDF browser ${slot.id} disconnected - it will be relaunched`);
+          }
+        }
+      });
+
+      slot.browser = browser;
+      slot.pagesServed = 0;
+      slot.launches++;
+      console.log(`🌐 PDF browser ${slot.id} launched`);
+      return browser;
+    })().finally(() => {
+      slot.launching = null;
+    });
+  }
+
+  return slot.launching;
+}
+
+/**
+ * Close a slot's browser without failing the caller
+ */
+async function retireSlot(slot, reason) {
+  const browser = slot.browser;
+  slot.browser = null;
+
+  if (browser) {
+    console.log(`♻️ Retiring PDF browser ${slot.id} (${reason})`);
+    try {
+      await browser.close();
+    } catch (error) {
+      console.warn(`⚠️ Failed to close PDF browser ${slot.id}:`, error.message);
+    }
+  }
+}
+
+function ensureSlots() {
+  while (slots.length < POOL_SIZE) {
+    slots.push({ id: slots.length + 1, browser: null, launching: null, busy: false, pagesServed: 0, launches: 0 });
+  }
+}
+
+/**
+ * Reserve a free slot, waiting in FIFO order if every browser is busy
+ */
+function acquireSlot() {
+  ensureSlots();
+
+  const free = slots.find(slot => !slot.busy);
+  if (free) {
+    free.busy = true;
+    return Promise.resolve(free);
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    waiter.timer = setTimeout(() => {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      reject(new BrowserPoolBusyError());
+    }, ACQUIRE_TIMEOUT_MS);
+    waiters.push(waiter);
+  });
+}
+
+function releaseSlot(slot) {
+  const waiter = waiters.shift();
+  if (waiter) {
+    clearTimeout(waiter.timer);
+    waiter.resolve(slot); // Hand the slot over while still marked busy
+  } else {
+    slot.busy = false;
+  }
+}
+
+/**
+ * Run a function with a fresh page from a pooled browser
+ * The page is always closed afterwards; the browser is recycled once it has
+ * served MAX_PAGES_PER_BROWSER pages or if it crashed during the job.
+ * @param {function} fn - async (page) => result
+ * @returns {Promise<*>} Whatever fn returns
+ * @throws {BrowserPoolBusyError} If no browser frees up in time
+ */
+export async function withPage(fn) {
+  if (closing) {
+    throw new Error('Browser pool is shutting down');
+  }
+
+  const slot = await acquireSlot();
+  let page;
+
+  try {
+    const browser = slot.browser && slot.browser.isConnected()
+      ? slot.browser
+      : await launchSlot(slot);
+
+    page = await browser.newPage();
+    slot.pagesServed++;
+
+    return await fn(page);
+
+  } finally {
+    if (page) {
+      try {
+        await page.close();
+      } catch (error) {
+        // Page is already gone if the browser crashed
+      }
+    }
+
+    if (slot.browser && !slot.browser.isConnected()) {
+      await retireSlot(slot, 'crashed');
+    } else if (slot.pagesServed >= MAX_PAGES_PER_BROWSER) {
+      await retireSlot(slot, `served ${slot.pagesServed} pages`);
+    }
+
+    releaseSlot(slot);
+  }
+}
+
+/**
+ * Replace idle browsers that no longer respond
+ */
+async function checkBrowserHealth() {
+  for (const slot of slots) {
+    if (slot.busy || !slot.browser) continue;
+
+    slot.busy = true;
+    try {
+      await withTimeout(slot.browser.version(), HEALTH_CHECK_TIMEOUT_MS, 'health check timed out');
+    } catch (error) {
+      console.warn(`⚠️ PDF browser ${slot.id} failed health check:`, error.message);
+      await retireSlot(slot, 'unhealthy');
+      try {
+        await launchSlot(slot);
+      } catch (launchError) {
+        console.error(`❌ Failed to relaunch PDF browser ${slot.id}:`, launchError.message);
+      }
+    } finally {
+      releaseSlot(slot);
+    }
+  }
+}
+
+/**
+ * Launch every browser up front and start health checks
+ * Safe to skip - browsers are launched lazily on first use
+ */
+export async function warmBrowserPool() {
+  ensureSlots();
+  closing = false;
+
+  const launched = await Promise.allSettled(slots.map(slot => (slot.browser ? slot.browser : launchSlot(slot))));
+  const failed = launched.filter(result => result.status === 'rejected');
+
+  if (failed.length > 0) {
+    console.warn(`⚠️ ${failed.length}/${slots.length} PDF browser(s) failed to launch:`, failed[0].reason.message);
+  }
+
+  if (!healthTimer) {
+    healthTimer = setInterval(checkBrowserHealth, HEALTH_CHECK_INTERVAL_MS);
+    healthTimer.unref();
+  }
+
+  console.log(`🌐 PDF browser pool ready (${slots.length - failed.length}/${slots.length} warm, max ${MAX_PAGES_PER_BROWSER} pages per browser)`);
+}
+
+/**
+ * Close every browser (waiting requests are rejected)
+ */
+export async function closeBrowserPool() {
+  closing = true;
+
+  if (healthTimer) {
+    clearInterval(healthTimer);
+    healthTimer = null;
+  }
+
+  while (waiters.length > 0) {
+    const waiter = waiters.shift();
+    clearTimeout(waiter.timer);
+    waiter.reject(new Error('Browser pool is shutting down'));
+  }
+
+  await Promise.all(slots.map(slot => retireSlot(slot, 'shutdown')));
+}
+
+/**
+ * Pool state for /health
+ */
+export function getBrowserPoolStats() {
+  return {
+    size: POOL_SIZE,
+    warm: slots.filter(slot => slot.browser && slot.browser.isConnected()).length,
+    busy: slots.filter(slot => slot.busy).length,
+    waiting: waiters.length,
+    maxPagesPerBrowser: MAX_PAGES_PER_BROWSER,
+    browsers: slots.map(slot => ({
+      id: slot.id,
+      connected: Boolean(slot.browser && slot.browser.isConnected()),
+      busy: slot.busy,
+      pagesServed: slot.pagesServed,
+      restarts: Math.max(slot.launches - 1, 0)
+    }))
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Run the expired data cleanup once from the command line
+ * Same tasks and retention settings as the in-process scheduler (cleanup.js)
+ *
+ * Run: node src/cleanup-expired.js [--dry-run] [--json]
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { runCleanup } from './cleanup.js';
+import { closePool } from './postgres-db.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+
+  console.log('\n🧹 Cleaning up expired data...');
+  console.log(`   Mode: ${dryRun ? 'dry run (nothing is deleted)' : 'DELETE'}`);
+
+  try {
+    const report = await runCleanup({ dryRun, trigger: 'cli' });
+
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(`\n📊 Database rows ${dryRun ? 'to remove' : 'removed'}:`);
+      Object.entries(report.database).forEach(([target, count]) => {
+        console.log(`   ${target}: ${count === null ? 'skipped' : count}`);
+      });
+
+      const s3 = report.s3;
+      console.log('\n🪣 S3 PDFs:');
+      if (s3.skipped) {
+        console.log(`   Skipped: ${s3.skipped}`);
+      } else {
+        console.log(`   Scanned: ${s3.scanned} (${s3.referenced} in use)`);
+        console.log(`   Orphaned: ${s3.orphaned} (${(s3.bytes / 1024 / 1024).toFixed(1)} MB)`);
+        console.log(`   Deleted: ${s3.deleted}`);
+      }
+
+      report.errors.forEach(error => {
+        console.log(`\n   ❌ ${error.task}${error.key ? ` ${error.key}` : ''}: ${error.error}`);
+      });
+    }
+
+    if (report.errors.length > 0) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
@@ -0,0 +1,208 @@
+/**
+ * Expired Data Cleanup
+ * Purges rows and files that are no longer needed:
+ *   - download tokens past expiry, abandoned quiz progress, finished PDF jobs
+ *   - expired Agent token denylist entries and old GHL webhook nonces
+ *   - PDFs under pdfs/ in S3 that no quiz result points at any more
+ * Runs on a timer inside the server (CLEANUP_INTERVAL_HOURS) or from the
+ * command line (cleanup-expired.js). Every run is reported and stored in cleanup_runs.
+ */
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { listPdfObjects, deletePdfObjects } from './s3.js';
+import { purgeExpiredRows, getReferencedPdfKeys, recordCleanupRun } from './postgres-db.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVAL_HOURS = parseFloat(process.env.CLEANUP_INTERVAL_HOURS || '24'); // 0 disables the scheduler
+const FIRST_RUN_DELAY_MS = 5 * 60 * 1000; // Let the server settle before the first run
+const CLEANUP_RUN_RETENTION_DAYS = 90;
+const REPORTED_KEYS_LIMIT = 100; // S3 keys listed in a report
+
+let firstRunTimer = null;
+let intervalTimer = null;
+let running = false;
+
+function readDays(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Retention windows in days (0 = keep forever / task disabled)
+ */
+export function getRetentionConfig() {
+  // A nonce only has to outlive the window in which its signed timestamp is accepted
+  const toleranceSeconds = parseInt(process.env.GHL_WEBHOOK_TOLERANCE_SECONDS || '300');
+
+  return {
+    downloadTokenDays: readDays('DOWNLOAD_TOKEN_RETENTION_DAYS', 30),
+    quizProgressDays: readDays('QUIZ_PROGRESS_RETENTION_DAYS', 30),
+    pdfJobDays: readDays('PDF_JOB_RETENTION_DAYS', 30),
+    webhookAuditDays: readDays('GHL_WEBHOOK_AUDIT_RETENTION_DAYS', 0),
+    s3OrphanDays: readDays('S3_ORPHAN_RETENTION_DAYS', 7),
+    webhookNonceSeconds: Math.max(24 * 60 * 60, toleranceSeconds * 2),
+    cleanupRunDays: CLEANUP_RUN_RETENTION_DAYS
+  };
+}
+
+/**
+ * Database purge tasks as [target, interval]; a null interval skips the task
+ */
+function getDatabaseTasks(retention) {
+  const days = value => (value > 0 ? `${value} days` : null);
+
+  return [
+    ['downloadTokens', days(retention.downloadTokenDays)],
+    ['quizProgress', days(retention.quizProgressDays)],
+    ['pdfJobs', days(retention.pdfJobDays)],
+    ['agentDenylist', '0 seconds'], // the tokens themselves have expired
+    ['webhookNonces', `${retention.webhookNonceSeconds} seconds`],
+    ['webhookAudit', days(retention.webhookAuditDays)],
+    ['cleanupRuns', days(retention.cleanupRunDays)]
+  ];
+}
+
+/**
+ * Find (and unless dryRun, delete) PDFs that no quiz result references
+ * Only objects older than the retention window are touched, so a PDF that a
+ * running job has just uploaded is never mistaken for an orphan.
+ */
+async function cleanupOrphanedPdfs(retentionDays, dryRun, errors) {
+  const summary = { scanned: 0, referenced: 0, orphaned: 0, deleted: 0, bytes: 0, keys: [], skipped: null };
+
+  if (!retentionDays) {
+    return { ...summary, skipped: 'disabled' };
+  }
+
+  // Never delete without knowing what is still in use
+  const referenced = await getReferencedPdfKeys();
+  if (!referenced.success) {
+    errors.push({ task: 's3', error: `Could not load referenced keys: ${referenced.error}` });
+    return { ...summary, skipped: 'referenced keys unavailable' };
+  }
+
+  const listing = await listPdfObjects();
+  if (!listing.success) {
+    errors.push({ task: 's3', error: `Could not list bucket: ${listing.error}` });
+    return { ...summary, skipped: 'bucket listing failed' };
+  }
+
+  const cutoff = Date.now() - retentionDays * DAY_MS;
+  const orphans = listing.objects.filter(object =>
+    !referenced.data.has(object.key) && new Date(object.lastModified).getTime() < cutoff
+  );
+
+  summary.scanned = listing.objects.length;
+  summary.referenced = listing.objects.filter(object => referenced.data.has(object.key)).length;
+  summary.orphaned = orphans.length;
+  summary.bytes = orphans.reduce((total, object) => total + (object.size || 0), 0);
+
+  if (dryRun || orphans.length === 0) {
+    summary.keys = orphans.slice(0, REPORTED_KEYS_LIMIT).map(object => object.key);
+    return summary;
+  }
+
+  const deleteResult = await deletePdfObjects(orphans.map(object => object.key));
+
+  summary.deleted = deleteResult.deleted.length;
+  summary.keys = deleteResult.deleted.slice(0, REPORTED_KEYS_LIMIT);
+  deleteResult.errors.forEach(failure => errors.push({ task: 's3', key: failure.key, error: failure.error }));
+
+  return summary;
+}
+
+/**
+ * Run every cleanup task once
+ * A failing task is recorded in report.errors and the remaining tasks still run.
+ * @param {object} options - { dryRun, trigger } trigger: scheduler | cli | admin
+ * @returns {Promise<object>} Report (also stored in cleanup_runs)
+ */
+export async function runCleanup({ dryRun = false, trigger = 'manual' } = {}) {
+  if (running) {
+    const error = new Error('A cleanup run is already in progress');
+    error.code = 'CLEANUP_RUNNING';
+    throw error;
+  }
+
+  running = true;
+  const retention = getRetentionConfig();
+  const report = {
+    trigger,
+    dryRun,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    retention,
+    database: {},
+    s3: null,
+    errors: []
+  };
+
+  console.log(`\n🧹 Cleanup started (${trigger}${dryRun ? ', dry run' : ''})...`);
+
+  try {
+    for (const [target, olderThan] of getDatabaseTasks(retention)) {
+      if (!olderThan) {
+        report.database[target] = null;
+        continue;
+      }
+
+      const purgeResult = await purgeExpiredRows(target, { olderThan, dryRun });
+
+      if (purgeResult.success) {
+        report.database[target] = purgeResult.count;
+      } else {
+        report.database[target] = null;
+        report.errors.push({ task: target, error: purgeResult.error });
+      }
+    }
+
+    report.s3 = await cleanupOrphanedPdfs(retention.s3OrphanDays, dryRun, report.errors);
+
+  } finally {
+    running = false;
+    report.finishedAt = new Date().toISOString();
+  }
+
+  const saved = await recordCleanupRun(report);
+  report.id = saved.success ? saved.data.id : null;
+
+  const rows = Object.values(report.database).reduce((total, count) => total + (count || 0), 0);
+  const files = dryRun ? report.s3.orphaned : report.s3.deleted;
+  console.log(`🧹 Cleanup ${dryRun ? 'would remove' : 'removed'} ${rows} row(s) and ${files} PDF(s)${report.errors.length ? ` - ${report.errors.length} error(s)` : ''}`);
+
+  return report;
+}
+
+/**
+ * Start running the cleanup every CLEANUP_INTERVAL_HOURS
+ */
+export function startCleanupScheduler() {
+  if (firstRunTimer || intervalTimer) return;
+
+  if (!(INTERVAL_HOURS > 0)) {
+    console.log('🧹 Cleanup scheduler disabled (CLEANUP_INTERVAL_HOURS=0)');
+    return;
+  }
+
+  const run = () => runCleanup({ trigger: 'scheduler' })
+    .catch(error => console.error('❌ Scheduled cleanup failed:', error.message));
+
+  firstRunTimer = setTimeout(() => {
+    firstRunTimer = null;
+    run();
+    intervalTimer = setInterval(run, INTERVAL_HOURS * 60 * 60 * 1000);
+  }, FIRST_RUN_DELAY_MS);
+
+  console.log(`🧹 Cleanup scheduler started (every ${INTERVAL_HOURS}h)`);
+}
+
+/**
+ * Stop the cleanup timer (a run already in progress is allowed to finish)
+ */
+export function stopCleanupScheduler() {
+  clearTimeout(firstRunTimer);
+  clearInterval(intervalTimer);
+  firstRunTimer = null;
+  intervalTimer = null;
+}
@@ -0,0 +1,237 @@
+/**
+ * Result Comparison
+ * Diffs two stored quiz attempts layer by layer, for coaches running
+ * before/after programmes:
+ *   Layer 1 - architect/alchemist answer counts and the resulting type
+ *   Layer 2 - subtype
+ *   Layer 3 - mirror awareness score per dimension
+ *   Layer 4 - VARK percentages (calculateLayer4)
+ *   Layers 5-7 - profile, mindset/personality and belief labels that changed
+ * A layer missing from either attempt (e.g. results saved by an older
+ * frontend) is reported as null rather than guessed.
+ */
+import { calculateLayer4 } from './scoring.js';
+import { getQuizDefinition, hasQuizDefinition } from './quiz-definitions/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MODALITIES = ['visual', 'auditory', 'readWrite', 'kinesthetic'];
+const LAYER6_GROUPS = ['mindset', 'personality'];
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function delta(before, after) {
+  return typeof before === 'number' && typeof after === 'number' ? after - before : null;
+}
+
+function unionKeys(...objects) {
+  return [...new Set(objects.flatMap(object => Object.keys(object || {})))];
+}
+
+/**
+ * VARK percentages for an attempt (also used by the team profile in teams.js)
+ * Stored results normally carry calculateLayer4 output; results saved without it
+ * are re-scored from the raw answers with the definition that produced them.
+ * @returns {object|null} { percentages, dominantModality }
+ */
+export function getVarkPercentages(results, answers, definitionVersion) {
+  if (results.layer4?.percentages) {
+    return { percentages: results.layer4.percentages, dominantModality: results.layer4.dominantModality || null };
+  }
+
+  if (answers && hasQuizDefinition(definitionVersion)) {
+    const layer4 = calculateLayer4(answers, getQuizDefinition(definitionVersion));
+    return { percentages: layer4.percentages, dominantModality: layer4.dominantModality };
+  }
+
+  return null;
+}
+
+function compareLayer1(before, after) {
+  if (!before || !after) return null;
+
+  return {
+    type: { before: before.type, after: after.type, changed: before.type !== after.type },
+    labelKeys: { before: before.labelKeys?.type || null, after: after.labelKeys?.type || null },
+    architectCount: {
+      before: before.architectCount,
+      after: after.architectCount,
+      delta: delta(before.architectCount, after.architectCount)
+    },
+    alchemistCount: {
+      before: before.alchemistCount,
+      after: after.alchemistCount,
+      delta: delta(before.alchemistCount, after.alchemistCount)
+    },
+    leaning: { before: before.leaning ?? null, after: after.leaning ?? null }
+  };
+}
+
+function compareLayer2(before, after, beforeSubtype, afterSubtype) {
+  const subtypeBefore = before?.subtype || beforeSubtype;
+  const subtypeAfter = after?.subtype || afterSubtype;
+  if (!subtypeBefore || !subtypeAfter) return null;
+
+  return {
+    subtype: { before: subtypeBefore, after: subtypeAfter, changed: subtypeBefore !== subtypeAfter },
+    labelKeys: { before: before?.labelKeys?.subtype || null, after: after?.labelKeys?.subtype || null }
+  };
+}
+
+function compareLayer3(before, after) {
+  if (!before?.dimensions || !after?.dimensions) return null;
+
+  const beforeKeys = before.labelKeys?.dimensions || {};
+  const afterKeys = after.labelKeys?.dimensions || {};
+
+  return {
+    totalScore: { before: before.totalScore, after: after.totalScore, delta: delta(before.totalScore, after.totalScore) },
+    maxScore: after.maxScore ?? before.maxScore,
+    dimensions: unionKeys(before.dimensions, after.dimensions).map(dimension => {
+      const beforeValue = before.dimensions[dimension] || null;
+      const afterValue = after.dimensions[dimension] || null;
+
+      return {
+        dimension,
+        dimensionKey: afterKeys[dimension]?.dimension || beforeKeys[dimension]?.dimension || null,
+        before: beforeValue && { score: beforeValue.score, label: beforeValue.label, labelKey: beforeKeys[dimension]?.label || null },
+        after: afterValue && { score: afterValue.score, label: afterValue.label, labelKey: afterKeys[dimension]?.label || null },
+        delta: delta(beforeValue?.score, afterValue?.score)
+      };
+    })
+  };
+}
+
+function compareLayer4(before, after) {
+  if (!before || !after) return null;
+
+  const percentages = {};
+  for (const modality of MODALITIES) {
+    const beforeValue = before.percentages[modality] ?? 0;
+    const afterValue = after.percentages[modality] ?? 0;
+    percentages[modality] = { before: beforeValue, after: afterValue, delta: afterValue - beforeValue };
+  }
+
+  return {
+    dominantModality: {
+      before: before.dominantModality,
+      after: after.dominantModality,
+      changed: before.dominantModality !== after.dominantModality
+    },
+    percentages
+  };
+}
+
+/**
+ * Label changes in a { dimension: label } map (Layer 5 profile, Layer 7 beliefs)
+ */
+function compareLabels(before, after, beforeKeys = {}, afterKeys = {}, labelField = 'label') {
+  if (!before || !after) return null;
+
+  const dimensions = unionKeys(before, after);
+  const changes = dimensions
+    .filter(dimension => (before[dimension] || null) !== (after[dimension] || null))
+    .map(dimension => ({
+      dimension,
+      dimensionKey: afterKeys[dimension]?.dimension || beforeKeys[dimension]?.dimension || null,
+      before: before[dimension] || null,
+      after: after[dimension] || null,
+      labelKeys: {
+        before: beforeKeys[dimension]?.[labelField] || null,
+        after: afterKeys[dimension]?.[labelField] || null
+      }
+    }));
+
+  return { changes, unchanged: dimensions.length - changes.length };
+}
+
+function compareLayer6(before, after) {
+  if (!before || !after) return null;
+
+  const changes = [];
+  let unchanged = 0;
+
+  for (const group of LAYER6_GROUPS) {
+    for (const trait of unionKeys(before[group], after[group])) {
+      const beforeValue = before[group]?.[trait] || null;
+      const afterValue = after[group]?.[trait] || null;
+
+      if (beforeValue === afterValue) {
+        unchanged++;
+        continue;
+      }
+
+      changes.push({
+        trait: `${group}.${trait}`,
+        before: beforeValue,
+        after: afterValue,
+        labelKeys: {
+          before: before.labelKeys?.[group]?.[trait] || null,
+          after: after.labelKeys?.[group]?.[trait] || null
+        }
+      });
+    }
+  }
+
+  return { changes, unchanged };
+}
+
+function describeAttempt(row, results) {
+  return {
+    resultId: row.id,
+    createdAt: row.created_at,
+    definitionVersion: row.definition_version || results.definitionVersion || null,
+    ednaType: results.edna_type || results.layer1?.type || row.edna_type || null,
+    coreType: results.core_type || row.core_type || null,
+    subtype: results.subtype || results.layer2?.subtype || row.subtype || null
+  };
+}
+
+/**
+ * Compare two stored attempts
+ * @param {object} fromRow - quiz_results row of the earlier attempt
+ * @param {object} toRow - quiz_results row of the later attempt
+ * @returns {object} { from, to, daysBetween, sameDefinition, changedLayers, layers: { layer1..layer7 } }
+ */
+export function compareAttempts(fromRow, toRow) {
+  const before = parseJson(fromRow.quiz_data) || {};
+  const after = parseJson(toRow.quiz_data) || {};
+  const from = describeAttempt(fromRow, before);
+  const to = describeAttempt(toRow, after);
+
+  const layers = {
+    layer1: compareLayer1(before.layer1, after.layer1),
+    layer2: compareLayer2(before.layer2, after.layer2, from.subtype, to.subtype),
+    layer3: compareLayer3(before.layer3, after.layer3),
+    layer4: compareLayer4(
+      getVarkPercentages(before, parseJson(fromRow.answers), from.definitionVersion),
+      getVarkPercentages(after, parseJson(toRow.answers), to.definitionVersion)
+    ),
+    layer5: compareLabels(before.layer5?.profile, after.layer5?.profile,
+      before.layer5?.labelKeys?.profile, after.layer5?.labelKeys?.profile, 'answer'),
+    layer6: compareLayer6(before.layer6, after.layer6),
+    layer7: compareLabels(before.layer7?.beliefs, after.layer7?.beliefs,
+      before.layer7?.labelKeys?.beliefs, after.layer7?.labelKeys?.beliefs)
+  };
+
+  const changed = {
+    layer1: layers.layer1 && (layers.layer1.type.changed || Boolean(layers.layer1.architectCount.delta || layers.layer1.alchemistCount.delta)),
+    layer2: layers.layer2?.subtype.changed,
+    layer3: layers.layer3?.dimensions.some(dimension => Boolean(dimension.delta) || dimension.before?.label !== dimension.after?.label),
+    layer4: layers.layer4 && Object.values(layers.layer4.percentages).some(value => value.delta !== 0),
+    layer5: layers.layer5?.changes.length > 0,
+    layer6: layers.layer6?.changes.length > 0,
+    layer7: layers.layer7?.changes.length > 0
+  };
+
+  return {
+    from,
+    to,
+    daysBetween: Math.round((new Date(toRow.created_at) - new Date(fromRow.created_at)) / DAY_MS),
+    // Scores from different definition versions are not always like-for-like
+    sameDefinition: from.definitionVersion === to.definitionVersion,
+    changedLayers: Object.keys(changed).filter(layer => changed[layer]).map(layer => Number(layer.slice(5))),
+    layers
+  };
+}
@@ -0,0 +1,324 @@
+/**
+ * Compatibility
+ * Compares two E-DNA profiles (co-founders, a manager and their report) and
+ * explains how they are likely to work together:
+ *   decisionIdentity - Layer 1 Architect / Alchemist complementarity
+ *   communication    - Layer 6 personality.communicationStyle match
+ *   learningStyle    - Layer 4 VARK overlap (shared share of each modality)
+ *   beliefs          - Layer 7 belief alignment per dimension
+ * Each section has a 0-100 score, strengths, friction points and
+ * recommendations in the requested locale. A section is null when either
+ * profile lacks the layer (e.g. results saved by an older frontend).
+ */
+import { getVarkPercentages } from './compare.js';
+import { createTranslator, findLabelKey } from './locales/index.js';
+
+const MODALITIES = ['visual', 'auditory', 'readWrite', 'kinesthetic'];
+const SECTIONS = ['decisionIdentity', 'communication', 'learningStyle', 'beliefs'];
+
+// Decision identity pairings, most to least naturally compatible
+const DECISION_SCORES = { complementary: 85, aligned: 70, bridging: 65, fluid: 50 };
+const COMMUNICATION_SCORES = { bothDirect: 75, bothDiplomatic: 70, mixed: 60 };
+
+// Layer 7 answers that sit between the two extremes: half aligned with either
+const MIDDLE_GROUND = {
+  groundingSource: 'dualReliant',
+  controlBelief: 'shared',
+  fairnessView: 'balanced',
+  honestyStyle: 'balanced',
+  growthApproach: 'steady',
+  impactMotivation: 'shared'
+};
+const ALIGNMENT_POINTS = { aligned: 1, partial: 0.5, opposed: 0 };
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function lastKeyPart(key) {
+  return key ? key.split('.').pop() : null;
+}
+
+/**
+ * Catalog list ('a|b|c') as an array
+ */
+function list(t, key, params) {
+  return t(key, params, '').split('|').filter(Boolean);
+}
+
+/**
+ * Strengths, friction points and recommendations for a catalog entry
+ */
+function advice(t, key, params) {
+  return {
+    strengths: list(t, `${key}.strengths`, params),
+    frictions: list(t, `${key}.frictions`, params),
+    recommendations: list(t, `${key}.recommendations`, params)
+  };
+}
+
+/**
+ * architect, alchemist or blurred (null if unknown)
+ * Mirrors summarizeResults() so frontend-scored results work too.
+ */
+function getFamily(results) {
+  if (results.core_type) return results.core_type;
+
+  const type = results.layer1?.type || results.edna_type;
+  if (!type) return null;
+  if (type.includes('Architect')) return 'architect';
+  if (type.includes('Alchemist')) return 'alchemist';
+  return 'blurred';
+}
+
+function describeDecision(results) {
+  const type = results.layer1?.type || results.edna_type || null;
+  return { type, labelKey: results.layer1?.labelKeys?.type || findLabelKey('layer1.type', type), family: getFamily(results) };
+}
+
+function compareDecisionIdentity(t, a, b) {
+  const identityA = describeDecision(a.results);
+  const identityB = describeDecision(b.results);
+  if (!identityA.family || !identityB.family) return null;
+
+  const byFamily = { [identityA.family]: a.name, [identityB.family]: b.name };
+  let relation = 'aligned';
+  let params = { family: t(`layer2.family.${identityA.family}`, {}, identityA.family) };
+
+  if (identityA.family === 'blurred' && identityB.family === 'blurred') {
+    relation = 'fluid';
+    params = {};
+  } else if (identityA.family === 'blurred' || identityB.family === 'blurred') {
+    const settled = identityA.family === 'blurred' ? identityB : identityA;
+    relation = 'bridging';
+    params = {
+      blurred: byFamily.blurred,
+      settled: byFamily[settled.family],
+      family: t(`layer2.family.${settled.family}`, {}, settled.family)
+    };
+  } else if (identityA.family !== identityB.family) {
+    relation = 'complementary';
+    params = { architect: byFamily.architect, alchemist: byFamily.alchemist };
+  }
+
+  return {
+    relation,
+    score: DECISION_SCORES[relation],
+    a: identityA,
+    b: identityB,
+    summary: t(`compatibility.decision.${relation}.summary`, params),
+    ...advice(t, `compatibility.decision.${relation}`, params)
+  };
+}
+
+function describeCommunication(results) {
+  const style = results.layer6?.personality?.communicationStyle;
+  if (!style) return null;
+
+  const labelKey = results.layer6.labelKeys?.personality?.communicationStyle
+    || findLabelKey('layer6.personality.communicationStyle', style);
+  return { style, labelKey, key: lastKeyPart(labelKey) };
+}
+
+function compareCommunication(t, a, b) {
+  const styleA = describeCommunication(a.results);
+  const styleB = describeCommunication(b.results);
+  if (!styleA?.key || !styleB?.key) return null;
+
+  let relation = 'mixed';
+  if (styleA.key === styleB.key) {
+    relation = styleA.key === 'direct' ? 'bothDirect' : 'bothDiplomatic';
+  }
+
+  const params = relation === 'mixed'
+    ? { direct: styleA.key === 'direct' ? a.name : b.name, diplomatic: styleA.key === 'direct' ? b.name : a.name }
+    : {};
+
+  return {
+    relation,
+    score: COMMUNICATION_SCORES[relation],
+    a: { style: styleA.style, labelKey: styleA.labelKey },
+    b: { style: styleB.style, labelKey: styleB.labelKey },
+    summary: t(`compatibility.communication.${relation}.summary`, params),
+    ...advice(t, `compatibility.communication.${relation}`, params)
+  };
+}
+
+/**
+ * Highest modality other than the one given (for a second format to suggest)
+ */
+function runnerUpModality(percentages, except) {
+  return MODALITIES
+    .filter(modality => modality !== except)
+    .sort((x, y) => (percentages[y] || 0) - (percentages[x] || 0))[0];
+}
+
+function compareLearningStyle(t, a, b) {
+  const varkA = getVarkPercentages(a.results, a.answers, a.definitionVersion);
+  const varkB = getVarkPercentages(b.results, b.answers, b.definitionVersion);
+  if (!varkA || !varkB) return null;
+
+  // Share of the learning mix the two have in common
+  const overlap = MODALITIES.reduce((sum, modality) =>
+    sum + Math.min(varkA.percentages[modality] || 0, varkB.percentages[modality] || 0), 0);
+  const band = overlap >= 70 ? 'high' : overlap >= 40 ? 'partial' : 'low';
+
+  const sameDominant = Boolean(varkA.dominantModality) && varkA.dominantModality === varkB.dominantModality;
+  const modalityA = varkA.dominantModality;
+  const modalityB = sameDominant ? runnerUpModality(varkB.percentages, modalityA) : varkB.dominantModality;
+  const modalityName = modality => t(`layer4.modality.${modality}`, {}, modality);
+
+  const params = { modalityA: modalityName(modalityA), modalityB: modalityName(modalityB) };
+  const summary = sameDominant
+    ? t('compatibility.learning.sameDominant', { modality: modalityName(modalityA) })
+    : t('compatibility.learning.differentDominant', { a: a.name, b: b.name, ...params });
+
+  return {
+    relation: band,
+    score: overlap,
+    overlap,
+    sameDominant,
+    a: { percentages: varkA.percentages, dominantModality: varkA.dominantModality },
+    b: { percentages: varkB.percentages, dominantModality: varkB.dominantModality },
+    summary,
+    ...advice(t, `compatibility.learning.${band}`, params)
+  };
+}
+
+/**
+ * Layer 7 beliefs by dimension key, e.g. { groundingSource: { dimension, label, labelKey, key } }
+ */
+function describeBeliefs(results) {
+  const beliefs = results.layer7?.beliefs;
+  if (!beliefs) return null;
+
+  const beliefKeys = results.layer7.labelKeys?.beliefs || {};
+  const byKey = {};
+
+  for (const [dimension, label] of Object.entries(beliefs)) {
+    const dimensionKey = beliefKeys[dimension]?.dimension || findLabelKey('layer7.dimension', dimension);
+    const key = lastKeyPart(dimensionKey);
+    if (!key || !label) continue;
+
+    const labelKey = beliefKeys[dimension]?.label || findLabelKey(`layer7.label.${key}`, label);
+    byKey[key] = { dimension, dimensionKey, label, labelKey, key: lastKeyPart(labelKey) };
+  }
+
+  return byKey;
+}
+
+function getAlignment(dimension, beliefA, beliefB) {
+  if (beliefA.key === beliefB.key) return 'aligned';
+  if (beliefA.key === MIDDLE_GROUND[dimension] || beliefB.key === MIDDLE_GROUND[dimension]) return 'partial';
+  return 'opposed';
+}
+
+function compareBeliefs(t, a, b) {
+  const beliefsA = describeBeliefs(a.results);
+  const beliefsB = describeBeliefs(b.results);
+  if (!beliefsA || !beliefsB) return null;
+
+  const dimensions = Object.keys(beliefsA)
+    .filter(dimension => beliefsB[dimension])
+    .map(dimension => ({
+      dimension: beliefsA[dimension].dimension,
+      dimensionKey: beliefsA[dimension].dimensionKey,
+      key: dimension,
+      alignment: getAlignment(dimension, beliefsA[dimension], beliefsB[dimension]),
+      a: { label: beliefsA[dimension].label, labelKey: beliefsA[dimension].labelKey },
+      b: { label: beliefsB[dimension].label, labelKey: beliefsB[dimension].labelKey }
+    }));
+
+  if (dimensions.length === 0) return null;
+
+  const points = dimensions.reduce((sum, dimension) => sum + ALIGNMENT_POINTS[dimension.alignment], 0);
+  const score = Math.round((points / dimensions.length) * 100);
+  const aligned = dimensions.filter(dimension => dimension.alignment === 'aligned');
+  const opposed = dimensions.filter(dimension => dimension.alignment === 'opposed');
+  const dimensionName = dimension => t(dimension.dimensionKey, {}, dimension.dimension);
+
+  const strengths = [];
+  if (aligned.length > 0) {
+    strengths.push(t('compatibility.beliefs.sharedValues', { dimensions: aligned.map(dimensionName).join(', ') }));
+  }
+  if (score >= 70) strengths.push(t('compatibility.beliefs.mostlyAligned'));
+  if (opposed.length === 0) strengths.push(t('compatibility.beliefs.noOpposed'));
+
+  return {
+    relation: score >= 70 ? 'aligned' : score >= 40 ? 'partial' : 'opposed',
+    score,
+    dimensions,
+    summary: t('compatibility.beliefs.summary', { aligned: aligned.length, total: dimensions.length }),
+    strengths,
+    frictions: opposed.map(dimension => t(`compatibility.beliefs.friction.${dimension.key}`)),
+    recommendations: opposed.map(dimension => t(`compatibility.beliefs.recommendation.${dimension.key}`))
+  };
+}
+
+function describePerson(person) {
+  const { results } = person;
+  return {
+    name: person.name,
+    resultId: person.resultId || null,
+    ednaType: results.edna_type || results.layer1?.type || null,
+    coreType: getFamily(results),
+    subtype: results.subtype || results.layer2?.subtype || null
+  };
+}
+
+/**
+ * Profile input for calculateCompatibility() from a quiz_results row
+ */
+export function profileFromRow(row) {
+  return {
+    name: row.name,
+    resultId: row.id,
+    results: parseJson(row.quiz_data) || {},
+    answers: parseJson(row.answers),
+    definitionVersion: row.definition_version
+  };
+}
+
+/**
+ * Compatibility report for two profiles
+ * @param {object} a - { name, results, answers, definitionVersion } results is calculateAllResults()
+ *   output (or a stored result); answers let Layer 4 be re-scored for results saved without it
+ * @param {object} b - Same shape as a
+ * @param {object} options - { locale } language of the report text
+ * @returns {object} { people, score, level, summary, sections, strengths, frictions, recommendations }
+ */
+export function calculateCompatibility(a, b, { locale } = {}) {
+  const t = createTranslator(locale);
+  const personA = { ...a, results: parseJson(a.results) || {}, name: a.name || t('compatibility.personA') };
+  const personB = { ...b, results: parseJson(b.results) || {}, name: b.name || t('compatibility.personB') };
+
+  const sections = {
+    decisionIdentity: compareDecisionIdentity(t, personA, personB),
+    communication: compareCommunication(t, personA, personB),
+    learningStyle: compareLearningStyle(t, personA, personB),
+    beliefs: compareBeliefs(t, personA, personB)
+  };
+
+  const compared = SECTIONS.filter(section => sections[section]);
+  const score = compared.length > 0
+    ? Math.round(compared.reduce((sum, section) => sum + sections[section].score, 0) / compared.length)
+    : null;
+  const level = score === null ? null : score >= 75 ? 'strong' : score >= 60 ? 'workable' : 'stretch';
+
+  // Every section's points in one list, for callers that do not render sections
+  const collect = field => compared.flatMap(section => sections[section][field].map(text => ({ section, text })));
+
+  return {
+    locale: t.locale,
+    people: { a: describePerson(personA), b: describePerson(personB) },
+    score,
+    level,
+    summary: level && t(`compatibility.level.${level}`),
+    sections,
+    strengths: collect('strengths'),
+    frictions: collect('frictions'),
+    recommendations: collect('recommendations')
+  };
+}
+
+export default { calculateCompatibility, profileFromRow };
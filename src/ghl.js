@@ -1,5 +1,6 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { createTranslator, resolveLocale } from './locales/index.js';
 
 dotenv.config();
 
@@ -8,8 +9,9 @@ const GHL_INBOUND_WEBHOOK_URL = process.env.GHL_INBOUND_WEBHOOK_URL || 'https://
 
 /**
  * Send email via GoHighLevel with PDF link
+ * The email is written in results.locale (falling back to English)
  */
-export async function sendGHLEmailWithPDF(email, name, pdfUrl, results) {
+export async function sendGHLEmailWithPDF(email, name, pdfUrl, results = {}) {
   try {
     const apiKey = process.env.GHL_API_KEY;
     
@@ -22,7 +24,8 @@ export async function sendGHLEmailWithPDF(email, name, pdfUrl, results) {
       };
     }
     
-    const emailHTML = createEmailHTML(name, pdfUrl, results);
+    const t = createTranslator(results.locale);
+    const emailHTML = createEmailHTML(name, pdfUrl, results, t);
     
     const response = await axios.post(
       `${GHL_API_URL}/conversations/messages/email`,
@@ -30,7 +33,7 @@ export async function sendGHLEmailWithPDF(email, name, pdfUrl, results) {
         type: 'Email',
         contactId: await getOrCreateContact(email, name),
         html: emailHTML,
-        subject: `Your E-DNA Results: ${results.subtype || results.core_type}`,
+        subject: t('email.subject', { subtype: getSubtypeLabel(results, t) || t(`coreType.${results.core_type}`, {}, results.core_type || '') }),
         from: process.env.GHL_SENDER_EMAIL || 'noreply@brandscaling.com',
         fromName: process.env.GHL_SENDER_NAME || 'Brandscaling'
       },
@@ -93,7 +96,14 @@ async function getOrCreateContact(email, name) {
   }
 }
 
-function createEmailHTML(name, pdfUrl, results) {
+/**
+ * Subtype in the email's locale (frontend-scored results only have the English label)
+ */
+function getSubtypeLabel(results, t) {
+  return t(results.layer2?.labelKeys?.subtype, {}, results.subtype);
+}
+
+function createEmailHTML(name, pdfUrl, results, t) {
   const coreType = results.core_type || 'architect';
   const colors = {
     architect: '#667eea',
@@ -104,7 +114,7 @@ function createEmailHTML(name, pdfUrl, results) {
   
   return `
 <!DOCTYPE html>
-<html>
+<html lang="${t.locale}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -117,26 +127,26 @@ function createEmailHTML(name, pdfUrl, results) {
           
           <tr>
             <td style="background: linear-gradient(135deg, ${primaryColor} 0%, ${adjustColor(primaryColor, -20)} 100%); padding: 40px 30px; text-align: center;">
-              <h1 style="color: #ffffff; margin: 0; font-size: 28px;">Your E-DNA Results Are Ready!</h1>
+              <h1 style="color: #ffffff; margin: 0; font-size: 28px;">${t('email.heading')}</h1>
             </td>
           </tr>
           
           <tr>
             <td style="padding: 40px 30px;">
               <p style="font-size: 16px; color: #333333; margin: 0 0 20px 0;">
-                Hi ${name},
+                ${t('email.greeting', { name })}
               </p>
               
               <p style="font-size: 16px; color: #333333; margin: 0 0 20px 0;">
-                Thank you for completing your payment! Your complete E-DNA assessment results are now available.
+                ${t('email.intro')}
               </p>
               
               <div style="background-color: #f9f9f9; border-left: 4px solid ${primaryColor}; padding: 20px; margin: 30px 0;">
                 <h2 style="color: ${primaryColor}; margin: 0 0 10px 0; font-size: 24px;">
-                  ${results.subtype || 'Your Profile'}
+                  ${getSubtypeLabel(results, t) || t('email.defaultProfile')}
                 </h2>
                 <p style="color: #666666; margin: 0; font-size: 14px;">
-                  Core Type: <strong>${(results.core_type || 'architect').toUpperCase()}</strong>
+                  ${t('email.coreType', { coreType: `<strong>${t(`coreType.${coreType}`, {}, coreType).toUpperCase()}</strong>` })}
                 </p>
               </div>
               
@@ -144,14 +154,14 @@ function createEmailHTML(name, pdfUrl, results) {
                 <tr>
                   <td align="center" style="padding: 20px 0;">
                     <a href="${pdfUrl}" style="display: inline-block; background-color: ${primaryColor}; color: #ffffff; text-decoration: none; padding: 15px 40px; border-radius: 5px; font-size: 16px; font-weight: bold;">
-                      Download Your Complete Results (PDF)
+                      ${t('email.downloadButton')}
                     </a>
                   </td>
                 </tr>
               </table>
               
               <p style="font-size: 14px; color: #666666; margin: 30px 0 0 0; text-align: center;">
-                This link will be available for 7 days. Make sure to download your results!
+                ${t('email.expiryNotice')}
               </p>
             </td>
           </tr>
@@ -159,11 +169,11 @@ function createEmailHTML(name, pdfUrl, results) {
           <tr>
             <td style="background-color: #f9f9f9; padding: 30px; text-align: center; border-top: 1px solid #e0e0e0;">
               <p style="font-size: 14px; color: #666666; margin: 0 0 10px 0;">
-                <strong>Brandscaling</strong><br>
-                Entrepreneurial DNA Assessment
+                <strong>${t('report.footer.company')}</strong><br>
+                ${t('report.footer.product')}
               </p>
               <p style="font-size: 12px; color: #999999; margin: 0;">
-                © ${new Date().getFullYear()} Brandscaling. All rights reserved.
+                ${t('report.footer.copyright', { year: new Date().getFullYear() })}
               </p>
             </td>
           </tr>
@@ -192,9 +202,11 @@ function adjustColor(color, percent) {
 /**
  * Notify GHL via inbound webhook with download link
  * This triggers a GHL workflow that sends the email with the time-limited download link
- * @param {Object} params - { email, name, downloadLink, ednaType, coreType }
+ * @param {Object} params - { email, name, downloadLink, ednaType, coreType, locale, reportTier }
+ *   locale lets the workflow pick the email template for the user's language
+ *   reportTier ('summary' or 'full') lets it tell a free summary from a purchased report
  */
-export async function notifyGhlWithDownloadLink({ email, name, downloadLink, ednaType, coreType }) {
+export async function notifyGhlWithDownloadLink({ email, name, downloadLink, ednaType, coreType, locale, reportTier = 'full' }) {
   try {
     // Validate required parameters
     if (!email || !downloadLink) {
@@ -210,6 +222,7 @@ export async function notifyGhlWithDownloadLink({ email, name, downloadLink, edn
     console.log(`   Download Link: ${downloadLink}`);
     console.log(`   E-DNA Type: ${ednaType || 'Not provided'}`);
     console.log(`   Core Type: ${coreType || 'Not provided'}`);
+    console.log(`   Report Tier: ${reportTier}`);
 
     // Build the complete payload
     const payload = {
@@ -218,6 +231,8 @@ export async function notifyGhlWithDownloadLink({ email, name, downloadLink, edn
       downloadLink: downloadLink,
       ednaType: ednaType || 'Unknown',
       coreType: coreType || 'Unknown',
+      locale: resolveLocale(locale),
+      reportTier: reportTier,
       timestamp: new Date().toISOString()
     };
 
@@ -8,25 +8,92 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-import { uploadPDFToS3, generatePresignedPdfUrl } from './s3.js';
+import { uploadPDFToS3, generatePresignedPdfUrl, deletePdfObjects } from './s3.js';
 import { sendGHLEmailWithPDF, notifyGhlWithDownloadLink } from './ghl.js';
-import { generatePDFFromComponent } from './pdf-from-component.js';
+import { renderResultsPDF } from './pdf-render.js';
 import { sendInviteEmail } from './invite-email-supabase.js';
 import { createUserAndSendResetEmail, sendResetPasswordEmail } from './create-user-with-reset.js';
-import { createAgentTokenFromSupabase, verifyAgentTokenMiddleware } from './agent-token.js';
+import {
+  createAgentTokenFromSupabase,
+  refreshAgentToken,
+  revokeAgentTokenByValue,
+  verifyAgentTokenMiddleware,
+  requireAgentScope,
+  getSupabaseUserEmail,
+  agentTokensConfigured
+} from './agent-token.js';
+import { requireAdminKey } from './admin-auth.js';
+import { requireUserEmail } from './user-auth.js';
+import { requireGhlWebhookAuth, captureRawBody } from './webhook-auth.js';
+import { rescoreResults } from './rescore.js';
+import { queuePdfGeneration, issueDownloadLink, startPdfWorker, stopPdfWorker } from './pdf-jobs.js';
+import { warmBrowserPool, closeBrowserPool, getBrowserPoolStats } from './browser-pool.js';
+import { runCleanup, startCleanupScheduler, stopCleanupScheduler } from './cleanup.js';
+import { resolveLocale } from './locales/index.js';
+import { getEntitledTier } from './report-tiers.js';
+import { checkSchemaOnStartup } from './migrate.js';
+import { compareAttempts } from './compare.js';
+import { generateProgressReportPDF } from './pdf-progress.js';
+import {
+  TEAM_ROLES,
+  generateInviteCode,
+  normalizeInviteCode,
+  joinTeamWithResult,
+  getTeamProfile,
+  getTeamProfileMinMembers
+} from './teams.js';
+import { generateTeamReportPDF } from './pdf-team.js';
+import { calculateCompatibility, profileFromRow } from './compatibility.js';
+import { generateCompatibilityReportPDF } from './pdf-compatibility.js';
+import {
+  ANALYTICS_METRICS,
+  resolveAnalyticsRange,
+  buildAnalyticsReport,
+  analyticsToCsv,
+  getProgressLayer
+} from './analytics.js';
 // Aurora PostgreSQL Database (replacing Supabase for quiz data)
 import {
-  initializeDatabase,
   saveQuizResult,
   getQuizResultById,
   getQuizResultByEmail,
+  getQuizResultHistory,
+  searchQuizResults,
+  updateQuizResultName,
+  deleteQuizResult,
   createDownloadToken,
   verifyDownloadToken,
+  recordDownloadTokenUse,
+  revokeDownloadToken,
+  revokeDownloadTokensForResult,
+  getDownloadTokensForResult,
   testConnection,
   closePool,
   saveQuizProgress,
+  recordQuizSessionProgress,
   getQuizProgress,
-  deleteQuizProgress
+  deleteQuizProgress,
+  getPdfJobs,
+  retryPdfJob,
+  updateQuizResultPdfStatus,
+  getLatestPdfJobForResult,
+  getWebhookAuditLog,
+  getAdminAuditLog,
+  getCleanupRuns,
+  updatePaymentStatus,
+  createOrganisation,
+  getOrganisations,
+  getOrganisationById,
+  createTeam,
+  getTeamById,
+  createTeamInvite,
+  getTeamInvite,
+  getTeamInvites,
+  revokeTeamInvite,
+  getTeamMembers,
+  setTeamMemberRole,
+  removeTeamMember,
+  getTeamMemberRole
 } from './postgres-db.js';
 // Keep Supabase imports for authentication (if needed in future)
 // import { supabase } from './supabase-db.js';
@@ -37,6 +104,14 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+const PAYMENT_STATUSES = ['pending', 'paid', 'refunded'];
+
+// How often to retry the schema check while PostgreSQL is unreachable at startup
+const SCHEMA_CHECK_RETRY_MS = 15000;
+
+// Set once the schema version has been checked; /health reports 503 until then
+let schemaReady = false;
+
 // Middleware - CORS Configuration
 const allowedOrigins = [
   'http://localhost:3000',
@@ -60,11 +135,12 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-Key']
 }));
 
-app.use(express.json({ limit: '50mb' }));
+// Raw body is kept for GHL webhooks so their signatures can be verified
+app.use(express.json({ limit: '50mb', verify: captureRawBody }));
 
 // Create temp directory
 const tempDir = path.join(__dirname, '../temp');
@@ -74,16 +150,66 @@ if (!fs.existsSync(tempDir)) {
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
+  res.status(schemaReady ? 200 : 503).json({
+    status: schemaReady ? 'ok' : 'starting',
     timestamp: new Date().toISOString(),
-    service: 'E-DNA Quiz Backend (Full PDF + Aurora PostgreSQL + GHL)'
+    service: 'E-DNA Quiz Backend (Full PDF + Aurora PostgreSQL + GHL)',
+    pdfBrowsers: getBrowserPoolStats()
   });
 });
 
+/**
+ * Reply for a PDF that could not be rendered
+ * When every pooled browser stayed busy the client is told to retry (503 with
+ * Retry-After) instead of timing out; anything else is thrown to the route's handler
+ */
+function sendPdfFailure(res, pdfResult) {
+  if (pdfResult.code === 'BROWSER_POOL_BUSY') {
+    res.setHeader('Retry-After', '10');
+    return res.status(503).json({
+      success: false,
+      error: pdfResult.error
+    });
+  }
+
+  throw new Error(`PDF generation failed: ${pdfResult.error}`);
+}
+
+/**
+ * Load a quiz result that belongs to the authenticated user (req.userEmail)
+ * Someone else's result comes back as null, so routes answer 404 rather than
+ * 403 and result IDs cannot be probed
+ * @returns {Promise<object|null>} The quiz_results row, or null
+ */
+async function getOwnedQuizResult(id, userEmail) {
+  const dbResult = await getQuizResultById(id);
+  return dbResult.success && dbResult.data.email.toLowerCase().trim() === userEmail ? dbResult.data : null;
+}
+
+/**
+ * Reply for a download token that failed verifyDownloadToken
+ * Unknown tokens are 404; expired, revoked and used-up tokens are 410 with the
+ * result ID so the frontend can offer to regenerate the link
+ */
+function sendDownloadLinkError(res, linkResult) {
+  if (linkResult.reason === 'not_found' || !linkResult.data) {
+    return res.status(404).json({
+      error: 'Invalid or unknown link'
+    });
+  }
+
+  return res.status(410).json({
+    error: linkResult.error,
+    reason: linkResult.reason,
+    resultId: linkResult.data.quiz_result_id
+  });
+}
+
 /**
  * Download endpoint - Validates token and redirects to S3 presigned URL
  * This is the public download link sent to users via GHL email
+ * The full report needs a paid result; unpaid users are pointed at /download/summary
+ * Each redirect counts as a use of the token (see DOWNLOAD_TOKEN_MAX_USES)
  */
 app.get('/download', async (req, res) => {
   try {
@@ -106,20 +232,34 @@ app.get('/download', async (req, res) => {
 
     if (!linkResult.success) {
       console.log(`❌ Error: ${linkResult.error}`);
-      return res.status(404).json({
-        error: 'Invalid or unknown link'
-      });
+      return sendDownloadLinkError(res, linkResult);
     }
 
     const record = linkResult.data;
     console.log(`✅ Token found for: ${record.email}`);
 
-    // Token expiration is already checked in verifyDownloadToken
-    // No need to check again here
+    // Full-report tokens stop working if the purchase is refunded
+    if (record.tier !== 'summary' && getEntitledTier(record) !== 'full') {
+      console.log(`💳 Full report locked - payment status: ${record.payment_status || 'pending'}`);
+      return res.status(402).json({
+        error: 'Payment required for the full report',
+        paymentStatus: record.payment_status || 'pending',
+        summaryUrl: `/download/summary?token=${encodeURIComponent(token)}`
+      });
+    }
+
+    const s3Key = record.tier === 'summary' ? record.summary_s3_key : record.s3_key;
+
+    if (!s3Key) {
+      console.log(`❌ Error: ${record.tier} report not uploaded yet`);
+      return res.status(404).json({
+        error: 'Report is not ready yet'
+      });
+    }
 
     // Generate presigned URL for S3
-    console.log('🔐 Generating presigned S3 URL...');
-    const urlResult = await generatePresignedPdfUrl(record.s3_key, 7 * 60 * 60);
+    console.log(`🔐 Generating presigned S3 URL (${record.tier} report)...`);
+    const urlResult = await generatePresignedPdfUrl(s3Key, 7 * 60 * 60);
 
     if (!urlResult.success) {
       console.error('❌ Error generating presigned URL:', urlResult.error);
@@ -128,7 +268,19 @@ app.get('/download', async (req, res) => {
       });
     }
 
-    console.log('✅ Presigned URL generated, redirecting user...\n');
+    // Counted last, so a failed request never uses up a single-use link
+    const useResult = await recordDownloadTokenUse(token);
+
+    if (!useResult.success) {
+      console.log(`❌ Error: ${useResult.error}`);
+      return res.status(410).json({
+        error: useResult.error,
+        reason: 'exhausted',
+        resultId: record.quiz_result_id
+      });
+    }
+
+    console.log(`✅ Presigned URL generated (download ${useResult.data.download_count}${useResult.data.max_uses ? `/${useResult.data.max_uses}` : ''}), redirecting user...\n`);
 
     // Redirect to S3 presigned URL
     return res.redirect(urlResult.url);
@@ -148,6 +300,71 @@ app.get('/download', async (req, res) => {
   }
 });
 
+/**
+ * Free summary PDF for a download token
+ * Available whether or not the result has been paid for. Serves the stored
+ * summary report when there is one, otherwise renders it on demand.
+ * Needs a live token but does not count as a use of it.
+ */
+app.get('/download/summary', async (req, res) => {
+  let pdfPath = null;
+
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({
+        error: 'Missing token'
+      });
+    }
+
+    const linkResult = await verifyDownloadToken(token);
+
+    if (!linkResult.success) {
+      return sendDownloadLinkError(res, linkResult);
+    }
+
+    const record = linkResult.data;
+    const results = typeof record.quiz_data === 'string' ? JSON.parse(record.quiz_data) : record.quiz_data;
+
+    console.log(`\n📄 Summary PDF requested for: ${record.email}`);
+
+    if (record.summary_s3_key) {
+      const urlResult = await generatePresignedPdfUrl(record.summary_s3_key, 7 * 60 * 60);
+
+      if (urlResult.success) {
+        return res.redirect(urlResult.url);
+      }
+
+      console.warn('⚠️ Could not sign stored summary - rendering it instead:', urlResult.error);
+    }
+
+    pdfPath = path.join(tempDir, `edna-summary-${uuidv4()}.pdf`);
+    const pdfResult = await renderResultsPDF({ ...results, name: record.name }, pdfPath, { tier: 'summary' });
+
+    if (!pdfResult.success) {
+      return sendPdfFailure(res, pdfResult);
+    }
+
+    const filename = `EDNA-Summary-${new Date().toISOString().split('T')[0]}.pdf`;
+
+    res.download(pdfPath, filename, () => {
+      fs.unlink(pdfPath, () => {});
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /download/summary endpoint:', error);
+
+    if (pdfPath && fs.existsSync(pdfPath)) {
+      fs.unlink(pdfPath, () => {});
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
 /**
  * Generate FULL PDF and upload to S3
  * This is called after email verification
@@ -155,7 +372,7 @@ app.get('/download', async (req, res) => {
  */
 app.post('/api/quiz/generate-pdf', async (req, res) => {
   try {
-    const { email, name, results } = req.body;
+    const { email, name, results, locale } = req.body;
     
     if (!email || !results) {
       return res.status(400).json({
@@ -163,21 +380,20 @@ app.post('/api/quiz/generate-pdf', async (req, res) => {
         error: 'Missing required fields: email and results are required'
       });
     }
+
+    // Unsupported locales fall back to DEFAULT_LOCALE rather than failing
+    results.locale = resolveLocale(locale || results.locale);
     
     const resultId = uuidv4();
     console.log(`\n📝 Generating FULL PDF for ${email}...`);
     
     // Step 1: Generate FULL PDF (complete EDNAResultsPage)
-    console.log('1️⃣ Generating complete E-DNA Results PDF from React component...');
+    console.log('1️⃣ Generating complete E-DNA Results PDF...');
     const pdfFileName = `edna-results-${resultId}.pdf`;
     const pdfPath = path.join(tempDir, pdfFileName);
 
-    // Use local development URL if NODE_ENV is not production
-    const isDevelopment = process.env.NODE_ENV !== 'production';
-    const frontendUrl = isDevelopment 
-      ? 'http://localhost:3000' 
-      : (process.env.FRONTEND_URL || 'https://brandscaling.co.uk');
-    const pdfResult = await generatePDFFromComponent({ ...results, name }, pdfPath, frontendUrl);
+    // Live frontend first, server-side template if it is unavailable (PDF_RENDER_ORDER)
+    const pdfResult = await renderResultsPDF({ ...results, name }, pdfPath);
     if (!pdfResult.success) {
       throw new Error(`PDF generation failed: ${pdfResult.error}`);
     }
@@ -216,7 +432,8 @@ app.post('/api/quiz/generate-pdf', async (req, res) => {
       const ghlResult = await notifyGhlWithDownloadLink({
         email: email,
         name: name,
-        downloadLink: publicDownloadUrl
+        downloadLink: publicDownloadUrl,
+        locale: results.locale
       });
 
       if (ghlResult.success) {
@@ -264,7 +481,7 @@ app.post('/api/quiz/generate-pdf', async (req, res) => {
  */
 app.post('/api/quiz/save-results', async (req, res) => {
   try {
-    const { email, name, results } = req.body;
+    const { email, name, results, locale, inviteCode } = req.body;
 
     if (!email || !results) {
       return res.status(400).json({
@@ -273,6 +490,9 @@ app.post('/api/quiz/save-results', async (req, res) => {
       });
     }
 
+    // Unsupported locales fall back to DEFAULT_LOCALE rather than failing
+    results.locale = resolveLocale(locale || results.locale);
+
     const resultId = uuidv4();
 
     console.log(`\n📝 Saving quiz results for ${email} (fast mode)...`);
@@ -292,16 +512,28 @@ app.post('/api/quiz/save-results', async (req, res) => {
 
     console.log(`✅ Quiz results saved to Aurora MySQL: ${resultId}`);
 
+    // Queue PDF generation (durable - survives restarts, retried on failure)
+    // Unpaid results get the free summary; the full report follows the purchase
+    const reportTier = getEntitledTier(dbResult.data);
+    const jobResult = await queuePdfGeneration(email, name, results, resultId, { tier: reportTier });
+
+    if (!jobResult.success) {
+      console.error(`❌ Failed to queue PDF generation for ${email}:`, jobResult.error);
+    }
+
+    // Join the team behind the invite code (the result is saved either way)
+    const team = inviteCode ? await joinTeamWithResult(inviteCode, email, resultId) : null;
+
     // Respond immediately (don't wait for PDF)
     res.json({
       success: true,
       resultId: resultId,
-      message: 'Results saved. PDF generation started in background.'
-    });
-
-    // Generate PDF in background (async, don't await)
-    generatePDFInBackground(email, name, results, resultId).catch(error => {
-      console.error(`❌ Background PDF generation failed for ${email}:`, error);
+      pdfJobId: jobResult.jobId || null,
+      reportTier,
+      team,
+      message: jobResult.success
+        ? 'Results saved. PDF generation queued in background.'
+        : 'Results saved. PDF generation could not be queued.'
     });
 
   } catch (error) {
@@ -316,24 +548,16 @@ app.post('/api/quiz/save-results', async (req, res) => {
 /**
  * GET /api/quiz/results-by-email
  * Retrieve quiz results by email (for dashboard)
+ * Requires a Supabase session / Agent token (own results only) or a service key
  */
-app.get('/api/quiz/results-by-email', async (req, res) => {
+app.get('/api/quiz/results-by-email', requireUserEmail(req => req.query.email, { scope: 'read:results' }), async (req, res) => {
   try {
-    const { email } = req.query;
-
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter: email'
-      });
-    }
-
-    // Normalize email to lowercase for consistent database queries
-    const normalizedEmail = email.toLowerCase().trim();
+    // Verified and normalized by requireUserEmail
+    const email = req.userEmail;
     
-    console.log(`\n🔍 Fetching quiz results for email: "${email}" (normalized: "${normalizedEmail}")...`);
+    console.log(`\n🔍 Fetching quiz results for email: "${email}"...`);
 
-    const dbResult = await getQuizResultByEmail(normalizedEmail);
+    const dbResult = await getQuizResultByEmail(email);
 
     if (!dbResult.success) {
       return res.status(404).json({
@@ -366,65 +590,92 @@ app.get('/api/quiz/results-by-email', async (req, res) => {
   }
 });
 
+const HISTORY_PAGE_SIZE = 20;
+const HISTORY_MAX_PAGE_SIZE = 100;
+
 /**
- * Save quiz progress for authenticated user
+ * Opaque history cursor: the last row of a page, base64url-encoded
  */
-app.post('/api/quiz/save-progress', async (req, res) => {
+function encodeHistoryCursor(row) {
+  return Buffer.from(JSON.stringify({ c: row.cursor_created_at, i: row.id })).toString('base64url');
+}
+
+function decodeHistoryCursor(cursor) {
   try {
-    const { email, progressData } = req.body;
-    
-    if (!email || !progressData) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email and progress data are required'
-      });
-    }
-    
-    await saveQuizProgress(email, progressData);
-    
-    res.json({
-      success: true,
-      message: 'Quiz progress saved successfully'
-    });
-  } catch (error) {
-    console.error('❌ Error saving quiz progress:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    const { c, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return typeof c === 'string' && typeof i === 'string' ? { createdAt: c, id: i } : null;
+  } catch {
+    return null;
   }
-});
+}
 
 /**
- * Get quiz progress for authenticated user
+ * Summary of one attempt, shared by the history and single result endpoints
  */
-app.get('/api/quiz/get-progress', async (req, res) => {
+function toAttemptSummary(row) {
+  return {
+    resultId: row.id,
+    ednaType: row.edna_type,
+    coreType: row.core_type,
+    subtype: row.subtype,
+    coreTypeMastery: row.core_mastery,
+    subtypeMastery: row.subtype_mastery,
+    definitionVersion: row.definition_version,
+    revision: row.revision,
+    locale: row.locale,
+    entitledTier: getEntitledTier(row),
+    pdfStatus: row.pdf_status || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * GET /api/quiz/history?limit=20&cursor=
+ * All of a user's quiz attempts, newest first, with summary fields
+ * Pass nextCursor from the previous response to get the next page.
+ * Requires a Supabase session / Agent token (own results only) or a service key
+ */
+app.get('/api/quiz/history', requireUserEmail(req => req.query.email, { scope: 'read:results' }), async (req, res) => {
   try {
-    const { email } = req.query;
-    
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email is required'
-      });
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || HISTORY_PAGE_SIZE, 1), HISTORY_MAX_PAGE_SIZE);
+    let before = null;
+
+    if (req.query.cursor) {
+      before = decodeHistoryCursor(req.query.cursor);
+
+      if (!before) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor'
+        });
+      }
     }
-    
-    const progress = await getQuizProgress(email);
-    
-    if (!progress) {
-      return res.json({
-        success: false,
-        message: 'No saved progress found'
-      });
+
+    const historyResult = await getQuizResultHistory(req.userEmail, { limit, before });
+
+    if (!historyResult.success) {
+      throw new Error(historyResult.error);
     }
-    
+
+    const rows = historyResult.data;
+
     res.json({
       success: true,
-      progressData: progress.progressData,
-      updatedAt: progress.updatedAt
+      total: historyResult.total,
+      attempts: rows.map(row => ({
+        ...toAttemptSummary(row),
+        attempt: row.attempt,
+        reports: {
+          summary: row.has_summary_pdf,
+          full: row.has_full_pdf
+        }
+      })),
+      nextCursor: historyResult.hasMore ? encodeHistoryCursor(rows[rows.length - 1]) : null
     });
+
   } catch (error) {
-    console.error('❌ Error getting quiz progress:', error);
+    console.error('❌ Error in /api/quiz/history:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -433,27 +684,37 @@ app.get('/api/quiz/get-progress', async (req, res) => {
 });
 
 /**
- * Delete quiz progress after completion
+ * GET /api/quiz/results/:id
+ * One specific attempt with its full results
+ * Requires a Supabase session / Agent token (own results only) or a service key
  */
-app.delete('/api/quiz/delete-progress', async (req, res) => {
+app.get('/api/quiz/results/:id', requireUserEmail(req => req.query.email, { scope: 'read:results' }), async (req, res) => {
   try {
-    const { email } = req.body;
-    
-    if (!email) {
-      return res.status(400).json({
+    const result = await getOwnedQuizResult(req.params.id, req.userEmail);
+
+    if (!result) {
+      return res.status(404).json({
         success: false,
-        error: 'Email is required'
+        error: 'Quiz result not found'
       });
     }
-    
-    await deleteQuizProgress(email);
-    
+
+    const results = typeof result.quiz_data === 'string'
+      ? JSON.parse(result.quiz_data)
+      : result.quiz_data;
+
     res.json({
       success: true,
-      message: 'Quiz progress deleted successfully'
+      ...toAttemptSummary(result),
+      reports: {
+        summary: Boolean(result.summary_s3_key),
+        full: Boolean(result.s3_key)
+      },
+      results
     });
+
   } catch (error) {
-    console.error('❌ Error deleting quiz progress:', error);
+    console.error('❌ Error in /api/quiz/results/:id:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -462,146 +723,374 @@ app.delete('/api/quiz/delete-progress', async (req, res) => {
 });
 
 /**
- * Background PDF generation function
- * Runs asynchronously without blocking the response
+ * GET /api/quiz/compare?from=<id>&to=<id>[&format=pdf]
+ * Layer-by-layer changes between two of the user's attempts
+ * format=pdf returns a progress report PDF instead (Agent tokens also need read:pdf).
+ * The PDF shows the layers of the lower tier the two attempts are entitled to.
+ * Requires a Supabase session / Agent token (own results only) or a service key
  */
-async function generatePDFInBackground(email, name, results, resultId) {
-  try {
-    console.log(`\n🎨 Starting background PDF generation for ${email}...`);
-
-    // Generate PDF from React component
-    console.log('1️⃣ Generating PDF from React component...');
-    const pdfFileName = `edna-results-${resultId}.pdf`;
-    const pdfPath = path.join(tempDir, pdfFileName);
+app.get('/api/quiz/compare', requireUserEmail(req => req.query.email, { scope: 'read:results' }), async (req, res) => {
+  let pdfPath = null;
 
-    // Use local development URL if NODE_ENV is not production
-    const isDevelopment = process.env.NODE_ENV !== 'production';
-    const frontendUrl = isDevelopment 
-      ? 'http://localhost:3000' 
-      : (process.env.FRONTEND_URL || 'https://brandscaling.co.uk');
-    const pdfResult = await generatePDFFromComponent({ ...results, name }, pdfPath, frontendUrl);
+  try {
+    const { from, to, format } = req.query;
 
-    if (!pdfResult.success) {
-      throw new Error(`PDF generation failed: ${pdfResult.error}`);
+    if (!from || !to || from === to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two different result IDs are required (from and to)'
+      });
     }
 
-    console.log(`✅ PDF generated: ${pdfPath}`);
-
-    // Upload to S3
-    console.log('2️⃣ Uploading PDF to S3...');
-    const s3Result = await uploadPDFToS3(pdfPath, pdfFileName);
-
-    if (!s3Result.success) {
-      throw new Error(`S3 upload failed: ${s3Result.error}`);
+    if (format === 'pdf' && req.auth.type === 'agent' && !req.auth.scopes.includes('read:pdf')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Token is missing the read:pdf scope'
+      });
     }
 
-    console.log(`✅ PDF uploaded to S3: ${s3Result.url}`);
+    const [fromResult, toResult] = await Promise.all([
+      getOwnedQuizResult(from, req.userEmail),
+      getOwnedQuizResult(to, req.userEmail)
+    ]);
 
-    // PDF URL and S3 key already saved in saveQuizResult above
-    console.log('3️⃣ PDF URL and S3 key saved in Aurora PostgreSQL ✅');
+    if (!fromResult || !toResult) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz result not found'
+      });
+    }
 
-    // Create download token (7 days expiration)
-    console.log('4️⃣ Creating download token (7 days expiration)...');
-    const token = uuidv4();
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-    const tokenResult = await createDownloadToken(token, resultId, expiresAt);
+    const comparison = compareAttempts(fromResult, toResult);
 
-    if (!tokenResult.success) {
-      console.warn('⚠️ Token creation failed:', tokenResult.error);
+    if (format !== 'pdf') {
+      return res.json({ success: true, ...comparison });
     }
 
-    // Notify GHL with download link and E-DNA details
-    if (tokenResult.success) {
-      console.log('5️⃣ Notifying GHL with download link...');
-      const publicBaseUrl = process.env.PUBLIC_BACKEND_BASE_URL || 'https://ry93w5zzjy.us-east-1.awsapprunner.com';
-      const publicDownloadUrl = `${publicBaseUrl}/download?token=${token}`;
+    const tiers = [getEntitledTier(fromResult), getEntitledTier(toResult)];
+    const tier = tiers.includes('summary') ? 'summary' : 'full';
 
-      const ghlResult = await notifyGhlWithDownloadLink({
-        email: email,
-        name: name,
-        downloadLink: publicDownloadUrl,
-        ednaType: results.subtype || 'Unknown',
-        coreType: results.core_type || 'Unknown'
-      });
+    pdfPath = path.join(tempDir, `edna-progress-${uuidv4()}.pdf`);
+    const pdfResult = await generateProgressReportPDF(comparison, pdfPath, {
+      name: toResult.name,
+      locale: toResult.locale,
+      tier
+    });
 
-      if (ghlResult.success) {
-        console.log('✅ GHL webhook notified successfully');
-      } else {
-        console.warn('⚠️ GHL webhook notification failed:', ghlResult.error);
-      }
+    if (!pdfResult.success) {
+      return sendPdfFailure(res, pdfResult);
     }
 
-    console.log(`✅ Background PDF generation complete for ${email}`);
+    const filename = `EDNA-Progress-${new Date().toISOString().split('T')[0]}.pdf`;
 
-    // Clean up temp file after 5 seconds
-    setTimeout(() => {
-      if (fs.existsSync(pdfPath)) {
-        fs.unlinkSync(pdfPath);
-        console.log('🗑️ Temp PDF file deleted');
-      }
-    }, 5000);
+    res.download(pdfPath, filename, () => {
+      fs.unlink(pdfPath, () => {});
+    });
 
   } catch (error) {
-    console.error(`❌ Background PDF generation error for ${email}:`, error);
-    // Don't throw - this is background process
+    console.error('❌ Error in /api/quiz/compare:', error);
+
+    if (pdfPath && fs.existsSync(pdfPath)) {
+      fs.unlink(pdfPath, () => {});
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-}
+});
 
 /**
- * GHL Webhook: Get PDF URL by email
- * This is called by GHL after payment is completed
- * Returns the S3 PDF URL for the user's quiz results
+ * GET /api/teams/invites/:code
+ * Check an invite code before the quiz and show which team it joins
+ * Submit the code as inviteCode with /api/quiz/save-results or /api/quiz/submit-new.
  */
-app.post('/api/ghl/get-pdf', async (req, res) => {
+app.get('/api/teams/invites/:code', async (req, res) => {
   try {
-    const { email } = req.body;
+    const inviteResult = await getTeamInvite(normalizeInviteCode(req.params.code));
 
-    console.log('\n🔔 GHL Webhook Called!');
-    console.log(`📧 Email: ${email}`);
-    console.log(`⏰ Time: ${new Date().toISOString()}`);
-
-    if (!email) {
-      console.log('❌ Error: No email provided');
-      return res.status(400).json({
+    if (!inviteResult.success && inviteResult.reason === 'not_found') {
+      return res.status(404).json({
         success: false,
-        error: 'Missing required field: email'
+        error: inviteResult.error
       });
     }
 
-    console.log(`🔍 Looking up quiz result for ${email}...`);
+    // Revoked, expired or used up
+    if (!inviteResult.success && inviteResult.reason) {
+      return res.status(410).json({
+        success: false,
+        reason: inviteResult.reason,
+        error: inviteResult.error
+      });
+    }
 
-    // Get quiz result from Aurora MySQL
-    const result = await getQuizResultByEmail(email);
+    if (!inviteResult.success) {
+      throw new Error(inviteResult.error);
+    }
 
-    if (!result.success) {
-      console.log(`❌ Not found: No quiz results for ${email}`);
+    res.json({
+      success: true,
+      team: inviteResult.data.team_name,
+      organisation: inviteResult.data.organisation_name
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/teams/invites/:code:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Send a team or organisation profile as JSON, or as a PDF with format=pdf
+ * @param {string[]} teamIds - Teams to aggregate
+ * @param {object} options - { name, subtitle, minMembers } fewer members with results -> 409
+ */
+async function sendTeamProfile(req, res, teamIds, { name, subtitle, minMembers = 0 }) {
+  const profileResult = await getTeamProfile(teamIds);
+
+  if (!profileResult.success) {
+    throw new Error(profileResult.error);
+  }
+
+  const profile = profileResult.data;
+
+  if (profile.memberCount < minMembers) {
+    return res.status(409).json({
+      success: false,
+      error: `The profile is available once at least ${minMembers} members have results`,
+      memberCount: profile.memberCount,
+      minMembers
+    });
+  }
+
+  if (req.query.format !== 'pdf') {
+    return res.json({ success: true, name, profile });
+  }
+
+  const pdfPath = path.join(tempDir, `edna-team-${uuidv4()}.pdf`);
+  const pdfResult = await generateTeamReportPDF(profile, pdfPath, {
+    name,
+    subtitle,
+    locale: resolveLocale(req.query.locale)
+  });
+
+  if (!pdfResult.success) {
+    if (fs.existsSync(pdfPath)) {
+      fs.unlink(pdfPath, () => {});
+    }
+
+    return sendPdfFailure(res, pdfResult);
+  }
+
+  const filename = `EDNA-Team-Profile-${new Date().toISOString().split('T')[0]}.pdf`;
+
+  res.download(pdfPath, filename, () => {
+    fs.unlink(pdfPath, () => {});
+  });
+}
+
+/**
+ * GET /api/teams/:id/profile?email=...[&format=pdf][&locale=...]
+ * Aggregate profile of a team, for its managers
+ * Needs TEAM_PROFILE_MIN_MEMBERS members with results, so nobody can be singled out.
+ * Agent tokens also need the read:pdf scope for the PDF.
+ */
+app.get('/api/teams/:id/profile', requireUserEmail(req => req.query.email, { scope: 'read:results' }), async (req, res) => {
+  try {
+    if (req.query.format === 'pdf' && req.auth.type === 'agent' && !req.auth.scopes.includes('read:pdf')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Token is missing the read:pdf scope'
+      });
+    }
+
+    const [teamResult, roleResult] = await Promise.all([
+      getTeamById(req.params.id),
+      getTeamMemberRole(req.params.id, req.userEmail)
+    ]);
+
+    // Only managers see the profile; 404 so team IDs cannot be probed
+    if (!teamResult.success || !roleResult.success || roleResult.data !== 'manager') {
       return res.status(404).json({
         success: false,
-        error: 'No quiz results found for this email'
+        error: 'Team not found'
       });
     }
 
-    console.log(`✅ Found quiz result!`);
-    console.log(`📄 PDF URL: ${result.data.pdf_url}`);
-    console.log(`🧬 Core Type: ${result.data.core_type}`);
-    console.log(`🎯 Subtype: ${result.data.subtype}`);
+    await sendTeamProfile(req, res, [teamResult.data.id], {
+      name: teamResult.data.name,
+      subtitle: teamResult.data.organisation_name,
+      minMembers: getTeamProfileMinMembers()
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/teams/:id/profile:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/quiz/results/:id/pdf-status
+ * Background PDF status for a result: queued, rendering, uploaded or failed
+ * (uploaded = the PDF is in S3 and ready to download)
+ * Only the result's owner (or a service account naming their email) can poll it.
+ */
+app.get('/api/quiz/results/:id/pdf-status', requireUserEmail(req => req.query.email, { scope: 'read:pdf' }), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    // Payment tracking not implemented in current version
+    const result = await getOwnedQuizResult(id, req.userEmail);
 
-    const response = {
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz result not found'
+      });
+    }
+
+    // Results saved before status tracking only have an S3 key to go by
+    const status = result.pdf_status || (result.s3_key ? 'uploaded' : null);
+
+    const jobResult = await getLatestPdfJobForResult(id);
+    const job = jobResult.success ? jobResult.data : null;
+
+    res.json({
       success: true,
-      email: email,
-      pdfUrl: result.data.pdf_url,
-      core_type: result.data.core_type,
-      subtype: result.data.subtype,
-      created_at: result.data.created_at
+      resultId: result.id,
+      status,
+      downloadReady: status === 'uploaded',
+      entitledTier: getEntitledTier(result),
+      reports: {
+        summary: Boolean(result.summary_s3_key),
+        full: Boolean(result.s3_key)
+      },
+      error: result.pdf_error || null,
+      timestamps: {
+        queuedAt: result.pdf_queued_at,
+        renderingAt: result.pdf_rendering_at,
+        uploadedAt: result.pdf_uploaded_at,
+        failedAt: result.pdf_failed_at
+      },
+      job: job && {
+        id: job.id,
+        tier: job.tier,
+        step: job.step,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        nextAttemptAt: job.status === 'pending' ? job.run_after : null,
+        completedAt: job.completed_at
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/quiz/results/:id/pdf-status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Issue a fresh download link for a result and send it through the GHL workflow again
+ * Shared by the owner's regenerate-link route and the admin resend-link route.
+ * Responds 409 while the entitled report has not been uploaded yet.
+ * @param {object} result - quiz_results row
+ * @param {object} options - { revokePrevious, reason } reason is stored on the revoked links
+ * @returns {Promise<object>} the JSON body that was sent
+ */
+async function sendNewDownloadLink(res, result, { revokePrevious = true, reason = 'regenerated' } = {}) {
+  const reportTier = getEntitledTier(result);
+  const s3Key = reportTier === 'full' ? result.s3_key : result.summary_s3_key;
+
+  if (!s3Key) {
+    const body = {
+      success: false,
+      error: 'Report is not ready yet',
+      pdfStatus: result.pdf_status || null
     };
+    res.status(409).json(body);
+    return body;
+  }
 
-    console.log('📤 Sending response to GHL\n');
-    res.json(response);
+  let revokedTokens = 0;
+  if (revokePrevious) {
+    const revokeResult = await revokeDownloadTokensForResult(result.id, reason);
+
+    if (!revokeResult.success) {
+      throw new Error(revokeResult.error);
+    }
+    revokedTokens = revokeResult.revoked;
+  }
+
+  const link = await issueDownloadLink(result.id, reportTier);
+
+  if (!link.success) {
+    throw new Error(`Token creation failed: ${link.error}`);
+  }
+
+  console.log(`🔁 New ${reportTier} download link issued for ${result.email} (${revokedTokens} revoked)`);
+
+  const ghlResult = await notifyGhlWithDownloadLink({
+    email: result.email,
+    name: result.name,
+    downloadLink: link.downloadUrl,
+    ednaType: result.subtype || 'Unknown',
+    coreType: result.core_type || 'Unknown',
+    locale: result.locale,
+    reportTier
+  });
+
+  if (!ghlResult.success) {
+    console.warn('⚠️ GHL webhook notification failed (link still issued):', ghlResult.error);
+  }
+
+  const body = {
+    success: true,
+    resultId: result.id,
+    reportTier,
+    downloadUrl: link.downloadUrl,
+    expiresAt: link.expiresAt,
+    maxUses: link.maxUses,
+    revokedTokens,
+    ghlNotification: ghlResult.success ? 'sent' : 'failed'
+  };
+  res.json(body);
+  return body;
+}
+
+/**
+ * POST /api/quiz/results/:id/regenerate-link
+ * Issue a fresh download link for a result (e.g. after the emailed one expired)
+ * and send it to the user through the GHL workflow again.
+ * Callable by the result's owner (Supabase session or Agent token with read:pdf)
+ * or a service account naming the email. Previous links are revoked unless
+ * revokePrevious is false.
+ */
+app.post('/api/quiz/results/:id/regenerate-link', requireUserEmail(req => req.body?.email, { scope: 'read:pdf' }), async (req, res) => {
+  try {
+    const { revokePrevious = true } = req.body || {};
+    const result = await getOwnedQuizResult(req.params.id, req.userEmail);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz result not found'
+      });
+    }
+
+    await sendNewDownloadLink(res, result, { revokePrevious });
 
   } catch (error) {
-    console.error('❌ Error in /api/ghl/get-pdf:', error);
+    console.error('❌ Error in /api/quiz/results/:id/regenerate-link:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -610,53 +1099,30 @@ app.post('/api/ghl/get-pdf', async (req, res) => {
 });
 
 /**
- * Send email with PDF link via GHL
- * This can be called manually or by GHL automation
+ * Save quiz progress for authenticated user
  */
-app.post('/api/quiz/send-email', async (req, res) => {
+app.post('/api/quiz/save-progress', requireUserEmail(req => req.body.email, { scope: 'write:progress' }), async (req, res) => {
   try {
-    const { email, pdfUrl } = req.body;
+    const { progressData } = req.body;
     
-    if (!email) {
+    if (!progressData) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required field: email'
+        error: 'Progress data is required'
       });
     }
     
-    console.log(`\n📧 Sending email to ${email}...`);
-    
-    // If no PDF URL provided, get it from database
-    let finalPdfUrl = pdfUrl;
-    if (!finalPdfUrl) {
-      const result = await getQuizResultByEmail(email);
-      if (result.success) {
-        finalPdfUrl = result.data.pdf_url;
-      } else {
-        return res.status(404).json({
-          success: false,
-          error: 'No PDF found for this email'
-        });
-      }
-    }
-    
-    // Send email via GHL
-    const emailResult = await sendGHLEmailWithPDF(email, finalPdfUrl);
-    
-    if (!emailResult.success) {
-      throw new Error(`Email sending failed: ${emailResult.error}`);
-    }
+    await saveQuizProgress(req.userEmail, progressData);
     
-    console.log('✅ Email sent successfully!\n');
+    // Funnel analytics only - a failure is logged and never loses the user's progress
+    await recordQuizSessionProgress(req.userEmail, getProgressLayer(progressData));
     
     res.json({
       success: true,
-      message: 'Email sent with PDF link',
-      email: email
+      message: 'Quiz progress saved successfully'
     });
-    
   } catch (error) {
-    console.error('❌ Error in /api/quiz/send-email:', error);
+    console.error('❌ Error saving quiz progress:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -665,42 +1131,46 @@ app.post('/api/quiz/send-email', async (req, res) => {
 });
 
 /**
- * Complete flow: Generate PDF, upload to S3, save to DB
- * This is the main endpoint called after email verification
+ * Get quiz progress for authenticated user
  */
-app.post('/api/quiz/complete', async (req, res) => {
+app.get('/api/quiz/get-progress', requireUserEmail(req => req.query.email, { scope: 'write:progress' }), async (req, res) => {
   try {
-    const { email, name, results } = req.body;
+    const progress = await getQuizProgress(req.userEmail);
     
-    if (!email || !results) {
-      return res.status(400).json({
+    if (!progress) {
+      return res.json({
         success: false,
-        error: 'Missing required fields'
+        message: 'No saved progress found'
       });
     }
     
-    // Generate and upload PDF
-    const pdfResponse = await fetch(`http://0.0.0.0:${PORT}/api/quiz/generate-pdf`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ email, name, results })
+    res.json({
+      success: true,
+      progressData: progress.progressData,
+      updatedAt: progress.updatedAt
     });
-    
-    const pdfResult = await pdfResponse.json();
-    
-    if (!pdfResult.success) {
-      throw new Error(pdfResult.error);
-    }
+  } catch (error) {
+    console.error('❌ Error getting quiz progress:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete quiz progress after completion
+ */
+app.delete('/api/quiz/delete-progress', requireUserEmail(req => req.body?.email, { scope: 'write:progress' }), async (req, res) => {
+  try {
+    await deleteQuizProgress(req.userEmail);
     
     res.json({
       success: true,
-      resultId: pdfResult.resultId,
-      pdfUrl: pdfResult.pdfUrl,
-      message: 'Quiz completed successfully'
+      message: 'Quiz progress deleted successfully'
     });
-    
   } catch (error) {
-    console.error('❌ Error in /api/quiz/complete:', error);
+    console.error('❌ Error deleting quiz progress:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -709,53 +1179,333 @@ app.post('/api/quiz/complete', async (req, res) => {
 });
 
 /**
- * Send Invite Email via Supabase
- * This endpoint is called when users request OTP for E-DNA quiz verification
- * Sends an invite email with signup link alongside the OTP email
+ * GHL Webhook: Get PDF URL by email
+ * This is called by GHL after payment is completed
+ * Returns the S3 PDF URL for the user's quiz results
+ * Requires a signed request or API key (see requireGhlWebhookAuth); every call is audited
  */
-app.post('/api/send-invite-email', async (req, res) => {
+app.post('/api/ghl/get-pdf', requireGhlWebhookAuth, async (req, res) => {
   try {
     const { email } = req.body;
 
-    console.log('\n📨 Invite email request received');
-    console.log(`   Email: ${email}`);
+    console.log('\n🔔 GHL Webhook Called!');
+    console.log(`📧 Email: ${email}`);
+    console.log(`⏰ Time: ${new Date().toISOString()}`);
 
     if (!email) {
-      console.log('❌ Error: Email is required');
+      console.log('❌ Error: No email provided');
       return res.status(400).json({
         success: false,
-        error: 'Email is required'
+        error: 'Missing required field: email'
       });
     }
 
-    // Send invite email via Supabase
-    const result = await sendInviteEmail(email);
+    console.log(`🔍 Looking up quiz result for ${email}...`);
 
-    if (result.success) {
-      console.log('✅ Invite email sent successfully\n');
-      return res.json({
-        success: true,
-        message: 'Invite email sent'
-      });
-    } else {
-      console.error('❌ Failed to send invite email:', result.error);
-      return res.status(500).json({
+    // Get quiz result from Aurora MySQL
+    const result = await getQuizResultByEmail(email);
+
+    if (!result.success) {
+      console.log(`❌ Not found: No quiz results for ${email}`);
+      return res.status(404).json({
         success: false,
-        error: result.error
+        error: 'No quiz results found for this email'
       });
     }
 
+    console.log(`✅ Found quiz result!`);
+    console.log(`📄 PDF URL: ${result.data.pdf_url}`);
+    req.webhookAudit.quizResultId = result.data.id;
+    console.log(`🧬 Core Type: ${result.data.core_type}`);
+    console.log(`🎯 Subtype: ${result.data.subtype}`);
+
+    const response = {
+      success: true,
+      email: email,
+      pdfUrl: result.data.pdf_url,
+      summaryPdfUrl: result.data.summary_pdf_url,
+      reportTier: getEntitledTier(result.data),
+      core_type: result.data.core_type,
+      subtype: result.data.subtype,
+      created_at: result.data.created_at,
+      payment_status: result.data.payment_status || 'pending',
+      payment_date: result.data.payment_date
+    };
+
+    console.log('📤 Sending response to GHL\n');
+    res.json(response);
+
   } catch (error) {
-    console.error('❌ Error in /api/send-invite-email:', error);
+    console.error('❌ Error in /api/ghl/get-pdf:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error'
+      error: error.message
     });
   }
 });
 
 /**
- * Create User and Send Reset Password Email
+ * GHL Webhook: Purchase completed (or refunded)
+ * Marks the user's quiz result as paid, which unlocks the full PDF at /download.
+ * A new purchase queues the full report, which is emailed via the usual GHL workflow.
+ * Same authentication and audit log as /api/ghl/get-pdf
+ *
+ * Request body:
+ * - email: Buyer's email (their latest result is used unless resultId is given)
+ * - resultId: optional quiz result ID
+ * - orderId: GHL order / transaction reference
+ * - amount, currency: what was charged (e.g. 47.00, "GBP")
+ * - status: "paid" (default) or "refunded"
+ * - paidAt: optional ISO timestamp of the payment
+ */
+app.post('/api/ghl/purchase', requireGhlWebhookAuth, async (req, res) => {
+  try {
+    const { email, resultId, orderId, amount, currency, status = 'paid', paidAt } = req.body;
+
+    console.log('\n💳 GHL Purchase Webhook Called!');
+    console.log(`📧 Email: ${email}  🧾 Order: ${orderId || 'n/a'}  Status: ${status}`);
+
+    if (!email && !resultId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: email or resultId'
+      });
+    }
+
+    if (!PAYMENT_STATUSES.includes(status) || status === 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: 'status must be "paid" or "refunded"'
+      });
+    }
+
+    if (amount !== undefined && amount !== null && !(Number(amount) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'amount must be a non-negative number'
+      });
+    }
+
+    if (currency && !/^[A-Za-z]{3}$/.test(currency)) {
+      return res.status(400).json({
+        success: false,
+        error: 'currency must be a 3-letter ISO code'
+      });
+    }
+
+    const normalizedEmail = email ? email.toLowerCase().trim() : null;
+    const result = resultId ? await getQuizResultById(resultId) : await getQuizResultByEmail(normalizedEmail);
+
+    // When both are sent, the result ID must belong to that email
+    if (!result.success || (normalizedEmail && result.data.email.toLowerCase().trim() !== normalizedEmail)) {
+      console.log(`❌ No quiz result for purchase (${resultId || normalizedEmail})`);
+      return res.status(404).json({
+        success: false,
+        error: 'No quiz results found for this purchase'
+      });
+    }
+
+    const quizResult = result.data;
+    req.webhookAudit.quizResultId = quizResult.id;
+
+    // GHL retries deliveries - the same order must not be applied twice
+    if (quizResult.payment_status === status && orderId && quizResult.payment_reference === String(orderId)) {
+      console.log(`ℹ️ Order ${orderId} already recorded for ${quizResult.id}`);
+      return res.json({
+        success: true,
+        resultId: quizResult.id,
+        paymentStatus: quizResult.payment_status,
+        alreadyProcessed: true
+      });
+    }
+
+    const paymentResult = await updatePaymentStatus(quizResult.id, {
+      status,
+      amount: amount !== undefined && amount !== null ? Number(amount) : null,
+      currency,
+      reference: orderId ? String(orderId) : null,
+      paidAt
+    });
+
+    if (!paymentResult.success) {
+      throw new Error(paymentResult.error);
+    }
+
+    // Upgrade: render and deliver the full report now that it has been bought
+    let fullReportJob = null;
+    if (status === 'paid' && quizResult.payment_status !== 'paid') {
+      const results = typeof quizResult.quiz_data === 'string' ? JSON.parse(quizResult.quiz_data) : quizResult.quiz_data;
+      fullReportJob = await queuePdfGeneration(quizResult.email, quizResult.name, results, quizResult.id, { tier: 'full' });
+
+      if (!fullReportJob.success) {
+        console.error(`❌ Failed to queue full report for ${quizResult.id}:`, fullReportJob.error);
+      }
+    }
+
+    res.json({
+      success: true,
+      resultId: quizResult.id,
+      paymentStatus: paymentResult.data.payment_status,
+      paymentDate: paymentResult.data.payment_date,
+      pdfJobId: fullReportJob?.jobId || null
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/ghl/purchase:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Send email with PDF link via GHL
+ * This can be called manually or by GHL automation
+ */
+app.post('/api/quiz/send-email', async (req, res) => {
+  try {
+    const { email, pdfUrl } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: email'
+      });
+    }
+    
+    console.log(`\n📧 Sending email to ${email}...`);
+    
+    // If no PDF URL provided, get it from database
+    let finalPdfUrl = pdfUrl;
+    if (!finalPdfUrl) {
+      const result = await getQuizResultByEmail(email);
+      if (result.success) {
+        finalPdfUrl = result.data.pdf_url;
+      } else {
+        return res.status(404).json({
+          success: false,
+          error: 'No PDF found for this email'
+        });
+      }
+    }
+    
+    // Send email via GHL
+    const emailResult = await sendGHLEmailWithPDF(email, finalPdfUrl);
+    
+    if (!emailResult.success) {
+      throw new Error(`Email sending failed: ${emailResult.error}`);
+    }
+    
+    console.log('✅ Email sent successfully!\n');
+    
+    res.json({
+      success: true,
+      message: 'Email sent with PDF link',
+      email: email
+    });
+    
+  } catch (error) {
+    console.error('❌ Error in /api/quiz/send-email:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Complete flow: Generate PDF, upload to S3, save to DB
+ * This is the main endpoint called after email verification
+ */
+app.post('/api/quiz/complete', async (req, res) => {
+  try {
+    const { email, name, results } = req.body;
+    
+    if (!email || !results) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields'
+      });
+    }
+    
+    // Generate and upload PDF
+    const pdfResponse = await fetch(`http://0.0.0.0:${PORT}/api/quiz/generate-pdf`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, name, results })
+    });
+    
+    const pdfResult = await pdfResponse.json();
+    
+    if (!pdfResult.success) {
+      throw new Error(pdfResult.error);
+    }
+    
+    res.json({
+      success: true,
+      resultId: pdfResult.resultId,
+      pdfUrl: pdfResult.pdfUrl,
+      message: 'Quiz completed successfully'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error in /api/quiz/complete:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Send Invite Email via Supabase
+ * This endpoint is called when users request OTP for E-DNA quiz verification
+ * Sends an invite email with signup link alongside the OTP email
+ */
+app.post('/api/send-invite-email', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    console.log('\n📨 Invite email request received');
+    console.log(`   Email: ${email}`);
+
+    if (!email) {
+      console.log('❌ Error: Email is required');
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    // Send invite email via Supabase
+    const result = await sendInviteEmail(email);
+
+    if (result.success) {
+      console.log('✅ Invite email sent successfully\n');
+      return res.json({
+        success: true,
+        message: 'Invite email sent'
+      });
+    } else {
+      console.error('❌ Failed to send invite email:', result.error);
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Error in /api/send-invite-email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Create User and Send Reset Password Email
  * This endpoint is called after quiz OTP verification
  * Creates a Supabase account without password and sends reset password email
  */
@@ -801,57 +1551,273 @@ app.post('/api/create-user-with-reset', async (req, res) => {
   }
 });
 
+/**
+ * Generate Agent Access Token
+ * POST /api/agent/token
+ * 
+ * Verifies Supabase session and generates a lightweight JWT token for Agent iframe
+ * This replaces passing the Supabase auth token directly to avoid cross-domain issues
+ * 
+ * Request body:
+ * - supabaseToken: Supabase auth token from frontend
+ * - scopes: optional array (or space-separated string) of read:results, read:pdf, write:progress (default: all)
+ * 
+ * Response:
+ * - success: boolean
+ * - token: JWT access token (2-hour expiry)
+ * - refreshToken: single-use JWT refresh token (30-day expiry)
+ * - userId: Supabase user ID
+ * - scopes: Granted scopes
+ * - expiresIn / refreshExpiresIn: Token expiry durations
+ */
+app.post('/api/agent/token', async (req, res) => {
+  try {
+    const { supabaseToken, scopes } = req.body;
 
-// import dotenv from 'dotenv';
-// dotenv.config();
-
-// import express from 'express';
-// import cors from 'cors';
-// import { v4 as uuidv4 } from 'uuid';
-// import fs from 'fs';
-// import path from 'path';
-// import { fileURLToPath } from 'url';
+    if (!supabaseToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Supabase token is required'
+      });
+    }
 
-// import { uploadPDFToS3, generatePresignedPdfUrl } from './s3.js';
-// import { sendGHLEmailWithPDF, notifyGhlWithDownloadLink } from './ghl.js';
-// import { generatePDFFromComponent } from './pdf-from-component.js';
-// import { sendInviteEmail } from './invite-email-supabase.js';
-// import { createUserAndSendResetEmail, sendResetPasswordEmail } from './create-user-with-reset.js';
-// import { createAgentTokenFromSupabase, verifyAgentTokenMiddleware } from './agent-token.js';
-// // Aurora PostgreSQL Database (replacing Supabase for quiz data)
-// import {
-//   initializeDatabase,
-//   saveQuizResult,
-//   getQuizResultById,
-//   getQuizResultByEmail,
-//   createDownloadToken,
-//   verifyDownloadToken,
-//   testConnection,
-//   closePool
-// } from './postgres-db.js';
-// // Keep Supabase imports for authentication (if needed in future)
-// // import { supabase } from './supabase-db.js';
+    console.log('🔑 Generating Agent access token...');
 
-// const __filename = fileURLToPath(import.meta.url);
-// const __dirname = path.dirname(__filename);
+    const result = await createAgentTokenFromSupabase(supabaseToken, scopes);
 
-// const app = express();
-// const PORT = process.env.PORT || 8080;
+    if (!result.success) {
+      return res.status(agentTokenErrorStatus(result.code)).json({ success: false, error: result.error });
+    }
 
-// // Middleware - CORS Configuration
-// const allowedOrigins = [
-//   'http://localhost:3000',
-//   'http://localhost:8080',
-//   'https://main.d4edpf6ads6l4.amplifyapp.com',
-//   process.env.FRONTEND_URL
-// ].filter(Boolean); // Remove undefined values
+    console.log('✅ Agent token generated for user:', result.userId);
 
-// app.use(cors({
-//   origin: (origin, callback) => {
-//     // Allow requests with no origin (like mobile apps, Postman, or same-origin)
-//     if (!origin) return callback(null, true);
+    res.json(result);
 
-//     if (allowedOrigins.indexOf(origin) !== -1) {
+  } catch (error) {
+    console.error('❌ Error in /api/agent/token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Refresh Agent Access Token
+ * POST /api/agent/refresh
+ * 
+ * Exchanges a refresh token for a new access + refresh token pair.
+ * The refresh token can only be used once.
+ * 
+ * Request body:
+ * - refreshToken: Refresh token from /api/agent/token or a previous refresh
+ * - scopes: optional narrower set of the refresh token's scopes
+ */
+app.post('/api/agent/refresh', async (req, res) => {
+  try {
+    const { refreshToken, scopes } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    const result = await refreshAgentToken(refreshToken, scopes);
+
+    if (!result.success) {
+      return res.status(agentTokenErrorStatus(result.code)).json({ success: false, error: result.error });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('❌ Error in /api/agent/refresh:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Revoke Agent Token
+ * POST /api/agent/revoke
+ * 
+ * Adds an access or refresh token to the denylist (e.g. on logout).
+ * Holding the token is enough to revoke it.
+ * 
+ * Request body:
+ * - token: Access or refresh token to revoke
+ */
+app.post('/api/agent/revoke', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token is required'
+      });
+    }
+
+    const result = await revokeAgentTokenByValue(token, 'revoked by user');
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      success: true,
+      tokenType: result.tokenType,
+      message: 'Token revoked'
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/agent/revoke:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Verify Agent Access Token
+ * GET /api/agent/verify
+ * 
+ * Requires Authorization: Bearer <agent_token> header
+ */
+app.get('/api/agent/verify', verifyAgentTokenMiddleware, (req, res) => {
+  res.json({
+    success: true,
+    userId: req.userId,
+    scopes: req.agentToken.scopes,
+    expiresAt: req.agentToken.expiresAt,
+    message: 'Token is valid'
+  });
+});
+
+/**
+ * Agent: presigned URL for the user's latest results PDF
+ * GET /api/agent/results/pdf
+ * 
+ * Requires an Agent token with the read:pdf scope
+ * Returns the full report once paid for, otherwise the free summary
+ */
+app.get('/api/agent/results/pdf', verifyAgentTokenMiddleware, requireAgentScope('read:pdf'), async (req, res) => {
+  try {
+    // Tokens issued before they carried an email only have the user ID
+    const email = req.agentToken.email || await getSupabaseUserEmail(req.userId);
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        error: 'No email found for this user'
+      });
+    }
+
+    // The token only grants this one email, so anything else is treated as not found
+    const normalizedEmail = email.toLowerCase().trim();
+    const dbResult = await getQuizResultByEmail(normalizedEmail);
+    const record = dbResult.success && dbResult.data.email.toLowerCase().trim() === normalizedEmail ? dbResult.data : null;
+
+    // Fall back to the summary while a newly purchased full report is still rendering
+    const reportTier = record && getEntitledTier(record) === 'full' && record.s3_key ? 'full' : 'summary';
+    const s3Key = reportTier === 'full' ? record.s3_key : record?.summary_s3_key;
+
+    if (!s3Key) {
+      return res.status(404).json({
+        success: false,
+        error: 'No PDF found for this user'
+      });
+    }
+
+    const expiresInSeconds = 60 * 60;
+    const urlResult = await generatePresignedPdfUrl(s3Key, expiresInSeconds);
+
+    if (!urlResult.success) {
+      throw new Error(urlResult.error);
+    }
+
+    res.json({
+      success: true,
+      resultId: record.id,
+      reportTier,
+      pdfUrl: urlResult.url,
+      expiresIn: expiresInSeconds
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/agent/results/pdf:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Could not generate download link'
+    });
+  }
+});
+
+/**
+ * HTTP status for a failed token request
+ */
+function agentTokenErrorStatus(code) {
+  if (code === 'AGENT_TOKENS_NOT_CONFIGURED') return 503;
+  if (code === 'INVALID_SCOPE') return 400;
+  return 401;
+}
+
+
+// import dotenv from 'dotenv';
+// dotenv.config();
+
+// import express from 'express';
+// import cors from 'cors';
+// import { v4 as uuidv4 } from 'uuid';
+// import fs from 'fs';
+// import path from 'path';
+// import { fileURLToPath } from 'url';
+
+// import { uploadPDFToS3, generatePresignedPdfUrl } from './s3.js';
+// import { sendGHLEmailWithPDF, notifyGhlWithDownloadLink } from './ghl.js';
+// import { generatePDFFromComponent } from './pdf-from-component.js';
+// import { sendInviteEmail } from './invite-email-supabase.js';
+// import { createUserAndSendResetEmail, sendResetPasswordEmail } from './create-user-with-reset.js';
+// import { createAgentTokenFromSupabase, verifyAgentTokenMiddleware } from './agent-token.js';
+// // Aurora PostgreSQL Database (replacing Supabase for quiz data)
+// import {
+//   initializeDatabase,
+//   saveQuizResult,
+//   getQuizResultById,
+//   getQuizResultByEmail,
+//   createDownloadToken,
+//   verifyDownloadToken,
+//   testConnection,
+//   closePool
+// } from './postgres-db.js';
+// // Keep Supabase imports for authentication (if needed in future)
+// // import { supabase } from './supabase-db.js';
+
+// const __filename = fileURLToPath(import.meta.url);
+// const __dirname = path.dirname(__filename);
+
+// const app = express();
+// const PORT = process.env.PORT || 8080;
+
+// // Middleware - CORS Configuration
+// const allowedOrigins = [
+//   'http://localhost:3000',
+//   'http://localhost:8080',
+//   'https://main.d4edpf6ads6l4.amplifyapp.com',
+//   process.env.FRONTEND_URL
+// ].filter(Boolean); // Remove undefined values
+
+// app.use(cors({
+//   origin: (origin, callback) => {
+//     // Allow requests with no origin (like mobile apps, Postman, or same-origin)
+//     if (!origin) return callback(null, true);
+
+//     if (allowedOrigins.indexOf(origin) !== -1) {
 //       callback(null, true);
 //     } else {
 //       console.log(`⚠️  CORS blocked request from origin: ${origin}`);
@@ -2200,201 +3166,1427 @@ app.post('/api/create-user-with-reset', async (req, res) => {
 // //       });
 // //     }
 
-// //   } catch (error) {
-// //     console.error('❌ Error in /api/send-invite-email:', error);
-// //     res.status(500).json({
-// //       success: false,
-// //       error: 'Internal server error'
-// //     });
-// //   }
-// // });
+// //   } catch (error) {
+// //     console.error('❌ Error in /api/send-invite-email:', error);
+// //     res.status(500).json({
+// //       success: false,
+// //       error: 'Internal server error'
+// //     });
+// //   }
+// // });
+
+// // // Initialize Aurora MySQL and start server
+// // async function startServer() {
+// //   try {
+// //     console.log('\n🚀 Starting E-DNA Backend...\n');
+
+// //     // Test database connection
+// //     console.log('🔗 Testing Aurora PostgreSQL connection...');
+// //     const dbConnected = await testConnection();
+
+// //     if (!dbConnected) {
+// //       console.warn('⚠️  Failed to connect to Aurora PostgreSQL');
+// //       console.warn('   Database operations will fail until connection is established');
+// //       console.warn('   Please check your database credentials and network access');
+// //       console.warn('   Server will continue to run for other endpoints...');
+// //     } else {
+// //       console.log('✅ Database connection successful - initializing tables...');
+// //       await initializeDatabase();
+// //     }
+
+// //     // Start Express server
+// //     app.listen(PORT, '0.0.0.0', () => {
+// //       console.log(`\n✅ E-DNA Backend running on http://0.0.0.0:${PORT}`);
+// //       console.log(`📊 Health check: http://0.0.0.0:${PORT}/health\n`);
+// //       console.log(`📄 Endpoints:`);
+// //       console.log(`  GET  /download                  - Time-limited PDF download (via token)`);
+// //       console.log(`  POST /api/quiz/generate-pdf     - Generate full PDF and upload to S3`);
+// //       console.log(`  POST /api/quiz/save-results     - Save results and generate PDF in background`);
+// //       console.log(`  POST /api/send-invite-email     - Send Supabase invite email with signup link`);
+// //       console.log(`  POST /api/ghl/get-pdf           - GHL webhook: Get PDF URL by email`);
+// //       console.log(`  POST /api/quiz/send-email       - Send email with PDF link`);
+// //       console.log(`  POST /api/quiz/complete         - Complete flow (PDF + Save)`);
+// //       console.log(`\n📧 Email: GoHighLevel (via inbound webhook)`);
+// //       console.log(`📄 PDF: Full EDNAResultsPage`);
+// //       console.log(`💾 Storage: AWS S3 + Aurora MySQL`);
+// //       console.log(`🔗 Download: Time-limited tokens (7 days = 168 hours)\n`);
+// //     });
+
+// //   } catch (error) {
+// //     console.error('❌ Failed to start server:', error);
+// //     process.exit(1);
+// //   }
+// // }
+
+// // // Start the server
+// // startServer();
+
+/**
+ * Download PDF endpoint - Server-side PDF generation
+ * Generates PDF using Puppeteer and returns it directly for download
+ */
+app.post('/api/quiz/download-pdf', async (req, res) => {
+  let pdfPath = null;
+  
+  try {
+    const { results, name } = req.body;
+    
+    if (!results) {
+      return res.status(400).json({
+        success: false,
+        error: 'Results data is required'
+      });
+    }
+    
+    console.log(`\n📥 PDF download request received`);
+    console.log(`   Core Type: ${results.core_type || 'Unknown'}`);
+    console.log(`   Subtype: ${results.subtype || 'Unknown'}`);
+    
+    // Generate PDF using Puppeteer
+    const resultId = uuidv4();
+    const pdfFileName = `edna-results-${resultId}.pdf`;
+    pdfPath = path.join(tempDir, pdfFileName);
+    
+    // Live frontend first, server-side template if it is unavailable (PDF_RENDER_ORDER)
+    const pdfResult = await renderResultsPDF({ ...results, name }, pdfPath);
+    
+    if (!pdfResult.success) {
+      return sendPdfFailure(res, pdfResult);
+    }
+    
+    console.log(`✅ PDF generated: ${pdfPath}`);
+    
+    // Generate filename
+    const coreTypeName = results.core_type === 'alchemist' ? 'Alchemist' : 
+                        results.core_type === 'architect' ? 'Architect' : 'Mixed';
+    const filename = `EDNA-Results-${coreTypeName}-${new Date().toISOString().split('T')[0]}.pdf`;
+    
+    // Send PDF as download
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    // Stream the PDF file
+    const fileStream = fs.createReadStream(pdfPath);
+    fileStream.pipe(res);
+    
+    // Clean up temp file after response is finished
+    res.on('finish', () => {
+      setTimeout(() => {
+        if (fs.existsSync(pdfPath)) {
+          fs.unlinkSync(pdfPath);
+          console.log('🗑️ Temp PDF file deleted after successful download');
+        }
+      }, 2000); // Increased delay to ensure download completes
+    });
+    
+    fileStream.on('error', (error) => {
+      console.error('❌ Error streaming PDF:', error);
+      // Clean up on error
+      if (pdfPath && fs.existsSync(pdfPath)) {
+        try {
+          fs.unlinkSync(pdfPath);
+          console.log('🗑️ Temp PDF file deleted after error');
+        } catch (unlinkError) {
+          console.error('Failed to delete temp file:', unlinkError);
+        }
+      }
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to stream PDF'
+        });
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Error in /api/quiz/download-pdf:', error);
+    
+    // Clean up temp file on error
+    if (pdfPath && fs.existsSync(pdfPath)) {
+      try {
+        fs.unlinkSync(pdfPath);
+      } catch (unlinkError) {
+        console.error('Failed to delete temp file:', unlinkError);
+      }
+    }
+    
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to generate PDF'
+      });
+    }
+  }
+});
+
+// New Quiz Scoring Endpoint
+import { calculateAllResults, summarizeResults } from './scoring.js';
+import { CURRENT_DEFINITION_VERSION, hasQuizDefinition } from './quiz-definitions/index.js';
+import { validateAnswers, VALIDATION_MODES } from './quiz-validation.js';
+
+app.post('/api/quiz/submit-new', async (req, res) => {
+  try {
+    const {
+      answers,
+      email,
+      name,
+      definitionVersion = CURRENT_DEFINITION_VERSION,
+      validationMode = 'strict',
+      locale,
+      inviteCode
+    } = req.body;
+    
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Answers are required'
+      });
+    }
+
+    if (!hasQuizDefinition(definitionVersion)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown quiz definition version: ${definitionVersion}`
+      });
+    }
+
+    if (!VALIDATION_MODES.includes(validationMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `validationMode must be one of: ${VALIDATION_MODES.join(', ')}`
+      });
+    }
+
+    // Check every expected question for the user's path before scoring
+    const validation = validateAnswers(answers, { definitionVersion, mode: validationMode });
+
+    if (!validation.valid && validationMode === 'strict') {
+      console.log(`⚠️ Rejected quiz submission: ${validation.missing.length} missing, ${validation.invalid.length} invalid answer(s)`);
+      return res.status(422).json({
+        success: false,
+        error: 'Quiz answers are incomplete or invalid',
+        missing: validation.missing,
+        invalid: validation.invalid,
+        completeness: validation.completeness
+      });
+    }
+
+    // Calculate results from the valid answers using the requested definition version
+    // Server-side scoring is the source of truth for what gets stored
+    const scored = calculateAllResults(validation.answers, { definitionVersion });
+    const results = { ...scored, ...summarizeResults(scored), locale: resolveLocale(locale) };
+
+    // Save to database (with the raw answers) if email provided
+    let resultId = null;
+    let team = null;
+    if (email) {
+      resultId = uuidv4();
+      const displayName = name || 'Anonymous';
+
+      const dbResult = await saveQuizResult(resultId, email, displayName, results, null, null, answers);
+
+      if (!dbResult.success) {
+        throw new Error(`Failed to save to PostgreSQL: ${dbResult.error}`);
+      }
+
+      console.log(`✅ Server-scored quiz result saved: ${resultId}`);
+
+      // Same background PDF + GHL pipeline as /api/quiz/save-results
+      const jobResult = await queuePdfGeneration(email, displayName, results, resultId, {
+        tier: getEntitledTier(dbResult.data)
+      });
+
+      if (!jobResult.success) {
+        console.error(`❌ Failed to queue PDF generation for ${email}:`, jobResult.error);
+      }
+
+      if (inviteCode) {
+        team = await joinTeamWithResult(inviteCode, email, resultId);
+      }
+    }
+
+    res.json({
+      success: true,
+      resultId,
+      team,
+      results,
+      completeness: validation.completeness,
+      missing: validation.missing,
+      invalid: validation.invalid
+    });
+  } catch (error) {
+    console.error('Error submitting quiz:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process quiz submission'
+    });
+  }
+});
+
+/**
+ * Send a compatibility report as JSON, or as a PDF with format=pdf
+ */
+async function sendCompatibilityReport(req, res, report) {
+  if (req.query.format !== 'pdf') {
+    return res.json({ success: true, ...report });
+  }
+
+  const pdfPath = path.join(tempDir, `edna-compatibility-${uuidv4()}.pdf`);
+  const pdfResult = await generateCompatibilityReportPDF(report, pdfPath);
+
+  if (!pdfResult.success) {
+    if (fs.existsSync(pdfPath)) {
+      fs.unlink(pdfPath, () => {});
+    }
+
+    return sendPdfFailure(res, pdfResult);
+  }
+
+  const filename = `EDNA-Compatibility-${new Date().toISOString().split('T')[0]}.pdf`;
+
+  res.download(pdfPath, filename, () => {
+    fs.unlink(pdfPath, () => {});
+  });
+}
+
+/**
+ * Score one person for /api/quiz/compatibility
+ * Takes raw answers (checked like /api/quiz/submit-new) or a calculateAllResults() output.
+ * @returns {object} { profile } or { status, body } for an error response
+ */
+function scoreCompatibilityPerson(person, label, validationMode) {
+  if (!person || typeof person !== 'object') {
+    return { status: 400, body: { success: false, error: `${label} is required` } };
+  }
+
+  const { name, answers, results, definitionVersion = CURRENT_DEFINITION_VERSION } = person;
+
+  if (answers && typeof answers === 'object' && !Array.isArray(answers)) {
+    if (!hasQuizDefinition(definitionVersion)) {
+      return { status: 400, body: { success: false, error: `Unknown quiz definition version: ${definitionVersion}` } };
+    }
+
+    const validation = validateAnswers(answers, { definitionVersion, mode: validationMode });
+
+    if (!validation.valid && validationMode === 'strict') {
+      return {
+        status: 422,
+        body: {
+          success: false,
+          error: `Quiz answers for ${label} are incomplete or invalid`,
+          person: label,
+          missing: validation.missing,
+          invalid: validation.invalid,
+          completeness: validation.completeness
+        }
+      };
+    }
+
+    const scored = calculateAllResults(validation.answers, { definitionVersion });
+    return { profile: { name, results: { ...scored, ...summarizeResults(scored) }, definitionVersion } };
+  }
+
+  if (results && typeof results === 'object' && !Array.isArray(results)) {
+    return { profile: { name, results } };
+  }
+
+  return { status: 400, body: { success: false, error: `${label} needs answers or results` } };
+}
+
+/**
+ * POST /api/quiz/compatibility[?format=pdf]
+ * Compatibility report for two people (co-founders, a manager and their report)
+ * Nothing is saved. Body: { a: { name, answers | results, definitionVersion }, b: { ... }, locale, validationMode }
+ * Needs a signed-in user, an Agent token with read:results, or a service account naming an email.
+ */
+app.post('/api/quiz/compatibility', requireUserEmail(req => req.body?.email, { scope: 'read:results' }), async (req, res) => {
+  try {
+    const { a, b, locale, validationMode = 'strict' } = req.body || {};
+
+    if (!VALIDATION_MODES.includes(validationMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `validationMode must be one of: ${VALIDATION_MODES.join(', ')}`
+      });
+    }
+
+    const personA = scoreCompatibilityPerson(a, 'a', validationMode);
+    const personB = scoreCompatibilityPerson(b, 'b', validationMode);
+    const failed = [personA, personB].find(person => !person.profile);
+
+    if (failed) {
+      return res.status(failed.status).json(failed.body);
+    }
+
+    const report = calculateCompatibility(personA.profile, personB.profile, { locale: resolveLocale(locale) });
+
+    await sendCompatibilityReport(req, res, report);
+
+  } catch (error) {
+    console.error('❌ Error in /api/quiz/compatibility:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: Re-score stored submissions
+ * Re-runs scoring over stored raw answers and returns a diff report
+ * Pass commit: true to save changed results as a new revision
+ *
+ * Request body (all optional):
+ * - from, to: created_at date range
+ * - email: only this user's results
+ * - definitionVersion: only results scored with this version
+ * - targetVersion: version to re-score with (default: current)
+ * - commit, reason, limit
+ */
+app.post('/api/admin/rescore', requireAdminKey, async (req, res) => {
+  try {
+    const {
+      from,
+      to,
+      email,
+      definitionVersion,
+      targetVersion = CURRENT_DEFINITION_VERSION,
+      commit = false,
+      reason,
+      limit = 1000
+    } = req.body;
+
+    if (!hasQuizDefinition(targetVersion)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown quiz definition version: ${targetVersion}`
+      });
+    }
+
+    console.log(`\n🔁 Re-scoring results with ${targetVersion} (${commit ? 'commit' : 'dry run'})...`);
+
+    const report = await rescoreResults({
+      from,
+      to,
+      email,
+      definitionVersion,
+      targetVersion,
+      commit: commit === true,
+      reason,
+      limit
+    });
+
+    res.json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/rescore:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: List background PDF jobs
+ * GET /api/admin/pdf-jobs?status=failed
+ * status: pending | running | succeeded | failed (failed = dead-lettered)
+ */
+app.get('/api/admin/pdf-jobs', requireAdminKey, async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+
+    const jobsResult = await getPdfJobs({ status, limit: parseInt(limit) || 50 });
+
+    if (!jobsResult.success) {
+      throw new Error(jobsResult.error);
+    }
+
+    res.json({
+      success: true,
+      jobs: jobsResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/pdf-jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: Retry a dead-lettered PDF job from the step that failed
+ * POST /api/admin/pdf-jobs/:id/retry
+ */
+app.post('/api/admin/pdf-jobs/:id/retry', requireAdminKey, async (req, res) => {
+  try {
+    const retryResult = await retryPdfJob(req.params.id);
+
+    if (!retryResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: retryResult.error
+      });
+    }
+
+    await updateQuizResultPdfStatus(retryResult.data.quiz_result_id, { status: 'queued' });
+
+    console.log(`♻️ PDF job ${req.params.id} re-queued by admin`);
+
+    res.json({
+      success: true,
+      job: retryResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/pdf-jobs/:id/retry:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: GHL webhook audit log (which automation pulled which report)
+ * GET /api/admin/ghl-webhook-audit?email=&from=&to=&limit=
+ */
+app.get('/api/admin/ghl-webhook-audit', requireAdminKey, async (req, res) => {
+  try {
+    const { email, from, to, limit = 100 } = req.query;
+
+    const auditResult = await getWebhookAuditLog({ email, from, to, limit: parseInt(limit) || 100 });
+
+    if (!auditResult.success) {
+      throw new Error(auditResult.error);
+    }
+
+    res.json({
+      success: true,
+      entries: auditResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/ghl-webhook-audit:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: Download tokens of a quiz result with their usage
+ * GET /api/admin/quiz-results/:id/download-tokens
+ */
+app.get('/api/admin/quiz-results/:id/download-tokens', requireAdminKey, async (req, res) => {
+  try {
+    const tokensResult = await getDownloadTokensForResult(req.params.id);
+
+    if (!tokensResult.success) {
+      throw new Error(tokensResult.error);
+    }
+
+    res.json({
+      success: true,
+      tokens: tokensResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/quiz-results/:id/download-tokens:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: Revoke download links
+ * POST /api/admin/download-tokens/:token/revoke              - one link
+ * POST /api/admin/quiz-results/:id/download-tokens/revoke    - every active link of a result
+ * Body: { reason } (optional)
+ */
+app.post('/api/admin/download-tokens/:token/revoke', requireAdminKey, async (req, res) => {
+  try {
+    const revokeResult = await revokeDownloadToken(req.params.token, req.body?.reason || 'admin');
+
+    if (!revokeResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: revokeResult.error
+      });
+    }
+
+    res.json({
+      success: true,
+      token: revokeResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/download-tokens/:token/revoke:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/quiz-results/:id/download-tokens/revoke', requireAdminKey, async (req, res) => {
+  try {
+    const revokeResult = await revokeDownloadTokensForResult(req.params.id, req.body?.reason || 'admin');
+
+    if (!revokeResult.success) {
+      throw new Error(revokeResult.error);
+    }
+
+    res.json({
+      success: true,
+      revoked: revokeResult.revoked
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/quiz-results/:id/download-tokens/revoke:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: Expired data cleanup reports
+ * GET  /api/admin/cleanup-runs?limit=20   - Recent runs with their reports
+ * POST /api/admin/cleanup-runs            - Run the cleanup now { "dryRun": true }
+ */
+app.get('/api/admin/cleanup-runs', requireAdminKey, async (req, res) => {
+  try {
+    const runsResult = await getCleanupRuns({ limit: parseInt(req.query.limit) || 20 });
+
+    if (!runsResult.success) {
+      throw new Error(runsResult.error);
+    }
+
+    res.json({
+      success: true,
+      runs: runsResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/cleanup-runs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/cleanup-runs', requireAdminKey, async (req, res) => {
+  try {
+    const report = await runCleanup({ dryRun: Boolean(req.body?.dryRun), trigger: 'admin' });
+
+    res.json({
+      success: report.errors.length === 0,
+      report
+    });
+
+  } catch (error) {
+    if (error.code === 'CLEANUP_RUNNING') {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('❌ Error in POST /api/admin/cleanup-runs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: Organisations (B2B clients)
+ * POST /api/admin/organisations                 - Create { name }
+ * GET  /api/admin/organisations                 - List with team and member counts
+ * GET  /api/admin/organisations/:id             - One organisation with its teams
+ * GET  /api/admin/organisations/:id/profile     - Profile across all its teams (?format=pdf)
+ * POST /api/admin/organisations/:id/teams       - Create a team { name }
+ */
+app.post('/api/admin/organisations', requireAdminKey, async (req, res) => {
+  try {
+    const name = req.body?.name?.trim();
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+
+    const createResult = await createOrganisation(uuidv4(), name);
+
+    if (!createResult.success) {
+      throw new Error(createResult.error);
+    }
+
+    console.log(`🏢 Organisation created: ${name}`);
+
+    res.status(201).json({
+      success: true,
+      organisation: createResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in POST /api/admin/organisations:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/organisations', requireAdminKey, async (req, res) => {
+  try {
+    const organisationsResult = await getOrganisations();
+
+    if (!organisationsResult.success) {
+      throw new Error(organisationsResult.error);
+    }
+
+    res.json({
+      success: true,
+      organisations: organisationsResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/organisations:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/organisations/:id', requireAdminKey, async (req, res) => {
+  try {
+    const organisationResult = await getOrganisationById(req.params.id);
+
+    if (!organisationResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organisation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      organisation: organisationResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/organisations/:id:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/organisations/:id/profile', requireAdminKey, async (req, res) => {
+  try {
+    const organisationResult = await getOrganisationById(req.params.id);
+
+    if (!organisationResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organisation not found'
+      });
+    }
+
+    const organisation = organisationResult.data;
+
+    await sendTeamProfile(req, res, organisation.teams.map(team => team.id), { name: organisation.name });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/organisations/:id/profile:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/organisations/:id/teams', requireAdminKey, async (req, res) => {
+  try {
+    const name = req.body?.name?.trim();
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+
+    const organisationResult = await getOrganisationById(req.params.id);
+
+    if (!organisationResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organisation not found'
+      });
+    }
+
+    const createResult = await createTeam(uuidv4(), organisationResult.data.id, name);
+
+    if (!createResult.success) {
+      throw new Error(createResult.error);
+    }
+
+    console.log(`👥 Team created: ${name} (${organisationResult.data.name})`);
+
+    res.status(201).json({
+      success: true,
+      team: createResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in POST /api/admin/organisations/:id/teams:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: Teams
+ * GET    /api/admin/teams/:id                    - Team with members and invite codes
+ * GET    /api/admin/teams/:id/profile            - Team profile (?format=pdf), no minimum member count
+ * POST   /api/admin/teams/:id/invites            - Create an invite code { role, maxUses, expiresInDays }
+ * POST   /api/admin/team-invites/:code/revoke    - Revoke an invite code
+ * POST   /api/admin/teams/:id/members            - Add a member or change their role { email, role }
+ * DELETE /api/admin/teams/:id/members/:email     - Remove a member
+ */
+app.get('/api/admin/teams/:id', requireAdminKey, async (req, res) => {
+  try {
+    const teamResult = await getTeamById(req.params.id);
+
+    if (!teamResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    const [membersResult, invitesResult] = await Promise.all([
+      getTeamMembers(teamResult.data.id),
+      getTeamInvites(teamResult.data.id)
+    ]);
+
+    if (!membersResult.success || !invitesResult.success) {
+      throw new Error(membersResult.error || invitesResult.error);
+    }
+
+    res.json({
+      success: true,
+      team: teamResult.data,
+      members: membersResult.data,
+      invites: invitesResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/teams/:id:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/teams/:id/profile', requireAdminKey, async (req, res) => {
+  try {
+    const teamResult = await getTeamById(req.params.id);
+
+    if (!teamResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    await sendTeamProfile(req, res, [teamResult.data.id], {
+      name: teamResult.data.name,
+      subtitle: teamResult.data.organisation_name
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/teams/:id/profile:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/teams/:id/invites', requireAdminKey, async (req, res) => {
+  try {
+    const { role = 'member', maxUses = null, expiresInDays = null } = req.body || {};
+
+    if (!TEAM_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${TEAM_ROLES.join(', ')}`
+      });
+    }
+
+    if ((maxUses !== null && !(Number.isInteger(maxUses) && maxUses > 0)) ||
+        (expiresInDays !== null && !(Number.isFinite(expiresInDays) && expiresInDays > 0))) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxUses and expiresInDays must be positive numbers'
+      });
+    }
+
+    const teamResult = await getTeamById(req.params.id);
+
+    if (!teamResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    const inviteResult = await createTeamInvite({
+      code: generateInviteCode(),
+      teamId: teamResult.data.id,
+      role,
+      maxUses,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    if (!inviteResult.success) {
+      throw new Error(inviteResult.error);
+    }
+
+    console.log(`🎟️ Invite code created for team ${teamResult.data.name} (${role})`);
+
+    res.status(201).json({
+      success: true,
+      invite: inviteResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in POST /api/admin/teams/:id/invites:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/team-invites/:code/revoke', requireAdminKey, async (req, res) => {
+  try {
+    const revokeResult = await revokeTeamInvite(normalizeInviteCode(req.params.code));
+
+    if (!revokeResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: revokeResult.error
+      });
+    }
+
+    res.json({
+      success: true,
+      invite: revokeResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/team-invites/:code/revoke:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/teams/:id/members', requireAdminKey, async (req, res) => {
+  try {
+    const { email, role = 'member' } = req.body || {};
+
+    if (!email || !TEAM_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `email is required and role must be one of: ${TEAM_ROLES.join(', ')}`
+      });
+    }
+
+    const teamResult = await getTeamById(req.params.id);
+
+    if (!teamResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    const memberResult = await setTeamMemberRole(teamResult.data.id, email, role);
+
+    if (!memberResult.success) {
+      throw new Error(memberResult.error);
+    }
+
+    res.json({
+      success: true,
+      member: memberResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in POST /api/admin/teams/:id/members:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/admin/teams/:id/members/:email', requireAdminKey, async (req, res) => {
+  try {
+    const teamResult = await getTeamById(req.params.id);
+
+    if (!teamResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    const removeResult = await removeTeamMember(teamResult.data.id, req.params.email);
+
+    if (!removeResult.success) {
+      throw new Error(removeResult.error);
+    }
+
+    if (!removeResult.removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team member not found'
+      });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('❌ Error in DELETE /api/admin/teams/:id/members/:email:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: Compatibility of two stored results (e.g. for a coach)
+ * GET /api/admin/compatibility?a=<resultId>&b=<resultId>[&format=pdf][&locale=en-US]
+ */
+app.get('/api/admin/compatibility', requireAdminKey, async (req, res) => {
+  try {
+    const { a, b, locale } = req.query;
+
+    if (!a || !b) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two result IDs are required (a and b)'
+      });
+    }
+
+    const [resultA, resultB] = await Promise.all([getQuizResultById(a), getQuizResultById(b)]);
+
+    if (!resultA.success || !resultB.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz result not found'
+      });
+    }
+
+    // Defaults to the language of the first result
+    const report = calculateCompatibility(profileFromRow(resultA.data), profileFromRow(resultB.data), {
+      locale: resolveLocale(locale || resultA.data.locale)
+    });
+
+    await sendCompatibilityReport(req, res, report);
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/compatibility:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: Search quiz results for the dashboard, newest first
+ * GET /api/admin/quiz-results?email=&name=&from=&to=&coreType=&subtype=&limit=50&offset=0
+ * email, name and subtype match anywhere in the value; coreType must match exactly.
+ */
+app.get('/api/admin/quiz-results', requireAdminKey, async (req, res) => {
+  try {
+    const { email, name, from, to, coreType, subtype } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    req.adminAudit.action = 'quiz_results.search';
+    req.adminAudit.details = { email, name, from, to, coreType, subtype, limit, offset };
+
+    for (const [field, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be a date (e.g. 2025-01-31)`
+        });
+      }
+    }
+
+    const searchResult = await searchQuizResults({ email, name, from, to, coreType, subtype, limit, offset });
+
+    if (!searchResult.success) {
+      throw new Error(searchResult.error);
+    }
+
+    res.json({
+      success: true,
+      results: searchResult.data.map(({ total, ...row }) => row),
+      total: searchResult.total,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/quiz-results:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: Everything stored for one quiz result
+ * GET /api/admin/quiz-results/:id
+ * The full row (quiz_data, answers, payment and PDF state) with its latest PDF job
+ * and download links.
+ */
+app.get('/api/admin/quiz-results/:id', requireAdminKey, async (req, res) => {
+  try {
+    req.adminAudit.action = 'quiz_results.view';
+    req.adminAudit.targetType = 'quiz_result';
+
+    const dbResult = await getQuizResultById(req.params.id);
+
+    if (!dbResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz result not found'
+      });
+    }
+
+    const result = dbResult.data;
+    req.adminAudit.email = result.email;
+
+    const [jobResult, tokensResult] = await Promise.all([
+      getLatestPdfJobForResult(result.id),
+      getDownloadTokensForResult(result.id)
+    ]);
+
+    res.json({
+      success: true,
+      result,
+      entitledTier: getEntitledTier(result),
+      pdfJob: jobResult.success ? jobResult.data : null,
+      downloadTokens: tokensResult.success ? tokensResult.data : []
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/quiz-results/:id:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: Send the user a new download link for their report
+ * POST /api/admin/quiz-results/:id/resend-link
+ * Body: { revokePrevious } (default true)
+ */
+app.post('/api/admin/quiz-results/:id/resend-link', requireAdminKey, async (req, res) => {
+  try {
+    const { revokePrevious = true } = req.body || {};
+
+    req.adminAudit.action = 'quiz_results.resend_link';
+    req.adminAudit.targetType = 'quiz_result';
+
+    const dbResult = await getQuizResultById(req.params.id);
+
+    if (!dbResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz result not found'
+      });
+    }
+
+    req.adminAudit.email = dbResult.data.email;
+
+    const body = await sendNewDownloadLink(res, dbResult.data, { revokePrevious, reason: 'admin resend' });
+
+    req.adminAudit.details = body.success
+      ? { reportTier: body.reportTier, revokedTokens: body.revokedTokens, ghlNotification: body.ghlNotification }
+      : { pdfStatus: body.pdfStatus };
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/quiz-results/:id/resend-link:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: Render the report again (e.g. after a name change or a template fix)
+ * POST /api/admin/quiz-results/:id/regenerate-pdf
+ * Queues the entitled tier; the job uploads the new PDF and emails the user a
+ * fresh link through GHL, just like after submission.
+ */
+app.post('/api/admin/quiz-results/:id/regenerate-pdf', requireAdminKey, async (req, res) => {
+  try {
+    req.adminAudit.action = 'quiz_results.regenerate_pdf';
+    req.adminAudit.targetType = 'quiz_result';
 
-// // // Initialize Aurora MySQL and start server
-// // async function startServer() {
-// //   try {
-// //     console.log('\n🚀 Starting E-DNA Backend...\n');
+    const dbResult = await getQuizResultById(req.params.id);
 
-// //     // Test database connection
-// //     console.log('🔗 Testing Aurora PostgreSQL connection...');
-// //     const dbConnected = await testConnection();
+    if (!dbResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz result not found'
+      });
+    }
 
-// //     if (!dbConnected) {
-// //       console.warn('⚠️  Failed to connect to Aurora PostgreSQL');
-// //       console.warn('   Database operations will fail until connection is established');
-// //       console.warn('   Please check your database credentials and network access');
-// //       console.warn('   Server will continue to run for other endpoints...');
-// //     } else {
-// //       console.log('✅ Database connection successful - initializing tables...');
-// //       await initializeDatabase();
-// //     }
+    const result = dbResult.data;
+    const reportTier = getEntitledTier(result);
+    const results = typeof result.quiz_data === 'string' ? JSON.parse(result.quiz_data) : result.quiz_data;
 
-// //     // Start Express server
-// //     app.listen(PORT, '0.0.0.0', () => {
-// //       console.log(`\n✅ E-DNA Backend running on http://0.0.0.0:${PORT}`);
-// //       console.log(`📊 Health check: http://0.0.0.0:${PORT}/health\n`);
-// //       console.log(`📄 Endpoints:`);
-// //       console.log(`  GET  /download                  - Time-limited PDF download (via token)`);
-// //       console.log(`  POST /api/quiz/generate-pdf     - Generate full PDF and upload to S3`);
-// //       console.log(`  POST /api/quiz/save-results     - Save results and generate PDF in background`);
-// //       console.log(`  POST /api/send-invite-email     - Send Supabase invite email with signup link`);
-// //       console.log(`  POST /api/ghl/get-pdf           - GHL webhook: Get PDF URL by email`);
-// //       console.log(`  POST /api/quiz/send-email       - Send email with PDF link`);
-// //       console.log(`  POST /api/quiz/complete         - Complete flow (PDF + Save)`);
-// //       console.log(`\n📧 Email: GoHighLevel (via inbound webhook)`);
-// //       console.log(`📄 PDF: Full EDNAResultsPage`);
-// //       console.log(`💾 Storage: AWS S3 + Aurora MySQL`);
-// //       console.log(`🔗 Download: Time-limited tokens (7 days = 168 hours)\n`);
-// //     });
+    req.adminAudit.email = result.email;
 
-// //   } catch (error) {
-// //     console.error('❌ Failed to start server:', error);
-// //     process.exit(1);
-// //   }
-// // }
+    const jobResult = await queuePdfGeneration(result.email, result.name, results, result.id, { tier: reportTier });
 
-// // // Start the server
-// // startServer();
+    if (!jobResult.success) {
+      throw new Error(`Failed to queue PDF generation: ${jobResult.error}`);
+    }
+
+    req.adminAudit.details = { reportTier, jobId: jobResult.jobId };
+    console.log(`♻️ ${reportTier} report for ${result.id} re-queued by ${req.admin.name}`);
+
+    res.status(202).json({
+      success: true,
+      resultId: result.id,
+      reportTier,
+      pdfJobId: jobResult.jobId,
+      pdfStatus: 'queued'
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/quiz-results/:id/regenerate-pdf:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
 /**
- * Download PDF endpoint - Server-side PDF generation
- * Generates PDF using Puppeteer and returns it directly for download
+ * Admin: Correct the name on a quiz result
+ * PATCH /api/admin/quiz-results/:id
+ * Body: { name }
+ * Existing PDFs keep the old name until regenerated (regenerate-pdf).
  */
-app.post('/api/quiz/download-pdf', async (req, res) => {
-  let pdfPath = null;
-  
+app.patch('/api/admin/quiz-results/:id', requireAdminKey, async (req, res) => {
   try {
-    const { results, name } = req.body;
-    
-    if (!results) {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+
+    req.adminAudit.action = 'quiz_results.update_name';
+    req.adminAudit.targetType = 'quiz_result';
+
+    if (!name || name.length > 255) {
       return res.status(400).json({
         success: false,
-        error: 'Results data is required'
+        error: 'name is required (at most 255 characters)'
       });
     }
-    
-    console.log(`\n📥 PDF download request received`);
-    console.log(`   Core Type: ${results.core_type || 'Unknown'}`);
-    console.log(`   Subtype: ${results.subtype || 'Unknown'}`);
-    
-    // Generate PDF using Puppeteer
-    const resultId = uuidv4();
-    const pdfFileName = `edna-results-${resultId}.pdf`;
-    pdfPath = path.join(tempDir, pdfFileName);
-    
-    // Use local development URL if NODE_ENV is not production
-    const isDevelopment = process.env.NODE_ENV !== 'production';
-    const frontendUrl = isDevelopment 
-      ? 'http://localhost:3000' 
-      : (process.env.FRONTEND_URL || 'https://brandscaling.co.uk');
-    const pdfResult = await generatePDFFromComponent({ ...results, name }, pdfPath, frontendUrl);
-    
-    if (!pdfResult.success) {
-      throw new Error(`PDF generation failed: ${pdfResult.error}`);
+
+    const dbResult = await getQuizResultById(req.params.id);
+
+    if (!dbResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz result not found'
+      });
     }
-    
-    console.log(`✅ PDF generated: ${pdfPath}`);
-    
-    // Generate filename
-    const coreTypeName = results.core_type === 'alchemist' ? 'Alchemist' : 
-                        results.core_type === 'architect' ? 'Architect' : 'Mixed';
-    const filename = `EDNA-Results-${coreTypeName}-${new Date().toISOString().split('T')[0]}.pdf`;
-    
-    // Send PDF as download
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    
-    // Stream the PDF file
-    const fileStream = fs.createReadStream(pdfPath);
-    fileStream.pipe(res);
-    
-    // Clean up temp file after response is finished
-    res.on('finish', () => {
-      setTimeout(() => {
-        if (fs.existsSync(pdfPath)) {
-          fs.unlinkSync(pdfPath);
-          console.log('🗑️ Temp PDF file deleted after successful download');
-        }
-      }, 2000); // Increased delay to ensure download completes
-    });
-    
-    fileStream.on('error', (error) => {
-      console.error('❌ Error streaming PDF:', error);
-      // Clean up on error
-      if (pdfPath && fs.existsSync(pdfPath)) {
-        try {
-          fs.unlinkSync(pdfPath);
-          console.log('🗑️ Temp PDF file deleted after error');
-        } catch (unlinkError) {
-          console.error('Failed to delete temp file:', unlinkError);
-        }
-      }
-      if (!res.headersSent) {
-        res.status(500).json({
-          success: false,
-          error: 'Failed to stream PDF'
-        });
-      }
+
+    const updateResult = await updateQuizResultName(req.params.id, name);
+
+    if (!updateResult.success) {
+      throw new Error(updateResult.error);
+    }
+
+    req.adminAudit.email = updateResult.data.email;
+    req.adminAudit.details = { from: dbResult.data.name, to: name };
+
+    res.json({
+      success: true,
+      result: updateResult.data
     });
-    
+
   } catch (error) {
-    console.error('❌ Error in /api/quiz/download-pdf:', error);
-    
-    // Clean up temp file on error
-    if (pdfPath && fs.existsSync(pdfPath)) {
-      try {
-        fs.unlinkSync(pdfPath);
-      } catch (unlinkError) {
-        console.error('Failed to delete temp file:', unlinkError);
-      }
-    }
-    
-    if (!res.headersSent) {
-      res.status(500).json({
+    console.error('❌ Error in PATCH /api/admin/quiz-results/:id:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: Delete a quiz result and its PDFs
+ * DELETE /api/admin/quiz-results/:id
+ * Download links, revisions and PDF jobs are removed with the row. PDFs that
+ * could not be deleted from S3 are listed and left for the cleanup job.
+ */
+app.delete('/api/admin/quiz-results/:id', requireAdminKey, async (req, res) => {
+  try {
+    req.adminAudit.action = 'quiz_results.delete';
+    req.adminAudit.targetType = 'quiz_result';
+
+    const deleteResult = await deleteQuizResult(req.params.id);
+
+    if (!deleteResult.success) {
+      const notFound = deleteResult.error === 'Quiz result not found';
+      return res.status(notFound ? 404 : 500).json({
         success: false,
-        error: error.message || 'Failed to generate PDF'
+        error: deleteResult.error
       });
     }
+
+    const deleted = deleteResult.data;
+    const keys = [deleted.s3_key, deleted.summary_s3_key].filter(Boolean);
+    const s3Result = keys.length > 0 ? await deletePdfObjects(keys) : { deleted: [], errors: [] };
+
+    if (s3Result.errors.length > 0) {
+      console.warn(`⚠️ Could not delete ${s3Result.errors.length} PDF(s) of ${deleted.id}:`, s3Result.errors);
+    }
+
+    req.adminAudit.email = deleted.email;
+    req.adminAudit.details = { name: deleted.name, pdfsDeleted: s3Result.deleted, pdfErrors: s3Result.errors };
+    console.log(`🗑️ Quiz result ${deleted.id} (${deleted.email}) deleted by ${req.admin.name}`);
+
+    res.json({
+      success: true,
+      resultId: deleted.id,
+      pdfsDeleted: s3Result.deleted,
+      pdfErrors: s3Result.errors
+    });
+
+  } catch (error) {
+    console.error('❌ Error in DELETE /api/admin/quiz-results/:id:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
 });
 
-// New Quiz Scoring Endpoint
-import { calculateAllResults } from './scoring.js';
+/**
+ * Admin: Audit log of admin API calls, newest first
+ * GET /api/admin/audit-log?actor=&targetId=&email=&from=&to=&limit=100
+ */
+app.get('/api/admin/audit-log', requireAdminKey, async (req, res) => {
+  try {
+    const { actor, targetId, email, from, to, limit = 100 } = req.query;
 
-app.post('/api/quiz/submit-new', async (req, res) => {
+    const auditResult = await getAdminAuditLog({ actor, targetId, email, from, to, limit: parseInt(limit) || 100 });
+
+    if (!auditResult.success) {
+      throw new Error(auditResult.error);
+    }
+
+    res.json({
+      success: true,
+      entries: auditResult.data
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /api/admin/audit-log:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Admin: Analytics for a date range (type distribution, funnel, drop-off, PDF delivery)
+ * GET /api/admin/analytics?from=2025-01-01&to=2025-01-31&interval=week
+ * GET /api/admin/analytics?...&format=csv&metric=funnel   - one section as a CSV file
+ */
+app.get('/api/admin/analytics', requireAdminKey, async (req, res) => {
   try {
-    const { answers, email, name } = req.body;
-    
-    if (!answers) {
+    const { from, to, interval, format, metric } = req.query;
+    const rangeResult = resolveAnalyticsRange({ from, to, interval });
+
+    if (!rangeResult.success) {
       return res.status(400).json({
         success: false,
-        error: 'Answers are required'
+        error: rangeResult.error
       });
     }
 
-    // Calculate results using new scoring logic
-    const results = calculateAllResults(answers);
-
-    // Save to database if email provided
-    if (email) {
-      const quizId = uuidv4();
-      await saveQuizResult({
-        quiz_id: quizId,
-        email,
-        name: name || 'Anonymous',
-        results: JSON.stringify(results),
-        answers: JSON.stringify(answers)
+    if (format === 'csv' && !ANALYTICS_METRICS.includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        error: `metric must be one of: ${ANALYTICS_METRICS.join(', ')}`
       });
     }
 
+    const { range } = rangeResult;
+    req.adminAudit.action = 'analytics.view';
+    req.adminAudit.details = { ...range, format: format || 'json', metric };
+
+    const report = await buildAnalyticsReport(range);
+
+    if (format === 'csv') {
+      res.attachment(`edna-${metric}-${range.from.slice(0, 10)}-${range.to.slice(0, 10)}.csv`);
+      res.type('text/csv');
+      return res.send(analyticsToCsv(report, metric));
+    }
+
     res.json({
       success: true,
-      results
+      ...report
     });
+
   } catch (error) {
-    console.error('Error submitting quiz:', error);
+    console.error('❌ Error in /api/admin/analytics:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to process quiz submission'
+      error: error.message
     });
   }
 });
@@ -2402,6 +4594,58 @@ app.post('/api/quiz/submit-new', async (req, res) => {
 // // export default app;
 
 
+/**
+ * Check the schema version, then start the PDF worker and cleanup scheduler
+ * Serving against an older schema fails on missing columns, so the process exits
+ * when migrations are pending or the check itself fails
+ * @returns {Promise<boolean>} false while PostgreSQL cannot be reached
+ */
+async function prepareDatabase() {
+  const dbConnected = await testConnection();
+  if (!dbConnected) {
+    return false;
+  }
+
+  console.log('✅ Database connection successful - checking schema version...');
+  const schema = await checkSchemaOnStartup();
+
+  if (!schema.ready) {
+    if (schema.error) {
+      console.error('❌ Could not check schema version:', schema.error);
+    } else {
+      console.error(`❌ Database schema is at version ${schema.current}, this release needs ${schema.latest}`);
+      console.error(`   Pending: ${schema.pending.map(migration => `${String(migration.version).padStart(3, '0')}_${migration.name}`).join(', ')}`);
+      console.error('   Run "node src/migrate-db.js up" (or set MIGRATE_ON_START=true) and restart');
+    }
+    process.exit(1);
+  }
+
+  console.log(`✅ Schema at version ${schema.current}`);
+  schemaReady = true;
+
+  // Process queued PDF jobs (including any left over from a previous run)
+  startPdfWorker();
+
+  // Purge expired tokens, stale progress and orphaned PDFs on a timer
+  startCleanupScheduler();
+
+  return true;
+}
+
+// Keep trying until PostgreSQL is reachable and the schema has been checked
+function retryPrepareDatabase() {
+  setTimeout(async () => {
+    try {
+      if (await prepareDatabase()) {
+        return;
+      }
+    } catch (error) {
+      console.error('❌ Schema check failed:', error.message);
+    }
+    retryPrepareDatabase();
+  }, SCHEMA_CHECK_RETRY_MS);
+}
+
 // Initialize database and start server
 async function startServer() {
   try {
@@ -2409,18 +4653,24 @@ async function startServer() {
 
     // Test database connection
     console.log('🔗 Testing PostgreSQL connection...');
-    const dbConnected = await testConnection();
+    const dbReady = await prepareDatabase();
 
-    if (!dbConnected) {
+    if (!dbReady) {
       console.warn('⚠️  Failed to connect to PostgreSQL');
       console.warn('   Database operations will fail until connection is established');
       console.warn('   Please check your database credentials and network access');
-      console.warn('   Server will continue to run for other endpoints...');
-    } else {
-      console.log('✅ Database connection successful - initializing tables...');
-      await initializeDatabase();
+      console.warn(`   Retrying every ${SCHEMA_CHECK_RETRY_MS / 1000}s - /health returns 503 until the schema has been checked`);
+      retryPrepareDatabase();
+    }
+
+    // Agent tokens are refused in production until a real signing key is set
+    if (!agentTokensConfigured()) {
+      console.warn('⚠️  Agent tokens disabled: set AGENT_JWT_KEYS or AGENT_JWT_SECRET');
     }
 
+    // Launch the shared Puppeteer browsers before the first PDF request
+    await warmBrowserPool();
+
     // Start Express server
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`\n✅ E-DNA Backend running on http://0.0.0.0:${PORT}`);
@@ -2443,6 +4693,18 @@ async function startServer() {
   }
 }
 
+// Close pooled browsers so no Chromium processes outlive the server
+async function shutdown(signal) {
+  console.log(`\n👋 ${signal} received - shutting down...`);
+  stopPdfWorker();
+  stopCleanupScheduler();
+  await closeBrowserPool();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Start the server
 startServer();
 
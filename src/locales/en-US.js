@@ -0,0 +1,24 @@
+/**
+ * English (US) - spelling overrides on top of en
+ */
+export default {
+  report: {
+    personalisedFor: 'Personalized assessment for {name}',
+    coreTypes: {
+      architect: {
+        theyStruggle: 'Alchemists prioritize feelings and can struggle with structure, boundaries and timelines.'
+      },
+      alchemist: {
+        youStruggle: 'You prioritize feelings and can struggle with structure, boundaries and timelines.'
+      }
+    },
+    mindset: {
+      descriptions: {
+        challenge: 'You seek out stretch goals and are energized by difficulty.'
+      }
+    }
+  },
+  summary: {
+    personalisedFor: 'Personalized Assessment for {name}'
+  }
+};
@@ -0,0 +1,466 @@
+/**
+ * English (UK) - base catalog
+ * Every key must exist here: other locales only override what they translate
+ * and fall back to this file for the rest.
+ */
+export default {
+  // Labels returned by the scoring engine (see labelKeys in scoring.js)
+  layer1: {
+    type: {
+      strongArchitect: 'Strong Architect',
+      mediumArchitect: 'Medium Architect',
+      weakArchitect: 'Weak Architect',
+      strongAlchemist: 'Strong Alchemist',
+      mediumAlchemist: 'Medium Alchemist',
+      weakAlchemist: 'Weak Alchemist',
+      blurred: 'Blurred'
+    }
+  },
+  layer2: {
+    subtype: {
+      planner: 'Planner',
+      operator: 'Operator',
+      analyst: 'Analyst',
+      oracle: 'Oracle',
+      perfectionist: 'Perfectionist',
+      empath: 'Empath',
+      ultimate: 'Ultimate'
+    },
+    family: {
+      architect: 'Architect',
+      alchemist: 'Alchemist'
+    }
+  },
+  layer3: {
+    dimension: {
+      validatorAwareness: 'Validator Awareness',
+      emotionalRegulation: 'Emotional Regulation',
+      feedbackProcessing: 'Feedback Processing',
+      blindSpotRecognition: 'Blind Spot Recognition',
+      selfCorrectionSpeed: 'Self-Correction Speed',
+      growthOrientation: 'Growth Orientation'
+    },
+    label: {
+      validatorAwareness: { opposite: 'Opposite', partial: 'Partial', full: 'Full' },
+      emotionalRegulation: { reactive: 'Reactive', aware: 'Aware', integrated: 'Integrated' },
+      feedbackProcessing: { defensive: 'Defensive', selective: 'Selective', open: 'Open' },
+      blindSpotRecognition: { unaware: 'Unaware', emerging: 'Emerging', aware: 'Aware' },
+      selfCorrectionSpeed: { slow: 'Slow', moderate: 'Moderate', fast: 'Fast' },
+      growthOrientation: { fixed: 'Fixed', mixed: 'Mixed', growth: 'Growth' }
+    }
+  },
+  layer4: {
+    modality: {
+      visual: 'Visual',
+      auditory: 'Auditory',
+      readWrite: 'Read / Write',
+      kinesthetic: 'Kinesthetic'
+    }
+  },
+  layer5: {
+    dimension: {
+      focusPattern: 'Focus Pattern',
+      processingSpeed: 'Processing Speed',
+      energyPattern: 'Energy Pattern',
+      taskSwitching: 'Task Switching',
+      stressResponse: 'Stress Response',
+      recoveryPattern: 'Recovery Pattern'
+    },
+    answer: {
+      focusPattern: { a: 'Deep, sustained focus', b: 'Short, intense bursts', c: 'Easily pulled off task', d: 'Varies day to day' },
+      processingSpeed: { a: 'Fast and intuitive', b: 'Steady and methodical', c: 'Needs time to absorb', d: 'Depends on the topic' },
+      energyPattern: { a: 'Consistent all day', b: 'Morning peak', c: 'Evening peak', d: 'Unpredictable' },
+      taskSwitching: { a: 'Switches easily', b: 'Prefers one thing at a time', c: 'Loses the thread when switching', d: 'Thrives on variety' },
+      stressResponse: { a: 'Stays calm and focused', b: 'Pushes harder', c: 'Withdraws to regroup', d: 'Gets overwhelmed' },
+      recoveryPattern: { a: 'Bounces back quickly', b: 'Needs quiet time alone', c: 'Recharges with people', d: 'Takes a while to reset' }
+    }
+  },
+  layer6: {
+    mindset: {
+      growthFixed: { growth: 'Growth', fixed: 'Fixed' },
+      abundanceScarcity: { abundance: 'Abundance', scarcity: 'Scarcity' },
+      challengeComfort: { challenge: 'Challenge', comfort: 'Comfort' }
+    },
+    personality: {
+      coreType: {
+        confidentSteady: 'Confident & Steady',
+        confidentDriven: 'Confident & Driven',
+        considerateSteady: 'Considerate & Steady',
+        fastAdaptive: 'Fast-Moving & Adaptive'
+      },
+      communicationStyle: {
+        direct: 'Direct Communicator',
+        diplomatic: 'Diplomatic Communicator'
+      }
+    }
+  },
+  layer7: {
+    dimension: {
+      groundingSource: 'Grounding Source',
+      controlBelief: 'Control Belief',
+      fairnessView: 'Fairness View',
+      honestyStyle: 'Honesty Style',
+      growthApproach: 'Growth Approach',
+      impactMotivation: 'Impact Motivation'
+    },
+    label: {
+      groundingSource: { selfReliant: 'Self-Reliant', faithReliant: 'Faith-Reliant', dualReliant: 'Dual-Reliant' },
+      controlBelief: { inControl: "I'm In Control", lifeInfluences: 'Life Influences Me', shared: 'Shared Control' },
+      fairnessView: { responsibility: 'Responsibility View', compassion: 'Compassion View', balanced: 'Balanced View' },
+      honestyStyle: { direct: 'Direct Honesty', gentle: 'Gentle Honesty', balanced: 'Balanced Honesty' },
+      growthApproach: { growth: 'Growth Focused', comfort: 'Comfort Focused', steady: 'Steady Growth' },
+      impactMotivation: { self: 'Self-Focused Impact', others: 'Others-Focused Impact', shared: 'Shared Impact' }
+    }
+  },
+
+  // Full results report (pdf-full.js)
+  report: {
+    documentTitle: 'E-DNA Complete Results - {subtype}',
+    personalisedFor: 'Personalised assessment for {name}',
+    defaultName: 'User',
+    defaultSubtype: 'Custom Profile',
+    sections: {
+      layer1: 'Core Identity',
+      layer2: 'Subtype Identity',
+      layer3: 'Mirror Pair Awareness',
+      layer4: 'Learning Style Preferences',
+      layer5: 'Neuro Performance',
+      layer6: 'Mindset and Personality',
+      layer7: 'Meta-Beliefs and Values',
+      coaching: 'Your Coaching Plan'
+    },
+    metrics: {
+      decisionMastery: 'Decision Mastery',
+      coreLevel: 'Core Level',
+      mirrorAwareness: 'Mirror Pair Awareness',
+      integration: 'Integration'
+    },
+    coreTypes: {
+      architect: {
+        title: 'The Architect',
+        tagline: 'You lead with logic, structure and a clear plan before you commit.',
+        decisionLoop: 'Logic|Emotion|Logic',
+        loopSummary: 'Logic overrides and validates your decisions.',
+        youStruggle: 'You value efficiency and structure but may overlook empathy and emotional needs.',
+        theyStruggle: 'Alchemists prioritise feelings and can struggle with structure, boundaries and timelines.'
+      },
+      alchemist: {
+        title: 'The Alchemist',
+        tagline: "You're someone who understands people and situations on a deep, emotional level.",
+        decisionLoop: 'Emotion|Logic|Emotion',
+        loopSummary: 'Emotion overrides and validates your decisions.',
+        youStruggle: 'You prioritise feelings and can struggle with structure, boundaries and timelines.',
+        theyStruggle: 'Architects value efficiency and structure but may overlook empathy and emotional needs.'
+      },
+      blurred: {
+        title: 'The Blurred Identity',
+        tagline: 'You move between logic and emotion without a settled default - yet.',
+        decisionLoop: 'Logic|Emotion|Logic / Emotion',
+        loopSummary: 'Neither logic nor emotion reliably has the final say, which can slow decisions down.',
+        youStruggle: 'Switching between modes can leave you second-guessing decisions you have already made.',
+        theyStruggle: 'People with a clear default can find your shifting approach hard to predict.'
+      }
+    },
+    coreIdentity: {
+      decisionLoopHeading: 'Default Decision Loop',
+      answerSplit: '{type} · {architect} Architect / {alchemist} Alchemist answers',
+      closestBand: 'closest to {band}',
+      mirrorPairHeading: 'Mirror Pair',
+      youStruggleHeading: 'Where You Struggle',
+      theyStruggleHeading: 'Where They Struggle'
+    },
+    subtypes: {
+      planner: {
+        summary: 'You map the route before you move and keep everyone on the plan.',
+        strengths: 'You bring order, foresight and dependable timelines to every project.',
+        risks: 'You can over-plan and delay action until every variable is known.'
+      },
+      operator: {
+        summary: 'You turn plans into systems and keep the machine running.',
+        strengths: 'You execute consistently, remove friction and make processes repeatable.',
+        risks: 'You can focus on running the system and miss when it needs to change.'
+      },
+      analyst: {
+        summary: 'You look for the pattern in the data before you decide.',
+        strengths: 'You spot risks early and make well-evidenced decisions.',
+        risks: 'You can get stuck in analysis when a good-enough decision is needed.'
+      },
+      oracle: {
+        summary: 'You sense where things are heading before the evidence arrives.',
+        strengths: 'You see opportunities early and inspire others with a clear vision.',
+        risks: 'You can struggle to explain your intuition to people who need proof.'
+      },
+      perfectionist: {
+        summary: 'You hold your work to an exceptional standard of quality and craft.',
+        strengths: 'You create polished, distinctive work that people remember.',
+        risks: 'You can hold back work that is ready because it is not yet perfect.'
+      },
+      empath: {
+        summary: "You intuitively sense emotions and connections before they're spoken or seen.",
+        strengths: 'You sense hidden emotions, create connection, and bring calm to any situation.',
+        risks: "You sometimes absorb others' emotions and avoid conflict, losing your own clarity."
+      },
+      ultimate: {
+        summary: 'You switch between execution styles depending on what the moment needs.',
+        strengths: 'You adapt quickly and can cover gaps that others leave.',
+        risks: 'Without a home style you can spread yourself too thin.'
+      }
+    },
+    subtype: {
+      strengthsHeading: '✓ Strengths',
+      risksHeading: '⚠ Risks and Blind Spots',
+      secondaryStyle: 'Secondary style: {subtype}'
+    },
+    mirrorAwareness: {
+      score: 'Score: {score} / {max}'
+    },
+    modalities: {
+      visual: 'You learn best from diagrams, charts and seeing ideas mapped out.',
+      auditory: 'You learn best by listening, discussing and talking ideas through.',
+      readWrite: 'You learn best from written material, notes and lists.',
+      kinesthetic: 'You learn best by doing, testing and hands-on practice.'
+    },
+    neuro: {
+      disclaimer: '*This is just a screening test to better understand possible neurodivergent traits*'
+    },
+    mindset: {
+      mindsetHeading: 'Mindset',
+      outlookHeading: 'Outlook',
+      riskHeading: 'Risk Appetite',
+      personalityHeading: 'Personality',
+      communicationHeading: 'Communication',
+      descriptions: {
+        growth: 'You view challenges as opportunities to grow and treat setbacks as lessons.',
+        fixed: 'You tend to see ability as set, which can make setbacks feel personal.',
+        abundance: 'You believe there is enough opportunity to go around and share freely.',
+        scarcity: 'You guard resources closely and can see others as competition.',
+        challenge: 'You seek out stretch goals and are energised by difficulty.',
+        comfort: 'You prefer familiar ground and move forward once the risk is clear.'
+      }
+    },
+    coaching: {
+      intro: 'Use these focus areas to turn your results into day-to-day habits.',
+      focusHeading: 'Focus Areas',
+      nextStepHeading: 'Your Next Step',
+      coreTypes: {
+        architect: {
+          focus: 'Check in on how decisions land with your team, not just whether they are efficient.|Leave room in your plans for ideas that do not have data behind them yet.|Pair with an Alchemist when a project depends on buy-in and momentum.'
+        },
+        alchemist: {
+          focus: 'Write down the timeline and boundaries before you commit to a new idea.|Turn your read on people into a clear, measurable next action.|Pair with an Architect when a project needs structure and follow-through.'
+        },
+        blurred: {
+          focus: 'Notice whether logic or emotion made your last three big decisions.|Pick a default loop for routine decisions so your energy goes to the big ones.|Set a decision deadline so switching modes does not stall progress.'
+        }
+      },
+      subtypes: {
+        planner: 'Set a "good enough to start" point in every plan and begin when you reach it.',
+        operator: 'Book a regular review to ask which of your systems should change, not just run.',
+        analyst: 'Decide up front how much data is enough, then commit when you have it.',
+        oracle: 'Share the two or three signals behind each hunch so others can follow your vision.',
+        perfectionist: 'Ship a first version to a small audience and let feedback set the finish line.',
+        empath: 'Name your own priorities before a difficult conversation so you keep your clarity.',
+        ultimate: 'Choose one home style for each quarter and let the others support it.'
+      }
+    },
+    upgrade: {
+      heading: 'Unlock Your Complete Report',
+      body: 'This free summary covers your Core Identity and Subtype. The complete report adds all seven layers - Mirror Pair Awareness, Learning Style, Neuro Performance, Mindset and Meta-Beliefs - plus your personal coaching plan.'
+    },
+    footer: {
+      company: 'Brandscaling',
+      product: 'Entrepreneurial DNA Assessment',
+      copyright: '© {year} Brandscaling. All rights reserved.'
+    }
+  },
+
+  // Progress report comparing two attempts (pdf-progress.js)
+  progress: {
+    documentTitle: 'E-DNA Progress Report - {name}',
+    heading: 'Your E-DNA Progress Report',
+    personalisedFor: 'Prepared for {name}',
+    period: '{from} to {to} ({days} days)',
+    before: 'Before',
+    after: 'After',
+    change: 'Change',
+    noChange: 'No change',
+    unchanged: '{count} unchanged',
+    notAnswered: 'Not answered',
+    changedLayers: 'What changed: {layers}',
+    nothingChanged: 'Your results are the same in both attempts.',
+    differentDefinitions: 'These attempts were scored with different versions of the quiz ({from} and {to}), so some changes may come from the quiz itself.',
+    type: 'Type',
+    architectAnswers: 'Architect answers',
+    alchemistAnswers: 'Alchemist answers',
+    subtype: 'Subtype',
+    totalScore: 'Total score',
+    dominantModality: 'Dominant style'
+  },
+
+  // Team and organisation profile (pdf-team.js)
+  team: {
+    documentTitle: 'E-DNA Team Profile - {name}',
+    heading: 'E-DNA Team Profile',
+    members: '{count} members with results',
+    lastSubmission: 'Latest result {date}',
+    noResults: 'No results yet.',
+    layer1Types: 'Decision Identity',
+    subtypes: 'Subtypes',
+    modalities: 'Dominant Learning Style',
+    averageVark: 'Average Learning Style Mix',
+    coreTypes: 'Personality Core Type',
+    people: '{count} ({percentage}%)',
+    aggregateNote: 'This profile combines the latest result of each team member. Individual results are not shown.'
+  },
+
+  // Compatibility of two profiles (compatibility.js, pdf-compatibility.js)
+  // Lists are separated with |; {a} and {b} are the two names
+  compatibility: {
+    documentTitle: 'E-DNA Compatibility Report - {a} & {b}',
+    heading: 'E-DNA Compatibility Report',
+    preparedFor: '{a} & {b}',
+    personA: 'Person A',
+    personB: 'Person B',
+    overallScore: 'Overall compatibility: {score} / 100',
+    sectionScore: '{score} / 100',
+    strengthsHeading: '✓ Strengths',
+    frictionsHeading: '⚠ Friction Points',
+    recommendationsHeading: '→ Recommendations',
+    notCompared: 'Not compared - one of the results does not include this layer.',
+    sections: {
+      decisionIdentity: 'Decision Identity',
+      communication: 'Communication Style',
+      learningStyle: 'Learning Style',
+      beliefs: 'Beliefs & Values'
+    },
+    level: {
+      strong: 'A strong natural fit. Build on what already works and keep an eye on the few friction points below.',
+      workable: 'A workable partnership. The differences below are manageable once you both know they are there.',
+      stretch: 'A stretch partnership. You see the world quite differently - agree how you will work together before it matters.'
+    },
+    decision: {
+      complementary: {
+        summary: '{architect} leads with logic and structure; {alchemist} leads with people and intuition.',
+        strengths: '{architect} turns ideas into plans, timelines and systems.|{alchemist} reads people and builds buy-in and momentum.|Together you cover both halves of a good decision.',
+        frictions: '{architect} may see {alchemist} as unstructured or too emotional.|{alchemist} may see {architect} as rigid or cold.|You reach decisions at different speeds and for different reasons.',
+        recommendations: 'Agree which decisions need data and which need a read on people.|Let {architect} own timelines and {alchemist} own team buy-in.|Explain the reason behind a decision, not just the outcome.'
+      },
+      aligned: {
+        summary: 'You both make decisions as {family}s.',
+        strengths: 'You share a decision-making language and rarely need to explain your reasoning.|Decisions are quick because you value the same kind of evidence.',
+        frictions: 'You share the same blind spots.|Nobody naturally challenges the way you both decide.',
+        recommendations: 'Bring in someone with the opposite decision style for big calls.|Ask "what are we missing?" before you commit.'
+      },
+      bridging: {
+        summary: '{blurred} moves between logic and emotion; {settled} has a settled {family} default.',
+        strengths: '{blurred} can adapt to the way {settled} decides.|{settled} brings a steady default when decisions stall.',
+        frictions: '{blurred} can defer to {settled} instead of bringing their own view.|{settled} may find the shifts in approach hard to predict.',
+        recommendations: '{blurred} should state their view before hearing {settled}\'s.|Set decision deadlines so switching modes does not stall progress.'
+      },
+      fluid: {
+        summary: 'You both move between logic and emotion without a settled default.',
+        strengths: 'You are both flexible and open to each other\'s approach.|Neither of you locks into one way of deciding.',
+        frictions: 'Decisions can stall while you both weigh every angle.|Without a default, it can be unclear who has the final say.',
+        recommendations: 'Agree who makes the final call in each area of the business.|Use a simple checklist for routine decisions.'
+      }
+    },
+    communication: {
+      bothDirect: {
+        summary: 'You are both direct communicators.',
+        strengths: 'You say what you mean and resolve issues quickly.|Feedback is clear and nothing is left unsaid.',
+        frictions: 'Disagreements can escalate fast.|Tone can get blunt when you are under pressure.',
+        recommendations: 'Pause before replying in a heated moment.|Acknowledge what is working before you critique.'
+      },
+      bothDiplomatic: {
+        summary: 'You are both diplomatic communicators.',
+        strengths: 'Conversations stay respectful and considerate.|You each make the other feel heard.',
+        frictions: 'Difficult topics can be avoided for too long.|Concerns can stay unspoken until they grow.',
+        recommendations: 'Set a regular slot for the hard conversations.|Agree that naming a problem early is a kindness.'
+      },
+      mixed: {
+        summary: '{direct} is a direct communicator; {diplomatic} is diplomatic.',
+        strengths: '{direct} keeps things moving and clear.|{diplomatic} keeps relationships intact along the way.',
+        frictions: '{diplomatic} may find {direct} harsh.|{direct} may find {diplomatic} vague or slow to get to the point.',
+        recommendations: '{direct} should soften the opening and give context.|{diplomatic} should state the key point first.'
+      }
+    },
+    learning: {
+      overlap: 'Learning style overlap: {overlap}%',
+      sameDominant: 'You both learn best through {modality}.',
+      differentDominant: '{a} learns best through {modalityA}; {b} through {modalityB}.',
+      high: {
+        strengths: 'You take in information the same way, so briefings land for both of you.',
+        frictions: 'You may both neglect formats outside your shared preference.',
+        recommendations: 'Check that plans also work for team members who learn differently.'
+      },
+      partial: {
+        strengths: 'You share some learning preferences and can meet in the middle.',
+        frictions: 'Information shared in one style may only land for one of you.',
+        recommendations: 'Share key plans in {modalityA} and {modalityB} formats.'
+      },
+      low: {
+        strengths: 'Between you, you can present ideas in very different ways.',
+        frictions: 'You process information very differently and can talk past each other.',
+        recommendations: 'Share key plans in {modalityA} and {modalityB} formats.|Confirm understanding by asking the other to play back the plan.'
+      }
+    },
+    beliefs: {
+      summary: '{aligned} of {total} core beliefs aligned.',
+      aligned: 'Aligned',
+      partial: 'Partly aligned',
+      opposed: 'Different',
+      sharedValues: 'You share the same view on {dimensions}.',
+      mostlyAligned: 'Your values are broadly aligned, which builds trust.',
+      noOpposed: 'None of your core beliefs pull in opposite directions.',
+      friction: {
+        groundingSource: 'You draw confidence from different places.',
+        controlBelief: 'You differ on how much control you have over outcomes.',
+        fairnessView: 'You see fairness differently - responsibility versus compassion.',
+        honestyStyle: 'You have different ideas of how honest feedback should sound.',
+        growthApproach: 'You differ on how fast to push for growth.',
+        impactMotivation: 'You are motivated by different kinds of impact.'
+      },
+      recommendation: {
+        groundingSource: 'Respect each other\'s source of confidence when the pressure is on.',
+        controlBelief: 'Agree what is in your control before you plan.',
+        fairnessView: 'Agree how you will handle underperformance before it happens.',
+        honestyStyle: 'Agree how you want feedback delivered to each of you.',
+        growthApproach: 'Set a shared growth target and a pace you are both comfortable with.',
+        impactMotivation: 'Agree what success looks like for the business and for each of you.'
+      }
+    }
+  },
+
+  // Summary PDF (pdf.js)
+  summary: {
+    documentTitle: 'E-DNA Results - {subtype}',
+    heading: 'Entrepreneurial DNA Results',
+    personalisedFor: 'Personalised Assessment for {name}',
+    coreType: 'Core Type: {coreType}',
+    metricsHeading: '📊 Your Core Metrics',
+    integrationLevel: 'Integration Level',
+    profileHeading: '🎯 Your Profile',
+    coreTypeLabel: 'Core Type:',
+    subtypeLabel: 'Subtype:',
+    profileText: 'This comprehensive assessment reveals your unique entrepreneurial DNA, helping you understand your natural strengths and growth opportunities.'
+  },
+
+  // Results email (ghl.js)
+  email: {
+    subject: 'Your E-DNA Results: {subtype}',
+    heading: 'Your E-DNA Results Are Ready!',
+    greeting: 'Hi {name},',
+    intro: 'Thank you for completing your payment! Your complete E-DNA assessment results are now available.',
+    defaultProfile: 'Your Profile',
+    coreType: 'Core Type: {coreType}',
+    downloadButton: 'Download Your Complete Results (PDF)',
+    expiryNotice: 'This link will be available for 7 days. Make sure to download your results!'
+  },
+
+  // Core type names used in headings and summaries
+  coreType: {
+    architect: 'Architect',
+    alchemist: 'Alchemist',
+    blurred: 'Blurred'
+  }
+};
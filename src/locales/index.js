@@ -0,0 +1,113 @@
+/**
+ * Locale Catalogs
+ * Looks up user-facing text by dotted key, e.g. t('email.greeting', { name }).
+ * A locale falls back to its base language, then to DEFAULT_LOCALE (en), so a
+ * catalog only needs the keys it actually translates.
+ */
+import en from './en.js';
+import enUS from './en-US.js';
+
+// Register new catalogs here
+const CATALOGS = {
+  en,
+  'en-US': enUS
+};
+
+export const DEFAULT_LOCALE = CATALOGS[process.env.DEFAULT_LOCALE] ? process.env.DEFAULT_LOCALE : 'en';
+
+export function listLocales() {
+  return Object.keys(CATALOGS);
+}
+
+/**
+ * Normalise a locale tag, e.g. 'en_us' -> 'en-US'
+ */
+function normalizeLocale(locale) {
+  const [language, region] = String(locale).trim().replace('_', '-').split('-');
+  return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+}
+
+/**
+ * Best supported locale for a requested tag (null if nothing matches)
+ * 'en-GB' -> 'en', 'en-us' -> 'en-US', 'fr' -> null
+ */
+export function matchLocale(locale) {
+  if (!locale) return null;
+
+  const normalized = normalizeLocale(locale);
+  if (CATALOGS[normalized]) return normalized;
+
+  const language = normalized.split('-')[0];
+  return CATALOGS[language] ? language : null;
+}
+
+/**
+ * Supported locale for a request, or DEFAULT_LOCALE
+ */
+export function resolveLocale(locale) {
+  return matchLocale(locale) || DEFAULT_LOCALE;
+}
+
+/**
+ * Catalogs to search for a locale, most specific first
+ */
+function getFallbackChain(locale) {
+  const resolved = resolveLocale(locale);
+  const chain = [resolved];
+
+  const language = resolved.split('-')[0];
+  if (language !== resolved && CATALOGS[language]) chain.push(language);
+  if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+  if (!chain.includes('en')) chain.push('en');
+
+  return chain;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+/**
+ * Translate a key
+ * @param {string} locale - Requested locale (any casing, may be unsupported)
+ * @param {string} key - Dotted catalog key
+ * @param {object} params - Values for {placeholders}
+ * @param {string} fallback - Returned when no catalog has the key (defaults to the key)
+ */
+export function translate(locale, key, params = {}, fallback) {
+  if (key) {
+    for (const name of getFallbackChain(locale)) {
+      const text = lookup(CATALOGS[name], key);
+      if (typeof text === 'string') {
+        return interpolate(text, params);
+      }
+    }
+  }
+
+  return fallback !== undefined ? fallback : key;
+}
+
+/**
+ * Catalog key for an English label, e.g. ('layer1.type', 'Strong Architect') -> 'layer1.type.strongArchitect'
+ * Results scored by the frontend carry labels only; this maps them back to their keys.
+ * @returns {string|null}
+ */
+export function findLabelKey(group, label) {
+  const labels = lookup(CATALOGS.en, group) || {};
+  const key = Object.keys(labels).find(candidate => labels[candidate] === label);
+  return key ? `${group}.${key}` : null;
+}
+
+/**
+ * Translator bound to a locale: t(key, params, fallback)
+ */
+export function createTranslator(locale) {
+  const resolved = resolveLocale(locale);
+  const t = (key, params, fallback) => translate(resolved, key, params, fallback);
+  t.locale = resolved;
+  return t;
+}
@@ -0,0 +1,105 @@
+/**
+ * Apply, roll back or inspect schema migrations from the command line
+ *
+ * Run: node src/migrate-db.js status [--json]
+ *      node src/migrate-db.js up [--to 5]
+ *      node src/migrate-db.js down [--steps 1 | --to 3] [--force]
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { getMigrationStatus, migrateUp, migrateDown } from './migrate.js';
+import { closePool } from './postgres-db.js';
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function readVersion(value, label) {
+  const number = parseInt(value, 10);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${label} must be a non-negative number`);
+  }
+  return number;
+}
+
+async function printStatus(json) {
+  const status = await getMigrationStatus();
+  if (!status.success) {
+    throw new Error(status.error);
+  }
+
+  if (json) {
+    console.log(JSON.stringify(status.data, null, 2));
+    return;
+  }
+
+  const { current, latest, applied, pending, unknown } = status.data;
+  console.log(`\n📊 Schema version: ${current} (latest: ${latest})`);
+
+  applied.forEach(row => {
+    console.log(`   ✅ ${String(row.version).padStart(3, '0')}_${row.name} (${new Date(row.applied_at).toISOString()})`);
+  });
+  pending.forEach(migration => {
+    console.log(`   ⏳ ${String(migration.version).padStart(3, '0')}_${migration.name} (pending)`);
+  });
+  if (unknown.length > 0) {
+    console.log(`\n⚠️  Applied by a newer release: ${unknown.map(row => row.version).join(', ')}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args._[0] || 'status';
+
+  try {
+    if (command === 'status') {
+      await printStatus(Boolean(args.json));
+
+    } else if (command === 'up') {
+      console.log('\n🗄️  Applying migrations...');
+      const result = await migrateUp(args.to !== undefined ? { to: readVersion(args.to, '--to') } : {});
+      if (!result.success) process.exitCode = 1;
+
+    } else if (command === 'down') {
+      const options = args.to !== undefined
+        ? { to: readVersion(args.to, '--to') }
+        : { steps: args.steps !== undefined ? readVersion(args.steps, '--steps') : 1 };
+      options.force = Boolean(args.force);
+
+      console.log('\n🗄️  Rolling back migrations...');
+      const result = await migrateDown(options);
+      if (!result.success) process.exitCode = 1;
+
+    } else {
+      console.error(`❌ Unknown command "${command}" (use status, up or down)`);
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
@@ -0,0 +1,223 @@
+/**
+ * Schema Migrations
+ * Applies and rolls back the numbered migrations in src/migrations and records
+ * each applied version in schema_migrations. Every migration runs in its own
+ * transaction, and an advisory lock keeps two processes from migrating at once.
+ *
+ * Databases created by the old initializeDatabase() need no special handling:
+ * every `up` uses IF NOT EXISTS, so the first `up` simply adopts what is there.
+ */
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { getPool } from './postgres-db.js';
+import { MIGRATIONS, LATEST_VERSION } from './migrations/index.js';
+
+const MIGRATION_LOCK_ID = 72736245; // Arbitrary key for pg_advisory_lock, shared by every instance
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+function describe(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+function buildStatus(appliedRows) {
+  const appliedVersions = new Set(appliedRows.map(row => row.version));
+  const current = appliedRows.reduce((max, row) => Math.max(max, row.version), 0);
+
+  return {
+    current,
+    latest: LATEST_VERSION,
+    applied: appliedRows,
+    pending: MIGRATIONS
+      .filter(migration => !appliedVersions.has(migration.version))
+      .map(migration => ({ version: migration.version, name: migration.name })),
+    // Versions recorded in the database that this code does not know (a newer deploy ran them)
+    unknown: appliedRows.filter(row => row.version > LATEST_VERSION)
+  };
+}
+
+/**
+ * Run fn with a client holding the migration lock
+ */
+async function withMigrationLock(fn) {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Run one migration direction inside a transaction and record it
+ */
+async function runMigration(client, migration, direction) {
+  console.log(`${direction === 'up' ? '⬆️ ' : '⬇️ '} ${describe(migration)}`);
+
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `Migration ${describe(migration)} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+}
+
+/**
+ * Current schema version and pending migrations
+ * @returns {Promise<object>} { success, data: { current, latest, applied, pending, unknown } }
+ */
+export async function getMigrationStatus() {
+  const client = await getPool().connect();
+
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedVersions(client);
+
+    return { success: true, data: buildStatus(applied) };
+  } catch (error) {
+    console.error('❌ Error reading migration status:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {object} options - { to } stop after this version (default: latest)
+ * @returns {Promise<object>} { success, applied: [versions], current } or { success: false, error, applied }
+ */
+export async function migrateUp({ to = LATEST_VERSION } = {}) {
+  const applied = [];
+
+  try {
+    return await withMigrationLock(async client => {
+      const status = buildStatus(await getAppliedVersions(client));
+      const pending = MIGRATIONS.filter(migration =>
+        migration.version <= to && status.pending.some(item => item.version === migration.version)
+      );
+
+      for (const migration of pending) {
+        await runMigration(client, migration, 'up');
+        applied.push(migration.version);
+      }
+
+      const current = buildStatus(await getAppliedVersions(client)).current;
+      console.log(applied.length
+        ? `✅ Applied ${applied.length} migration(s) - schema at version ${current}`
+        : `✅ Schema up to date (version ${current})`);
+
+      return { success: true, applied, current };
+    });
+  } catch (error) {
+    console.error('❌', error.message);
+    return { success: false, error: error.message, applied };
+  }
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * Rolling back 001 drops the core tables (and every result), so it needs { force: true }
+ * @param {object} options - { steps } how many to roll back (default 1), or { to } roll back to this version; { force }
+ * @returns {Promise<object>} { success, reverted: [versions], current } or { success: false, error, reverted }
+ */
+export async function migrateDown({ steps = 1, to = null, force = false } = {}) {
+  const reverted = [];
+
+  try {
+    return await withMigrationLock(async client => {
+      const status = buildStatus(await getAppliedVersions(client));
+
+      if (status.unknown.length > 0) {
+        throw new Error(`Database has migrations this code does not know (${status.unknown.map(row => row.version).join(', ')}); roll back with the newer release`);
+      }
+
+      const appliedVersions = new Set(status.applied.map(row => row.version));
+      const candidates = MIGRATIONS
+        .filter(migration => appliedVersions.has(migration.version))
+        .reverse();
+      const targets = to === null
+        ? candidates.slice(0, steps)
+        : candidates.filter(migration => migration.version > to);
+
+      if (!force && targets.some(migration => migration.version === 1)) {
+        throw new Error('Rolling back 001_initial_schema drops users and quiz_results with every saved result; pass --force to confirm');
+      }
+
+      for (const migration of targets) {
+        await runMigration(client, migration, 'down');
+        reverted.push(migration.version);
+      }
+
+      const current = buildStatus(await getAppliedVersions(client)).current;
+      console.log(`✅ Rolled back ${reverted.length} migration(s) - schema at version ${current}`);
+
+      return { success: true, reverted, current };
+    });
+  } catch (error) {
+    console.error('❌', error.message);
+    return { success: false, error: error.message, reverted };
+  }
+}
+
+/**
+ * Startup check: is the schema at the version this code expects?
+ * With MIGRATE_ON_START=true pending migrations are applied first.
+ * @returns {Promise<object>} { ready, current, latest, pending, error }
+ */
+export async function checkSchemaOnStartup() {
+  if (process.env.MIGRATE_ON_START === 'true') {
+    const result = await migrateUp();
+    if (!result.success) {
+      return { ready: false, error: result.error };
+    }
+  }
+
+  const status = await getMigrationStatus();
+  if (!status.success) {
+    return { ready: false, error: status.error };
+  }
+
+  const { current, latest, pending, unknown } = status.data;
+
+  if (unknown.length > 0) {
+    // A newer release migrated this database; refusing to start would block rolling back a deploy
+    console.warn(`⚠️  Schema version ${current} is newer than this release (${latest})`);
+  }
+
+  return { ready: pending.length === 0, current, latest, pending };
+}
@@ -0,0 +1,70 @@
+/**
+ * 001 - Initial schema
+ * Tables created by the original initializeDatabase(). Everything uses
+ * IF NOT EXISTS so databases created before migrations can be adopted as-is.
+ */
+export const version = 1;
+export const name = 'initial_schema';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      name VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS quiz_results (
+      id UUID PRIMARY KEY,
+      user_id UUID,
+      email VARCHAR(255) NOT NULL,
+      name VARCHAR(255),
+      quiz_data JSONB NOT NULL,
+      edna_type VARCHAR(100),
+      core_type VARCHAR(50),
+      subtype VARCHAR(50),
+      core_mastery INTEGER,
+      subtype_mastery INTEGER,
+      pdf_url TEXT,
+      s3_key TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_quiz_email ON quiz_results(email)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_quiz_created_at ON quiz_results(created_at DESC)');
+  // In POSTGRES_SETUP.sql from the start, but never created by initializeDatabase()
+  await client.query('CREATE INDEX IF NOT EXISTS idx_quiz_user_id ON quiz_results(user_id)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS pdf_download_tokens (
+      token VARCHAR(255) PRIMARY KEY,
+      quiz_result_id UUID NOT NULL REFERENCES quiz_results(id) ON DELETE CASCADE,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_token_expires ON pdf_download_tokens(expires_at)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_token_quiz_id ON pdf_download_tokens(quiz_result_id)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS quiz_progress (
+      email VARCHAR(255) PRIMARY KEY,
+      progress_data JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS quiz_progress');
+  await client.query('DROP TABLE IF EXISTS pdf_download_tokens');
+  await client.query('DROP TABLE IF EXISTS quiz_results');
+  await client.query('DROP TABLE IF EXISTS users');
+}
@@ -0,0 +1,42 @@
+/**
+ * 002 - Result revisions
+ * Definition version and raw answers on each result, plus the archive of
+ * previous versions written when a result is re-scored
+ */
+export const version = 2;
+export const name = 'result_revisions';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE quiz_results
+      ADD COLUMN IF NOT EXISTS definition_version VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS answers JSONB,
+      ADD COLUMN IF NOT EXISTS revision INTEGER DEFAULT 1
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS quiz_result_revisions (
+      id SERIAL PRIMARY KEY,
+      quiz_result_id UUID NOT NULL REFERENCES quiz_results(id) ON DELETE CASCADE,
+      revision INTEGER NOT NULL,
+      quiz_data JSONB NOT NULL,
+      definition_version VARCHAR(50),
+      edna_type VARCHAR(100),
+      core_type VARCHAR(50),
+      subtype VARCHAR(50),
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (quiz_result_id, revision)
+    )
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS quiz_result_revisions');
+  await client.query(`
+    ALTER TABLE quiz_results
+      DROP COLUMN IF EXISTS revision,
+      DROP COLUMN IF EXISTS answers,
+      DROP COLUMN IF EXISTS definition_version
+  `);
+}
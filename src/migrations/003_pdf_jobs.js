@@ -0,0 +1,57 @@
+/**
+ * 003 - PDF jobs
+ * Durable background PDF queue and the PDF status tracked on each result
+ */
+export const version = 3;
+export const name = 'pdf_jobs';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE quiz_results
+      ADD COLUMN IF NOT EXISTS pdf_status VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS pdf_error TEXT,
+      ADD COLUMN IF NOT EXISTS pdf_queued_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS pdf_rendering_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS pdf_uploaded_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS pdf_failed_at TIMESTAMP
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS pdf_jobs (
+      id UUID PRIMARY KEY,
+      quiz_result_id UUID NOT NULL REFERENCES quiz_results(id) ON DELETE CASCADE,
+      email VARCHAR(255) NOT NULL,
+      name VARCHAR(255),
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      step VARCHAR(20) NOT NULL DEFAULT 'render',
+      step_data JSONB NOT NULL DEFAULT '{}',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      last_error TEXT,
+      run_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      locked_by VARCHAR(255),
+      locked_at TIMESTAMP,
+      dead_lettered_at TIMESTAMP,
+      completed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_pdf_jobs_ready ON pdf_jobs(status, run_after)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_pdf_jobs_result ON pdf_jobs(quiz_result_id)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS pdf_jobs');
+  await client.query(`
+    ALTER TABLE quiz_results
+      DROP COLUMN IF EXISTS pdf_failed_at,
+      DROP COLUMN IF EXISTS pdf_uploaded_at,
+      DROP COLUMN IF EXISTS pdf_rendering_at,
+      DROP COLUMN IF EXISTS pdf_queued_at,
+      DROP COLUMN IF EXISTS pdf_error,
+      DROP COLUMN IF EXISTS pdf_status
+  `);
+}
@@ -0,0 +1,14 @@
+/**
+ * 004 - Result locale
+ * Language the report and emails were written in
+ */
+export const version = 4;
+export const name = 'result_locale';
+
+export async function up(client) {
+  await client.query('ALTER TABLE quiz_results ADD COLUMN IF NOT EXISTS locale VARCHAR(20)');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE quiz_results DROP COLUMN IF EXISTS locale');
+}
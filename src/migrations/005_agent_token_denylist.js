@@ -0,0 +1,25 @@
+/**
+ * 005 - Agent token denylist
+ * Revoked Agent access and refresh tokens, by jti
+ */
+export const version = 5;
+export const name = 'agent_token_denylist';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS agent_token_denylist (
+      jti VARCHAR(64) PRIMARY KEY,
+      user_id VARCHAR(255),
+      token_type VARCHAR(20) NOT NULL,
+      reason TEXT,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_agent_denylist_expires ON agent_token_denylist(expires_at)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS agent_token_denylist');
+}
@@ -0,0 +1,39 @@
+/**
+ * 006 - GHL webhooks
+ * Nonces for replay protection and the audit log of every inbound webhook call
+ */
+export const version = 6;
+export const name = 'ghl_webhooks';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ghl_webhook_nonces (
+      nonce VARCHAR(255) PRIMARY KEY,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ghl_webhook_audit (
+      id SERIAL PRIMARY KEY,
+      endpoint VARCHAR(255) NOT NULL,
+      auth_method VARCHAR(20),
+      automation VARCHAR(255),
+      email VARCHAR(255),
+      quiz_result_id UUID,
+      status_code INTEGER,
+      reason TEXT,
+      nonce VARCHAR(255),
+      source_ip VARCHAR(64),
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_ghl_audit_email ON ghl_webhook_audit(email, created_at DESC)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS ghl_webhook_audit');
+  await client.query('DROP TABLE IF EXISTS ghl_webhook_nonces');
+}
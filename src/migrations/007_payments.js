@@ -0,0 +1,33 @@
+/**
+ * 007 - Payments
+ * Payment for the full report (pending, paid, refunded)
+ */
+export const version = 7;
+export const name = 'payments';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE quiz_results
+      ADD COLUMN IF NOT EXISTS payment_status VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS payment_date TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS payment_amount NUMERIC(10, 2),
+      ADD COLUMN IF NOT EXISTS payment_currency VARCHAR(3),
+      ADD COLUMN IF NOT EXISTS payment_reference VARCHAR(255)
+  `);
+
+  // Results saved before payments were tracked keep the full report their links
+  // already point to; only new results start as pending
+  await client.query(`UPDATE quiz_results SET payment_status = 'paid' WHERE payment_status IS NULL`);
+  await client.query(`ALTER TABLE quiz_results ALTER COLUMN payment_status SET DEFAULT 'pending'`);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE quiz_results
+      DROP COLUMN IF EXISTS payment_reference,
+      DROP COLUMN IF EXISTS payment_currency,
+      DROP COLUMN IF EXISTS payment_amount,
+      DROP COLUMN IF EXISTS payment_date,
+      DROP COLUMN IF EXISTS payment_status
+  `);
+}
@@ -0,0 +1,28 @@
+/**
+ * 008 - Report tiers
+ * Free summary report stored alongside the full one, and the tier of each
+ * download token and PDF job
+ */
+export const version = 8;
+export const name = 'report_tiers';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE quiz_results
+      ADD COLUMN IF NOT EXISTS summary_s3_key TEXT,
+      ADD COLUMN IF NOT EXISTS summary_pdf_url TEXT
+  `);
+
+  await client.query(`ALTER TABLE pdf_download_tokens ADD COLUMN IF NOT EXISTS tier VARCHAR(20) NOT NULL DEFAULT 'full'`);
+  await client.query(`ALTER TABLE pdf_jobs ADD COLUMN IF NOT EXISTS tier VARCHAR(20) NOT NULL DEFAULT 'full'`);
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE pdf_jobs DROP COLUMN IF EXISTS tier');
+  await client.query('ALTER TABLE pdf_download_tokens DROP COLUMN IF EXISTS tier');
+  await client.query(`
+    ALTER TABLE quiz_results
+      DROP COLUMN IF EXISTS summary_pdf_url,
+      DROP COLUMN IF EXISTS summary_s3_key
+  `);
+}
@@ -0,0 +1,30 @@
+/**
+ * 009 - Download token usage
+ * Per-link download counts, optional use limit and revocation
+ */
+export const version = 9;
+export const name = 'download_token_usage';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE pdf_download_tokens
+      ADD COLUMN IF NOT EXISTS download_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS max_uses INTEGER,
+      ADD COLUMN IF NOT EXISTS first_accessed_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS last_accessed_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS revoked_reason TEXT
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE pdf_download_tokens
+      DROP COLUMN IF EXISTS revoked_reason,
+      DROP COLUMN IF EXISTS revoked_at,
+      DROP COLUMN IF EXISTS last_accessed_at,
+      DROP COLUMN IF EXISTS first_accessed_at,
+      DROP COLUMN IF EXISTS max_uses,
+      DROP COLUMN IF EXISTS download_count
+  `);
+}
@@ -0,0 +1,26 @@
+/**
+ * 010 - Cleanup runs
+ * Report of every expired data cleanup run
+ */
+export const version = 10;
+export const name = 'cleanup_runs';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS cleanup_runs (
+      id SERIAL PRIMARY KEY,
+      trigger VARCHAR(20) NOT NULL,
+      dry_run BOOLEAN NOT NULL DEFAULT false,
+      started_at TIMESTAMP NOT NULL,
+      finished_at TIMESTAMP,
+      report JSONB NOT NULL,
+      error_count INTEGER NOT NULL DEFAULT 0
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_cleanup_runs_started ON cleanup_runs(started_at DESC)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS cleanup_runs');
+}
@@ -0,0 +1,18 @@
+/**
+ * 011 - Quiz history index
+ * Result lookups match on LOWER(TRIM(email)), which idx_quiz_email cannot serve;
+ * this index covers them and the newest-first ordering of the history endpoint
+ */
+export const version = 11;
+export const name = 'quiz_history_index';
+
+export async function up(client) {
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_quiz_email_history
+      ON quiz_results (LOWER(TRIM(email)), created_at DESC, id DESC)
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_quiz_email_history');
+}
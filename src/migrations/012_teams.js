@@ -0,0 +1,67 @@
+/**
+ * 012 - Teams
+ * Organisations, their teams, team members and invite codes, and the team a
+ * quiz result was submitted for
+ */
+export const version = 12;
+export const name = 'teams';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS organisations (
+      id UUID PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS teams (
+      id UUID PRIMARY KEY,
+      organisation_id UUID NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_teams_organisation ON teams(organisation_id)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS team_members (
+      team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+      email VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL DEFAULT 'member',
+      invite_code VARCHAR(32),
+      joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (team_id, email)
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_team_members_email ON team_members(email)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS team_invites (
+      code VARCHAR(32) PRIMARY KEY,
+      team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL DEFAULT 'member',
+      max_uses INTEGER,
+      use_count INTEGER NOT NULL DEFAULT 0,
+      expires_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_team_invites_team ON team_invites(team_id)');
+
+  await client.query('ALTER TABLE quiz_results ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE SET NULL');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_quiz_team ON quiz_results(team_id, created_at DESC)');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE quiz_results DROP COLUMN IF EXISTS team_id');
+  await client.query('DROP TABLE IF EXISTS team_invites');
+  await client.query('DROP TABLE IF EXISTS team_members');
+  await client.query('DROP TABLE IF EXISTS teams');
+  await client.query('DROP TABLE IF EXISTS organisations');
+}
@@ -0,0 +1,34 @@
+/**
+ * 013 - Admin audit log
+ * Every call to an /api/admin route: who made it, what it touched and how it ended
+ */
+export const version = 13;
+export const name = 'admin_audit_log';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id SERIAL PRIMARY KEY,
+      actor VARCHAR(100),
+      action VARCHAR(255) NOT NULL,
+      method VARCHAR(10) NOT NULL,
+      path VARCHAR(500) NOT NULL,
+      target_type VARCHAR(50),
+      target_id VARCHAR(255),
+      email VARCHAR(255),
+      details JSONB,
+      status_code INTEGER,
+      reason TEXT,
+      source_ip VARCHAR(64),
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit_log(created_at DESC)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit_log(target_id, created_at DESC)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS admin_audit_log');
+}
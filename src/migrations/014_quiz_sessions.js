@@ -0,0 +1,53 @@
+/**
+ * 014 - Quiz sessions
+ * One row per quiz taken with saved progress: when it started, the furthest layer
+ * reached and when (if ever) it ended in a saved result. quiz_progress only keeps
+ * the latest snapshot and is deleted on completion, so funnel analytics read this.
+ * Open sessions are backfilled from the progress rows that exist today.
+ */
+export const version = 14;
+export const name = 'quiz_sessions';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS quiz_sessions (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) NOT NULL,
+      started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_saved_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_layer INTEGER,
+      answered INTEGER NOT NULL DEFAULT 0,
+      completed_at TIMESTAMP,
+      quiz_result_id UUID REFERENCES quiz_results(id) ON DELETE SET NULL
+    )
+  `);
+
+  // At most one open session per person
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_quiz_sessions_open ON quiz_sessions(email) WHERE completed_at IS NULL');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_quiz_sessions_started ON quiz_sessions(started_at)');
+
+  // Layer reached = highest L<n>_ question answered in the snapshot (same rule as
+  // getProgressLayer in analytics.js)
+  await client.query(`
+    INSERT INTO quiz_sessions (email, started_at, last_saved_at, last_layer, answered)
+    SELECT LOWER(TRIM(p.email)), COALESCE(p.created_at, p.updated_at, CURRENT_TIMESTAMP),
+           COALESCE(p.updated_at, p.created_at, CURRENT_TIMESTAMP), answers.last_layer, COALESCE(answers.answered, 0)
+    FROM quiz_progress p
+    LEFT JOIN LATERAL (
+      SELECT MAX(SUBSTRING(key FROM '^L([0-9]+)_')::int) AS last_layer,
+             COUNT(*) FILTER (WHERE key ~ '^L[0-9]+_')::int AS answered
+      FROM jsonb_object_keys(
+        CASE
+          WHEN jsonb_typeof(p.progress_data->'answers') = 'object' THEN p.progress_data->'answers'
+          WHEN jsonb_typeof(p.progress_data) = 'object' THEN p.progress_data
+          ELSE '{}'::jsonb
+        END
+      ) AS key
+    ) answers ON TRUE
+    ON CONFLICT DO NOTHING
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS quiz_sessions');
+}
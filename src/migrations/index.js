@@ -0,0 +1,45 @@
+/**
+ * Schema Migration Registry
+ * Every migration is registered here in order. Add new ones with the next
+ * number; never edit a migration that has already been applied somewhere.
+ */
+import * as initialSchema from './001_initial_schema.js';
+import * as resultRevisions from './002_result_revisions.js';
+import * as pdfJobs from './003_pdf_jobs.js';
+import * as resultLocale from './004_result_locale.js';
+import * as agentTokenDenylist from './005_agent_token_denylist.js';
+import * as ghlWebhooks from './006_ghl_webhooks.js';
+import * as payments from './007_payments.js';
+import * as reportTiers from './008_report_tiers.js';
+import * as downloadTokenUsage from './009_download_token_usage.js';
+import * as cleanupRuns from './010_cleanup_runs.js';
+import * as quizHistoryIndex from './011_quiz_history_index.js';
+import * as teams from './012_teams.js';
+import * as adminAuditLog from './013_admin_audit_log.js';
+import * as quizSessions from './014_quiz_sessions.js';
+
+export const MIGRATIONS = [
+  initialSchema,
+  resultRevisions,
+  pdfJobs,
+  resultLocale,
+  agentTokenDenylist,
+  ghlWebhooks,
+  payments,
+  reportTiers,
+  downloadTokenUsage,
+  cleanupRuns,
+  quizHistoryIndex,
+  teams,
+  adminAuditLog,
+  quizSessions
+];
+
+// Catch numbering mistakes when the module loads rather than halfway through a migration
+MIGRATIONS.forEach((migration, index) => {
+  if (migration.version !== index + 1) {
+    throw new Error(`Migration ${migration.name} has version ${migration.version}, expected ${index + 1}`);
+  }
+});
+
+export const LATEST_VERSION = MIGRATIONS.length;
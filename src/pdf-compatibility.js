@@ -0,0 +1,355 @@
+/**
+ * Compatibility Report PDF
+ * Renders a calculateCompatibility() result (compatibility.js) for two people.
+ * Uses the same fonts, logo and translator as the results report (pdf-full.js).
+ * Report text is already in the report's locale; only headings are translated here.
+ */
+import { withPage } from './browser-pool.js';
+import { createTranslator } from './locales/index.js';
+import { getEmbeddedAssets, escapeHtml } from './pdf-full.js';
+
+const MODALITIES = ['visual', 'auditory', 'readWrite', 'kinesthetic'];
+
+/**
+ * Generate the compatibility report PDF
+ * @param {object} report - calculateCompatibility() output
+ */
+export async function generateCompatibilityReportPDF(report, outputPath) {
+  try {
+    const htmlContent = createCompatibilityReportHTML(report);
+
+    await withPage(async (page) => {
+      await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+      await page.evaluate(() => document.fonts.ready);
+
+      await page.pdf({
+        path: outputPath,
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '10px', right: '10px', bottom: '10px', left: '10px' }
+      });
+    });
+
+    console.log('✅ Compatibility report PDF generated:', outputPath);
+    return { success: true, path: outputPath };
+
+  } catch (error) {
+    console.error('❌ Error generating compatibility report PDF:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+function label(t, key, englishLabel) {
+  return escapeHtml(t(key, {}, englishLabel || ''));
+}
+
+/**
+ * Person A / person B table
+ * @param {Array<{name, a, b, note}>} rows - cells as HTML
+ */
+function renderTable(report, rows, noteHeading = '') {
+  return `
+      <table class="pair-table">
+        <thead>
+          <tr><th></th><th>${escapeHtml(report.people.a.name)}</th><th>${escapeHtml(report.people.b.name)}</th>${noteHeading ? `<th>${noteHeading}</th>` : ''}</tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+          <tr>
+            <td class="name">${row.name}</td><td>${row.a}</td><td>${row.b}</td>${noteHeading ? `<td>${row.note}</td>` : ''}
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+}
+
+function renderList(heading, items, className) {
+  if (items.length === 0) return '';
+
+  return `
+      <div class="advice ${className}">
+        <h3>${heading}</h3>
+        <ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+      </div>`;
+}
+
+function renderSection(t, name, section, body) {
+  if (!section) {
+    return `
+    <div class="section">
+      <div class="section-title">${t(`compatibility.sections.${name}`)}</div>
+      <p class="muted">${t('compatibility.notCompared')}</p>
+    </div>`;
+  }
+
+  return `
+    <div class="section">
+      <div class="section-title">
+        ${t(`compatibility.sections.${name}`)}
+        <span class="section-score">${t('compatibility.sectionScore', { score: section.score })}</span>
+      </div>
+      <p class="section-summary">${escapeHtml(section.summary)}</p>
+      ${body}
+      ${renderList(t('compatibility.strengthsHeading'), section.strengths, 'strengths')}
+      ${renderList(t('compatibility.frictionsHeading'), section.frictions, 'frictions')}
+      ${renderList(t('compatibility.recommendationsHeading'), section.recommendations, 'recommendations')}
+    </div>`;
+}
+
+function renderDecisionIdentity(t, report) {
+  const section = report.sections.decisionIdentity;
+  return renderSection(t, 'decisionIdentity', section, section && renderTable(report, [{
+    name: t('progress.type'),
+    a: label(t, section.a.labelKey, section.a.type),
+    b: label(t, section.b.labelKey, section.b.type)
+  }]));
+}
+
+function renderCommunication(t, report) {
+  const section = report.sections.communication;
+  return renderSection(t, 'communication', section, section && renderTable(report, [{
+    name: t('report.mindset.communicationHeading'),
+    a: label(t, section.a.labelKey, section.a.style),
+    b: label(t, section.b.labelKey, section.b.style)
+  }]));
+}
+
+function renderLearningStyle(t, report) {
+  const section = report.sections.learningStyle;
+  if (!section) return renderSection(t, 'learningStyle', null);
+
+  const rows = MODALITIES.map(modality => ({
+    name: t(`layer4.modality.${modality}`),
+    a: `${section.a.percentages[modality] ?? 0}%`,
+    b: `${section.b.percentages[modality] ?? 0}%`
+  }));
+
+  return renderSection(t, 'learningStyle', section, `
+      ${renderTable(report, rows)}
+      <p class="muted note">${t('compatibility.learning.overlap', { overlap: section.overlap })}</p>`);
+}
+
+function renderBeliefs(t, report) {
+  const section = report.sections.beliefs;
+  return renderSection(t, 'beliefs', section, section && renderTable(report, section.dimensions.map(dimension => ({
+    name: label(t, dimension.dimensionKey, dimension.dimension),
+    a: label(t, dimension.a.labelKey, dimension.a.label),
+    b: label(t, dimension.b.labelKey, dimension.b.label),
+    note: `<span class="${dimension.alignment}">${t(`compatibility.beliefs.${dimension.alignment}`)}</span>`
+  })), '&nbsp;'));
+}
+
+/**
+ * Create the compatibility report HTML
+ * @param {object} report - calculateCompatibility() output (its locale is used for headings)
+ */
+export function createCompatibilityReportHTML(report) {
+  const t = createTranslator(report.locale);
+  const names = { a: escapeHtml(report.people.a.name), b: escapeHtml(report.people.b.name) };
+  const { fontFaces, logo } = getEmbeddedAssets();
+
+  return `
+<!DOCTYPE html>
+<html lang="${t.locale}">
+<head>
+  <meta charset="UTF-8">
+  <title>${t('compatibility.documentTitle', names)}</title>
+  <style>
+    ${fontFaces}
+
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: 'Open Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      line-height: 1.6;
+      color: #1f2937;
+      background: #ffffff;
+    }
+    .page {
+      padding: 30px;
+      max-width: 800px;
+      margin: 0 auto;
+    }
+    .muted {
+      font-size: 13px;
+      color: #6b7280;
+    }
+    .note {
+      margin-top: 12px;
+    }
+
+    /* Header */
+    .header {
+      text-align: center;
+      margin-bottom: 30px;
+      padding: 35px 20px;
+      background: linear-gradient(135deg, #7c3aed 0%, #f97316 100%);
+      color: white;
+      border-radius: 16px;
+    }
+    .header .logo {
+      width: 56px;
+      height: 56px;
+      margin-bottom: 15px;
+    }
+    .header h1 {
+      font-size: 34px;
+      font-weight: 800;
+      margin-bottom: 10px;
+    }
+    .header p {
+      font-size: 15px;
+      opacity: 0.9;
+    }
+
+    /* Summary */
+    .summary {
+      background: #f9fafb;
+      border-left: 4px solid #7c3aed;
+      border-radius: 8px;
+      padding: 15px 20px;
+      margin-bottom: 25px;
+      font-size: 14px;
+    }
+    .summary .score {
+      font-size: 20px;
+      font-weight: 800;
+      color: #7c3aed;
+      margin-bottom: 5px;
+    }
+
+    /* Sections */
+    .section {
+      background: white;
+      border: 2px solid #e5e7eb;
+      border-radius: 12px;
+      padding: 30px;
+      margin-bottom: 25px;
+      page-break-inside: avoid;
+    }
+    .section-title {
+      font-size: 20px;
+      font-weight: 700;
+      color: white;
+      background: #7c3aed;
+      padding: 12px 20px;
+      margin: -30px -30px 20px -30px;
+      border-radius: 10px 10px 0 0;
+    }
+    .section-score {
+      float: right;
+      font-size: 15px;
+      font-weight: 600;
+      opacity: 0.9;
+    }
+    .section-summary {
+      font-size: 14px;
+      margin-bottom: 15px;
+    }
+
+    /* Person A / person B tables */
+    .pair-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+      margin-bottom: 10px;
+    }
+    .pair-table th {
+      text-align: left;
+      font-size: 12px;
+      color: #6b7280;
+      font-weight: 600;
+      padding: 6px 8px;
+      border-bottom: 2px solid #e5e7eb;
+    }
+    .pair-table td {
+      padding: 8px;
+      border-bottom: 1px solid #f3f4f6;
+    }
+    .pair-table td.name {
+      font-weight: 600;
+      width: 30%;
+    }
+    .aligned {
+      color: #059669;
+      font-weight: 700;
+    }
+    .partial {
+      color: #d97706;
+      font-weight: 700;
+    }
+    .opposed {
+      color: #dc2626;
+      font-weight: 700;
+    }
+
+    /* Strengths, friction points, recommendations */
+    .advice {
+      margin-top: 15px;
+      padding: 12px 15px;
+      border-radius: 8px;
+      font-size: 13px;
+    }
+    .advice h3 {
+      font-size: 14px;
+      margin-bottom: 5px;
+    }
+    .advice ul {
+      padding-left: 18px;
+    }
+    .advice.strengths {
+      background: #ecfdf5;
+    }
+    .advice.frictions {
+      background: #fef2f2;
+    }
+    .advice.recommendations {
+      background: #faf5ff;
+    }
+
+    /* Footer */
+    .footer {
+      text-align: center;
+      margin-top: 40px;
+      padding: 30px;
+      border-top: 2px solid #e5e7eb;
+    }
+    .footer p {
+      color: #6b7280;
+      font-size: 14px;
+    }
+  </style>
+</head>
+<body>
+  <div class="page">
+    <!-- Header -->
+    <div class="header">
+      <img class="logo" src="${logo}" alt="E-DNA">
+      <h1>${t('compatibility.heading')}</h1>
+      <p>${t('compatibility.preparedFor', names)}</p>
+    </div>
+
+    ${report.score === null ? '' : `
+    <div class="summary">
+      <p class="score">${t('compatibility.overallScore', { score: report.score })}</p>
+      <p>${escapeHtml(report.summary)}</p>
+    </div>`}
+
+    ${renderDecisionIdentity(t, report)}
+    ${renderCommunication(t, report)}
+    ${renderLearningStyle(t, report)}
+    ${renderBeliefs(t, report)}
+
+    <!-- Footer -->
+    <div class="footer">
+      <p style="font-weight: 700; font-size: 16px; color: #1f2937; margin-bottom: 5px;">${t('report.footer.company')}</p>
+      <p>${t('report.footer.product')}</p>
+      <p style="margin-top: 15px; font-size: 12px; color: #9ca3af;">
+        ${t('report.footer.copyright', { year: new Date().getFullYear() })}
+      </p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
+export default { generateCompatibilityReportPDF, createCompatibilityReportHTML };
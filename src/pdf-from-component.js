@@ -1,82 +1,87 @@
-import puppeteer from 'puppeteer';
+import { withPage } from './browser-pool.js';
+
+// Results travel in the query string; longer URLs are rejected by proxies and the CDN
+const MAX_URL_LENGTH = parseInt(process.env.PDF_FRONTEND_MAX_URL_LENGTH || '8000');
 
 /**
  * Generate PDF from the actual EDNAResultsPage React component
  * This visits the frontend URL and captures the rendered component as PDF
  */
 export async function generatePDFFromComponent(results, outputPath, frontendUrl = 'http://localhost:3001') {
-  let browser;
-
   try {
-    console.log('1️⃣ Launching browser...');
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-web-security',
-        '--disable-features=IsolateOrigins,site-per-process'
-      ]
-    });
+    // Encode results as URL parameter
+    const resultsEncoded = encodeURIComponent(JSON.stringify(results));
+    const pdfUrl = `${frontendUrl}/pdf-results?data=${resultsEncoded}`;
 
-    const page = await browser.newPage();
+    if (pdfUrl.length > MAX_URL_LENGTH) {
+      return {
+        success: false,
+        error: `Results URL is ${pdfUrl.length} characters (limit ${MAX_URL_LENGTH})`,
+        code: 'URL_TOO_LONG'
+      };
+    }
 
-    // Set viewport for consistent rendering
-    await page.setViewport({
-      width: 1200,
-      height: 1600,
-      deviceScaleFactor: 2
-    });
+    console.log('1️⃣ Taking a browser from the pool...');
 
-    console.log('2️⃣ Navigating to frontend...');
+    await withPage(async (page) => {
+      // Set viewport for consistent rendering
+      await page.setViewport({
+        width: 1200,
+        height: 1600,
+        deviceScaleFactor: 2
+      });
 
-    // Encode results as URL parameter
-    const resultsEncoded = encodeURIComponent(JSON.stringify(results));
-    const pdfUrl = `${frontendUrl}/pdf-results?data=${resultsEncoded}`;
+      console.log('2️⃣ Navigating to frontend...');
 
-    await page.goto(pdfUrl, {
-      waitUntil: 'networkidle0',
-      timeout: 30000
-    });
+      const response = await page.goto(pdfUrl, {
+        waitUntil: 'networkidle0',
+        timeout: 30000
+      });
 
-    console.log('3️⃣ Waiting for component to render...');
-
-    // Wait for the main content to be visible (data attribute)
-    // Increased timeout and made it more flexible
-    try {
-      await page.waitForSelector('[data-pdf-content="true"]', { timeout: 30000 });
-    console.log('   ✓ Found data-pdf-content attribute');
-    } catch (error) {
-      console.log('   ⚠️ data-pdf-content not found, checking for any content...');
-      // Fallback: wait for any content to appear
-      await page.waitForSelector('body > *', { timeout: 10000 });
-      console.log('   ✓ Found page content (fallback)');
-    }
+      // A redeploying frontend answers with an error page rather than failing outright
+      if (response && !response.ok()) {
+        throw new Error(`Frontend responded with HTTP ${response.status()}`);
+      }
 
-    // Wait for specific content (hero section) to ensure full rendering
-    try {
-      await page.waitForSelector('.hero-section', { timeout: 20000 });
-      console.log('   ✓ Found hero-section');
-    } catch (error) {
-      console.log('   ⚠️ Hero section not found, continuing anyway...');
-    }
+      console.log('3️⃣ Waiting for component to render...');
 
-    // Give extra time for images, fonts, and charts to load
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    console.log('   ✓ Additional wait time completed');
-
-    console.log('4️⃣ Generating PDF...');
-
-    await page.pdf({
-      path: outputPath,
-      format: 'A4',
-      printBackground: true,
-      margin: {
-        top: '20px',
-        right: '20px',
-        bottom: '20px',
-        left: '20px'
+      // Wait for the main content to be visible (data attribute)
+      // Increased timeout and made it more flexible
+      try {
+        await page.waitForSelector('[data-pdf-content="true"]', { timeout: 30000 });
+        console.log('   ✓ Found data-pdf-content attribute');
+      } catch (error) {
+        console.log('   ⚠️ data-pdf-content not found, checking for any content...');
+        // Fallback: wait for any content to appear
+        await page.waitForSelector('body > *', { timeout: 10000 });
+        console.log('   ✓ Found page content (fallback)');
       }
+
+      // Wait for specific content (hero section) to ensure full rendering
+      try {
+        await page.waitForSelector('.hero-section', { timeout: 20000 });
+        console.log('   ✓ Found hero-section');
+      } catch (error) {
+        console.log('   ⚠️ Hero section not found, continuing anyway...');
+      }
+
+      // Give extra time for images, fonts, and charts to load
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      console.log('   ✓ Additional wait time completed');
+
+      console.log('4️⃣ Generating PDF...');
+
+      await page.pdf({
+        path: outputPath,
+        format: 'A4',
+        printBackground: true,
+        margin: {
+          top: '20px',
+          right: '20px',
+          bottom: '20px',
+          left: '20px'
+        }
+      });
     });
 
     console.log('✅ PDF generated from React component:', outputPath);
@@ -84,8 +89,6 @@ export async function generatePDFFromComponent(results, outputPath, frontendUrl
 
   } catch (error) {
     console.error('❌ Error generating PDF from component:', error);
-    return { success: false, error: error.message };
-  } finally {
-    if (browser) await browser.close();
+    return { success: false, error: error.message, code: error.code };
   }
 }
@@ -1,62 +1,420 @@
-import puppeteer from 'puppeteer';
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { withPage } from './browser-pool.js';
+import { createTranslator } from './locales/index.js';
+import { getReportTier } from './report-tiers.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
+const assetsDir = join(__dirname, 'pdf-assets');
+
+// Embedded so the template renders without any network access
+const FONT_WEIGHTS = [400, 600, 700, 800];
+const CORE_TYPES = ['architect', 'alchemist', 'blurred'];
+const MODALITIES = ['visual', 'auditory', 'readWrite', 'kinesthetic'];
+let embeddedAssets = null;
+
+/**
+ * Load fonts and logo once as data URIs (shared with pdf-progress.js)
+ */
+export function getEmbeddedAssets() {
+  if (!embeddedAssets) {
+    const fontFaces = FONT_WEIGHTS.map(weight => {
+      const font = readFileSync(join(assetsDir, 'fonts', `open-sans-${weight}.woff2`)).toString('base64');
+      return `@font-face {
+      font-family: 'Open Sans';
+      font-style: normal;
+      font-weight: ${weight};
+      src: url(data:font/woff2;base64,${font}) format('woff2');
+    }`;
+    }).join('\n    ');
+
+    const logo = readFileSync(join(assetsDir, 'logo.svg')).toString('base64');
+
+    embeddedAssets = { fontFaces, logo: `data:image/svg+xml;base64,${logo}` };
+  }
+
+  return embeddedAssets;
+}
 
 /**
  * Generate full E-DNA Results Page PDF (complete report)
- * This generates the FULL EDNAResultsPage, not just a summary
+ * Renders a self-contained server-side template, so it works without the frontend
+ * @param {object} options - { tier } 'full' (default) or 'summary', see report-tiers.js
  */
-export async function generateFullResultsPDF(results, outputPath) {
-  let browser;
-  
+export async function generateFullResultsPDF(results, outputPath, { tier } = {}) {
   try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    
-    const page = await browser.newPage();
-    
-    // Create full HTML with all sections
-    const htmlContent = createFullResultsHTML(results);
-    
-    await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-    
-    await page.pdf({
-      path: outputPath,
-      format: 'A4',
-      printBackground: true,
-      margin: { top: '10px', right: '10px', bottom: '10px', left: '10px' }
+    // Create HTML with the sections included in the tier
+    const htmlContent = createFullResultsHTML(results, { tier });
+
+    await withPage(async (page) => {
+      await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+      await page.evaluate(() => document.fonts.ready);
+
+      await page.pdf({
+        path: outputPath,
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '10px', right: '10px', bottom: '10px', left: '10px' }
+      });
     });
-    
+
     console.log('✅ Full Results PDF generated:', outputPath);
     return { success: true, path: outputPath };
-    
+
   } catch (error) {
     console.error('❌ Error generating full PDF:', error);
-    return { success: false, error: error.message };
-  } finally {
-    if (browser) await browser.close();
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Escape user-supplied text for HTML
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function clampPercent(value) {
+  return Math.max(0, Math.min(100, Math.round(Number(value) || 0)));
+}
+
+/**
+ * Core type from the summary field, falling back to the Layer 1 label
+ */
+function resolveCoreType(results) {
+  if (CORE_TYPES.includes(results.core_type)) return results.core_type;
+
+  const type = results.layer1?.type || '';
+  if (type.includes('Architect')) return 'architect';
+  if (type.includes('Alchemist')) return 'alchemist';
+  return type ? 'blurred' : 'architect';
+}
+
+/**
+ * Translated label for a scoring engine label key
+ * Results scored by the frontend have no labelKeys, so fall back to the English label
+ */
+function label(t, key, englishLabel) {
+  return escapeHtml(t(key, {}, englishLabel));
+}
+
+/**
+ * Headline metrics - values sent by the frontend win, otherwise derived from the layers
+ */
+function buildMetrics(results, t) {
+  const layer1 = results.layer1;
+  const layer3 = results.layer3;
+
+  const metrics = [
+    {
+      label: t('report.metrics.decisionMastery'),
+      value: results.decision_mastery ?? (layer1?.confidence !== undefined ? layer1.confidence * 100 : null)
+    },
+    { label: t('report.metrics.coreLevel'), value: results.core_level },
+    {
+      label: t('report.metrics.mirrorAwareness'),
+      value: results.mirror_awareness ?? (layer3?.maxScore ? (layer3.totalScore / layer3.maxScore) * 100 : null)
+    },
+    { label: t('report.metrics.integration'), value: results.integration_level }
+  ];
+
+  return metrics
+    .filter(metric => metric.value !== undefined && metric.value !== null)
+    .map(metric => ({ ...metric, value: clampPercent(metric.value) }));
+}
+
+function renderMetrics(metrics) {
+  if (metrics.length === 0) return '';
+
+  return `
+    <div class="progress-section">
+      ${metrics.map(metric => `
+      <div class="progress-item">
+        <div class="progress-label">${metric.label}</div>
+        <div class="progress-value">${metric.value}%</div>
+        <div class="progress-bar">
+          <div class="progress-fill" style="width: ${metric.value}%"></div>
+        </div>
+      </div>`).join('')}
+    </div>`;
+}
+
+function renderCoreIdentity(coreType, layer1, t) {
+  const content = `report.coreTypes.${coreType}`;
+  const steps = t(`${content}.decisionLoop`)
+    .split('|')
+    .map(step => `<div class="decision-step">${step}</div>`)
+    .join('\n              <span class="arrow">→</span>\n              ');
+
+  let answerSplit = '';
+  if (layer1 && layer1.architectCount !== undefined) {
+    const keys = layer1.labelKeys || {};
+    const closest = layer1.nearestBand
+      ? ` · ${t('report.coreIdentity.closestBand', { band: label(t, keys.nearestBand, layer1.nearestBand.label) })}`
+      : '';
+
+    answerSplit = `<p class="muted" style="margin-top: 15px;">
+              ${t('report.coreIdentity.answerSplit', {
+                type: label(t, keys.type, layer1.type),
+                architect: layer1.architectCount,
+                alchemist: layer1.alchemistCount
+              })}${closest}
+            </p>`;
   }
+
+  return `
+    <div class="section">
+      <div class="section-title">${t('report.sections.layer1')}</div>
+      <div class="core-identity">
+        <div>
+          <h3 class="block-heading">${t(`${content}.title`)}</h3>
+          <div class="decision-loop">
+            <h3>${t('report.coreIdentity.decisionLoopHeading')}</h3>
+            <div class="decision-steps">
+              ${steps}
+            </div>
+            <p class="muted" style="margin-top: 15px;">${t(`${content}.loopSummary`)}</p>
+            ${answerSplit}
+          </div>
+        </div>
+        <div>
+          <h3 class="block-heading">${t('report.coreIdentity.mirrorPairHeading')}</h3>
+          <div class="mirror-grid">
+            <div class="mirror-box">
+              <h4>${t('report.coreIdentity.youStruggleHeading')}</h4>
+              <p>${t(`${content}.youStruggle`)}</p>
+            </div>
+            <div class="mirror-box">
+              <h4>${t('report.coreIdentity.theyStruggleHeading')}</h4>
+              <p>${t(`${content}.theyStruggle`)}</p>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>`;
+}
+
+function renderSubtype(subtype, layer2, t) {
+  const keys = layer2?.labelKeys || {};
+  // Copy is keyed by subtype, e.g. report.subtypes.planner
+  const subtypeKey = (keys.subtype || '').split('.').pop() || String(subtype).toLowerCase();
+  const content = `report.subtypes.${subtypeKey}`;
+  const hasContent = t(`${content}.summary`, {}, null) !== null;
+
+  let blend = '';
+  if (layer2?.secondarySubtype) {
+    const ratio = layer2.blendRatio
+      ? ` · ${Object.entries(layer2.blendRatio).map(([family, percent]) => `${label(t, `layer2.family.${family}`, family)} ${percent}%`).join(' / ')}`
+      : '';
+    blend = `<p class="muted" style="margin-bottom: 20px;">
+        ${t('report.subtype.secondaryStyle', { subtype: `<strong>${label(t, keys.secondarySubtype, layer2.secondarySubtype)}</strong>` })}${ratio}
+      </p>`;
+  }
+
+  return `
+    <div class="section">
+      <div class="section-title">${t('report.sections.layer2')}</div>
+      <h3 class="block-heading accent">${label(t, keys.subtype, subtype)}</h3>
+      ${hasContent ? `<p class="muted" style="margin-bottom: 20px;">${t(`${content}.summary`)}</p>` : ''}
+      ${blend}
+      ${hasContent ? `
+      <div class="subtype-grid">
+        <div class="subtype-box">
+          <h4 class="strength">${t('report.subtype.strengthsHeading')}</h4>
+          <p>${t(`${content}.strengths`)}</p>
+        </div>
+        <div class="subtype-box">
+          <h4 class="risk">${t('report.subtype.risksHeading')}</h4>
+          <p>${t(`${content}.risks`)}</p>
+        </div>
+      </div>` : ''}
+    </div>`;
+}
+
+function renderMirrorAwareness(layer3, t) {
+  if (!layer3?.dimensions) return '';
+
+  const maxPerDimension = 2;
+  const keys = layer3.labelKeys?.dimensions || {};
+
+  return `
+    <div class="section">
+      <div class="section-title">${t('report.sections.layer3')}</div>
+      <p class="muted" style="margin-bottom: 15px;"><strong>${t('report.mirrorAwareness.score', { score: layer3.totalScore, max: layer3.maxScore })}</strong></p>
+      <div class="dimension-list">
+        ${Object.entries(layer3.dimensions).map(([dimension, { score, label: dimensionLabel }]) => `
+        <div class="dimension-row">
+          <div class="dimension-name">${label(t, keys[dimension]?.dimension, dimension)}</div>
+          <div class="progress-bar"><div class="progress-fill" style="width: ${clampPercent((score / maxPerDimension) * 100)}%"></div></div>
+          <div class="dimension-label">${label(t, keys[dimension]?.label, dimensionLabel)}</div>
+        </div>`).join('')}
+      </div>
+    </div>`;
+}
+
+function renderLearningStyle(layer4, t) {
+  if (!layer4?.dominantModality) return '';
+
+  const dominant = layer4.dominantModality;
+  const description = t(`report.modalities.${dominant}`, {}, null);
+
+  return `
+    <div class="section">
+      <div class="section-title">${t('report.sections.layer4')}</div>
+      <h3 class="block-heading accent">${label(t, `layer4.modality.${dominant}`, dominant)}</h3>
+      ${description ? `<p class="muted">${description}</p>` : ''}
+      <div class="learning-grid">
+        ${MODALITIES.map(key => `
+        <div class="learning-box${key === dominant ? ' dominant' : ''}">
+          <h4>${t(`layer4.modality.${key}`)}</h4>
+          <p>${clampPercent(layer4.percentages?.[key])}%</p>
+        </div>`).join('')}
+      </div>
+    </div>`;
+}
+
+function renderNeuroPerformance(layer5, t) {
+  if (!layer5?.profile) return '';
+
+  const answered = Object.entries(layer5.profile).filter(([, answer]) => answer);
+  if (answered.length === 0) return '';
+
+  const keys = layer5.labelKeys?.profile || {};
+
+  return `
+    <div class="section">
+      <div class="section-title">${t('report.sections.layer5')}</div>
+      <div class="trait-grid">
+        ${answered.map(([dimension, answer]) => `
+        <div class="trait-box">
+          <h4>${label(t, keys[dimension]?.dimension, dimension)}</h4>
+          <div class="label">${label(t, keys[dimension]?.answer, answer)}</div>
+        </div>`).join('')}
+      </div>
+      <p class="footnote">
+        ${t('report.neuro.disclaimer')}
+      </p>
+    </div>`;
+}
+
+function renderMindset(layer6, t) {
+  if (!layer6?.mindset) return '';
+
+  const { mindset, personality = {} } = layer6;
+  const keys = layer6.labelKeys || { mindset: {}, personality: {} };
+
+  const traits = [
+    { heading: 'mindsetHeading', field: 'growthFixed' },
+    { heading: 'outlookHeading', field: 'abundanceScarcity' },
+    { heading: 'riskHeading', field: 'challengeComfort' }
+  ].filter(trait => mindset[trait.field]);
+
+  const describe = (field) => {
+    // Description keyed by the label key's last part (growth, fixed...) or the English label
+    const key = keys.mindset?.[field]?.split('.').pop() || String(mindset[field]).toLowerCase();
+    return t(`report.mindset.descriptions.${key}`, {}, null);
+  };
+
+  return `
+    <div class="section">
+      <div class="section-title">${t('report.sections.layer6')}</div>
+      <div class="trait-grid">
+        ${traits.map(trait => `
+        <div class="trait-box">
+          <h4>${t(`report.mindset.${trait.heading}`)}</h4>
+          <div class="label">${label(t, keys.mindset?.[trait.field], mindset[trait.field])}</div>
+          ${describe(trait.field) ? `<p>${describe(trait.field)}</p>` : ''}
+        </div>`).join('')}
+      </div>
+      ${personality.coreType || personality.communicationStyle ? `
+      <div class="subtype-grid">
+        ${personality.coreType ? `<div class="subtype-box"><h4>${t('report.mindset.personalityHeading')}</h4><p>${label(t, keys.personality?.coreType, personality.coreType)}</p></div>` : ''}
+        ${personality.communicationStyle ? `<div class="subtype-box"><h4>${t('report.mindset.communicationHeading')}</h4><p>${label(t, keys.personality?.communicationStyle, personality.communicationStyle)}</p></div>` : ''}
+      </div>` : ''}
+    </div>`;
+}
+
+function renderBeliefs(layer7, t) {
+  if (!layer7?.beliefs) return '';
+
+  const beliefs = Object.entries(layer7.beliefs).filter(([, belief]) => belief);
+  if (beliefs.length === 0) return '';
+
+  const keys = layer7.labelKeys?.beliefs || {};
+
+  return `
+    <div class="section">
+      <div class="section-title">${t('report.sections.layer7')}</div>
+      <div class="trait-grid">
+        ${beliefs.map(([dimension, belief]) => `
+        <div class="trait-box">
+          <h4>${label(t, keys[dimension]?.dimension, dimension)}</h4>
+          <div class="label">${label(t, keys[dimension]?.label, belief)}</div>
+        </div>`).join('')}
+      </div>
+    </div>`;
+}
+
+/**
+ * Coaching content for the paid report - focus areas for the core type and
+ * the next step for the subtype
+ */
+function renderCoaching(coreType, subtype, layer2, t) {
+  const subtypeKey = (layer2?.labelKeys?.subtype || '').split('.').pop() || String(subtype).toLowerCase();
+  const subtypeCoaching = t(`report.coaching.subtypes.${subtypeKey}`, {}, null);
+  const focusAreas = t(`report.coaching.coreTypes.${coreType}.focus`).split('|');
+
+  return `
+    <div class="section">
+      <div class="section-title">${t('report.sections.coaching')}</div>
+      <p class="muted" style="margin-bottom: 20px;">${t('report.coaching.intro')}</p>
+      <h3 class="block-heading accent">${t('report.coaching.focusHeading')}</h3>
+      <div class="subtype-grid">
+        ${focusAreas.map(focus => `
+        <div class="subtype-box">
+          <p>${focus}</p>
+        </div>`).join('')}
+      </div>
+      ${subtypeCoaching ? `
+      <h3 class="block-heading accent" style="margin-top: 25px;">${t('report.coaching.nextStepHeading')}</h3>
+      <p class="muted">${subtypeCoaching}</p>` : ''}
+    </div>`;
+}
+
+/**
+ * Callout at the end of the free summary pointing to the full report
+ */
+function renderUpgrade(t) {
+  return `
+    <div class="section">
+      <div class="section-title">${t('report.upgrade.heading')}</div>
+      <p class="muted">${t('report.upgrade.body')}</p>
+    </div>`;
 }
 
 /**
  * Create FULL HTML for complete E-DNA Results Page
- * This matches the EDNAResultsPage component
+ * Accepts calculateAllResults output (layer1-layer7) merged with the summary
+ * fields (core_type, subtype) and any frontend metrics; missing layers are skipped.
+ * Text is rendered in results.locale (falling back to English).
+ * The summary tier renders Layers 1-2 only; the full tier adds Layers 3-7,
+ * the headline metrics and coaching content.
+ * @param {object} options - { tier } 'full' (default) or 'summary'
  */
-function createFullResultsHTML(results) {
-  const {
-    core_type = 'architect',
-    subtype = 'Custom Profile',
-    decision_mastery = 0,
-    core_level = 0,
-    mirror_awareness = 0,
-    integration_level = 0,
-    name = 'User'
-  } = results;
+export function createFullResultsHTML(results, { tier } = {}) {
+  const t = createTranslator(results.locale);
+  const reportTier = getReportTier(tier);
+  const includes = layer => reportTier.layers.includes(layer);
+  const coreType = resolveCoreType(results);
+  const subtype = results.subtype || results.layer2?.subtype || t('report.defaultSubtype');
+  const name = results.name || t('report.defaultName');
+  const { fontFaces, logo } = getEmbeddedAssets();
 
   // Color schemes
   const colors = {
@@ -77,20 +435,22 @@ function createFullResultsHTML(results) {
     }
   };
 
-  const colorScheme = colors[core_type] || colors.architect;
+  const colorScheme = colors[coreType];
 
   return `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${t.locale}">
 <head>
   <meta charset="UTF-8">
-  <title>E-DNA Complete Results - ${subtype}</title>
+  <title>${t('report.documentTitle', { subtype: escapeHtml(subtype) })}</title>
   <style>
+    ${fontFaces}
+
     * { margin: 0; padding: 0; box-sizing: border-box; }
-    body { 
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
-      line-height: 1.6; 
-      color: #1f2937; 
+    body {
+      font-family: 'Open Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      line-height: 1.6;
+      color: #1f2937;
       background: #ffffff;
     }
     .page {
@@ -98,7 +458,26 @@ function createFullResultsHTML(results) {
       max-width: 800px;
       margin: 0 auto;
     }
-    
+    .muted {
+      font-size: 13px;
+      color: #6b7280;
+    }
+    .footnote {
+      margin-top: 15px;
+      font-size: 12px;
+      color: #9ca3af;
+      font-style: italic;
+    }
+    .block-heading {
+      font-size: 18px;
+      font-weight: 700;
+      margin-bottom: 15px;
+    }
+    .accent {
+      color: ${colorScheme.primary};
+      margin-bottom: 10px;
+    }
+
     /* Header */
     .header {
       text-align: center;
@@ -108,6 +487,11 @@ function createFullResultsHTML(results) {
       color: white;
       border-radius: 16px;
     }
+    .header .logo {
+      width: 56px;
+      height: 56px;
+      margin-bottom: 15px;
+    }
     .header h1 {
       font-size: 48px;
       font-weight: 800;
@@ -118,7 +502,7 @@ function createFullResultsHTML(results) {
       opacity: 0.95;
       margin-top: 10px;
     }
-    
+
     /* Progress Bars */
     .progress-section {
       margin: 30px 0;
@@ -152,7 +536,7 @@ function createFullResultsHTML(results) {
       background: ${colorScheme.gradient};
       border-radius: 4px;
     }
-    
+
     /* Sections */
     .section {
       background: white;
@@ -171,12 +555,7 @@ function createFullResultsHTML(results) {
       margin: -30px -30px 25px -30px;
       border-radius: 10px 10px 0 0;
     }
-    .section-content {
-      font-size: 14px;
-      line-height: 1.8;
-      color: #374151;
-    }
-    
+
     /* Core Identity */
     .core-identity {
       display: grid;
@@ -198,6 +577,7 @@ function createFullResultsHTML(results) {
     .decision-steps {
       display: flex;
       align-items: center;
+      flex-wrap: wrap;
       gap: 10px;
       margin: 15px 0;
     }
@@ -213,13 +593,12 @@ function createFullResultsHTML(results) {
       color: #9ca3af;
       font-size: 18px;
     }
-    
+
     /* Mirror Pair */
     .mirror-grid {
       display: grid;
-      grid-template-columns: 1fr 1fr;
-      gap: 20px;
-      margin-top: 20px;
+      grid-template-columns: 1fr;
+      gap: 15px;
     }
     .mirror-box {
       padding: 15px;
@@ -237,7 +616,24 @@ function createFullResultsHTML(results) {
       line-height: 1.6;
       color: #6b7280;
     }
-    
+    .dimension-row {
+      display: grid;
+      grid-template-columns: 200px 1fr 100px;
+      align-items: center;
+      gap: 15px;
+      margin-bottom: 12px;
+    }
+    .dimension-name {
+      font-size: 13px;
+      font-weight: 600;
+    }
+    .dimension-label {
+      font-size: 12px;
+      font-weight: 600;
+      color: ${colorScheme.primary};
+      text-align: right;
+    }
+
     /* Subtype Identity */
     .subtype-grid {
       display: grid;
@@ -267,11 +663,11 @@ function createFullResultsHTML(results) {
     .risk {
       color: #dc2626;
     }
-    
+
     /* Learning Styles */
     .learning-grid {
       display: grid;
-      grid-template-columns: repeat(3, 1fr);
+      grid-template-columns: repeat(4, 1fr);
       gap: 15px;
       margin-top: 20px;
     }
@@ -281,6 +677,9 @@ function createFullResultsHTML(results) {
       border: 2px solid #e5e7eb;
       border-radius: 8px;
     }
+    .learning-box.dominant {
+      border-color: ${colorScheme.primary};
+    }
     .learning-box h4 {
       font-size: 12px;
       color: #6b7280;
@@ -292,7 +691,7 @@ function createFullResultsHTML(results) {
       font-weight: 700;
       color: ${colorScheme.primary};
     }
-    
+
     /* Personality Traits */
     .trait-grid {
       display: grid;
@@ -323,7 +722,7 @@ function createFullResultsHTML(results) {
       margin-top: 8px;
       line-height: 1.4;
     }
-    
+
     /* Footer */
     .footer {
       text-align: center;
@@ -341,180 +740,31 @@ function createFullResultsHTML(results) {
   <div class="page">
     <!-- Header -->
     <div class="header">
-      <h1>The ${core_type.charAt(0).toUpperCase() + core_type.slice(1)}</h1>
-      <div class="subtype">${subtype}</div>
+      <img class="logo" src="${logo}" alt="E-DNA">
+      <h1>${t(`report.coreTypes.${coreType}.title`)}</h1>
+      <div class="subtype">${label(t, results.layer2?.labelKeys?.subtype, subtype)}</div>
       <p style="margin-top: 15px; font-size: 16px; opacity: 0.9;">
-        You're someone who understands people and situations on a deep, emotional level.
+        ${t('report.personalisedFor', { name: escapeHtml(name) })}
       </p>
+      <p style="margin-top: 5px; font-size: 14px; opacity: 0.85;">${t(`report.coreTypes.${coreType}.tagline`)}</p>
     </div>
 
-    <!-- Progress Bars -->
-    <div class="progress-section">
-      <div class="progress-item">
-        <div class="progress-label">Decision Mastery</div>
-        <div class="progress-value">${decision_mastery}%</div>
-        <div class="progress-bar">
-          <div class="progress-fill" style="width: ${decision_mastery}%"></div>
-        </div>
-      </div>
-      <div class="progress-item">
-        <div class="progress-label">Core Level</div>
-        <div class="progress-value">${core_level}%</div>
-        <div class="progress-bar">
-          <div class="progress-fill" style="width: ${core_level}%"></div>
-        </div>
-      </div>
-      <div class="progress-item">
-        <div class="progress-label">Mirror Pair Awareness</div>
-        <div class="progress-value">${mirror_awareness}%</div>
-        <div class="progress-bar">
-          <div class="progress-fill" style="width: ${mirror_awareness}%"></div>
-        </div>
-      </div>
-      <div class="progress-item">
-        <div class="progress-label">Integration</div>
-        <div class="progress-value">${integration_level}%</div>
-        <div class="progress-bar">
-          <div class="progress-fill" style="width: ${integration_level}%"></div>
-        </div>
-      </div>
-    </div>
-
-    <!-- Core Identity -->
-    <div class="section">
-      <div class="section-title">Core Identity</div>
-      <div class="core-identity">
-        <div>
-          <h3 style="font-size: 18px; font-weight: 700; margin-bottom: 15px;">${core_type.charAt(0).toUpperCase() + core_type.slice(1)}</h3>
-          <div class="decision-loop">
-            <h3>Default Decision Loop</h3>
-            <div class="decision-steps">
-              <div class="decision-step">${core_type === 'architect' ? 'Logic' : 'Emotion'}</div>
-              <span class="arrow">→</span>
-              <div class="decision-step">${core_type === 'architect' ? 'Emotion' : 'Logic'}</div>
-              <span class="arrow">→</span>
-              <div class="decision-step">${core_type === 'architect' ? 'Logic' : 'Emotion'}</div>
-            </div>
-            <p style="margin-top: 15px; font-size: 13px; color: #6b7280;">
-              ${core_type === 'architect' ? 'Logic overrides and validates your decisions.' : 'Emotion overrides and validates your decisions.'}
-            </p>
-          </div>
-        </div>
-        <div>
-          <h3 style="font-size: 18px; font-weight: 700; margin-bottom: 15px;">Mirror Pair Awareness</h3>
-          <div class="mirror-grid">
-            <div class="mirror-box">
-              <h4>Where You Struggle</h4>
-              <p>You prioritize feelings and how you can struggle with structure, boundaries, and timelines.</p>
-            </div>
-            <div class="mirror-box">
-              <h4>Where They Struggle</h4>
-              <p>They value efficiency and structure but may overlook empathy and emotional needs.</p>
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
-
-    <!-- Subtype Identity -->
-    <div class="section">
-      <div class="section-title">Subtype Identity</div>
-      <h3 style="font-size: 18px; font-weight: 700; margin-bottom: 10px; color: ${colorScheme.primary};">${subtype}</h3>
-      <p style="margin-bottom: 20px; color: #6b7280;">
-        You intuitively sense emotions and connections before they're spoken or seen.
-      </p>
-      <div class="subtype-grid">
-        <div class="subtype-box">
-          <h4 class="strength">✓ Strengths</h4>
-          <p>You sense hidden emotions, create connection, and bring calm to any situation.</p>
-        </div>
-        <div class="subtype-box">
-          <h4 class="risk">⚠ Risks and Blind Spots</h4>
-          <p>You sometimes absorb others' emotions and avoid conflict, losing your own clarity.</p>
-        </div>
-      </div>
-    </div>
-
-    <!-- Learning Style Preferences -->
-    <div class="section">
-      <div class="section-title">Learning Style Preferences</div>
-      <div class="learning-grid">
-        <div class="learning-box">
-          <h4>Modality Preference</h4>
-          <p>Visual</p>
-        </div>
-        <div class="learning-box">
-          <h4>Approach</h4>
-          <p>Sequential</p>
-        </div>
-        <div class="learning-box">
-          <h4>Concept Processing</h4>
-          <p>Abstract</p>
-        </div>
-        <div class="learning-box">
-          <h4>Working Environment</h4>
-          <p>Individual</p>
-        </div>
-        <div class="learning-box">
-          <h4>Pace</h4>
-          <p>Flexible</p>
-        </div>
-      </div>
-    </div>
-
-    <!-- Neurodiversity -->
-    <div class="section">
-      <div class="section-title">Neurodiversity</div>
-      <h3 style="font-size: 18px; font-weight: 700; margin-bottom: 10px;">Neurodivergent</h3>
-      <p style="color: #6b7280; line-height: 1.8;">
-        You may prefer short, engaging bursts of activity and sometimes struggle with sustained focus or time management. 
-        If flagged, this could suggest probable signs of ADHD-related patterns in how you focus, shift attention, or need stimulation.
-      </p>
-      <p style="margin-top: 15px; font-size: 12px; color: #9ca3af; font-style: italic;">
-        *This is just a screening test to better understand possible neurodivergent traits*
-      </p>
-    </div>
-
-    <!-- Mindset and Personality -->
-    <div class="section">
-      <div class="section-title">Mindset and Personality</div>
-      <div class="trait-grid">
-        <div class="trait-box">
-          <h4>Mindset</h4>
-          <div class="label">Growth Mindset</div>
-          <p>You view challenges as opportunities to grow and treat setbacks as lessons.</p>
-        </div>
-        <div class="trait-box">
-          <h4>Risk Tolerance</h4>
-          <div class="label">Moderate Risk Tolerance</div>
-          <p>You move thoughtfully, testing and learning before fully committing.</p>
-        </div>
-        <div class="trait-box">
-          <h4>Extraversion</h4>
-          <div class="label">Ambivert (Balanced)</div>
-          <p>You adapt easily, working well both collaboratively and independently.</p>
-        </div>
-      </div>
-    </div>
-
-    <!-- Meta-Beliefs and Values -->
-    <div class="section">
-      <div class="section-title">Meta-Beliefs and Values</div>
-      <h3 style="font-size: 18px; font-weight: 700; margin-bottom: 10px; color: ${colorScheme.primary};">
-        Mission-Driven and Profit-Focused
-      </h3>
-      <p style="color: #6b7280; line-height: 1.8;">
-        You're guided by purpose, driven to create meaningful impact. You prioritize results, 
-        turning strategy and effort into tangible success.
-      </p>
-    </div>
+    ${reportTier.metrics ? renderMetrics(buildMetrics(results, t)) : ''}
+    ${includes(1) ? renderCoreIdentity(coreType, results.layer1, t) : ''}
+    ${includes(2) ? renderSubtype(subtype, results.layer2, t) : ''}
+    ${includes(3) ? renderMirrorAwareness(results.layer3, t) : ''}
+    ${includes(4) ? renderLearningStyle(results.layer4, t) : ''}
+    ${includes(5) ? renderNeuroPerformance(results.layer5, t) : ''}
+    ${includes(6) ? renderMindset(results.layer6, t) : ''}
+    ${includes(7) ? renderBeliefs(results.layer7, t) : ''}
+    ${reportTier.coaching ? renderCoaching(coreType, subtype, results.layer2, t) : renderUpgrade(t)}
 
     <!-- Footer -->
     <div class="footer">
-      <p style="font-weight: 700; font-size: 16px; color: #1f2937; margin-bottom: 5px;">Brandscaling</p>
-      <p>Entrepreneurial DNA Assessment</p>
+      <p style="font-weight: 700; font-size: 16px; color: #1f2937; margin-bottom: 5px;">${t('report.footer.company')}</p>
+      <p>${t('report.footer.product')}</p>
       <p style="margin-top: 15px; font-size: 12px; color: #9ca3af;">
-        © ${new Date().getFullYear()} Brandscaling. All rights reserved.
+        ${t('report.footer.copyright', { year: new Date().getFullYear() })}
       </p>
     </div>
   </div>
@@ -523,5 +773,4 @@ function createFullResultsHTML(results) {
   `;
 }
 
-export default { generateFullResultsPDF };
-
+export default { generateFullResultsPDF, createFullResultsHTML };
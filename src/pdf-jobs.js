@@ -0,0 +1,307 @@
+/**
+ * PDF Job Queue & Worker
+ * Background PDF generation backed by the pdf_jobs table, so a restart or a
+ * Puppeteer crash never loses a job. Each job runs four retryable steps:
+ * render -> upload -> token -> notify. A failed step is retried with
+ * exponential backoff; after max attempts the job is dead-lettered (failed).
+ * Jobs render one report tier (summary or full, see report-tiers.js).
+ */
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { v4 as uuidv4 } from 'uuid';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { uploadPDFToS3 } from './s3.js';
+import { notifyGhlWithDownloadLink } from './ghl.js';
+import { renderResultsPDF } from './pdf-render.js';
+import {
+  enqueuePdfJob,
+  claimPdfJobs,
+  advancePdfJob,
+  recordPdfJobFailure,
+  requeueStalePdfJobs,
+  createDownloadToken,
+  updateQuizResultPdfStatus
+} from './postgres-db.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const tempDir = path.join(__dirname, '../temp');
+
+// Worker configuration
+const CONCURRENCY = parseInt(process.env.PDF_WORKER_CONCURRENCY || '2'); // Max PDFs rendering at once
+const POLL_INTERVAL_MS = parseInt(process.env.PDF_WORKER_POLL_MS || '5000');
+const MAX_ATTEMPTS = parseInt(process.env.PDF_JOB_MAX_ATTEMPTS || '5');
+const BACKOFF_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m...
+const BACKOFF_MAX_MS = 30 * 60 * 1000; // capped at 30 minutes
+const STALE_AFTER_MINUTES = 15; // Running longer than this = worker died
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+const DOWNLOAD_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const DOWNLOAD_TOKEN_MAX_USES = parseInt(process.env.DOWNLOAD_TOKEN_MAX_USES || '0') || null; // unset = unlimited
+
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+let pollTimer = null;
+let polling = false;
+let activeJobs = 0;
+let lastStaleCheck = 0;
+
+/**
+ * Delay before the next attempt of a failed step
+ * @param {number} attempts - Attempts made so far (including the one that just failed)
+ */
+export function getRetryDelayMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+// Steps that produce the PDF itself; their failures are reflected in the result's pdf_status
+const PDF_STEPS = ['render', 'upload'];
+
+/**
+ * Job steps - each returns the data to merge into step_data and the next step
+ */
+const STEPS = {
+  async render(job, data) {
+    await updateQuizResultPdfStatus(job.quiz_result_id, { status: 'rendering' });
+
+    // Separate S3 objects per tier, so the summary never overwrites the full report
+    const pdfFileName = job.tier === 'summary'
+      ? `edna-summary-${job.quiz_result_id}.pdf`
+      : `edna-results-${job.quiz_result_id}.pdf`;
+    const pdfPath = path.join(tempDir, pdfFileName);
+
+    const pdfResult = await renderResultsPDF({ ...job.payload, name: job.name }, pdfPath, { tier: job.tier });
+
+    if (!pdfResult.success) {
+      throw new Error(`PDF generation failed: ${pdfResult.error}`);
+    }
+
+    return { next: 'upload', data: { ...data, pdfFileName, pdfPath, renderer: pdfResult.renderer } };
+  },
+
+  async upload(job, data) {
+    // The temp file is gone if the process restarted since rendering
+    if (!data.pdfPath || !fs.existsSync(data.pdfPath)) {
+      console.warn(`⚠️ Rendered PDF missing for job ${job.id} - rendering again`);
+      return { next: 'render', data };
+    }
+
+    const s3Result = await uploadPDFToS3(data.pdfPath, data.pdfFileName);
+
+    if (!s3Result.success) {
+      throw new Error(`S3 upload failed: ${s3Result.error}`);
+    }
+
+    fs.unlinkSync(data.pdfPath);
+    console.log('🗑️ Temp PDF file deleted');
+
+    // Persist the S3 location so /download and the dashboard can use it
+    await updateQuizResultPdfStatus(job.quiz_result_id, {
+      status: 'uploaded',
+      s3Key: s3Result.key,
+      pdfUrl: s3Result.url,
+      tier: job.tier
+    });
+
+    return { next: 'token', data: { ...data, pdfPath: null, s3Key: s3Result.key, s3Url: s3Result.url } };
+  },
+
+  async token(job, data) {
+    const link = await issueDownloadLink(job.quiz_result_id, job.tier);
+
+    if (!link.success) {
+      throw new Error(`Token creation failed: ${link.error}`);
+    }
+
+    return { next: 'notify', data: { ...data, token: link.token, downloadUrl: link.downloadUrl } };
+  },
+
+  async notify(job, data) {
+    const ghlResult = await notifyGhlWithDownloadLink({
+      email: job.email,
+      name: job.name,
+      downloadLink: data.downloadUrl,
+      ednaType: job.payload.subtype || 'Unknown',
+      coreType: job.payload.core_type || 'Unknown',
+      locale: job.payload.locale,
+      reportTier: job.tier
+    });
+
+    if (!ghlResult.success) {
+      throw new Error(`GHL notification failed: ${ghlResult.error}`);
+    }
+
+    return { next: 'done', data: { ...data, notifiedAt: new Date().toISOString() } };
+  }
+};
+
+/**
+ * Create a download token for a result and build its public /download link
+ * Tokens last 7 days; DOWNLOAD_TOKEN_MAX_USES limits how often each can be used
+ * @param {string} tier - Report tier the link downloads ('full' or 'summary')
+ * @returns {Promise<object>} { success, token, downloadUrl, expiresAt, maxUses, error }
+ */
+export async function issueDownloadLink(quizResultId, tier = 'full') {
+  const token = uuidv4();
+  const expiresAt = new Date(Date.now() + DOWNLOAD_TOKEN_TTL_MS);
+  const tokenResult = await createDownloadToken(token, quizResultId, expiresAt, tier, { maxUses: DOWNLOAD_TOKEN_MAX_USES });
+
+  if (!tokenResult.success) {
+    return { success: false, error: tokenResult.error };
+  }
+
+  const publicBaseUrl = process.env.PUBLIC_BACKEND_BASE_URL || 'https://ry93w5zzjy.us-east-1.awsapprunner.com';
+  const downloadUrl = `${publicBaseUrl}/download?token=${token}`;
+
+  return { success: true, token, downloadUrl, expiresAt, maxUses: DOWNLOAD_TOKEN_MAX_USES };
+}
+
+/**
+ * Queue PDF generation, S3 upload, token creation and GHL notification for a result
+ * @param {object} options - { tier } report tier to render ('full' or 'summary')
+ * @returns {Promise<object>} { success, jobId, error }
+ */
+export async function queuePdfGeneration(email, name, results, resultId, { tier = 'full' } = {}) {
+  // Mark as queued first so a worker can never be overtaken by this update
+  await updateQuizResultPdfStatus(resultId, { status: 'queued' });
+
+  const jobId = uuidv4();
+  const queued = await enqueuePdfJob({
+    id: jobId,
+    quizResultId: resultId,
+    email,
+    name,
+    payload: results,
+    tier,
+    maxAttempts: MAX_ATTEMPTS
+  });
+
+  if (!queued.success) {
+    await updateQuizResultPdfStatus(resultId, { status: 'failed', error: `queue: ${queued.error}` });
+    return { success: false, error: queued.error };
+  }
+
+  // Pick the job up straight away if the worker has capacity
+  if (pollTimer) {
+    setImmediate(pollPdfJobs);
+  }
+
+  return { success: true, jobId };
+}
+
+/**
+ * Run a claimed job from its current step until it finishes or a step fails
+ */
+async function runPdfJob(job) {
+  let step = job.step;
+  let data = job.step_data || {};
+
+  console.log(`\n🎨 Running PDF job ${job.id} for ${job.email} (step: ${step})...`);
+
+  while (step !== 'done') {
+    try {
+      const outcome = await STEPS[step](job, data);
+      const advanced = await advancePdfJob(job.id, outcome.next, outcome.data);
+
+      if (!advanced.success) {
+        // Leave it running; the stale check re-queues it
+        console.error(`❌ Could not record progress for PDF job ${job.id}:`, advanced.error);
+        return;
+      }
+
+      console.log(`   ✓ ${step} complete`);
+      step = outcome.next;
+      data = outcome.data;
+
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      const exhausted = attempts >= job.max_attempts;
+      const retryAt = exhausted ? null : new Date(Date.now() + getRetryDelayMs(attempts));
+
+      await recordPdfJobFailure(job.id, error.message, retryAt, data);
+
+      // Once uploaded the PDF is downloadable, so token and notify failures stay on the job
+      if (PDF_STEPS.includes(step)) {
+        await updateQuizResultPdfStatus(job.quiz_result_id, {
+          status: exhausted ? 'failed' : null,
+          error: `${step}: ${error.message}`
+        });
+      }
+
+      if (exhausted) {
+        console.error(`❌ PDF job ${job.id} dead-lettered at step "${step}" after ${attempts} attempt(s):`, error.message);
+      } else {
+        console.warn(`⚠️ PDF job ${job.id} step "${step}" failed (attempt ${attempts}/${job.max_attempts}), retrying at ${retryAt.toISOString()}:`, error.message);
+      }
+      return;
+    }
+
+    // Attempts count per step
+    job.attempts = 0;
+  }
+
+  console.log(`✅ PDF job ${job.id} complete for ${job.email}`);
+}
+
+/**
+ * Claim as many due jobs as there is free capacity for and run them
+ */
+async function pollPdfJobs() {
+  if (polling) return;
+  polling = true;
+
+  try {
+    if (Date.now() - lastStaleCheck > STALE_CHECK_INTERVAL_MS) {
+      lastStaleCheck = Date.now();
+      await requeueStalePdfJobs(STALE_AFTER_MINUTES);
+    }
+
+    const capacity = CONCURRENCY - activeJobs;
+    if (capacity <= 0) return;
+
+    const claimed = await claimPdfJobs(WORKER_ID, capacity);
+    if (!claimed.success) return;
+
+    for (const job of claimed.data) {
+      activeJobs++;
+      runPdfJob(job)
+        .catch(error => console.error(`❌ PDF job ${job.id} crashed:`, error))
+        .finally(() => {
+          activeJobs--;
+        });
+    }
+  } catch (error) {
+    console.error('❌ PDF worker poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start the in-process PDF worker loop
+ */
+export function startPdfWorker() {
+  if (pollTimer) return;
+
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+
+  console.log(`👷 PDF worker started (${WORKER_ID}, concurrency ${CONCURRENCY})`);
+  pollTimer = setInterval(pollPdfJobs, POLL_INTERVAL_MS);
+  pollPdfJobs();
+}
+
+/**
+ * Stop polling for new jobs (jobs already running are allowed to finish)
+ */
+export function stopPdfWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    console.log('👷 PDF worker stopped');
+  }
+}
@@ -0,0 +1,413 @@
+/**
+ * Progress Report PDF
+ * Renders a compareAttempts() result (compare.js) as a before/after report.
+ * Uses the same fonts, logo and translator as the results report (pdf-full.js);
+ * tiers limit the layers shown in the same way.
+ */
+import { withPage } from './browser-pool.js';
+import { createTranslator } from './locales/index.js';
+import { getReportTier } from './report-tiers.js';
+import { getEmbeddedAssets, escapeHtml } from './pdf-full.js';
+
+const MODALITIES = ['visual', 'auditory', 'readWrite', 'kinesthetic'];
+
+// Layer 6 trait headings from the results report
+const LAYER6_HEADINGS = {
+  'mindset.growthFixed': 'report.mindset.mindsetHeading',
+  'mindset.abundanceScarcity': 'report.mindset.outlookHeading',
+  'mindset.challengeComfort': 'report.mindset.riskHeading',
+  'personality.coreType': 'report.mindset.personalityHeading',
+  'personality.communicationStyle': 'report.mindset.communicationHeading'
+};
+
+/**
+ * Generate the progress report PDF
+ * @param {object} comparison - compareAttempts() output
+ * @param {object} options - { name, locale, tier } tier limits the layers shown (see report-tiers.js)
+ */
+export async function generateProgressReportPDF(comparison, outputPath, options = {}) {
+  try {
+    const htmlContent = createProgressReportHTML(comparison, options);
+
+    await withPage(async (page) => {
+      await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+      await page.evaluate(() => document.fonts.ready);
+
+      await page.pdf({
+        path: outputPath,
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '10px', right: '10px', bottom: '10px', left: '10px' }
+      });
+    });
+
+    console.log('✅ Progress report PDF generated:', outputPath);
+    return { success: true, path: outputPath };
+
+  } catch (error) {
+    console.error('❌ Error generating progress report PDF:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+function label(t, key, englishLabel) {
+  return escapeHtml(englishLabel === null ? t('progress.notAnswered') : t(key, {}, englishLabel));
+}
+
+function formatDelta(t, value, suffix = '') {
+  if (value === null || value === undefined) return '';
+  if (value === 0) return `<span class="same">${t('progress.noChange')}</span>`;
+  return `<span class="${value > 0 ? 'up' : 'down'}">${value > 0 ? '+' : ''}${value}${suffix}</span>`;
+}
+
+function formatDate(value, locale) {
+  return new Date(value).toLocaleDateString(locale, { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+/**
+ * Before / after / change table
+ * @param {Array<{name, before, after, change}>} rows - cells as HTML
+ */
+function renderTable(t, rows) {
+  return `
+      <table class="compare-table">
+        <thead>
+          <tr><th></th><th>${t('progress.before')}</th><th>${t('progress.after')}</th><th>${t('progress.change')}</th></tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+          <tr${row.changed ? ' class="changed"' : ''}>
+            <td class="name">${row.name}</td><td>${row.before}</td><td>${row.after}</td><td>${row.change}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+}
+
+function renderSection(t, layer, body, note = '') {
+  return `
+    <div class="section">
+      <div class="section-title">${t(`report.sections.layer${layer}`)}</div>
+      ${body}
+      ${note ? `<p class="muted note">${note}</p>` : ''}
+    </div>`;
+}
+
+/**
+ * Rows for label changes; unchanged labels are only counted
+ */
+function renderLabelChanges(t, comparison, dimensionName, labelText) {
+  if (comparison.changes.length === 0) {
+    return `<p class="muted">${t('progress.noChange')}</p>`;
+  }
+
+  return renderTable(t, comparison.changes.map(change => ({
+    name: dimensionName(change),
+    before: labelText(change, 'before'),
+    after: labelText(change, 'after'),
+    change: '',
+    changed: true
+  })));
+}
+
+function renderLayer1(layer1, t) {
+  return renderSection(t, 1, renderTable(t, [
+    {
+      name: t('progress.type'),
+      before: label(t, layer1.labelKeys.before, layer1.type.before),
+      after: label(t, layer1.labelKeys.after, layer1.type.after),
+      change: layer1.type.changed ? '' : formatDelta(t, 0),
+      changed: layer1.type.changed
+    },
+    {
+      name: t('progress.architectAnswers'),
+      before: layer1.architectCount.before ?? '',
+      after: layer1.architectCount.after ?? '',
+      change: formatDelta(t, layer1.architectCount.delta)
+    },
+    {
+      name: t('progress.alchemistAnswers'),
+      before: layer1.alchemistCount.before ?? '',
+      after: layer1.alchemistCount.after ?? '',
+      change: formatDelta(t, layer1.alchemistCount.delta)
+    }
+  ]));
+}
+
+function renderLayer2(layer2, t) {
+  return renderSection(t, 2, renderTable(t, [{
+    name: t('progress.subtype'),
+    before: label(t, layer2.labelKeys.before, layer2.subtype.before),
+    after: label(t, layer2.labelKeys.after, layer2.subtype.after),
+    change: layer2.subtype.changed ? '' : formatDelta(t, 0),
+    changed: layer2.subtype.changed
+  }]));
+}
+
+function renderLayer3(layer3, t) {
+  const rows = layer3.dimensions.map(dimension => ({
+    name: label(t, dimension.dimensionKey, dimension.dimension),
+    before: dimension.before ? `${dimension.before.score} · ${label(t, dimension.before.labelKey, dimension.before.label)}` : '',
+    after: dimension.after ? `${dimension.after.score} · ${label(t, dimension.after.labelKey, dimension.after.label)}` : '',
+    change: formatDelta(t, dimension.delta),
+    changed: Boolean(dimension.delta)
+  }));
+
+  rows.push({
+    name: `<strong>${t('progress.totalScore')}</strong>`,
+    before: `${layer3.totalScore.before} / ${layer3.maxScore}`,
+    after: `${layer3.totalScore.after} / ${layer3.maxScore}`,
+    change: formatDelta(t, layer3.totalScore.delta)
+  });
+
+  return renderSection(t, 3, renderTable(t, rows));
+}
+
+function renderLayer4(layer4, t) {
+  const rows = MODALITIES.map(modality => {
+    const value = layer4.percentages[modality];
+    return {
+      name: t(`layer4.modality.${modality}`),
+      before: `${value.before}%`,
+      after: `${value.after}%`,
+      change: formatDelta(t, value.delta, '%'),
+      changed: value.delta !== 0
+    };
+  });
+
+  rows.push({
+    name: `<strong>${t('progress.dominantModality')}</strong>`,
+    before: label(t, `layer4.modality.${layer4.dominantModality.before}`, layer4.dominantModality.before),
+    after: label(t, `layer4.modality.${layer4.dominantModality.after}`, layer4.dominantModality.after),
+    change: layer4.dominantModality.changed ? '' : formatDelta(t, 0),
+    changed: layer4.dominantModality.changed
+  });
+
+  return renderSection(t, 4, renderTable(t, rows));
+}
+
+function renderLayer5(layer5, t) {
+  return renderSection(t, 5, renderLabelChanges(t, layer5,
+    change => label(t, change.dimensionKey, change.dimension),
+    (change, side) => label(t, change.labelKeys[side], change[side])
+  ), layer5.changes.length > 0 ? t('progress.unchanged', { count: layer5.unchanged }) : '');
+}
+
+function renderLayer6(layer6, t) {
+  return renderSection(t, 6, renderLabelChanges(t, layer6,
+    change => escapeHtml(t(LAYER6_HEADINGS[change.trait], {}, change.trait)),
+    (change, side) => label(t, change.labelKeys[side], change[side])
+  ), layer6.changes.length > 0 ? t('progress.unchanged', { count: layer6.unchanged }) : '');
+}
+
+function renderLayer7(layer7, t) {
+  return renderSection(t, 7, renderLabelChanges(t, layer7,
+    change => label(t, change.dimensionKey, change.dimension),
+    (change, side) => label(t, change.labelKeys[side], change[side])
+  ), layer7.changes.length > 0 ? t('progress.unchanged', { count: layer7.unchanged }) : '');
+}
+
+const LAYER_RENDERERS = {
+  1: renderLayer1,
+  2: renderLayer2,
+  3: renderLayer3,
+  4: renderLayer4,
+  5: renderLayer5,
+  6: renderLayer6,
+  7: renderLayer7
+};
+
+/**
+ * Create the progress report HTML
+ * Layers missing from either attempt, or not in the tier, are skipped.
+ * @param {object} comparison - compareAttempts() output
+ * @param {object} options - { name, locale, tier } 'full' (default) or 'summary'
+ */
+export function createProgressReportHTML(comparison, { name, locale, tier } = {}) {
+  const t = createTranslator(locale);
+  const reportTier = getReportTier(tier);
+  const displayName = escapeHtml(name || t('report.defaultName'));
+  const { fontFaces, logo } = getEmbeddedAssets();
+
+  const layers = reportTier.layers.filter(layer => comparison.layers[`layer${layer}`]);
+  const changed = comparison.changedLayers.filter(layer => layers.includes(layer));
+  const { from, to } = comparison;
+
+  return `
+<!DOCTYPE html>
+<html lang="${t.locale}">
+<head>
+  <meta charset="UTF-8">
+  <title>${t('progress.documentTitle', { name: displayName })}</title>
+  <style>
+    ${fontFaces}
+
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: 'Open Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      line-height: 1.6;
+      color: #1f2937;
+      background: #ffffff;
+    }
+    .page {
+      padding: 30px;
+      max-width: 800px;
+      margin: 0 auto;
+    }
+    .muted {
+      font-size: 13px;
+      color: #6b7280;
+    }
+    .note {
+      margin-top: 12px;
+    }
+
+    /* Header */
+    .header {
+      text-align: center;
+      margin-bottom: 30px;
+      padding: 35px 20px;
+      background: linear-gradient(135deg, #7c3aed 0%, #f97316 100%);
+      color: white;
+      border-radius: 16px;
+    }
+    .header .logo {
+      width: 56px;
+      height: 56px;
+      margin-bottom: 15px;
+    }
+    .header h1 {
+      font-size: 34px;
+      font-weight: 800;
+      margin-bottom: 10px;
+    }
+    .header p {
+      font-size: 15px;
+      opacity: 0.9;
+    }
+
+    /* Summary */
+    .summary {
+      background: #f9fafb;
+      border-left: 4px solid #7c3aed;
+      border-radius: 8px;
+      padding: 15px 20px;
+      margin-bottom: 25px;
+      font-size: 14px;
+    }
+    .summary p + p {
+      margin-top: 8px;
+    }
+
+    /* Sections */
+    .section {
+      background: white;
+      border: 2px solid #e5e7eb;
+      border-radius: 12px;
+      padding: 30px;
+      margin-bottom: 25px;
+      page-break-inside: avoid;
+    }
+    .section-title {
+      font-size: 20px;
+      font-weight: 700;
+      color: white;
+      background: #7c3aed;
+      padding: 12px 20px;
+      margin: -30px -30px 20px -30px;
+      border-radius: 10px 10px 0 0;
+    }
+
+    /* Before / after tables */
+    .compare-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+    }
+    .compare-table th {
+      text-align: left;
+      font-size: 12px;
+      color: #6b7280;
+      font-weight: 600;
+      padding: 6px 8px;
+      border-bottom: 2px solid #e5e7eb;
+    }
+    .compare-table td {
+      padding: 8px;
+      border-bottom: 1px solid #f3f4f6;
+    }
+    .compare-table td.name {
+      font-weight: 600;
+      width: 35%;
+    }
+    .compare-table tr.changed td {
+      background: #faf5ff;
+    }
+    .up {
+      color: #059669;
+      font-weight: 700;
+    }
+    .down {
+      color: #dc2626;
+      font-weight: 700;
+    }
+    .same {
+      color: #9ca3af;
+    }
+
+    /* Footer */
+    .footer {
+      text-align: center;
+      margin-top: 40px;
+      padding: 30px;
+      border-top: 2px solid #e5e7eb;
+    }
+    .footer p {
+      color: #6b7280;
+      font-size: 14px;
+    }
+  </style>
+</head>
+<body>
+  <div class="page">
+    <!-- Header -->
+    <div class="header">
+      <img class="logo" src="${logo}" alt="E-DNA">
+      <h1>${t('progress.heading')}</h1>
+      <p>${t('progress.personalisedFor', { name: displayName })}</p>
+      <p style="margin-top: 5px; font-size: 13px;">
+        ${t('progress.period', { from: formatDate(from.createdAt, t.locale), to: formatDate(to.createdAt, t.locale), days: comparison.daysBetween })}
+      </p>
+    </div>
+
+    <div class="summary">
+      <p>${changed.length > 0
+        ? t('progress.changedLayers', { layers: changed.map(layer => t(`report.sections.layer${layer}`)).join(', ') })
+        : t('progress.nothingChanged')}</p>
+      ${comparison.sameDefinition ? '' : `<p class="muted">${t('progress.differentDefinitions', {
+        from: escapeHtml(from.definitionVersion || '?'),
+        to: escapeHtml(to.definitionVersion || '?')
+      })}</p>`}
+    </div>
+
+    ${layers.map(layer => LAYER_RENDERERS[layer](comparison.layers[`layer${layer}`], t)).join('')}
+    ${reportTier.coaching ? '' : `
+    <div class="section">
+      <div class="section-title">${t('report.upgrade.heading')}</div>
+      <p class="muted">${t('report.upgrade.body')}</p>
+    </div>`}
+
+    <!-- Footer -->
+    <div class="footer">
+      <p style="font-weight: 700; font-size: 16px; color: #1f2937; margin-bottom: 5px;">${t('report.footer.company')}</p>
+      <p>${t('report.footer.product')}</p>
+      <p style="margin-top: 15px; font-size: 12px; color: #9ca3af;">
+        ${t('report.footer.copyright', { year: new Date().getFullYear() })}
+      </p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
+export default { generateProgressReportPDF, createProgressReportHTML };
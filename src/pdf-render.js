@@ -0,0 +1,88 @@
+/**
+ * Results PDF Rendering
+ * Tries each configured renderer in order until one succeeds:
+ *   frontend - capture the live EDNAResultsPage (pdf-from-component.js)
+ *   template - self-contained server-side template (pdf-full.js)
+ * Order comes from PDF_RENDER_ORDER (default: frontend,template).
+ * The frontend only renders the full report, so other tiers use the template.
+ */
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { generatePDFFromComponent } from './pdf-from-component.js';
+import { generateFullResultsPDF } from './pdf-full.js';
+
+const RENDERERS = {
+  frontend: (results, outputPath, { frontendUrl }) => generatePDFFromComponent(results, outputPath, frontendUrl),
+  template: (results, outputPath, { tier }) => generateFullResultsPDF(results, outputPath, { tier })
+};
+
+// Renderers able to produce a tier other than the full report
+const TIER_RENDERERS = ['template'];
+
+const DEFAULT_RENDER_ORDER = ['frontend', 'template'];
+
+/**
+ * Renderer order from PDF_RENDER_ORDER, ignoring unknown names
+ */
+export function getRenderOrder() {
+  const configured = (process.env.PDF_RENDER_ORDER || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => RENDERERS[name]);
+
+  if (process.env.PDF_RENDER_ORDER && configured.length === 0) {
+    console.warn(`⚠️ PDF_RENDER_ORDER "${process.env.PDF_RENDER_ORDER}" has no known renderers - using ${DEFAULT_RENDER_ORDER.join(',')}`);
+  }
+
+  return configured.length > 0 ? configured : DEFAULT_RENDER_ORDER;
+}
+
+/**
+ * Frontend URL used to render the results page
+ */
+export function getFrontendUrl() {
+  // Use local development URL if NODE_ENV is not production
+  const isDevelopment = process.env.NODE_ENV !== 'production';
+  return isDevelopment
+    ? 'http://localhost:3000'
+    : (process.env.FRONTEND_URL || 'https://brandscaling.co.uk');
+}
+
+/**
+ * Render a results PDF, falling back to the next renderer on failure
+ * @param {object} results - Results payload (including name)
+ * @param {string} outputPath - Where to write the PDF
+ * @param {object} options - { frontendUrl, order, tier } (tier: 'full' or 'summary', see report-tiers.js)
+ * @returns {Promise<object>} { success, path, renderer, attempts, error, code }
+ */
+export async function renderResultsPDF(results, outputPath, { frontendUrl = getFrontendUrl(), order = getRenderOrder(), tier = 'full' } = {}) {
+  const attempts = [];
+  const renderers = tier === 'full' ? order : TIER_RENDERERS;
+
+  for (const renderer of renderers) {
+    const result = await RENDERERS[renderer](results, outputPath, { frontendUrl, tier });
+
+    if (result.success) {
+      if (attempts.length > 0) {
+        console.log(`✅ PDF rendered with "${renderer}" after ${attempts.map(a => a.renderer).join(', ')} failed`);
+      }
+      return { success: true, path: result.path, renderer, attempts };
+    }
+
+    attempts.push({ renderer, error: result.error });
+
+    // Every renderer needs a pooled browser, so falling back would not help
+    if (result.code === 'BROWSER_POOL_BUSY') {
+      return { success: false, error: result.error, code: result.code, attempts };
+    }
+
+    console.warn(`⚠️ PDF renderer "${renderer}" failed: ${result.error}`);
+  }
+
+  return {
+    success: false,
+    error: attempts.map(a => `${a.renderer}: ${a.error}`).join('; '),
+    attempts
+  };
+}
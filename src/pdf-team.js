@@ -0,0 +1,254 @@
+/**
+ * Team Profile PDF
+ * Renders a team or organisation profile (teams.js) as distribution bars.
+ * Uses the same fonts, logo and translator as the results report (pdf-full.js).
+ * Only aggregates are shown, never individual results.
+ */
+import { withPage } from './browser-pool.js';
+import { createTranslator } from './locales/index.js';
+import { getEmbeddedAssets, escapeHtml } from './pdf-full.js';
+
+const MODALITIES = ['visual', 'auditory', 'readWrite', 'kinesthetic'];
+const DISTRIBUTIONS = ['layer1Types', 'subtypes', 'modalities', 'coreTypes'];
+
+/**
+ * Generate the team profile PDF
+ * @param {object} profile - getTeamProfile() output
+ * @param {object} options - { name, subtitle, locale } name is the team or organisation
+ */
+export async function generateTeamReportPDF(profile, outputPath, options = {}) {
+  try {
+    const htmlContent = createTeamReportHTML(profile, options);
+
+    await withPage(async (page) => {
+      await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+      await page.evaluate(() => document.fonts.ready);
+
+      await page.pdf({
+        path: outputPath,
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '10px', right: '10px', bottom: '10px', left: '10px' }
+      });
+    });
+
+    console.log('✅ Team profile PDF generated:', outputPath);
+    return { success: true, path: outputPath };
+
+  } catch (error) {
+    console.error('❌ Error generating team profile PDF:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+function formatDate(value, locale) {
+  return new Date(value).toLocaleDateString(locale, { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+/**
+ * One bar per item
+ * @param {Array<{name, percentage, value}>} bars - name and value as HTML
+ */
+function renderBars(bars) {
+  return bars.map(bar => `
+      <div class="bar-row">
+        <div class="bar-name">${bar.name}</div>
+        <div class="bar-track"><div class="bar-fill" style="width: ${bar.percentage}%"></div></div>
+        <div class="bar-value">${bar.value}</div>
+      </div>`).join('');
+}
+
+function renderSection(title, body) {
+  return `
+    <div class="section">
+      <div class="section-title">${title}</div>
+      ${body}
+    </div>`;
+}
+
+function renderDistribution(t, name, distribution) {
+  if (distribution.items.length === 0) return '';
+
+  return renderSection(t(`team.${name}`), renderBars(distribution.items.map(item => ({
+    name: escapeHtml(item.labelKey ? t(item.labelKey, {}, item.label) : item.label),
+    percentage: item.percentage,
+    value: t('team.people', { count: item.count, percentage: item.percentage })
+  }))));
+}
+
+function renderAverageVark(t, averageVark) {
+  if (!averageVark) return '';
+
+  return renderSection(t('team.averageVark'), renderBars(MODALITIES.map(modality => ({
+    name: t(`layer4.modality.${modality}`),
+    percentage: averageVark[modality],
+    value: `${averageVark[modality]}%`
+  }))));
+}
+
+/**
+ * Create the team profile HTML
+ * @param {object} profile - getTeamProfile() output
+ * @param {object} options - { name, subtitle, locale }
+ */
+export function createTeamReportHTML(profile, { name, subtitle, locale } = {}) {
+  const t = createTranslator(locale);
+  const displayName = escapeHtml(name || '');
+  const { fontFaces, logo } = getEmbeddedAssets();
+
+  return `
+<!DOCTYPE html>
+<html lang="${t.locale}">
+<head>
+  <meta charset="UTF-8">
+  <title>${t('team.documentTitle', { name: displayName })}</title>
+  <style>
+    ${fontFaces}
+
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: 'Open Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      line-height: 1.6;
+      color: #1f2937;
+      background: #ffffff;
+    }
+    .page {
+      padding: 30px;
+      max-width: 800px;
+      margin: 0 auto;
+    }
+    .muted {
+      font-size: 13px;
+      color: #6b7280;
+    }
+
+    /* Header */
+    .header {
+      text-align: center;
+      margin-bottom: 30px;
+      padding: 35px 20px;
+      background: linear-gradient(135deg, #7c3aed 0%, #f97316 100%);
+      color: white;
+      border-radius: 16px;
+    }
+    .header .logo {
+      width: 56px;
+      height: 56px;
+      margin-bottom: 15px;
+    }
+    .header h1 {
+      font-size: 34px;
+      font-weight: 800;
+      margin-bottom: 10px;
+    }
+    .header p {
+      font-size: 15px;
+      opacity: 0.9;
+    }
+
+    /* Summary */
+    .summary {
+      background: #f9fafb;
+      border-left: 4px solid #7c3aed;
+      border-radius: 8px;
+      padding: 15px 20px;
+      margin-bottom: 25px;
+      font-size: 14px;
+    }
+
+    /* Sections */
+    .section {
+      background: white;
+      border: 2px solid #e5e7eb;
+      border-radius: 12px;
+      padding: 30px;
+      margin-bottom: 25px;
+      page-break-inside: avoid;
+    }
+    .section-title {
+      font-size: 20px;
+      font-weight: 700;
+      color: white;
+      background: #7c3aed;
+      padding: 12px 20px;
+      margin: -30px -30px 20px -30px;
+      border-radius: 10px 10px 0 0;
+    }
+
+    /* Distribution bars */
+    .bar-row {
+      display: flex;
+      align-items: center;
+      margin-bottom: 10px;
+      font-size: 13px;
+    }
+    .bar-name {
+      width: 35%;
+      font-weight: 600;
+    }
+    .bar-track {
+      flex: 1;
+      height: 14px;
+      background: #f3f4f6;
+      border-radius: 7px;
+      overflow: hidden;
+      margin: 0 12px;
+    }
+    .bar-fill {
+      height: 100%;
+      background: linear-gradient(90deg, #7c3aed 0%, #f97316 100%);
+    }
+    .bar-value {
+      width: 80px;
+      text-align: right;
+      color: #6b7280;
+    }
+
+    /* Footer */
+    .footer {
+      text-align: center;
+      margin-top: 40px;
+      padding: 30px;
+      border-top: 2px solid #e5e7eb;
+    }
+    .footer p {
+      color: #6b7280;
+      font-size: 14px;
+    }
+  </style>
+</head>
+<body>
+  <div class="page">
+    <!-- Header -->
+    <div class="header">
+      <img class="logo" src="${logo}" alt="E-DNA">
+      <h1>${t('team.heading')}</h1>
+      <p>${displayName}</p>
+      ${subtitle ? `<p style="margin-top: 5px; font-size: 13px;">${escapeHtml(subtitle)}</p>` : ''}
+    </div>
+
+    <div class="summary">
+      <p>${t('team.members', { count: profile.memberCount })}${profile.lastSubmissionAt
+        ? ` · ${t('team.lastSubmission', { date: formatDate(profile.lastSubmissionAt, t.locale) })}`
+        : ''}</p>
+      <p class="muted">${profile.memberCount > 0 ? t('team.aggregateNote') : t('team.noResults')}</p>
+    </div>
+
+    ${DISTRIBUTIONS.map(distribution => renderDistribution(t, distribution, profile.distributions[distribution])).join('')}
+    ${renderAverageVark(t, profile.averageVark)}
+
+    <!-- Footer -->
+    <div class="footer">
+      <p style="font-weight: 700; font-size: 16px; color: #1f2937; margin-bottom: 5px;">${t('report.footer.company')}</p>
+      <p>${t('report.footer.product')}</p>
+      <p style="margin-top: 15px; font-size: 12px; color: #9ca3af;">
+        ${t('report.footer.copyright', { year: new Date().getFullYear() })}
+      </p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
+export default { generateTeamReportPDF, createTeamReportHTML };
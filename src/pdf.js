@@ -1,25 +1,20 @@
-import puppeteer from 'puppeteer';
+import { withPage } from './browser-pool.js';
+import { createTranslator } from './locales/index.js';
 
 /**
  * Generate PDF from HTML content
  */
 export async function generatePDFFromHTML(htmlContent, outputPath) {
-  let browser;
-  
   try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    
-    const page = await browser.newPage();
-    await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-    
-    await page.pdf({
-      path: outputPath,
-      format: 'A4',
-      printBackground: true,
-      margin: { top: '20px', right: '20px', bottom: '20px', left: '20px' }
+    await withPage(async (page) => {
+      await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+      
+      await page.pdf({
+        path: outputPath,
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '20px', right: '20px', bottom: '20px', left: '20px' }
+      });
     });
     
     console.log('✅ PDF generated:', outputPath);
@@ -27,19 +22,20 @@ export async function generatePDFFromHTML(htmlContent, outputPath) {
     
   } catch (error) {
     console.error('❌ Error generating PDF:', error);
-    return { success: false, error: error.message };
-  } finally {
-    if (browser) await browser.close();
+    return { success: false, error: error.message, code: error.code };
   }
 }
 
 /**
  * Create HTML template for E-DNA Results
+ * Text is rendered in results.locale (falling back to English)
  */
 export function createResultsHTML(results) {
+  const t = createTranslator(results.locale);
   const coreType = results.core_type || 'architect';
-  const subtype = results.subtype || 'Custom Profile';
-  const userName = results.name || 'User';
+  const subtype = t(results.layer2?.labelKeys?.subtype, {}, results.subtype || t('report.defaultSubtype'));
+  const userName = results.name || t('report.defaultName');
+  const coreTypeName = t(`coreType.${coreType}`, {}, coreType).toUpperCase();
   
   const colors = {
     architect: { primary: '#667eea', gradient: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)' },
@@ -51,10 +47,10 @@ export function createResultsHTML(results) {
   
   return `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${t.locale}">
 <head>
   <meta charset="UTF-8">
-  <title>E-DNA Results - ${subtype}</title>
+  <title>${t('summary.documentTitle', { subtype })}</title>
   <style>
     * { margin: 0; padding: 0; box-sizing: border-box; }
     body { 
@@ -155,17 +151,17 @@ export function createResultsHTML(results) {
 <body>
   <div class="container">
     <div class="header">
-      <h1>Entrepreneurial DNA Results</h1>
-      <p style="font-size: 18px; opacity: 0.9;">Personalized Assessment for ${userName}</p>
+      <h1>${t('summary.heading')}</h1>
+      <p style="font-size: 18px; opacity: 0.9;">${t('summary.personalisedFor', { name: userName })}</p>
       <div class="subtype">${subtype}</div>
-      <p style="margin-top: 10px; font-size: 16px; opacity: 0.85;">Core Type: ${coreType.toUpperCase()}</p>
+      <p style="margin-top: 10px; font-size: 16px; opacity: 0.85;">${t('summary.coreType', { coreType: coreTypeName })}</p>
     </div>
     
     <div class="section">
-      <h2>📊 Your Core Metrics</h2>
+      <h2>${t('summary.metricsHeading')}</h2>
       
       <div class="metric">
-        <h3>Decision Mastery</h3>
+        <h3>${t('report.metrics.decisionMastery')}</h3>
         <div class="progress-bar">
           <div class="progress-fill" style="width: ${results.decision_mastery || 0}%">
             ${results.decision_mastery || 0}%
@@ -174,7 +170,7 @@ export function createResultsHTML(results) {
       </div>
       
       <div class="metric">
-        <h3>Core Level</h3>
+        <h3>${t('report.metrics.coreLevel')}</h3>
         <div class="progress-bar">
           <div class="progress-fill" style="width: ${results.core_level || 0}%">
             ${results.core_level || 0}%
@@ -183,7 +179,7 @@ export function createResultsHTML(results) {
       </div>
       
       <div class="metric">
-        <h3>Mirror Pair Awareness</h3>
+        <h3>${t('report.metrics.mirrorAwareness')}</h3>
         <div class="progress-bar">
           <div class="progress-fill" style="width: ${results.mirror_awareness || 0}%">
             ${results.mirror_awareness || 0}%
@@ -192,7 +188,7 @@ export function createResultsHTML(results) {
       </div>
       
       <div class="metric">
-        <h3>Integration Level</h3>
+        <h3>${t('summary.integrationLevel')}</h3>
         <div class="progress-bar">
           <div class="progress-fill" style="width: ${results.integration_level || 0}%">
             ${results.integration_level || 0}%
@@ -202,22 +198,21 @@ export function createResultsHTML(results) {
     </div>
     
     <div class="section">
-      <h2>🎯 Your Profile</h2>
+      <h2>${t('summary.profileHeading')}</h2>
       <div class="info-box">
-        <p><strong>Core Type:</strong> ${coreType.toUpperCase()}</p>
-        <p style="margin-top: 10px;"><strong>Subtype:</strong> ${subtype}</p>
+        <p><strong>${t('summary.coreTypeLabel')}</strong> ${coreTypeName}</p>
+        <p style="margin-top: 10px;"><strong>${t('summary.subtypeLabel')}</strong> ${subtype}</p>
         <p style="margin-top: 15px; color: #666;">
-          This comprehensive assessment reveals your unique entrepreneurial DNA,
-          helping you understand your natural strengths and growth opportunities.
+          ${t('summary.profileText')}
         </p>
       </div>
     </div>
     
     <div class="footer">
-      <p><strong>Brandscaling</strong></p>
-      <p>Entrepreneurial DNA Assessment</p>
+      <p><strong>${t('report.footer.company')}</strong></p>
+      <p>${t('report.footer.product')}</p>
       <p style="margin-top: 15px; font-size: 12px; color: #999;">
-        © ${new Date().getFullYear()} Brandscaling. All rights reserved.
+        ${t('report.footer.copyright', { year: new Date().getFullYear() })}
       </p>
     </div>
   </div>
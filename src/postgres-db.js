@@ -50,106 +50,11 @@ export function getPool() {
   return pool;
 }
 
-/**
- * Initialize database - create tables if they don't exist
- */
-export async function initializeDatabase() {
-  const client = await getPool().connect();
-  
-  try {
-    console.log('\n📊 Initializing PostgreSQL database...');
-    
-    // Create users table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        name VARCHAR(255),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    console.log('✅ Users table ready');
-    
-    // Create quiz_results table
-    console.log('Creating quiz_results table...');
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS quiz_results (
-        id UUID PRIMARY KEY,
-        user_id UUID,
-        email VARCHAR(255) NOT NULL,
-        name VARCHAR(255),
-        quiz_data JSONB NOT NULL,
-        edna_type VARCHAR(100),
-        core_type VARCHAR(50),
-        subtype VARCHAR(50),
-        core_mastery INTEGER,
-        subtype_mastery INTEGER,
-        pdf_url TEXT,
-        s3_key TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    console.log('✅ Quiz results table ready');
-    
-    // Create indexes
-    console.log('Creating indexes...');
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_quiz_email ON quiz_results(email)
-    `);
-    
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_quiz_created_at ON quiz_results(created_at DESC)
-    `);
-    
-    console.log('✅ Indexes created');
-    
-    // Create pdf_download_tokens table
-    console.log('Creating pdf_download_tokens table...');
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS pdf_download_tokens (
-        token VARCHAR(255) PRIMARY KEY,
-        quiz_result_id UUID NOT NULL REFERENCES quiz_results(id) ON DELETE CASCADE,
-        expires_at TIMESTAMP NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Create index on expiration
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_token_expires ON pdf_download_tokens(expires_at)
-    `);
-    
-    console.log('✅ PDF download tokens table ready');
-    
-    // Create quiz_progress table for saving in-progress quizzes
-    console.log('Creating quiz_progress table...');
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS quiz_progress (
-        email VARCHAR(255) PRIMARY KEY,
-        progress_data JSONB NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    console.log('✅ Quiz progress table ready');
-    console.log('✅ Database tables initialized successfully');
-    
-  } catch (error) {
-    console.error('❌ Failed to initialize database:', error.message);
-    throw error;
-  } finally {
-    client.release();
-  }
-}
-
 /**
  * Save quiz result to PostgreSQL
+ * Pass the raw `answers` for server-scored submissions so they can be re-scored later
  */
-export async function saveQuizResult(id, email, name, results, pdfUrl, s3Key) {
+export async function saveQuizResult(id, email, name, results, pdfUrl, s3Key, answers = null) {
   const client = await getPool().connect();
   
   try {
@@ -161,8 +66,8 @@ export async function saveQuizResult(id, email, name, results, pdfUrl, s3Key) {
     const query = `
       INSERT INTO quiz_results (
         id, email, name, quiz_data, edna_type, core_type, subtype,
-        core_mastery, subtype_mastery, pdf_url, s3_key
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        core_mastery, subtype_mastery, pdf_url, s3_key, definition_version, answers, locale
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
       ON CONFLICT (id) DO UPDATE SET
         quiz_data = EXCLUDED.quiz_data,
         edna_type = EXCLUDED.edna_type,
@@ -172,6 +77,9 @@ export async function saveQuizResult(id, email, name, results, pdfUrl, s3Key) {
         subtype_mastery = EXCLUDED.subtype_mastery,
         pdf_url = EXCLUDED.pdf_url,
         s3_key = EXCLUDED.s3_key,
+        definition_version = EXCLUDED.definition_version,
+        answers = COALESCE(EXCLUDED.answers, quiz_results.answers),
+        locale = COALESCE(EXCLUDED.locale, quiz_results.locale),
         updated_at = CURRENT_TIMESTAMP
       RETURNING *
     `;
@@ -181,17 +89,33 @@ export async function saveQuizResult(id, email, name, results, pdfUrl, s3Key) {
       normalizedEmail, // Use normalized email
       name,
       JSON.stringify(results),
-      results.ednaType || null,
-      results.coreType || null,
+      results.ednaType || results.edna_type || null,
+      results.coreType || results.core_type || null,
       results.subtype || null,
       results.coreTypeMastery || null,
       results.subtypeMastery || null,
       pdfUrl,
-      s3Key
+      s3Key,
+      results.definitionVersion || null, // Set when scored server-side
+      answers ? JSON.stringify(answers) : null,
+      results.locale || null
     ];
     
     const result = await client.query(query, values);
     
+    // Close the person's open quiz session (if they saved progress) for funnel analytics.
+    // The result is already saved, so a failure here is logged and never reported as a
+    // failed save (a client retry would store the result twice).
+    try {
+      await client.query(
+        `UPDATE quiz_sessions SET completed_at = CURRENT_TIMESTAMP, quiz_result_id = $2
+         WHERE email = $1 AND completed_at IS NULL`,
+        [normalizedEmail, id]
+      );
+    } catch (error) {
+      console.error('❌ Failed to complete quiz session:', error.message);
+    }
+    
     console.log(`✅ Quiz result saved to PostgreSQL for ${normalizedEmail}`);
     
     return { success: true, data: result.rows[0] };
@@ -232,7 +156,9 @@ export async function getQuizResultById(id) {
 }
 
 /**
- * Get quiz result by email (for dashboard)
+ * Get the latest quiz result for an email (for dashboard)
+ * Matches the whole address, ignoring case and surrounding spaces - never a partial
+ * match, since callers hand the result to whoever proved they own that email.
  */
 export async function getQuizResultByEmail(email) {
   const client = await getPool().connect();
@@ -251,17 +177,6 @@ export async function getQuizResultByEmail(email) {
     console.log(`📊 Database query result: Found ${result.rows.length} row(s)`);
     
     if (result.rows.length === 0) {
-      // Try case-insensitive search as fallback
-      const fallbackResult = await client.query(
-        'SELECT * FROM quiz_results WHERE email ILIKE $1 ORDER BY created_at DESC LIMIT 1',
-        [`%${normalizedEmail}%`]
-      );
-      
-      if (fallbackResult.rows.length > 0) {
-        console.log(`✅ Found result with case-insensitive search`);
-        return { success: true, data: fallbackResult.rows[0] };
-      }
-      
       console.log(`❌ No quiz result found for email: "${normalizedEmail}"`);
       return { success: false, error: 'Quiz result not found' };
     }
@@ -278,19 +193,196 @@ export async function getQuizResultByEmail(email) {
   }
 }
 
+/**
+ * Get every quiz attempt for an email, newest first (summary columns only)
+ * Pages by (created_at, id) so rows saved while paging are neither skipped nor repeated.
+ * @param {object} options - { limit, before: { createdAt, id } } before is the last row of the previous page
+ * @returns {Promise<object>} { success, data: rows, hasMore, total } - rows carry attempt (1 = first) and cursor_created_at
+ */
+export async function getQuizResultHistory(email, { limit = 20, before = null } = {}) {
+  const client = await getPool().connect();
+
+  try {
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // Attempt numbers and the total are counted over all of the user's rows, before paging
+    const result = await client.query(
+      `SELECT * FROM (
+         SELECT id, edna_type, core_type, subtype, core_mastery, subtype_mastery,
+                definition_version, revision, locale, payment_status, pdf_status,
+                s3_key IS NOT NULL AS has_full_pdf, summary_s3_key IS NOT NULL AS has_summary_pdf,
+                created_at, updated_at, created_at::text AS cursor_created_at,
+                ROW_NUMBER() OVER (ORDER BY created_at, id)::int AS attempt,
+                COUNT(*) OVER ()::int AS total
+         FROM quiz_results
+         WHERE LOWER(TRIM(email)) = $1
+       ) history
+       WHERE $2::timestamp IS NULL OR (created_at, id) < ($2::timestamp, $3::uuid)
+       ORDER BY created_at DESC, id DESC
+       LIMIT $4`,
+      [normalizedEmail, before?.createdAt || null, before?.id || null, limit + 1]
+    );
+
+    const rows = result.rows.slice(0, limit);
+
+    return {
+      success: true,
+      data: rows,
+      hasMore: result.rows.length > limit,
+      total: result.rows[0]?.total || 0
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to get quiz result history:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Search quiz results for the admin dashboard, newest first (summary columns only)
+ * Text filters are case-insensitive and match anywhere in the value; dates are inclusive.
+ * @param {object} filters - { email, name, from, to, coreType, subtype, limit, offset }
+ * @returns {Promise<object>} { success, data: rows, total }
+ */
+export async function searchQuizResults({ email, name, from, to, coreType, subtype, limit = 50, offset = 0 } = {}) {
+  const client = await getPool().connect();
+
+  try {
+    const conditions = [];
+    const values = [];
+    // Searching for '50%' should match the text, not treat % as a wildcard
+    const contains = value => `%${String(value).trim().replace(/[\\%_]/g, '\\$&')}%`;
+
+    if (email) {
+      values.push(contains(email));
+      conditions.push(`email ILIKE $${values.length}`);
+    }
+
+    if (name) {
+      values.push(contains(name));
+      conditions.push(`name ILIKE $${values.length}`);
+    }
+
+    if (from) {
+      values.push(from);
+      conditions.push(`created_at >= $${values.length}`);
+    }
+
+    if (to) {
+      values.push(to);
+      conditions.push(`created_at <= $${values.length}`);
+    }
+
+    if (coreType) {
+      values.push(String(coreType).trim().toLowerCase());
+      conditions.push(`LOWER(core_type) = $${values.length}`);
+    }
+
+    if (subtype) {
+      values.push(contains(subtype));
+      conditions.push(`subtype ILIKE $${values.length}`);
+    }
+
+    values.push(limit, offset);
+
+    const result = await client.query(
+      `SELECT id, email, name, edna_type, core_type, subtype, core_mastery, subtype_mastery,
+              definition_version, revision, locale, payment_status, pdf_status, team_id,
+              s3_key IS NOT NULL AS has_full_pdf, summary_s3_key IS NOT NULL AS has_summary_pdf,
+              created_at, updated_at,
+              COUNT(*) OVER ()::int AS total
+       FROM quiz_results
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+
+    return { success: true, data: result.rows, total: result.rows[0]?.total || 0 };
+
+  } catch (error) {
+    console.error('❌ Failed to search quiz results:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Change the name stored on a quiz result
+ * The name in an already generated PDF stays as it was until the PDF is regenerated.
+ */
+export async function updateQuizResultName(id, name) {
+  const client = await getPool().connect();
+
+  try {
+    const result = await client.query(
+      `UPDATE quiz_results SET name = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, email, name, updated_at`,
+      [id, name]
+    );
+
+    if (result.rows.length === 0) {
+      return { success: false, error: 'Quiz result not found' };
+    }
+
+    return { success: true, data: result.rows[0] };
+
+  } catch (error) {
+    console.error('❌ Failed to update quiz result name:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete a quiz result
+ * Download tokens, revisions and PDF jobs go with it (ON DELETE CASCADE). The PDFs
+ * in S3 do not - the returned row carries s3_key and summary_s3_key for the caller.
+ */
+export async function deleteQuizResult(id) {
+  const client = await getPool().connect();
+
+  try {
+    const result = await client.query(
+      'DELETE FROM quiz_results WHERE id = $1 RETURNING id, email, name, s3_key, summary_s3_key',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return { success: false, error: 'Quiz result not found' };
+    }
+
+    console.log(`🗑️ Quiz result ${id} deleted`);
+    return { success: true, data: result.rows[0] };
+
+  } catch (error) {
+    console.error('❌ Failed to delete quiz result:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Create download token
+ * @param {string} tier - Report tier the token downloads ('full' or 'summary')
+ * @param {object} options - { maxUses } downloads allowed (omit for unlimited until expiry)
  */
-export async function createDownloadToken(token, quizResultId, expiresAt) {
+export async function createDownloadToken(token, quizResultId, expiresAt, tier = 'full', { maxUses = null } = {}) {
   const client = await getPool().connect();
   
   try {
     await client.query(
-      'INSERT INTO pdf_download_tokens (token, quiz_result_id, expires_at) VALUES ($1, $2, $3)',
-      [token, quizResultId, expiresAt]
+      'INSERT INTO pdf_download_tokens (token, quiz_result_id, expires_at, tier, max_uses) VALUES ($1, $2, $3, $4, $5)',
+      [token, quizResultId, expiresAt, tier, maxUses]
     );
     
-    console.log(`✅ Download token created (expires: ${expiresAt})`);
+    console.log(`✅ Download token created (${tier}, expires: ${expiresAt}${maxUses ? `, max ${maxUses} use(s)` : ''})`);
     
     return { success: true };
     
@@ -304,24 +396,41 @@ export async function createDownloadToken(token, quizResultId, expiresAt) {
 
 /**
  * Verify download token
+ * Fails with a reason: not_found, expired, revoked or exhausted (max uses reached)
  */
 export async function verifyDownloadToken(token) {
   const client = await getPool().connect();
   
   try {
     const result = await client.query(
-      `SELECT t.*, q.* 
+      `SELECT t.*, q.*,
+              t.created_at AS token_created_at,
+              t.expires_at <= CURRENT_TIMESTAMP AS token_expired
        FROM pdf_download_tokens t
        JOIN quiz_results q ON t.quiz_result_id = q.id
-       WHERE t.token = $1 AND t.expires_at > CURRENT_TIMESTAMP`,
+       WHERE t.token = $1`,
       [token]
     );
     
     if (result.rows.length === 0) {
-      return { success: false, error: 'Invalid or expired token' };
+      return { success: false, reason: 'not_found', error: 'Invalid or unknown token' };
     }
     
-    return { success: true, data: result.rows[0] };
+    const record = result.rows[0];
+    
+    if (record.revoked_at) {
+      return { success: false, reason: 'revoked', error: 'Download link has been revoked', data: record };
+    }
+    
+    if (record.token_expired) {
+      return { success: false, reason: 'expired', error: 'Download link has expired', data: record };
+    }
+    
+    if (record.max_uses !== null && record.download_count >= record.max_uses) {
+      return { success: false, reason: 'exhausted', error: 'Download link has already been used', data: record };
+    }
+    
+    return { success: true, data: record };
     
   } catch (error) {
     console.error('❌ Failed to verify token:', error.message);
@@ -332,93 +441,1740 @@ export async function verifyDownloadToken(token) {
 }
 
 /**
- * Test database connection
+ * Count a download against a token
+ * Re-checks expiry, revocation and max uses in the same statement, so two
+ * requests racing for the last use cannot both succeed.
  */
-export async function testConnection() {
+export async function recordDownloadTokenUse(token) {
+  const client = await getPool().connect();
+  
   try {
-    const client = await getPool().connect();
-    const result = await client.query('SELECT NOW()');
+    const result = await client.query(
+      `UPDATE pdf_download_tokens SET
+        download_count = download_count + 1,
+        first_accessed_at = COALESCE(first_accessed_at, CURRENT_TIMESTAMP),
+        last_accessed_at = CURRENT_TIMESTAMP
+       WHERE token = $1
+         AND expires_at > CURRENT_TIMESTAMP
+         AND revoked_at IS NULL
+         AND (max_uses IS NULL OR download_count < max_uses)
+       RETURNING download_count, max_uses`,
+      [token]
+    );
+    
+    if (result.rows.length === 0) {
+      return { success: false, error: 'Download link is no longer valid' };
+    }
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to record download:', error.message);
+    return { success: false, error: error.message };
+  } finally {
     client.release();
+  }
+}
+
+/**
+ * Revoke a single download token
+ */
+export async function revokeDownloadToken(token, reason = null) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `UPDATE pdf_download_tokens SET
+        revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP),
+        revoked_reason = COALESCE(revoked_reason, $2)
+       WHERE token = $1
+       RETURNING token, quiz_result_id, tier, revoked_at, revoked_reason`,
+      [token, reason]
+    );
     
-    console.log('✅ PostgreSQL connection successful');
-    console.log(`   Server time: ${result.rows[0].now}`);
+    if (result.rows.length === 0) {
+      return { success: false, error: 'Download token not found' };
+    }
+    
+    console.log(`🚫 Download token revoked for result ${result.rows[0].quiz_result_id}`);
+    
+    return { success: true, data: result.rows[0] };
     
-    return true;
   } catch (error) {
-    console.error('❌ PostgreSQL connection failed:', error.message);
-    return false;
+    console.error('❌ Failed to revoke download token:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
   }
 }
 
 /**
- * Save quiz progress for authenticated user
+ * Revoke every active download token of a quiz result
+ * @returns {Promise<object>} { success, revoked } number of tokens revoked
  */
-export async function saveQuizProgress(email, progressData) {
+export async function revokeDownloadTokensForResult(quizResultId, reason = null) {
   const client = await getPool().connect();
   
   try {
-    const query = `
-      INSERT INTO quiz_progress (email, progress_data, updated_at)
-      VALUES ($1, $2, CURRENT_TIMESTAMP)
-      ON CONFLICT (email)
-      DO UPDATE SET
-        progress_data = $2,
-        updated_at = CURRENT_TIMESTAMP
-    `;
+    const result = await client.query(
+      `UPDATE pdf_download_tokens SET
+        revoked_at = CURRENT_TIMESTAMP,
+        revoked_reason = $2
+       WHERE quiz_result_id = $1
+         AND revoked_at IS NULL
+         AND expires_at > CURRENT_TIMESTAMP`,
+      [quizResultId, reason]
+    );
     
-    await client.query(query, [email, JSON.stringify(progressData)]);
-    console.log(`✅ Saved quiz progress for ${email}`);
+    if (result.rowCount > 0) {
+      console.log(`🚫 Revoked ${result.rowCount} download token(s) for result ${quizResultId}`);
+    }
+    
+    return { success: true, revoked: result.rowCount };
     
-    return true;
   } catch (error) {
-    console.error('❌ Failed to save quiz progress:', error.message);
-    throw error;
+    console.error('❌ Failed to revoke download tokens:', error.message);
+    return { success: false, error: error.message };
   } finally {
     client.release();
   }
 }
 
 /**
- * Get quiz progress for authenticated user
+ * List the download tokens of a quiz result with their usage, newest first
  */
-export async function getQuizProgress(email) {
+export async function getDownloadTokensForResult(quizResultId) {
   const client = await getPool().connect();
   
   try {
-    const query = 'SELECT progress_data, updated_at FROM quiz_progress WHERE email = $1';
-    const result = await client.query(query, [email]);
+    const result = await client.query(
+      `SELECT token, tier, created_at, expires_at, download_count, max_uses,
+              first_accessed_at, last_accessed_at, revoked_at, revoked_reason
+       FROM pdf_download_tokens
+       WHERE quiz_result_id = $1
+       ORDER BY created_at DESC`,
+      [quizResultId]
+    );
     
-    if (result.rows.length === 0) {
-      return null;
+    return { success: true, data: result.rows };
+    
+  } catch (error) {
+    console.error('❌ Failed to get download tokens:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get stored submissions that have raw answers, for re-scoring
+ * @param {object} filters - { from, to, email, definitionVersion, limit }
+ */
+export async function getQuizResultsForRescore({ from, to, email, definitionVersion, limit = 1000 } = {}) {
+  const client = await getPool().connect();
+  
+  try {
+    const conditions = ['answers IS NOT NULL'];
+    const values = [];
+    
+    if (from) {
+      values.push(from);
+      conditions.push(`created_at >= $${values.length}`);
     }
     
-    return {
-      progressData: result.rows[0].progress_data,
-      updatedAt: result.rows[0].updated_at
-    };
+    if (to) {
+      values.push(to);
+      conditions.push(`created_at <= $${values.length}`);
+    }
+    
+    if (email) {
+      values.push(email.toLowerCase().trim());
+      conditions.push(`LOWER(TRIM(email)) = $${values.length}`);
+    }
+    
+    if (definitionVersion) {
+      values.push(definitionVersion);
+      conditions.push(`definition_version = $${values.length}`);
+    }
+    
+    values.push(limit);
+    
+    const result = await client.query(
+      `SELECT id, email, name, quiz_data, answers, definition_version, revision, created_at
+       FROM quiz_results
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at ASC
+       LIMIT $${values.length}`,
+      values
+    );
+    
+    return { success: true, data: result.rows };
+    
   } catch (error) {
-    console.error('❌ Failed to get quiz progress:', error.message);
-    return null;
+    console.error('❌ Failed to get quiz results for re-scoring:', error.message);
+    return { success: false, error: error.message };
   } finally {
     client.release();
   }
 }
 
 /**
- * Delete quiz progress after completion
+ * Replace a result with a re-scored version
+ * The previous quiz_data is archived in quiz_result_revisions and the revision number bumped
  */
-export async function deleteQuizProgress(email) {
+export async function saveQuizResultRevision(id, results, reason) {
   const client = await getPool().connect();
   
   try {
-    const query = 'DELETE FROM quiz_progress WHERE email = $1';
-    await client.query(query, [email]);
-    console.log(`✅ Deleted quiz progress for ${email}`);
+    await client.query('BEGIN');
+    
+    const current = await client.query(
+      'SELECT * FROM quiz_results WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { success: false, error: 'Quiz result not found' };
+    }
+    
+    const previous = current.rows[0];
+    const previousRevision = previous.revision || 1;
+    
+    await client.query(
+      `INSERT INTO quiz_result_revisions (
+        quiz_result_id, revision, quiz_data, definition_version, edna_type, core_type, subtype, reason
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        id,
+        previousRevision,
+        JSON.stringify(previous.quiz_data),
+        previous.definition_version,
+        previous.edna_type,
+        previous.core_type,
+        previous.subtype,
+        reason || null
+      ]
+    );
+    
+    const updated = await client.query(
+      `UPDATE quiz_results SET
+        quiz_data = $2,
+        definition_version = $3,
+        edna_type = $4,
+        core_type = $5,
+        subtype = $6,
+        revision = $7,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [
+        id,
+        JSON.stringify(results),
+        results.definitionVersion || null,
+        results.edna_type || null,
+        results.core_type || null,
+        results.subtype || null,
+        previousRevision + 1
+      ]
+    );
+    
+    await client.query('COMMIT');
+    
+    console.log(`✅ Quiz result ${id} saved as revision ${previousRevision + 1}`);
+    
+    return { success: true, data: updated.rows[0] };
     
-    return true;
   } catch (error) {
-    console.error('❌ Failed to delete quiz progress:', error.message);
-    return false;
+    await client.query('ROLLBACK');
+    console.error('❌ Failed to save quiz result revision:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Update the background PDF status of a quiz result
+ * @param {string} id - Quiz result ID
+ * @param {object} update - { status, s3Key, pdfUrl, error, tier }
+ *   status: queued | rendering | uploaded | failed (omit to only record an error)
+ *   tier: 'summary' stores the S3 location in summary_s3_key / summary_pdf_url
+ */
+export async function updateQuizResultPdfStatus(id, { status = null, s3Key = null, pdfUrl = null, error = null, tier = 'full' } = {}) {
+  const client = await getPool().connect();
+  const [keyColumn, urlColumn] = tier === 'summary'
+    ? ['summary_s3_key', 'summary_pdf_url']
+    : ['s3_key', 'pdf_url'];
+  
+  try {
+    const result = await client.query(
+      `UPDATE quiz_results SET
+        pdf_status = COALESCE($2::varchar, pdf_status),
+        pdf_error = CASE
+          WHEN $2::varchar IS NULL OR $2::varchar = 'failed' THEN $5
+          ELSE NULL
+        END,
+        ${keyColumn} = COALESCE($3, ${keyColumn}),
+        ${urlColumn} = COALESCE($4, ${urlColumn}),
+        pdf_queued_at = CASE WHEN $2::varchar = 'queued' THEN CURRENT_TIMESTAMP ELSE pdf_queued_at END,
+        pdf_rendering_at = CASE WHEN $2::varchar = 'rendering' THEN CURRENT_TIMESTAMP ELSE pdf_rendering_at END,
+        pdf_uploaded_at = CASE WHEN $2::varchar = 'uploaded' THEN CURRENT_TIMESTAMP ELSE pdf_uploaded_at END,
+        pdf_failed_at = CASE WHEN $2::varchar = 'failed' THEN CURRENT_TIMESTAMP ELSE pdf_failed_at END,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, pdf_status`,
+      [id, status, s3Key, pdfUrl, error]
+    );
+    
+    if (result.rows.length === 0) {
+      return { success: false, error: 'Quiz result not found' };
+    }
+    
+    if (status) {
+      console.log(`📄 PDF status for ${id}: ${status}`);
+    }
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to update PDF status:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record a payment (or refund) against a quiz result
+ * @param {string} id - Quiz result ID
+ * @param {object} payment - { status, amount, currency, reference, paidAt }
+ */
+export async function updatePaymentStatus(id, { status = 'paid', amount = null, currency = null, reference = null, paidAt = null } = {}) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `UPDATE quiz_results SET
+        payment_status = $2,
+        payment_date = CASE WHEN $2 = 'paid' THEN COALESCE($3::timestamp, CURRENT_TIMESTAMP) ELSE payment_date END,
+        payment_amount = COALESCE($4, payment_amount),
+        payment_currency = COALESCE($5, payment_currency),
+        payment_reference = COALESCE($6, payment_reference),
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, email, payment_status, payment_date, payment_amount, payment_currency, payment_reference`,
+      [id, status, paidAt, amount, currency ? currency.toUpperCase() : null, reference]
+    );
+    
+    if (result.rows.length === 0) {
+      return { success: false, error: 'Quiz result not found' };
+    }
+    
+    console.log(`💳 Payment status for ${id}: ${status}${reference ? ` (order ${reference})` : ''}`);
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to update payment status:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the most recent PDF job for a quiz result
+ */
+export async function getLatestPdfJobForResult(quizResultId) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT id, tier, status, step, attempts, max_attempts, last_error, run_after,
+              dead_lettered_at, completed_at, created_at, updated_at
+       FROM pdf_jobs
+       WHERE quiz_result_id = $1
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [quizResultId]
+    );
+    
+    if (result.rows.length === 0) {
+      return { success: false, error: 'PDF job not found' };
+    }
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to get PDF job:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Add a PDF generation job to the queue
+ */
+export async function enqueuePdfJob({ id, quizResultId, email, name, payload, tier = 'full', maxAttempts = 5 }) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `INSERT INTO pdf_jobs (id, quiz_result_id, email, name, payload, tier, max_attempts)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [id, quizResultId, email, name, JSON.stringify(payload), tier, maxAttempts]
+    );
+    
+    console.log(`✅ PDF job queued: ${id} (result ${quizResultId}, ${tier} report)`);
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to queue PDF job:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Claim up to `limit` pending jobs that are due, marking them as running
+ * SKIP LOCKED lets several workers poll the same table safely
+ */
+export async function claimPdfJobs(workerId, limit) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `UPDATE pdf_jobs SET
+        status = 'running',
+        locked_by = $1,
+        locked_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM pdf_jobs
+         WHERE status = 'pending' AND run_after <= CURRENT_TIMESTAMP
+         ORDER BY created_at ASC
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [workerId, limit]
+    );
+    
+    return { success: true, data: result.rows };
+    
+  } catch (error) {
+    console.error('❌ Failed to claim PDF jobs:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record a finished step and move the job on to the next one
+ * Moving to 'done' marks the job as succeeded
+ */
+export async function advancePdfJob(id, nextStep, stepData) {
+  const client = await getPool().connect();
+  
+  try {
+    const finished = nextStep === 'done';
+    const result = await client.query(
+      `UPDATE pdf_jobs SET
+        step = $2,
+        step_data = $3,
+        attempts = 0,
+        last_error = NULL,
+        status = CASE WHEN $4::boolean THEN 'succeeded' ELSE status END,
+        completed_at = CASE WHEN $4::boolean THEN CURRENT_TIMESTAMP ELSE completed_at END,
+        locked_by = CASE WHEN $4::boolean THEN NULL ELSE locked_by END,
+        locked_at = CASE WHEN $4::boolean THEN NULL ELSE CURRENT_TIMESTAMP END,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, nextStep, JSON.stringify(stepData), finished]
+    );
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to advance PDF job:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record a failed attempt of the current step
+ * With a retryAt date the job goes back to pending; without one it is dead-lettered (failed)
+ */
+export async function recordPdfJobFailure(id, errorMessage, retryAt, stepData) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `UPDATE pdf_jobs SET
+        attempts = attempts + 1,
+        last_error = $2,
+        status = CASE WHEN $3::timestamp IS NULL THEN 'failed' ELSE 'pending' END,
+        run_after = COALESCE($3::timestamp, run_after),
+        dead_lettered_at = CASE WHEN $3::timestamp IS NULL THEN CURRENT_TIMESTAMP ELSE NULL END,
+        step_data = COALESCE($4, step_data),
+        locked_by = NULL,
+        locked_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, errorMessage, retryAt, stepData ? JSON.stringify(stepData) : null]
+    );
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to record PDF job failure:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Put running jobs whose worker died (locked too long) back in the queue
+ */
+export async function requeueStalePdfJobs(staleAfterMinutes = 15) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `UPDATE pdf_jobs SET
+        status = 'pending',
+        locked_by = NULL,
+        locked_at = NULL,
+        run_after = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'running'
+       AND locked_at < CURRENT_TIMESTAMP - ($1 || ' minutes')::interval
+       RETURNING id`,
+      [String(staleAfterMinutes)]
+    );
+    
+    if (result.rows.length > 0) {
+      console.log(`♻️ Re-queued ${result.rows.length} stale PDF job(s)`);
+    }
+    
+    return { success: true, count: result.rows.length };
+    
+  } catch (error) {
+    console.error('❌ Failed to re-queue stale PDF jobs:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List PDF jobs (newest first), optionally filtered by status
+ */
+export async function getPdfJobs({ status, limit = 50 } = {}) {
+  const client = await getPool().connect();
+  
+  try {
+    const values = [];
+    let where = '';
+    
+    if (status) {
+      values.push(status);
+      where = `WHERE status = $${values.length}`;
+    }
+    
+    values.push(limit);
+    
+    const result = await client.query(
+      `SELECT id, quiz_result_id, email, status, step, attempts, max_attempts, last_error,
+              run_after, dead_lettered_at, completed_at, created_at, updated_at
+       FROM pdf_jobs ${where}
+       ORDER BY created_at DESC
+       LIMIT $${values.length}`,
+      values
+    );
+    
+    return { success: true, data: result.rows };
+    
+  } catch (error) {
+    console.error('❌ Failed to get PDF jobs:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Move a dead-lettered (failed) job back to the queue, resuming at its failed step
+ */
+export async function retryPdfJob(id) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `UPDATE pdf_jobs SET
+        status = 'pending',
+        attempts = 0,
+        run_after = CURRENT_TIMESTAMP,
+        dead_lettered_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'failed'
+       RETURNING *`,
+      [id]
+    );
+    
+    if (result.rows.length === 0) {
+      return { success: false, error: 'Failed PDF job not found' };
+    }
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to retry PDF job:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Add an agent token to the denylist
+ * Rows are only needed until the token would have expired anyway
+ * @param {object} token - { jti, userId, tokenType, expiresAt, reason }
+ */
+export async function revokeAgentToken({ jti, userId, tokenType, expiresAt, reason = null }) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `INSERT INTO agent_token_denylist (jti, user_id, token_type, reason, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (jti) DO NOTHING`,
+      [jti, userId, tokenType, reason, expiresAt]
+    );
+    
+    // revoked is false when the token was already on the denylist
+    return { success: true, revoked: result.rowCount > 0 };
+    
+  } catch (error) {
+    console.error('❌ Failed to revoke agent token:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Check whether an agent token has been revoked
+ * @param {string} jti - Token ID
+ */
+export async function isAgentTokenRevoked(jti) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      'SELECT 1 FROM agent_token_denylist WHERE jti = $1',
+      [jti]
+    );
+    
+    return { success: true, revoked: result.rows.length > 0 };
+    
+  } catch (error) {
+    console.error('❌ Failed to check agent token denylist:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record a webhook nonce, failing if it was seen before
+ * @param {string} nonce - X-GHL-Nonce (or the request signature)
+ * @returns {object} { success, fresh } - fresh is false for a replayed nonce
+ */
+export async function claimWebhookNonce(nonce) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      'INSERT INTO ghl_webhook_nonces (nonce) VALUES ($1) ON CONFLICT (nonce) DO NOTHING',
+      [nonce]
+    );
+    
+    return { success: true, fresh: result.rowCount > 0 };
+    
+  } catch (error) {
+    console.error('❌ Failed to claim webhook nonce:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Forget a claimed webhook nonce so the same request can be retried
+ * @param {string} nonce - Nonce claimed by claimWebhookNonce()
+ * @returns {object} { success }
+ */
+export async function releaseWebhookNonce(nonce) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('DELETE FROM ghl_webhook_nonces WHERE nonce = $1', [nonce]);
+    
+    return { success: true };
+    
+  } catch (error) {
+    console.error('❌ Failed to release webhook nonce:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Write one inbound webhook call to the audit log
+ * @param {object} entry - { endpoint, authMethod, automation, email, quizResultId, statusCode, reason, nonce, sourceIp, userAgent }
+ */
+export async function recordWebhookAudit(entry) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query(
+      `INSERT INTO ghl_webhook_audit (
+        endpoint, auth_method, automation, email, quiz_result_id, status_code, reason, nonce, source_ip, user_agent
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        entry.endpoint,
+        entry.authMethod || null,
+        entry.automation ? String(entry.automation) : null,
+        entry.email ? String(entry.email).toLowerCase().trim() : null,
+        entry.quizResultId || null,
+        entry.statusCode || null,
+        entry.reason || null,
+        entry.nonce || null,
+        entry.sourceIp || null,
+        entry.userAgent || null
+      ]
+    );
+    
+    return { success: true };
+    
+  } catch (error) {
+    console.error('❌ Failed to record webhook audit:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Read the webhook audit log, newest first
+ * @param {object} filters - { email, from, to, limit }
+ */
+export async function getWebhookAuditLog({ email, from, to, limit = 100 } = {}) {
+  const client = await getPool().connect();
+  
+  try {
+    const conditions = [];
+    const values = [];
+    
+    if (email) {
+      values.push(email.toLowerCase().trim());
+      conditions.push(`email = $${values.length}`);
+    }
+    
+    if (from) {
+      values.push(from);
+      conditions.push(`created_at >= $${values.length}`);
+    }
+    
+    if (to) {
+      values.push(to);
+      conditions.push(`created_at <= $${values.length}`);
+    }
+    
+    values.push(limit);
+    
+    const result = await client.query(
+      `SELECT * FROM ghl_webhook_audit
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC
+       LIMIT $${values.length}`,
+      values
+    );
+    
+    return { success: true, data: result.rows };
+    
+  } catch (error) {
+    console.error('❌ Failed to get webhook audit log:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Write one admin API call to the audit log
+ * @param {object} entry - { actor, action, method, path, targetType, targetId, email, details, statusCode, reason, sourceIp, userAgent }
+ */
+export async function recordAdminAudit(entry) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query(
+      `INSERT INTO admin_audit_log (
+        actor, action, method, path, target_type, target_id, email, details, status_code, reason, source_ip, user_agent
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        entry.actor || null,
+        entry.action,
+        entry.method,
+        entry.path,
+        entry.targetType || null,
+        entry.targetId ? String(entry.targetId) : null,
+        entry.email ? String(entry.email).toLowerCase().trim() : null,
+        entry.details ? JSON.stringify(entry.details) : null,
+        entry.statusCode || null,
+        entry.reason || null,
+        entry.sourceIp || null,
+        entry.userAgent || null
+      ]
+    );
+    
+    return { success: true };
+    
+  } catch (error) {
+    console.error('❌ Failed to record admin audit:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Read the admin audit log, newest first
+ * @param {object} filters - { actor, targetId, email, from, to, limit }
+ */
+export async function getAdminAuditLog({ actor, targetId, email, from, to, limit = 100 } = {}) {
+  const client = await getPool().connect();
+  
+  try {
+    const conditions = [];
+    const values = [];
+    
+    if (actor) {
+      values.push(actor);
+      conditions.push(`actor = $${values.length}`);
+    }
+    
+    if (targetId) {
+      values.push(String(targetId));
+      conditions.push(`target_id = $${values.length}`);
+    }
+    
+    if (email) {
+      values.push(email.toLowerCase().trim());
+      conditions.push(`email = $${values.length}`);
+    }
+    
+    if (from) {
+      values.push(from);
+      conditions.push(`created_at >= $${values.length}`);
+    }
+    
+    if (to) {
+      values.push(to);
+      conditions.push(`created_at <= $${values.length}`);
+    }
+    
+    values.push(limit);
+    
+    const result = await client.query(
+      `SELECT * FROM admin_audit_log
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${values.length}`,
+      values
+    );
+    
+    return { success: true, data: result.rows };
+    
+  } catch (error) {
+    console.error('❌ Failed to get admin audit log:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+// Rows removed by the cleanup task (cleanup.js); $1 is the age as a Postgres interval
+const PURGE_TARGETS = {
+  downloadTokens: { table: 'pdf_download_tokens', where: 'expires_at < CURRENT_TIMESTAMP - $1::interval' },
+  quizProgress: { table: 'quiz_progress', where: 'updated_at < CURRENT_TIMESTAMP - $1::interval' },
+  pdfJobs: { table: 'pdf_jobs', where: "status = 'succeeded' AND completed_at < CURRENT_TIMESTAMP - $1::interval" },
+  agentDenylist: { table: 'agent_token_denylist', where: 'expires_at < CURRENT_TIMESTAMP - $1::interval' },
+  webhookNonces: { table: 'ghl_webhook_nonces', where: 'created_at < CURRENT_TIMESTAMP - $1::interval' },
+  webhookAudit: { table: 'ghl_webhook_audit', where: 'created_at < CURRENT_TIMESTAMP - $1::interval' },
+  cleanupRuns: { table: 'cleanup_runs', where: 'started_at < CURRENT_TIMESTAMP - $1::interval' }
+};
+
+/**
+ * Delete (or with dryRun, count) rows older than a retention window
+ * @param {string} target - Key of PURGE_TARGETS, e.g. 'downloadTokens'
+ * @param {object} options - { olderThan, dryRun } olderThan is an interval such as '30 days'
+ * @returns {Promise<object>} { success, count, error }
+ */
+export async function purgeExpiredRows(target, { olderThan, dryRun = false } = {}) {
+  const purge = PURGE_TARGETS[target];
+  
+  if (!purge) {
+    return { success: false, error: `Unknown cleanup target: ${target}` };
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    const result = dryRun
+      ? await client.query(`SELECT COUNT(*)::int AS count FROM ${purge.table} WHERE ${purge.where}`, [olderThan])
+      : await client.query(`DELETE FROM ${purge.table} WHERE ${purge.where}`, [olderThan]);
+    
+    return { success: true, count: dryRun ? result.rows[0].count : result.rowCount };
+    
+  } catch (error) {
+    console.error(`❌ Failed to purge ${purge.table}:`, error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Every S3 key a quiz result still points at (full and summary reports)
+ * Keys are also read from the stored URLs, for rows saved before s3_key was filled in
+ */
+export async function getReferencedPdfKeys() {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT s3_key, summary_s3_key, pdf_url, summary_pdf_url
+       FROM quiz_results
+       WHERE s3_key IS NOT NULL OR summary_s3_key IS NOT NULL
+          OR pdf_url IS NOT NULL OR summary_pdf_url IS NOT NULL`
+    );
+    
+    const keys = new Set();
+    
+    for (const row of result.rows) {
+      for (const key of [row.s3_key, row.summary_s3_key]) {
+        if (key) keys.add(key);
+      }
+      
+      for (const url of [row.pdf_url, row.summary_pdf_url]) {
+        const match = url && url.match(/\/(pdfs\/[^?]+)/);
+        if (match) keys.add(decodeURIComponent(match[1]));
+      }
+    }
+    
+    return { success: true, data: keys };
+    
+  } catch (error) {
+    console.error('❌ Failed to get referenced PDF keys:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Store the report of a cleanup run
+ */
+export async function recordCleanupRun(report) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `INSERT INTO cleanup_runs (trigger, dry_run, started_at, finished_at, report, error_count)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [report.trigger, report.dryRun, report.startedAt, report.finishedAt, JSON.stringify(report), report.errors.length]
+    );
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to record cleanup run:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List recent cleanup runs, newest first
+ */
+export async function getCleanupRuns({ limit = 20 } = {}) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT id, trigger, dry_run, started_at, finished_at, error_count, report
+       FROM cleanup_runs
+       ORDER BY started_at DESC
+       LIMIT $1`,
+      [limit]
+    );
+    
+    return { success: true, data: result.rows };
+    
+  } catch (error) {
+    console.error('❌ Failed to get cleanup runs:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create an organisation (a B2B client)
+ */
+export async function createOrganisation(id, name) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      'INSERT INTO organisations (id, name) VALUES ($1, $2) RETURNING *',
+      [id, name]
+    );
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to create organisation:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List organisations with their team and member counts
+ */
+export async function getOrganisations() {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT o.id, o.name, o.created_at,
+              COUNT(DISTINCT t.id)::int AS team_count,
+              COUNT(DISTINCT m.email)::int AS member_count
+       FROM organisations o
+       LEFT JOIN teams t ON t.organisation_id = o.id
+       LEFT JOIN team_members m ON m.team_id = t.id
+       GROUP BY o.id
+       ORDER BY o.name`
+    );
+    
+    return { success: true, data: result.rows };
+    
+  } catch (error) {
+    console.error('❌ Failed to get organisations:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get an organisation with its teams
+ */
+export async function getOrganisationById(id) {
+  const client = await getPool().connect();
+  
+  try {
+    const organisation = await client.query('SELECT * FROM organisations WHERE id = $1', [id]);
+    
+    if (organisation.rows.length === 0) {
+      return { success: false, error: 'Organisation not found' };
+    }
+    
+    const teams = await client.query(
+      `SELECT t.id, t.name, t.created_at, COUNT(m.email)::int AS member_count
+       FROM teams t
+       LEFT JOIN team_members m ON m.team_id = t.id
+       WHERE t.organisation_id = $1
+       GROUP BY t.id
+       ORDER BY t.name`,
+      [id]
+    );
+    
+    return { success: true, data: { ...organisation.rows[0], teams: teams.rows } };
+    
+  } catch (error) {
+    console.error('❌ Failed to get organisation:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create a team in an organisation
+ */
+export async function createTeam(id, organisationId, name) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      'INSERT INTO teams (id, organisation_id, name) VALUES ($1, $2, $3) RETURNING *',
+      [id, organisationId, name]
+    );
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to create team:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a team with its organisation name and member count
+ */
+export async function getTeamById(id) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT t.*, o.name AS organisation_name,
+              (SELECT COUNT(*)::int FROM team_members m WHERE m.team_id = t.id) AS member_count
+       FROM teams t
+       JOIN organisations o ON o.id = t.organisation_id
+       WHERE t.id = $1`,
+      [id]
+    );
+    
+    if (result.rows.length === 0) {
+      return { success: false, error: 'Team not found' };
+    }
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to get team:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create a team invite code
+ * @param {object} invite - { code, teamId, role, maxUses, expiresAt } maxUses/expiresAt null = unlimited
+ */
+export async function createTeamInvite({ code, teamId, role = 'member', maxUses = null, expiresAt = null }) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `INSERT INTO team_invites (code, team_id, role, max_uses, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [code, teamId, role, maxUses, expiresAt]
+    );
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to create team invite:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Why an invite can no longer be used (null if it can)
+ */
+function getInviteProblem(invite) {
+  if (invite.revoked_at) return 'revoked';
+  if (invite.expires_at && new Date(invite.expires_at) <= new Date()) return 'expired';
+  if (invite.max_uses !== null && invite.use_count >= invite.max_uses) return 'exhausted';
+  return null;
+}
+
+/**
+ * Look up an invite code with its team and organisation names
+ * @returns {Promise<object>} { success, data, reason } reason: not_found | revoked | expired | exhausted
+ */
+export async function getTeamInvite(code) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT i.*, t.name AS team_name, o.id AS organisation_id, o.name AS organisation_name
+       FROM team_invites i
+       JOIN teams t ON t.id = i.team_id
+       JOIN organisations o ON o.id = t.organisation_id
+       WHERE i.code = $1`,
+      [code]
+    );
+    
+    if (result.rows.length === 0) {
+      return { success: false, reason: 'not_found', error: 'Invite code not found' };
+    }
+    
+    const invite = result.rows[0];
+    const problem = getInviteProblem(invite);
+    
+    if (problem) {
+      return { success: false, reason: problem, error: `Invite code ${problem}`, data: invite };
+    }
+    
+    return { success: true, data: invite };
+    
+  } catch (error) {
+    console.error('❌ Failed to get team invite:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List a team's invite codes
+ */
+export async function getTeamInvites(teamId) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      'SELECT * FROM team_invites WHERE team_id = $1 ORDER BY created_at DESC',
+      [teamId]
+    );
+    
+    return { success: true, data: result.rows };
+    
+  } catch (error) {
+    console.error('❌ Failed to get team invites:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revoke an invite code (members who already joined stay in the team)
+ */
+export async function revokeTeamInvite(code) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `UPDATE team_invites SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+       WHERE code = $1
+       RETURNING *`,
+      [code]
+    );
+    
+    if (result.rows.length === 0) {
+      return { success: false, error: 'Invite code not found' };
+    }
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to revoke team invite:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Join a team with an invite code
+ * Only new members count towards max_uses; joining again keeps the existing role.
+ * @returns {Promise<object>} { success, data: { teamId, role, alreadyMember }, reason }
+ */
+export async function redeemTeamInvite(code, email) {
+  const client = await getPool().connect();
+  
+  try {
+    const normalizedEmail = email.toLowerCase().trim();
+    
+    await client.query('BEGIN');
+    
+    const inviteResult = await client.query(
+      'SELECT * FROM team_invites WHERE code = $1 FOR UPDATE',
+      [code]
+    );
+    
+    if (inviteResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { success: false, reason: 'not_found', error: 'Invite code not found' };
+    }
+    
+    const invite = inviteResult.rows[0];
+    const existing = await client.query(
+      'SELECT role FROM team_members WHERE team_id = $1 AND email = $2',
+      [invite.team_id, normalizedEmail]
+    );
+    
+    if (existing.rows.length > 0) {
+      await client.query('COMMIT');
+      return { success: true, data: { teamId: invite.team_id, role: existing.rows[0].role, alreadyMember: true } };
+    }
+    
+    const problem = getInviteProblem(invite);
+    
+    if (problem) {
+      await client.query('ROLLBACK');
+      return { success: false, reason: problem, error: `Invite code ${problem}` };
+    }
+    
+    await client.query(
+      `INSERT INTO team_members (team_id, email, role, invite_code)
+       VALUES ($1, $2, $3, $4)`,
+      [invite.team_id, normalizedEmail, invite.role, code]
+    );
+    
+    await client.query(
+      'UPDATE team_invites SET use_count = use_count + 1 WHERE code = $1',
+      [code]
+    );
+    
+    await client.query('COMMIT');
+    
+    return { success: true, data: { teamId: invite.team_id, role: invite.role, alreadyMember: false } };
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Failed to redeem team invite:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record the team a quiz result was submitted for
+ */
+export async function assignQuizResultToTeam(quizResultId, teamId) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query(
+      'UPDATE quiz_results SET team_id = $2 WHERE id = $1',
+      [quizResultId, teamId]
+    );
+    
+    return { success: true };
+    
+  } catch (error) {
+    console.error('❌ Failed to assign quiz result to team:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List a team's members with their latest attempt for the team
+ */
+export async function getTeamMembers(teamId) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT m.email, m.role, m.invite_code, m.joined_at,
+              latest.id AS latest_result_id, latest.created_at AS latest_result_at,
+              latest.edna_type, latest.subtype
+       FROM team_members m
+       LEFT JOIN LATERAL (
+         SELECT id, created_at, edna_type, subtype
+         FROM quiz_results q
+         WHERE q.team_id = m.team_id AND LOWER(TRIM(q.email)) = m.email
+         ORDER BY q.created_at DESC
+         LIMIT 1
+       ) latest ON true
+       WHERE m.team_id = $1
+       ORDER BY m.joined_at`,
+      [teamId]
+    );
+    
+    return { success: true, data: result.rows };
+    
+  } catch (error) {
+    console.error('❌ Failed to get team members:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Add a member directly or change their role ('member' or 'manager')
+ */
+export async function setTeamMemberRole(teamId, email, role) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `INSERT INTO team_members (team_id, email, role)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (team_id, email) DO UPDATE SET role = EXCLUDED.role
+       RETURNING *`,
+      [teamId, email.toLowerCase().trim(), role]
+    );
+    
+    return { success: true, data: result.rows[0] };
+    
+  } catch (error) {
+    console.error('❌ Failed to set team member role:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Remove a member from a team (their results stay, but no longer count for the team)
+ */
+export async function removeTeamMember(teamId, email) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      'DELETE FROM team_members WHERE team_id = $1 AND email = $2',
+      [teamId, email.toLowerCase().trim()]
+    );
+    
+    return { success: true, removed: result.rowCount > 0 };
+    
+  } catch (error) {
+    console.error('❌ Failed to remove team member:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Role of an email in a team (null if not a member)
+ */
+export async function getTeamMemberRole(teamId, email) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      'SELECT role FROM team_members WHERE team_id = $1 AND email = $2',
+      [teamId, email.toLowerCase().trim()]
+    );
+    
+    return { success: true, data: result.rows[0]?.role || null };
+    
+  } catch (error) {
+    console.error('❌ Failed to get team member role:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Latest attempt of every current member of the given teams
+ * Results from people who have since left a team are not included.
+ * @param {string[]} teamIds - Team IDs
+ */
+export async function getTeamLatestResults(teamIds) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT DISTINCT ON (q.team_id, m.email)
+              q.team_id, q.id, m.email, q.quiz_data, q.answers, q.definition_version, q.created_at
+       FROM quiz_results q
+       JOIN team_members m ON m.team_id = q.team_id AND m.email = LOWER(TRIM(q.email))
+       WHERE q.team_id = ANY($1::uuid[])
+       ORDER BY q.team_id, m.email, q.created_at DESC`,
+      [teamIds]
+    );
+    
+    return { success: true, data: result.rows };
+    
+  } catch (error) {
+    console.error('❌ Failed to get team results:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Test database connection
+ */
+export async function testConnection() {
+  try {
+    const client = await getPool().connect();
+    const result = await client.query('SELECT NOW()');
+    client.release();
+    
+    console.log('✅ PostgreSQL connection successful');
+    console.log(`   Server time: ${result.rows[0].now}`);
+    
+    return true;
+  } catch (error) {
+    console.error('❌ PostgreSQL connection failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Save quiz progress for authenticated user
+ */
+export async function saveQuizProgress(email, progressData) {
+  const client = await getPool().connect();
+  
+  try {
+    const query = `
+      INSERT INTO quiz_progress (email, progress_data, updated_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (email)
+      DO UPDATE SET
+        progress_data = $2,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+    
+    await client.query(query, [email, JSON.stringify(progressData)]);
+    console.log(`✅ Saved quiz progress for ${email}`);
+    
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to save quiz progress:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get quiz progress for authenticated user
+ */
+export async function getQuizProgress(email) {
+  const client = await getPool().connect();
+  
+  try {
+    const query = 'SELECT progress_data, updated_at FROM quiz_progress WHERE email = $1';
+    const result = await client.query(query, [email]);
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+    
+    return {
+      progressData: result.rows[0].progress_data,
+      updatedAt: result.rows[0].updated_at
+    };
+  } catch (error) {
+    console.error('❌ Failed to get quiz progress:', error.message);
+    return null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete quiz progress after completion
+ */
+export async function deleteQuizProgress(email) {
+  const client = await getPool().connect();
+  
+  try {
+    const query = 'DELETE FROM quiz_progress WHERE email = $1';
+    await client.query(query, [email]);
+    console.log(`✅ Deleted quiz progress for ${email}`);
+    
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to delete quiz progress:', error.message);
+    return false;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record a progress save on the person's open quiz session (starting one if needed)
+ * The layer only ever moves forward, so going back to change an answer does not
+ * count as dropping back.
+ * @param {object} progress - { layer, answered } from getProgressLayer() (analytics.js)
+ */
+export async function recordQuizSessionProgress(email, { layer = null, answered = 0 } = {}) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query(
+      `INSERT INTO quiz_sessions (email, last_layer, answered)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (email) WHERE completed_at IS NULL
+       DO UPDATE SET
+         last_saved_at = CURRENT_TIMESTAMP,
+         last_layer = GREATEST(quiz_sessions.last_layer, EXCLUDED.last_layer),
+         answered = GREATEST(quiz_sessions.answered, EXCLUDED.answered)`,
+      [email.toLowerCase().trim(), layer, answered]
+    );
+    
+    return { success: true };
+    
+  } catch (error) {
+    console.error('❌ Failed to record quiz session:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Layer 1 type and Layer 2 subtype counts of results saved in a date range
+ * @param {object} range - { from, to, interval } to is exclusive; interval is day, week or month
+ * @returns {Promise<object>} { success, data: [{ period, core_type, edna_type, subtype, count }] }
+ */
+export async function getResultTypeCounts({ from, to, interval }) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT TO_CHAR(DATE_TRUNC($3, created_at), 'YYYY-MM-DD') AS period,
+              core_type, edna_type, subtype, COUNT(*)::int AS count
+       FROM quiz_results
+       WHERE created_at >= $1 AND created_at < $2
+       GROUP BY 1, 2, 3, 4
+       ORDER BY 1, 5 DESC`,
+      [from, to, interval]
+    );
+    
+    return { success: true, data: result.rows };
+    
+  } catch (error) {
+    console.error('❌ Failed to get result type counts:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Results saved per period and how their PDFs ended up
+ * The row with a null period is the total for the whole range.
+ * @param {object} range - { from, to, interval }
+ * @returns {Promise<object>} { success, data: [{ period, results, delivered, failed, pending, no_pdf }] }
+ */
+export async function getResultDeliveryCounts({ from, to, interval }) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT period,
+              COUNT(*)::int AS results,
+              COUNT(*) FILTER (WHERE pdf_status = 'uploaded')::int AS delivered,
+              COUNT(*) FILTER (WHERE pdf_status = 'failed')::int AS failed,
+              COUNT(*) FILTER (WHERE pdf_status IN ('queued', 'rendering'))::int AS pending,
+              COUNT(*) FILTER (WHERE pdf_status IS NULL)::int AS no_pdf
+       FROM (
+         SELECT TO_CHAR(DATE_TRUNC($3, created_at), 'YYYY-MM-DD') AS period, pdf_status
+         FROM quiz_results
+         WHERE created_at >= $1 AND created_at < $2
+       ) saved
+       GROUP BY ROLLUP (period)
+       ORDER BY period NULLS LAST`,
+      [from, to, interval]
+    );
+    
+    return { success: true, data: result.rows };
+    
+  } catch (error) {
+    console.error('❌ Failed to get PDF delivery counts:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Quiz sessions started per period, how many ended in a result and how long that took
+ * The row with a null period is the total for the whole range.
+ * @param {object} range - { from, to, interval }
+ * @returns {Promise<object>} { success, data: [{ period, started, completed, median_seconds }] }
+ */
+export async function getQuizSessionCounts({ from, to, interval }) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT period,
+              COUNT(*)::int AS started,
+              COUNT(completed_at)::int AS completed,
+              PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY duration) AS median_seconds
+       FROM (
+         SELECT TO_CHAR(DATE_TRUNC($3, started_at), 'YYYY-MM-DD') AS period, completed_at,
+                EXTRACT(EPOCH FROM completed_at - started_at) AS duration
+         FROM quiz_sessions
+         WHERE started_at >= $1 AND started_at < $2
+       ) sessions
+       GROUP BY ROLLUP (period)
+       ORDER BY period NULLS LAST`,
+      [from, to, interval]
+    );
+    
+    return { success: true, data: result.rows };
+    
+  } catch (error) {
+    console.error('❌ Failed to get quiz session counts:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Unfinished sessions started in a date range, by the furthest layer reached
+ * A session counts as abandoned once it has not been saved for abandonAfterHours.
+ * @param {object} options - { from, to, abandonAfterHours }
+ * @returns {Promise<object>} { success, data: [{ last_layer, abandoned, in_progress }] }
+ */
+export async function getQuizDropOff({ from, to, abandonAfterHours }) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT last_layer,
+              COUNT(*) FILTER (WHERE last_saved_at < CURRENT_TIMESTAMP - $3::interval)::int AS abandoned,
+              COUNT(*) FILTER (WHERE last_saved_at >= CURRENT_TIMESTAMP - $3::interval)::int AS in_progress
+       FROM quiz_sessions
+       WHERE started_at >= $1 AND started_at < $2 AND completed_at IS NULL
+       GROUP BY last_layer
+       ORDER BY last_layer NULLS LAST`,
+      [from, to, `${abandonAfterHours} hours`]
+    );
+    
+    return { success: true, data: result.rows };
+    
+  } catch (error) {
+    console.error('❌ Failed to get quiz drop-off:', error.message);
+    return { success: false, error: error.message };
   } finally {
     client.release();
   }
@@ -0,0 +1,64 @@
+/**
+ * Quiz Definition Registry
+ * Every published quiz definition is registered here by version so stored
+ * results can always be re-scored against the definition that produced them
+ */
+import v1 from './v1.js';
+import v2 from './v2.js';
+
+const DEFINITIONS = {
+  [v1.version]: v1,
+  [v2.version]: v2
+};
+
+// Version used for new submissions unless the caller asks for another one.
+// v2 stays opt-in until its mixed-path options are confirmed against the frontend.
+export const CURRENT_DEFINITION_VERSION = process.env.QUIZ_DEFINITION_VERSION || v1.version;
+
+/**
+ * Get a quiz definition by version (defaults to the current version)
+ * @param {string} version - Definition version, e.g. 'v1'
+ * @returns {object} Quiz definition
+ */
+export function getQuizDefinition(version = CURRENT_DEFINITION_VERSION) {
+  const definition = DEFINITIONS[version];
+
+  if (!definition) {
+    throw new Error(`Unknown quiz definition version: ${version}`);
+  }
+
+  return definition;
+}
+
+/**
+ * Check whether a definition version is registered
+ * @param {string} version - Definition version
+ * @returns {boolean}
+ */
+export function hasQuizDefinition(version) {
+  return Object.prototype.hasOwnProperty.call(DEFINITIONS, version);
+}
+
+/**
+ * List all registered definition versions
+ * @returns {string[]}
+ */
+export function listQuizDefinitionVersions() {
+  return Object.keys(DEFINITIONS);
+}
+
+/**
+ * Get a single layer from a definition
+ * @param {object} definition - Quiz definition
+ * @param {string} layerKey - Layer key, e.g. 'layer3'
+ * @returns {object} Layer definition
+ */
+export function getLayerDefinition(definition, layerKey) {
+  const layer = definition.layers.find(l => l.key === layerKey);
+
+  if (!layer) {
+    throw new Error(`Quiz definition ${definition.version} has no ${layerKey}`);
+  }
+
+  return layer;
+}
@@ -0,0 +1,85 @@
+/**
+ * Quiz Label Keys
+ * Stable locale catalog keys (see src/locales) for the English labels used by
+ * the quiz definitions. Keys only name a label for translation and never
+ * change scoring, so they live outside the versioned definitions and are
+ * shared by every version. A new label needs a key here, never a changed one.
+ */
+
+const LABEL_KEYS = {
+  layer1: {
+    type: {
+      'Strong Architect': 'strongArchitect',
+      'Medium Architect': 'mediumArchitect',
+      'Weak Architect': 'weakArchitect',
+      'Strong Alchemist': 'strongAlchemist',
+      'Medium Alchemist': 'mediumAlchemist',
+      'Weak Alchemist': 'weakAlchemist',
+      'Blurred': 'blurred'
+    }
+  },
+  // Dimension label -> { key, labels: answer label -> key }
+  layer3: {
+    'Validator Awareness': { key: 'validatorAwareness', labels: { Opposite: 'opposite', Partial: 'partial', Full: 'full' } },
+    'Emotional Regulation': { key: 'emotionalRegulation', labels: { Reactive: 'reactive', Aware: 'aware', Integrated: 'integrated' } },
+    'Feedback Processing': { key: 'feedbackProcessing', labels: { Defensive: 'defensive', Selective: 'selective', Open: 'open' } },
+    'Blind Spot Recognition': { key: 'blindSpotRecognition', labels: { Unaware: 'unaware', Emerging: 'emerging', Aware: 'aware' } },
+    'Self-Correction Speed': { key: 'selfCorrectionSpeed', labels: { Slow: 'slow', Moderate: 'moderate', Fast: 'fast' } },
+    'Growth Orientation': { key: 'growthOrientation', labels: { Fixed: 'fixed', Mixed: 'mixed', Growth: 'growth' } }
+  },
+  layer5: {
+    'Focus Pattern': { key: 'focusPattern' },
+    'Processing Speed': { key: 'processingSpeed' },
+    'Energy Pattern': { key: 'energyPattern' },
+    'Task Switching': { key: 'taskSwitching' },
+    'Stress Response': { key: 'stressResponse' },
+    'Recovery Pattern': { key: 'recoveryPattern' }
+  },
+  // Trait path -> trait label -> key
+  layer6: {
+    'mindset.growthFixed': { Growth: 'growth', Fixed: 'fixed' },
+    'mindset.abundanceScarcity': { Abundance: 'abundance', Scarcity: 'scarcity' },
+    'mindset.challengeComfort': { Challenge: 'challenge', Comfort: 'comfort' },
+    'personality.coreType': {
+      'Confident & Steady': 'confidentSteady',
+      'Confident & Driven': 'confidentDriven',
+      'Considerate & Steady': 'considerateSteady',
+      'Fast-Moving & Adaptive': 'fastAdaptive'
+    },
+    'personality.communicationStyle': { 'Direct Communicator': 'direct', 'Diplomatic Communicator': 'diplomatic' }
+  },
+  layer7: {
+    'Grounding Source': { key: 'groundingSource', labels: { 'Self-Reliant': 'selfReliant', 'Faith-Reliant': 'faithReliant', 'Dual-Reliant': 'dualReliant' } },
+    'Control Belief': { key: 'controlBelief', labels: { "I'm In Control": 'inControl', 'Life Influences Me': 'lifeInfluences', 'Shared Control': 'shared' } },
+    'Fairness View': { key: 'fairnessView', labels: { 'Responsibility View': 'responsibility', 'Compassion View': 'compassion', 'Balanced View': 'balanced' } },
+    'Honesty Style': { key: 'honestyStyle', labels: { 'Direct Honesty': 'direct', 'Gentle Honesty': 'gentle', 'Balanced Honesty': 'balanced' } },
+    'Growth Approach': { key: 'growthApproach', labels: { 'Growth Focused': 'growth', 'Comfort Focused': 'comfort', 'Steady Growth': 'steady' } },
+    'Impact Motivation': { key: 'impactMotivation', labels: { 'Self-Focused Impact': 'self', 'Others-Focused Impact': 'others', 'Shared Impact': 'shared' } }
+  }
+};
+
+/**
+ * Key of a Layer 1 type label, e.g. 'Strong Architect' -> 'strongArchitect'
+ * @returns {string|undefined}
+ */
+export function getTypeKey(label) {
+  return LABEL_KEYS.layer1.type[label];
+}
+
+/**
+ * Key of a dimension label, plus the key of its answer label when given
+ * @param {string} layerKey - layer3, layer5 or layer7
+ * @returns {object} { key, labelKey } (undefined when there is none)
+ */
+export function getDimensionKeys(layerKey, dimension, label) {
+  const entry = LABEL_KEYS[layerKey]?.[dimension];
+  return { key: entry?.key, labelKey: label ? entry?.labels?.[label] : undefined };
+}
+
+/**
+ * Key of a Layer 6 trait label, e.g. ('mindset.growthFixed', 'Growth') -> 'growth'
+ * @returns {string|undefined}
+ */
+export function getTraitKey(path, label) {
+  return LABEL_KEYS.layer6[path]?.[label];
+}
@@ -0,0 +1,194 @@
+/**
+ * E-DNA Quiz Definition - v1
+ * Describes every layer, question and per-option scoring effect used by the
+ * scoring engine in scoring.js. Do not edit a published version in place:
+ * copy it to a new file, bump the version and register it in index.js so
+ * results that were already scored keep their original meaning.
+ */
+
+/**
+ * Build a list of sequential question IDs, e.g. ids('L1_Q', 1, 8)
+ */
+function ids(prefix, from, to, suffix = '') {
+  const list = [];
+  for (let i = from; i <= to; i++) {
+    list.push(`${prefix}${i}${suffix}`);
+  }
+  return list;
+}
+
+/**
+ * Build questions that all share the same option effects
+ */
+function sameOptions(questionIds, options) {
+  return questionIds.map(id => ({ id, options }));
+}
+
+const layer1 = {
+  key: 'layer1',
+  name: 'Decision Identity',
+  kind: 'classification',
+  categories: ['architect', 'alchemist'],
+  questions: sameOptions(ids('L1_Q', 1, 8), {
+    a: { tally: 'architect' },
+    b: { tally: 'alchemist' }
+  }),
+  // First band whose counts match exactly wins, otherwise fallbackLabel
+  bands: [
+    { label: 'Strong Architect', counts: { architect: 8, alchemist: 0 } },
+    { label: 'Medium Architect', counts: { architect: 7, alchemist: 1 } },
+    { label: 'Weak Architect', counts: { architect: 6, alchemist: 2 } },
+    { label: 'Strong Alchemist', counts: { architect: 0, alchemist: 8 } },
+    { label: 'Medium Alchemist', counts: { architect: 1, alchemist: 7 } },
+    { label: 'Weak Alchemist', counts: { architect: 2, alchemist: 6 } }
+  ],
+  fallbackLabel: 'Blurred'
+};
+
+const layer2 = {
+  key: 'layer2',
+  name: 'Execution Style Subtype',
+  kind: 'pathTally',
+  // Path is chosen from the Layer 1 type; the first matching path wins
+  paths: [
+    {
+      key: 'architect',
+      when: { layer: 'layer1', field: 'type', includes: 'Architect' },
+      questions: sameOptions(ids('L2_Q', 9, 16), {
+        a: { tally: 'planner' },
+        b: { tally: 'operator' },
+        c: { tally: 'analyst' },
+        d: { tally: 'ultimate' }
+      })
+    },
+    {
+      key: 'alchemist',
+      when: { layer: 'layer1', field: 'type', includes: 'Alchemist' },
+      questions: sameOptions(ids('L2_Q', 9, 16, 'a'), {
+        a: { tally: 'oracle' },
+        b: { tally: 'perfectionist' },
+        c: { tally: 'empath' },
+        d: { tally: 'ultimate' }
+      })
+    },
+    {
+      key: 'mixed',
+      questions: sameOptions(ids('L2_Qm', 9, 16), {})
+    }
+  ]
+};
+
+const layer3 = {
+  key: 'layer3',
+  name: 'Mirror Awareness',
+  kind: 'scoredDimensions',
+  maxScore: 12,
+  questions: [
+    ['L3_Q17', 'Validator Awareness', ['Opposite', 'Partial', 'Full']],
+    ['L3_Q18', 'Emotional Regulation', ['Reactive', 'Aware', 'Integrated']],
+    ['L3_Q19', 'Feedback Processing', ['Defensive', 'Selective', 'Open']],
+    ['L3_Q20', 'Blind Spot Recognition', ['Unaware', 'Emerging', 'Aware']],
+    ['L3_Q21', 'Self-Correction Speed', ['Slow', 'Moderate', 'Fast']],
+    ['L3_Q22', 'Growth Orientation', ['Fixed', 'Mixed', 'Growth']]
+  ].map(([id, dimension, labels]) => ({
+    id,
+    dimension,
+    options: {
+      a: { score: 0, label: labels[0] },
+      b: { score: 1, label: labels[1] },
+      c: { score: 2, label: labels[2] }
+    }
+  }))
+};
+
+const layer4 = {
+  key: 'layer4',
+  name: 'Learning Style (VARK)',
+  kind: 'modality',
+  categories: ['visual', 'auditory', 'readWrite', 'kinesthetic'],
+  questions: sameOptions(ids('L4_Q', 23, 27), {
+    a: { tally: 'visual' },
+    b: { tally: 'auditory' },
+    c: { tally: 'readWrite' },
+    d: { tally: 'kinesthetic' }
+  })
+};
+
+const layer5 = {
+  key: 'layer5',
+  name: 'Neuro Performance',
+  kind: 'profile',
+  questions: [
+    { id: 'L5_Q28', dimension: 'Focus Pattern' },
+    { id: 'L5_Q29', dimension: 'Processing Speed' },
+    { id: 'L5_Q30', dimension: 'Energy Pattern' },
+    { id: 'L5_Q31', dimension: 'Task Switching' },
+    { id: 'L5_Q32', dimension: 'Stress Response' },
+    { id: 'L5_Q33', dimension: 'Recovery Pattern' }
+  ].map(question => ({ ...question, options: { a: {}, b: {}, c: {}, d: {} } }))
+};
+
+const layer6 = {
+  key: 'layer6',
+  name: 'Mindset & Personality',
+  kind: 'traits',
+  questions: [
+    { id: 'L6_Q34', options: { a: {}, b: {} } },
+    { id: 'L6_Q35', options: { a: {}, b: {} } },
+    { id: 'L6_Q36', options: { a: {}, b: {} } },
+    { id: 'L6_Q37', options: { a: {}, b: {} } },
+    { id: 'L6_Q38', options: { a: {}, b: {} } },
+    { id: 'L6_Q39', options: { a: {}, b: {} } }
+  ],
+  // Each trait maps the joined answers of its questions to a label
+  traits: [
+    { path: 'mindset.growthFixed', questions: ['L6_Q34'], map: { a: 'Growth' }, fallback: 'Fixed' },
+    { path: 'mindset.abundanceScarcity', questions: ['L6_Q35'], map: { a: 'Abundance' }, fallback: 'Scarcity' },
+    { path: 'mindset.challengeComfort', questions: ['L6_Q36'], map: { a: 'Challenge' }, fallback: 'Comfort' },
+    {
+      path: 'personality.coreType',
+      questions: ['L6_Q37', 'L6_Q38'],
+      map: {
+        'a,a': 'Confident & Steady',
+        'a,b': 'Confident & Driven',
+        'b,a': 'Considerate & Steady',
+        'b,b': 'Fast-Moving & Adaptive'
+      },
+      fallback: ''
+    },
+    {
+      path: 'personality.communicationStyle',
+      questions: ['L6_Q39'],
+      map: { a: 'Direct Communicator' },
+      fallback: 'Diplomatic Communicator'
+    }
+  ]
+};
+
+const layer7 = {
+  key: 'layer7',
+  name: 'Meta-Beliefs & Values',
+  kind: 'labelledDimensions',
+  questions: [
+    ['L7_Q40', 'Grounding Source', ['Self-Reliant', 'Faith-Reliant', 'Dual-Reliant']],
+    ['L7_Q41', 'Control Belief', ["I'm In Control", 'Life Influences Me', 'Shared Control']],
+    ['L7_Q42', 'Fairness View', ['Responsibility View', 'Compassion View', 'Balanced View']],
+    ['L7_Q43', 'Honesty Style', ['Direct Honesty', 'Gentle Honesty', 'Balanced Honesty']],
+    ['L7_Q44', 'Growth Approach', ['Growth Focused', 'Comfort Focused', 'Steady Growth']],
+    ['L7_Q45', 'Impact Motivation', ['Self-Focused Impact', 'Others-Focused Impact', 'Shared Impact']]
+  ].map(([id, dimension, labels]) => ({
+    id,
+    dimension,
+    options: {
+      a: { label: labels[0] },
+      b: { label: labels[1] },
+      c: { label: labels[2] }
+    }
+  }))
+};
+
+export default {
+  version: 'v1',
+  name: 'E-DNA Quiz',
+  layers: [layer1, layer2, layer3, layer4, layer5, layer6, layer7]
+};
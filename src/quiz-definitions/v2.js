@@ -0,0 +1,50 @@
+/**
+ * E-DNA Quiz Definition - v2
+ * Same as v1, plus real scoring for the mixed (Blurred) Layer 2 path.
+ * Each mixed-path option belongs to the architect or alchemist family so the
+ * engine can report how the user blends the two.
+ *
+ * The option letters below (a-g) have not been checked against the frontend's
+ * L2_Qm9-L2_Qm16 questions yet, so v2 is not the default version. Confirm them
+ * before setting QUIZ_DEFINITION_VERSION=v2 or making it the default in index.js.
+ */
+import v1 from './v1.js';
+
+function ids(prefix, from, to) {
+  const list = [];
+  for (let i = from; i <= to; i++) {
+    list.push(`${prefix}${i}`);
+  }
+  return list;
+}
+
+const v1Layer2 = v1.layers.find(layer => layer.key === 'layer2');
+
+const mixedPath = {
+  key: 'mixed',
+  // Families the blend ratio is reported across
+  blend: { families: ['architect', 'alchemist'] },
+  questions: ids('L2_Qm', 9, 16).map(id => ({
+    id,
+    options: {
+      a: { tally: 'planner', family: 'architect' },
+      b: { tally: 'operator', family: 'architect' },
+      c: { tally: 'analyst', family: 'architect' },
+      d: { tally: 'oracle', family: 'alchemist' },
+      e: { tally: 'perfectionist', family: 'alchemist' },
+      f: { tally: 'empath', family: 'alchemist' },
+      g: { tally: 'ultimate' }
+    }
+  }))
+};
+
+const layer2 = {
+  ...v1Layer2,
+  paths: v1Layer2.paths.map(path => (path.key === 'mixed' ? mixedPath : path))
+};
+
+export default {
+  ...v1,
+  version: 'v2',
+  layers: v1.layers.map(layer => (layer.key === 'layer2' ? layer2 : layer))
+};
@@ -0,0 +1,97 @@
+/**
+ * Quiz Answer Validation
+ * Checks submitted answers against a quiz definition before they are scored
+ */
+import { getQuizDefinition } from './quiz-definitions/index.js';
+import { calculateLayer1, selectPath } from './scoring.js';
+
+// strict: any missing or invalid answer rejects the submission
+// lenient: score whatever is valid and report per-layer completeness
+export const VALIDATION_MODES = ['strict', 'lenient'];
+
+/**
+ * Get the questions a user is expected to answer, per layer
+ * Layers with paths (Layer 2) only expect the questions of the path selected
+ * by the user's Layer 1 answers
+ * @param {object} answers - Map of question ID to answer letter
+ * @param {object} definition - Quiz definition
+ * @returns {Array<{layer: string, questions: object[]}>}
+ */
+export function getExpectedQuestions(answers, definition) {
+  const layer1Result = calculateLayer1(answers, definition);
+
+  return definition.layers.map(layer => ({
+    layer: layer.key,
+    questions: layer.paths
+      ? selectPath(layer, { layer1: layer1Result }).questions
+      : layer.questions
+  }));
+}
+
+/**
+ * Validate answers for the path the user took through the quiz
+ * @param {object} answers - Map of question ID to answer letter
+ * @param {object} options - { definitionVersion, mode }
+ * @returns {object} { valid, missing, invalid, completeness, answers }
+ *   `answers` only contains the valid answers, ready to be scored
+ */
+export function validateAnswers(answers, { definitionVersion, mode = 'strict' } = {}) {
+  if (!VALIDATION_MODES.includes(mode)) {
+    throw new Error(`Unknown validation mode: ${mode}`);
+  }
+
+  const definition = getQuizDefinition(definitionVersion);
+  const missing = [];
+  const invalid = [];
+  const validAnswers = {};
+  const layers = {};
+  let totalExpected = 0;
+  let totalAnswered = 0;
+
+  for (const { layer, questions } of getExpectedQuestions(answers, definition)) {
+    let answered = 0;
+
+    for (const question of questions) {
+      const value = answers[question.id];
+      const allowed = Object.keys(question.options || {});
+
+      if (value === undefined || value === null || value === '') {
+        missing.push({ questionId: question.id, layer });
+        continue;
+      }
+
+      // Questions without scoring options accept any answer
+      if (allowed.length > 0 && !allowed.includes(value)) {
+        invalid.push({ questionId: question.id, layer, value, allowed });
+        continue;
+      }
+
+      validAnswers[question.id] = value;
+      answered++;
+    }
+
+    layers[layer] = {
+      answered,
+      expected: questions.length,
+      percent: questions.length > 0 ? Math.round((answered / questions.length) * 100) : 100,
+      complete: answered === questions.length
+    };
+    totalExpected += questions.length;
+    totalAnswered += answered;
+  }
+
+  return {
+    valid: missing.length === 0 && invalid.length === 0,
+    mode,
+    definitionVersion: definition.version,
+    missing,
+    invalid,
+    completeness: {
+      answered: totalAnswered,
+      expected: totalExpected,
+      percent: totalExpected > 0 ? Math.round((totalAnswered / totalExpected) * 100) : 100,
+      layers
+    },
+    answers: validAnswers
+  };
+}
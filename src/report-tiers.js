@@ -0,0 +1,58 @@
+/**
+ * Report Tiers
+ *   summary - free: Layer 1 (Core Identity) and Layer 2 (Subtype) only
+ *   full    - paid: all seven layers, headline metrics and coaching content
+ * Each tier is rendered to its own S3 object and gets its own download tokens.
+ */
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const REPORT_TIERS = {
+  summary: {
+    layers: [1, 2],
+    metrics: false,
+    coaching: false
+  },
+  full: {
+    layers: [1, 2, 3, 4, 5, 6, 7],
+    metrics: true,
+    coaching: true
+  }
+};
+
+export const DEFAULT_REPORT_TIER = 'full';
+
+/**
+ * Check a tier name
+ */
+export function isReportTier(tier) {
+  return Object.prototype.hasOwnProperty.call(REPORT_TIERS, tier);
+}
+
+/**
+ * Tier definition, defaulting to the full report for unknown names
+ * @param {string} tier - 'summary' or 'full'
+ */
+export function getReportTier(tier) {
+  return REPORT_TIERS[isReportTier(tier) ? tier : DEFAULT_REPORT_TIER];
+}
+
+/**
+ * Whether the full report needs a completed purchase (REQUIRE_PAYMENT_FOR_PDF, default true)
+ */
+export function isPaymentRequired() {
+  return process.env.REQUIRE_PAYMENT_FOR_PDF !== 'false';
+}
+
+/**
+ * Highest tier a quiz result is entitled to
+ * @param {object} result - quiz_results row (payment_status)
+ * @returns {string} 'full' once paid (or when payment is not required), otherwise 'summary'
+ */
+export function getEntitledTier(result) {
+  if (!isPaymentRequired() || result?.payment_status === 'paid') {
+    return 'full';
+  }
+
+  return 'summary';
+}
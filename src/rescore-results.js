@@ -0,0 +1,82 @@
+/**
+ * Re-score stored quiz submissions from the command line
+ * Prints a diff report; nothing is written unless --commit is passed
+ *
+ * Run: node src/rescore-results.js [--from 2025-01-01] [--to 2025-02-01]
+ *        [--email user@example.com] [--version v1] [--target v2]
+ *        [--limit 500] [--commit] [--reason "Fix mixed path scoring"] [--json]
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { rescoreResults } from './rescore.js';
+import { closePool } from './postgres-db.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log('\n🔁 Re-scoring stored quiz results...');
+  console.log(`   Mode: ${args.commit ? 'COMMIT (new revisions will be saved)' : 'dry run'}`);
+
+  try {
+    const report = await rescoreResults({
+      from: args.from,
+      to: args.to,
+      email: args.email,
+      definitionVersion: args.version,
+      targetVersion: args.target,
+      commit: Boolean(args.commit),
+      limit: args.limit ? parseInt(args.limit, 10) : undefined,
+      reason: typeof args.reason === 'string' ? args.reason : undefined
+    });
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(`\n📊 Target version: ${report.targetVersion}`);
+      console.log(`   Scanned: ${report.scanned}`);
+      console.log(`   Changed: ${report.changed}`);
+      console.log(`   Unchanged: ${report.unchanged}`);
+      console.log(`   Committed: ${report.committed}`);
+      console.log(`   Failed: ${report.failed}`);
+
+      report.changes.forEach((change, idx) => {
+        console.log(`\n   ${idx + 1}. ${change.email} (${change.resultId}) ${change.fromVersion || 'unversioned'} → ${change.toVersion}${change.committed ? ` [revision ${change.revision}]` : ''}`);
+        change.diffs.forEach(diff => {
+          console.log(`      ${diff.field}: "${diff.before ?? ''}" → "${diff.after ?? ''}"`);
+        });
+      });
+
+      report.errors.forEach(error => {
+        console.log(`\n   ❌ ${error.resultId}: ${error.error}`);
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
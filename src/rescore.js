@@ -0,0 +1,160 @@
+/**
+ * Result Re-scoring
+ * Re-runs the scoring engine over stored raw answers, reports which labels
+ * would change and optionally commits the new results as a new revision
+ */
+import { calculateAllResults, summarizeResults } from './scoring.js';
+import { validateAnswers } from './quiz-validation.js';
+import { CURRENT_DEFINITION_VERSION, getQuizDefinition } from './quiz-definitions/index.js';
+import { getQuizResultsForRescore, saveQuizResultRevision } from './postgres-db.js';
+
+// Single-value labels compared between the stored and re-scored results
+const LABEL_FIELDS = [
+  'layer1.type',
+  'layer2.subtype',
+  'layer2.secondarySubtype',
+  'layer4.dominantModality',
+  'layer6.mindset.growthFixed',
+  'layer6.mindset.abundanceScarcity',
+  'layer6.mindset.challengeComfort',
+  'layer6.personality.coreType',
+  'layer6.personality.communicationStyle'
+];
+
+function getPath(source, dottedPath) {
+  return dottedPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), source);
+}
+
+/**
+ * Score raw answers the same way /api/quiz/submit-new does
+ * @param {object} answers - Raw answers as submitted
+ * @param {string} definitionVersion - Definition version to score against
+ */
+export function scoreAnswers(answers, definitionVersion) {
+  const { answers: validAnswers } = validateAnswers(answers, { definitionVersion, mode: 'lenient' });
+  const scored = calculateAllResults(validAnswers, { definitionVersion });
+  return { ...scored, ...summarizeResults(scored) };
+}
+
+/**
+ * List the labels that differ between two results
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+export function diffResultLabels(before, after) {
+  const diffs = [];
+
+  const fields = [...LABEL_FIELDS];
+  // Per-dimension labels for Layer 3 (mirror awareness) and Layer 7 (beliefs)
+  for (const [layer, group] of [['layer3', 'dimensions'], ['layer7', 'beliefs']]) {
+    const keys = new Set([
+      ...Object.keys(getPath(before, `${layer}.${group}`) || {}),
+      ...Object.keys(getPath(after, `${layer}.${group}`) || {})
+    ]);
+    for (const key of keys) {
+      fields.push(layer === 'layer3' ? `${layer}.${group}.${key}.label` : `${layer}.${group}.${key}`);
+    }
+  }
+
+  for (const field of fields) {
+    const beforeValue = getPath(before, field) ?? null;
+    const afterValue = getPath(after, field) ?? null;
+    if (beforeValue !== afterValue) {
+      diffs.push({ field, before: beforeValue, after: afterValue });
+    }
+  }
+
+  return diffs;
+}
+
+/**
+ * Re-score stored submissions and build a diff report
+ * @param {object} options - { from, to, email, definitionVersion, targetVersion, commit, limit, reason }
+ *   definitionVersion filters by the version that scored the stored result,
+ *   targetVersion is the version to re-score with (defaults to the current one)
+ * @returns {Promise<object>} Report
+ */
+export async function rescoreResults({
+  from,
+  to,
+  email,
+  definitionVersion,
+  targetVersion = CURRENT_DEFINITION_VERSION,
+  commit = false,
+  limit,
+  reason
+} = {}) {
+  // Fail fast on an unknown target version
+  getQuizDefinition(targetVersion);
+
+  const rowsResult = await getQuizResultsForRescore({ from, to, email, definitionVersion, limit });
+
+  if (!rowsResult.success) {
+    throw new Error(`Failed to load quiz results: ${rowsResult.error}`);
+  }
+
+  const report = {
+    targetVersion,
+    commit,
+    scanned: rowsResult.data.length,
+    changed: 0,
+    unchanged: 0,
+    committed: 0,
+    failed: 0,
+    changes: [],
+    errors: []
+  };
+
+  for (const row of rowsResult.data) {
+    try {
+      const answers = typeof row.answers === 'string' ? JSON.parse(row.answers) : row.answers;
+      const stored = typeof row.quiz_data === 'string' ? JSON.parse(row.quiz_data) : row.quiz_data;
+      const rescored = scoreAnswers(answers, targetVersion);
+      const diffs = diffResultLabels(stored, rescored);
+
+      if (diffs.length === 0 && row.definition_version === targetVersion) {
+        report.unchanged++;
+        continue;
+      }
+
+      report.changed++;
+      const change = {
+        resultId: row.id,
+        email: row.email,
+        createdAt: row.created_at,
+        revision: row.revision || 1,
+        fromVersion: row.definition_version,
+        toVersion: targetVersion,
+        diffs,
+        committed: false
+      };
+
+      if (commit) {
+        // Keep the report language the user originally chose
+        const saveResult = await saveQuizResultRevision(
+          row.id,
+          { ...rescored, locale: stored.locale },
+          reason || `Re-scored with quiz definition ${targetVersion}`
+        );
+
+        if (!saveResult.success) {
+          throw new Error(saveResult.error);
+        }
+
+        change.committed = true;
+        change.revision = saveResult.data.revision;
+        report.committed++;
+      }
+
+      report.changes.push(change);
+
+    } catch (error) {
+      console.error(`❌ Failed to re-score result ${row.id}:`, error.message);
+      report.failed++;
+      report.errors.push({ resultId: row.id, error: error.message });
+    }
+  }
+
+  console.log(`✅ Re-scored ${report.scanned} result(s): ${report.changed} changed, ${report.committed} committed, ${report.failed} failed`);
+
+  return report;
+}
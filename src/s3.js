@@ -1,4 +1,4 @@
-import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsV2Command, DeleteObjectsCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import fs from 'fs';
 import dotenv from 'dotenv';
@@ -98,5 +98,67 @@ export async function generatePresignedPdfUrl(s3Key, expiresInSeconds = 7 * 60 *
   }
 }
 
-export default { uploadPDFToS3, generatePresignedPdfUrl };
+/**
+ * List every PDF in the bucket
+ * @param {string} prefix - Key prefix (default: pdfs/, where uploadPDFToS3 writes)
+ * @returns {Promise<object>} { success, objects: [{ key, size, lastModified }], error }
+ */
+export async function listPdfObjects(prefix = 'pdfs/') {
+  try {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const page = await s3Client.send(new ListObjectsV2Command({
+        Bucket: BUCKET_NAME,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of page.Contents || []) {
+        objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return { success: true, objects };
+
+  } catch (error) {
+    console.error('❌ Error listing S3 objects:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete PDFs from the bucket (in batches of 1000, the S3 maximum)
+ * @param {string[]} keys - Object keys
+ * @returns {Promise<object>} { success, deleted: [key], errors: [{ key, error }] }
+ */
+export async function deletePdfObjects(keys) {
+  const deleted = [];
+  const errors = [];
+
+  for (let i = 0; i < keys.length; i += 1000) {
+    const batch = keys.slice(i, i + 1000);
+
+    try {
+      const result = await s3Client.send(new DeleteObjectsCommand({
+        Bucket: BUCKET_NAME,
+        Delete: { Objects: batch.map(key => ({ Key: key })), Quiet: false }
+      }));
+
+      (result.Deleted || []).forEach(object => deleted.push(object.Key));
+      (result.Errors || []).forEach(object => errors.push({ key: object.Key, error: object.Message || object.Code }));
+
+    } catch (error) {
+      console.error('❌ Error deleting S3 objects:', error);
+      batch.forEach(key => errors.push({ key, error: error.message }));
+    }
+  }
+
+  return { success: errors.length === 0, deleted, errors };
+}
+
+export default { uploadPDFToS3, generatePresignedPdfUrl, listPdfObjects, deletePdfObjects };
 
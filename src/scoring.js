@@ -1,279 +1,429 @@
 /**
  * E-DNA Quiz Scoring Logic (Backend)
  * Calculates scores for all 7 layers based on user answers
+ *
+ * Question IDs, options and scoring effects live in versioned quiz
+ * definitions (see ./quiz-definitions). This module is the generic engine
+ * that runs a definition against a set of answers.
  */
+import { getQuizDefinition, getLayerDefinition } from './quiz-definitions/index.js';
+import { getTypeKey, getDimensionKeys, getTraitKey } from './quiz-definitions/label-keys.js';
 
 /**
- * Calculate Layer 1: Decision Identity
+ * Look up the effect of the given answer for a question (null if none)
+ */
+function getEffect(question, answer) {
+  if (!answer || !question.options) return null;
+  return question.options[answer] || null;
+}
+
+/**
+ * Count tally effects for a list of questions
  */
-function calculateLayer1(answers) {
-  let architectCount = 0;
-  let alchemistCount = 0;
-
-  for (let i = 1; i <= 8; i++) {
-    const answer = answers[`L1_Q${i}`];
-    if (answer === 'a') architectCount++;
-    if (answer === 'b') alchemistCount++;
+function tally(answers, questions, categories = []) {
+  const counts = {};
+  for (const category of categories) {
+    counts[category] = 0;
   }
 
-  let type;
-  
-  if (architectCount === 8 && alchemistCount === 0) {
-    type = 'Strong Architect';
-  } else if (architectCount === 7 && alchemistCount === 1) {
-    type = 'Medium Architect';
-  } else if (architectCount === 6 && alchemistCount === 2) {
-    type = 'Weak Architect';
-  } else if (architectCount === 0 && alchemistCount === 8) {
-    type = 'Strong Alchemist';
-  } else if (architectCount === 1 && alchemistCount === 7) {
-    type = 'Medium Alchemist';
-  } else if (architectCount === 2 && alchemistCount === 6) {
-    type = 'Weak Alchemist';
-  } else {
-    type = 'Blurred';
+  for (const question of questions) {
+    const effect = getEffect(question, answers[question.id]);
+    if (effect && effect.tally) {
+      counts[effect.tally] = (counts[effect.tally] || 0) + 1;
+    }
   }
 
-  return { type, architectCount, alchemistCount };
+  return counts;
 }
 
 /**
- * Calculate Layer 2: Execution Style Subtype
+ * Tally categories in the order the user first picked them (question order)
+ * Categories that were never picked are not included.
  */
-function calculateLayer2(answers, layer1Result) {
-  const scores = {};
-  
-  // Determine which path based on Layer 1
-  let path;
-  let questionPrefix;
-  
-  if (layer1Result.type.includes('Architect')) {
-    path = 'architect';
-    questionPrefix = 'L2_Q';
-  } else if (layer1Result.type.includes('Alchemist')) {
-    path = 'alchemist';
-    questionPrefix = 'L2_Q';
-  } else {
-    path = 'mixed';
-    questionPrefix = 'L2_Qm';
-  }
+function firstAnsweredOrder(answers, questions) {
+  const order = [];
 
-  // Count scores for each subtype
-  for (let i = 9; i <= 16; i++) {
-    const qid = path === 'alchemist' ? `${questionPrefix}${i}a` : `${questionPrefix}${i}`;
-    const answer = answers[qid];
-    
-    if (answer) {
-      let scoreKey = '';
-      if (path === 'architect') {
-        const mapping = {
-          'a': 'planner',
-          'b': 'operator',
-          'c': 'analyst',
-          'd': 'ultimate'
-        };
-        scoreKey = mapping[answer] || '';
-      } else if (path === 'alchemist') {
-        const mapping = {
-          'a': 'oracle',
-          'b': 'perfectionist',
-          'c': 'empath',
-          'd': 'ultimate'
-        };
-        scoreKey = mapping[answer] || '';
-      }
-      
-      if (scoreKey) {
-        scores[scoreKey] = (scores[scoreKey] || 0) + 1;
-      }
+  for (const question of questions) {
+    const effect = getEffect(question, answers[question.id]);
+    if (effect && effect.tally && !order.includes(effect.tally)) {
+      order.push(effect.tally);
     }
   }
 
-  // Determine dominant subtype
-  let subtype = '';
-  let maxScore = 0;
-  for (const [key, value] of Object.entries(scores)) {
-    if (value > maxScore) {
-      maxScore = value;
-      subtype = key;
-    }
+  return order;
+}
+
+/**
+ * Set a value on a nested object using a dotted path, e.g. 'mindset.growthFixed'
+ */
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
   }
+  node[keys[keys.length - 1]] = value;
+}
 
-  // Capitalize subtype
-  subtype = subtype.charAt(0).toUpperCase() + subtype.slice(1);
+/**
+ * Tie-break rules a layer can name in its definition (`tieBreak.rule`)
+ * - firstAnswered: the tied category the user picked first in question order
+ * - priority: the tied category listed first in `tieBreak.order`
+ */
+const TIE_BREAK_RULES = ['firstAnswered', 'priority'];
 
-  return { subtype, path, scores };
+/**
+ * Tie-break of a layer: its own `tieBreak`, or the rule every published
+ * version was scored with - modality layers go to the earliest of their
+ * categories, other layers to the category picked first
+ */
+function getTieBreak(layer) {
+  if (layer.tieBreak) return layer.tieBreak;
+  return layer.kind === 'modality'
+    ? { rule: 'priority', order: layer.categories }
+    : { rule: 'firstAnswered' };
 }
 
 /**
- * Calculate Layer 3: Mirror Awareness
+ * Pick the dominant category of a tally and report how clear the win was
+ * A layer with no scored answers has no dominant category and no tie (key '').
+ * @param {string[]} answeredOrder - categories in first-answered order (firstAnsweredOrder())
+ * @returns {object} { key, tied, tieBrokenBy, margin, confidence }
+ *   margin: lead over the runner-up (in answers)
+ *   confidence: margin as a share of the layer's scored answers (0-1)
  */
-function calculateLayer3(answers) {
-  const dimensions = {};
-  let totalScore = 0;
-  const maxScore = 12;
-
-  const dimensionMap = {
-    'L3_Q17': { name: 'Validator Awareness', labels: ['Opposite', 'Partial', 'Full'] },
-    'L3_Q18': { name: 'Emotional Regulation', labels: ['Reactive', 'Aware', 'Integrated'] },
-    'L3_Q19': { name: 'Feedback Processing', labels: ['Defensive', 'Selective', 'Open'] },
-    'L3_Q20': { name: 'Blind Spot Recognition', labels: ['Unaware', 'Emerging', 'Aware'] },
-    'L3_Q21': { name: 'Self-Correction Speed', labels: ['Slow', 'Moderate', 'Fast'] },
-    'L3_Q22': { name: 'Growth Orientation', labels: ['Fixed', 'Mixed', 'Growth'] }
-  };
+function resolveDominant(scores, tieBreak = { rule: 'firstAnswered' }, answeredOrder = []) {
+  if (!TIE_BREAK_RULES.includes(tieBreak.rule)) {
+    throw new Error(`Unknown tie-break rule: ${tieBreak.rule}`);
+  }
+
+  const total = Object.values(scores).reduce((sum, value) => sum + value, 0);
 
-  for (const [qid, dimData] of Object.entries(dimensionMap)) {
-    const answer = answers[qid];
-    let score = 0;
-    let label = '';
+  if (total === 0) {
+    return { key: '', tied: [], tieBrokenBy: null, margin: 0, confidence: 0 };
+  }
 
-    if (answer === 'a') { score = 0; label = dimData.labels[0]; }
-    else if (answer === 'b') { score = 1; label = dimData.labels[1]; }
-    else if (answer === 'c') { score = 2; label = dimData.labels[2]; }
+  // Equal scores rank in first-answered order
+  const position = key => (answeredOrder.includes(key) ? answeredOrder.indexOf(key) : answeredOrder.length);
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1] || position(a[0]) - position(b[0]));
+  const topScore = ranked[0][1];
+  const runnerUpScore = ranked.length > 1 ? ranked[1][1] : 0;
 
-    dimensions[dimData.name] = { score, label };
-    totalScore += score;
+  const candidates = ranked.filter(([, value]) => value === topScore).map(([key]) => key);
+  const tied = candidates.length > 1 ? candidates : [];
+
+  let key = candidates[0];
+  if (tied.length > 0 && tieBreak.rule === 'priority') {
+    key = (tieBreak.order || []).find(category => tied.includes(category)) || key;
   }
 
-  return { totalScore, maxScore, dimensions };
+  const margin = topScore - runnerUpScore;
+
+  return {
+    key,
+    tied,
+    tieBrokenBy: tied.length > 0 ? tieBreak.rule : null,
+    margin,
+    confidence: Math.round((margin / total) * 100) / 100
+  };
 }
 
 /**
- * Calculate Layer 4: Learning Style (VARK)
+ * Pick the question path of a layer from earlier layer results
+ * The first path whose `when` matches wins; a path without `when` is the default
  */
-function calculateLayer4(answers) {
-  const scores = {
-    visual: 0,
-    auditory: 0,
-    readWrite: 0,
-    kinesthetic: 0
-  };
+function selectPath(layer, priorLayers) {
+  return layer.paths.find(p => {
+    if (!p.when) return true;
+    const value = priorLayers[p.when.layer]?.[p.when.field] || '';
+    return value.includes(p.when.includes);
+  });
+}
 
-  const mapping = {
-    'a': 'visual',
-    'b': 'auditory',
-    'c': 'readWrite',
-    'd': 'kinesthetic'
-  };
+/**
+ * Capitalize a subtype key for display, e.g. 'planner' -> 'Planner'
+ */
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * Build a stable locale catalog key for a label, e.g. 'layer3.label.feedbackProcessing.open'
+ * Returns null if any part is missing (unanswered question, no matching label)
+ */
+function labelKey(...parts) {
+  return parts.every(part => part) ? parts.join('.') : null;
+}
+
+/**
+ * Blend a mixed (Blurred) path across subtype families
+ * Returns the runner-up subtype and each family's share of the answers (%)
+ */
+function calculateBlend(answers, path, scores, dominantKey) {
+  const familyCounts = {};
+  for (const family of path.blend.families) {
+    familyCounts[family] = 0;
+  }
 
-  for (let i = 23; i <= 27; i++) {
-    const answer = answers[`L4_Q${i}`];
-    if (answer && mapping[answer]) {
-      scores[mapping[answer]]++;
+  for (const question of path.questions) {
+    const effect = getEffect(question, answers[question.id]);
+    if (effect && effect.family) {
+      familyCounts[effect.family] = (familyCounts[effect.family] || 0) + 1;
     }
   }
 
-  const total = Object.values(scores).reduce((sum, val) => sum + val, 0);
-  const percentages = {
-    visual: Math.round((scores.visual / total) * 100),
-    auditory: Math.round((scores.auditory / total) * 100),
-    readWrite: Math.round((scores.readWrite / total) * 100),
-    kinesthetic: Math.round((scores.kinesthetic / total) * 100)
-  };
+  const familyTotal = Object.values(familyCounts).reduce((sum, val) => sum + val, 0);
+  const blendRatio = {};
+  for (const [family, count] of Object.entries(familyCounts)) {
+    blendRatio[family] = familyTotal > 0 ? Math.round((count / familyTotal) * 100) : 0;
+  }
 
-  let dominantModality = 'visual';
-  let maxScore = scores.visual;
+  let secondaryKey = '';
+  let secondaryScore = 0;
   for (const [key, value] of Object.entries(scores)) {
-    if (value > maxScore) {
-      maxScore = value;
-      dominantModality = key;
+    if (key !== dominantKey && value > secondaryScore) {
+      secondaryScore = value;
+      secondaryKey = key;
     }
   }
 
-  return { dominantModality, scores, percentages };
+  return { secondaryKey, secondarySubtype: capitalize(secondaryKey), blendRatio };
 }
 
 /**
- * Calculate Layer 5: Neuro Performance
+ * Calculate Layer 1: Decision Identity
  */
-function calculateLayer5(answers) {
-  const profile = {};
+function calculateLayer1(answers, definition = getQuizDefinition()) {
+  const layer = getLayerDefinition(definition, 'layer1');
+  const counts = tally(answers, layer.questions, layer.categories);
 
-  const dimensions = [
-    { qid: 'L5_Q28', name: 'Focus Pattern' },
-    { qid: 'L5_Q29', name: 'Processing Speed' },
-    { qid: 'L5_Q30', name: 'Energy Pattern' },
-    { qid: 'L5_Q31', name: 'Task Switching' },
-    { qid: 'L5_Q32', name: 'Stress Response' },
-    { qid: 'L5_Q33', name: 'Recovery Pattern' }
-  ];
-
-  for (const dim of dimensions) {
-    const answer = answers[dim.qid];
-    if (answer) {
-      profile[dim.name] = answer;
+  const band = layer.bands.find(b =>
+    Object.entries(b.counts).every(([category, count]) => counts[category] === count)
+  );
+  const type = band ? band.label : layer.fallbackLabel;
+  const nearestBand = band ? null : findNearestBand(layer.bands, counts);
+
+  const answered = counts.architect + counts.alchemist;
+  const margin = Math.abs(counts.architect - counts.alchemist);
+  const tied = answered > 0 && margin === 0 ? [...layer.categories] : [];
+
+  let leaning = null;
+  if (counts.architect > counts.alchemist) leaning = 'architect';
+  if (counts.alchemist > counts.architect) leaning = 'alchemist';
+
+  return {
+    type,
+    architectCount: counts.architect,
+    alchemistCount: counts.alchemist,
+    leaning,
+    margin,
+    confidence: answered > 0 ? Math.round((margin / answered) * 100) / 100 : 0,
+    tied,
+    // Blurred users: the closest band and how many answers away it is
+    nearestBand: nearestBand && { label: nearestBand.label, answersAway: nearestBand.answersAway },
+    labelKeys: {
+      type: labelKey('layer1', 'type', getTypeKey(type)),
+      nearestBand: nearestBand && labelKey('layer1', 'type', getTypeKey(nearestBand.label))
+    }
+  };
+}
+
+/**
+ * Find the band closest to the given counts
+ * Distance is the number of answers that would have to change to land on it
+ */
+function findNearestBand(bands, counts) {
+  let nearest = null;
+
+  for (const band of bands) {
+    const difference = Object.entries(band.counts)
+      .reduce((sum, [category, count]) => sum + Math.abs((counts[category] || 0) - count), 0);
+    const answersAway = Math.ceil(difference / 2);
+
+    if (!nearest || answersAway < nearest.answersAway) {
+      nearest = { label: band.label, answersAway };
     }
   }
 
-  return { profile };
+  return nearest;
 }
 
 /**
- * Calculate Layer 6: Mindset & Personality
+ * Calculate Layer 2: Execution Style Subtype
  */
-function calculateLayer6(answers) {
-  const mindset = {
-    growthFixed: answers['L6_Q34'] === 'a' ? 'Growth' : 'Fixed',
-    abundanceScarcity: answers['L6_Q35'] === 'a' ? 'Abundance' : 'Scarcity',
-    challengeComfort: answers['L6_Q36'] === 'a' ? 'Challenge' : 'Comfort'
+function calculateLayer2(answers, layer1Result, definition = getQuizDefinition()) {
+  const layer = getLayerDefinition(definition, 'layer2');
+
+  // Determine which path based on Layer 1
+  const selectedPath = selectPath(layer, { layer1: layer1Result });
+
+  // Count scores for each subtype
+  const scores = tally(answers, selectedPath.questions);
+
+  // Determine dominant subtype
+  const { key: subtype, ...certainty } = resolveDominant(scores, getTieBreak(layer), firstAnsweredOrder(answers, selectedPath.questions));
+
+  // Blurred users blend both families: also report the runner-up and ratio
+  if (selectedPath.blend) {
+    const { secondaryKey, ...blend } = calculateBlend(answers, selectedPath, scores, subtype);
+    return {
+      subtype: capitalize(subtype),
+      path: selectedPath.key,
+      scores,
+      ...blend,
+      ...certainty,
+      labelKeys: {
+        subtype: labelKey('layer2', 'subtype', subtype),
+        secondarySubtype: labelKey('layer2', 'subtype', secondaryKey)
+      }
+    };
+  }
+
+  return {
+    subtype: capitalize(subtype),
+    path: selectedPath.key,
+    scores,
+    ...certainty,
+    labelKeys: { subtype: labelKey('layer2', 'subtype', subtype) }
   };
+}
+
+/**
+ * Calculate Layer 3: Mirror Awareness
+ */
+function calculateLayer3(answers, definition = getQuizDefinition()) {
+  const layer = getLayerDefinition(definition, 'layer3');
+  const dimensions = {};
+  const dimensionKeys = {};
+  let totalScore = 0;
+
+  for (const question of layer.questions) {
+    const effect = getEffect(question, answers[question.id]);
+    const score = effect ? effect.score : 0;
+    const label = effect ? effect.label : '';
+    const keys = getDimensionKeys('layer3', question.dimension, label);
+
+    dimensions[question.dimension] = { score, label };
+    dimensionKeys[question.dimension] = {
+      dimension: labelKey('layer3', 'dimension', keys.key),
+      label: labelKey('layer3', 'label', keys.key, keys.labelKey)
+    };
+    totalScore += score;
+  }
+
+  return { totalScore, maxScore: layer.maxScore, dimensions, labelKeys: { dimensions: dimensionKeys } };
+}
+
+/**
+ * Calculate Layer 4: Learning Style (VARK)
+ */
+function calculateLayer4(answers, definition = getQuizDefinition()) {
+  const layer = getLayerDefinition(definition, 'layer4');
+  const scores = tally(answers, layer.questions, layer.categories);
 
-  const q37 = answers['L6_Q37'];
-  const q38 = answers['L6_Q38'];
-  let coreType = '';
-  
-  if (q37 === 'a' && q38 === 'a') coreType = 'Confident & Steady';
-  else if (q37 === 'a' && q38 === 'b') coreType = 'Confident & Driven';
-  else if (q37 === 'b' && q38 === 'a') coreType = 'Considerate & Steady';
-  else if (q37 === 'b' && q38 === 'b') coreType = 'Fast-Moving & Adaptive';
+  const total = Object.values(scores).reduce((sum, val) => sum + val, 0);
+  const percentages = {};
+  for (const category of layer.categories) {
+    // No L4 answers means 0% everywhere, not NaN
+    percentages[category] = total > 0 ? Math.round((scores[category] / total) * 100) : 0;
+  }
 
-  const communicationStyle = answers['L6_Q39'] === 'a' ? 'Direct Communicator' : 'Diplomatic Communicator';
+  const { key: dominantModality, ...certainty } = resolveDominant(scores, getTieBreak(layer), firstAnsweredOrder(answers, layer.questions));
 
   return {
-    mindset,
-    personality: { coreType, communicationStyle }
+    dominantModality,
+    scores,
+    percentages,
+    ...certainty,
+    labelKeys: { dominantModality: labelKey('layer4', 'modality', dominantModality) }
   };
 }
 
+/**
+ * Calculate Layer 5: Neuro Performance
+ */
+function calculateLayer5(answers, definition = getQuizDefinition()) {
+  const layer = getLayerDefinition(definition, 'layer5');
+  const profile = {};
+  const profileKeys = {};
+
+  for (const question of layer.questions) {
+    const answer = answers[question.id];
+    if (answer) {
+      const { key } = getDimensionKeys('layer5', question.dimension);
+      profile[question.dimension] = answer;
+      profileKeys[question.dimension] = {
+        dimension: labelKey('layer5', 'dimension', key),
+        answer: getEffect(question, answer) ? labelKey('layer5', 'answer', key, answer) : null
+      };
+    }
+  }
+
+  return { profile, labelKeys: { profile: profileKeys } };
+}
+
+/**
+ * Calculate Layer 6: Mindset & Personality
+ */
+function calculateLayer6(answers, definition = getQuizDefinition()) {
+  const layer = getLayerDefinition(definition, 'layer6');
+  const result = { mindset: {}, personality: {} };
+  const labelKeys = { mindset: {}, personality: {} };
+
+  for (const trait of layer.traits) {
+    const key = trait.questions.map(qid => answers[qid]).join(',');
+    const matched = Object.prototype.hasOwnProperty.call(trait.map, key);
+    const label = matched ? trait.map[key] : trait.fallback;
+    setPath(result, trait.path, label);
+    setPath(labelKeys, trait.path, labelKey('layer6', trait.path, getTraitKey(trait.path, label)));
+  }
+
+  return { ...result, labelKeys };
+}
+
 /**
  * Calculate Layer 7: Meta-Beliefs & Values
  */
-function calculateLayer7(answers) {
+function calculateLayer7(answers, definition = getQuizDefinition()) {
+  const layer = getLayerDefinition(definition, 'layer7');
   const beliefs = {};
+  const beliefKeys = {};
 
-  const mapping = {
-    'L7_Q40': { name: 'Grounding Source', labels: ['Self-Reliant', 'Faith-Reliant', 'Dual-Reliant'] },
-    'L7_Q41': { name: 'Control Belief', labels: ["I'm In Control", 'Life Influences Me', 'Shared Control'] },
-    'L7_Q42': { name: 'Fairness View', labels: ['Responsibility View', 'Compassion View', 'Balanced View'] },
-    'L7_Q43': { name: 'Honesty Style', labels: ['Direct Honesty', 'Gentle Honesty', 'Balanced Honesty'] },
-    'L7_Q44': { name: 'Growth Approach', labels: ['Growth Focused', 'Comfort Focused', 'Steady Growth'] },
-    'L7_Q45': { name: 'Impact Motivation', labels: ['Self-Focused Impact', 'Others-Focused Impact', 'Shared Impact'] }
-  };
-
-  for (const [qid, data] of Object.entries(mapping)) {
-    const answer = answers[qid];
+  for (const question of layer.questions) {
+    const answer = answers[question.id];
     if (answer) {
-      const index = answer.charCodeAt(0) - 97;
-      beliefs[data.name] = data.labels[index] || '';
+      const effect = getEffect(question, answer);
+      const keys = getDimensionKeys('layer7', question.dimension, effect && effect.label);
+      beliefs[question.dimension] = effect ? effect.label : '';
+      beliefKeys[question.dimension] = {
+        dimension: labelKey('layer7', 'dimension', keys.key),
+        label: labelKey('layer7', 'label', keys.key, keys.labelKey)
+      };
     }
   }
 
-  return { beliefs };
+  return { beliefs, labelKeys: { beliefs: beliefKeys } };
 }
 
 /**
  * Calculate all results
+ * @param {object} answers - Map of question ID to answer letter
+ * @param {object} options - { definitionVersion } (defaults to the current definition)
  */
-function calculateAllResults(answers) {
-  const layer1 = calculateLayer1(answers);
-  const layer2 = calculateLayer2(answers, layer1);
-  const layer3 = calculateLayer3(answers);
-  const layer4 = calculateLayer4(answers);
-  const layer5 = calculateLayer5(answers);
-  const layer6 = calculateLayer6(answers);
-  const layer7 = calculateLayer7(answers);
+function calculateAllResults(answers, { definitionVersion } = {}) {
+  const definition = getQuizDefinition(definitionVersion);
+
+  const layer1 = calculateLayer1(answers, definition);
+  const layer2 = calculateLayer2(answers, layer1, definition);
+  const layer3 = calculateLayer3(answers, definition);
+  const layer4 = calculateLayer4(answers, definition);
+  const layer5 = calculateLayer5(answers, definition);
+  const layer6 = calculateLayer6(answers, definition);
+  const layer7 = calculateLayer7(answers, definition);
 
   return {
+    definitionVersion: definition.version,
     layer1,
     layer2,
     layer3,
@@ -284,13 +434,32 @@ function calculateAllResults(answers) {
   };
 }
 
+/**
+ * Summary fields used by the PDF, GHL payload and quiz_results columns
+ * Mirrors the frontend results shape (core_type, subtype, edna_type)
+ */
+function summarizeResults(results) {
+  const type = results.layer1.type;
+  let coreType = 'blurred';
+  if (type.includes('Architect')) coreType = 'architect';
+  if (type.includes('Alchemist')) coreType = 'alchemist';
+
+  return {
+    core_type: coreType,
+    subtype: results.layer2.subtype,
+    edna_type: type
+  };
+}
+
 export {
   calculateAllResults,
+  summarizeResults,
   calculateLayer1,
   calculateLayer2,
   calculateLayer3,
   calculateLayer4,
   calculateLayer5,
   calculateLayer6,
-  calculateLayer7
+  calculateLayer7,
+  selectPath
 };
@@ -0,0 +1,183 @@
+/**
+ * Teams
+ * B2B clients (organisations) put whole teams through the quiz. Each team
+ * hands out invite codes; a submission made with a code joins the team and is
+ * counted in its aggregate profile:
+ *   layer1Types  - Layer 1 decision identity (Strong Architect, Blurred...)
+ *   subtypes     - Layer 2 subtype
+ *   modalities   - Layer 4 dominant VARK modality, plus the average percentages
+ *   coreTypes    - Layer 6 personality core type
+ * Each member counts once, with their latest attempt for the team.
+ */
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { getVarkPercentages } from './compare.js';
+import { translate, findLabelKey } from './locales/index.js';
+import { redeemTeamInvite, assignQuizResultToTeam, getTeamLatestResults } from './postgres-db.js';
+
+export const TEAM_ROLES = ['member', 'manager'];
+
+// No 0/O or 1/I/L, so codes survive being read out or typed from print
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+const MODALITIES = ['visual', 'auditory', 'readWrite', 'kinesthetic'];
+
+/**
+ * Random invite code, e.g. 'K7MX3QPA'
+ */
+export function generateInviteCode() {
+  let code = '';
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Invite codes are case-insensitive and may be typed with spaces or dashes
+ */
+export function normalizeInviteCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Join the team behind an invite code and attach a saved result to it
+ * Never throws: a bad code must not lose the submission it came with.
+ * @returns {Promise<object>} { joined, teamId, role, reason, error }
+ */
+export async function joinTeamWithResult(inviteCode, email, quizResultId) {
+  const redeemResult = await redeemTeamInvite(normalizeInviteCode(inviteCode), email);
+
+  if (!redeemResult.success) {
+    console.warn(`⚠️ Team invite not applied for ${email}: ${redeemResult.error}`);
+    return { joined: false, teamId: null, reason: redeemResult.reason || 'error', error: redeemResult.error };
+  }
+
+  const { teamId, role } = redeemResult.data;
+  const assignResult = await assignQuizResultToTeam(quizResultId, teamId);
+
+  if (!assignResult.success) {
+    return { joined: true, teamId, role, reason: 'error', error: assignResult.error };
+  }
+
+  console.log(`👥 ${email} joined team ${teamId} (result ${quizResultId})`);
+  return { joined: true, teamId, role, reason: null, error: null };
+}
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Count one category value, keeping its locale key for the PDF
+ * Results scored by the frontend carry labels only; their keys are looked up
+ * so they group with server-scored ones.
+ */
+function countValue(counts, value, labelKey, group) {
+  if (!value) return;
+
+  labelKey = labelKey || findLabelKey(group, value);
+  const key = labelKey ? labelKey.split('.').pop() : String(value);
+  counts[key] = counts[key] || { key, label: value, labelKey: labelKey || null, count: 0 };
+  counts[key].count++;
+}
+
+/**
+ * Counts as a list, largest first, with each share of the answered total (%)
+ */
+function toDistribution(counts) {
+  const items = Object.values(counts).sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+  const answered = items.reduce((sum, item) => sum + item.count, 0);
+
+  return {
+    answered,
+    items: items.map(item => ({
+      ...item,
+      percentage: answered > 0 ? Math.round((item.count / answered) * 100) : 0
+    }))
+  };
+}
+
+/**
+ * Aggregate team profile from one result row per member
+ * @param {Array<object>} rows - getTeamLatestResults() rows
+ * @returns {object} { memberCount, lastSubmissionAt, distributions: { layer1Types, subtypes, modalities, coreTypes }, averageVark }
+ */
+export function buildTeamProfile(rows) {
+  const layer1Types = {};
+  const subtypes = {};
+  const modalities = {};
+  const coreTypes = {};
+  const varkTotals = Object.fromEntries(MODALITIES.map(modality => [modality, 0]));
+  let varkCount = 0;
+  let lastSubmissionAt = null;
+
+  for (const row of rows) {
+    const results = parseJson(row.quiz_data) || {};
+
+    countValue(layer1Types, results.layer1?.type || results.edna_type, results.layer1?.labelKeys?.type, 'layer1.type');
+    countValue(subtypes, results.layer2?.subtype || results.subtype, results.layer2?.labelKeys?.subtype, 'layer2.subtype');
+    countValue(coreTypes, results.layer6?.personality?.coreType, results.layer6?.labelKeys?.personality?.coreType, 'layer6.personality.coreType');
+
+    const vark = getVarkPercentages(results, parseJson(row.answers), row.definition_version || results.definitionVersion);
+    if (vark) {
+      const dominant = vark.dominantModality;
+      countValue(modalities, translate('en', `layer4.modality.${dominant}`, {}, dominant), dominant && `layer4.modality.${dominant}`, 'layer4.modality');
+      MODALITIES.forEach(modality => { varkTotals[modality] += vark.percentages[modality] || 0; });
+      varkCount++;
+    }
+
+    if (!lastSubmissionAt || new Date(row.created_at) > new Date(lastSubmissionAt)) {
+      lastSubmissionAt = row.created_at;
+    }
+  }
+
+  return {
+    memberCount: rows.length,
+    lastSubmissionAt,
+    distributions: {
+      layer1Types: toDistribution(layer1Types),
+      subtypes: toDistribution(subtypes),
+      modalities: toDistribution(modalities),
+      coreTypes: toDistribution(coreTypes)
+    },
+    averageVark: varkCount > 0
+      ? Object.fromEntries(MODALITIES.map(modality => [modality, Math.round(varkTotals[modality] / varkCount)]))
+      : null
+  };
+}
+
+/**
+ * Aggregate profile of one or more teams (an organisation is all of its teams)
+ * Someone in several of the teams counts once, with their latest attempt.
+ * @param {string[]} teamIds - Team IDs
+ */
+export async function getTeamProfile(teamIds) {
+  const rowsResult = await getTeamLatestResults(teamIds);
+
+  if (!rowsResult.success) {
+    return { success: false, error: rowsResult.error };
+  }
+
+  const latestByEmail = new Map();
+  for (const row of rowsResult.data) {
+    const current = latestByEmail.get(row.email);
+    if (!current || new Date(row.created_at) > new Date(current.created_at)) {
+      latestByEmail.set(row.email, row);
+    }
+  }
+
+  return { success: true, data: buildTeamProfile([...latestByEmail.values()]) };
+}
+
+/**
+ * Smallest number of members with results before a team manager may see the
+ * profile (TEAM_PROFILE_MIN_MEMBERS, default 3), so a profile never singles
+ * anyone out. Admins are not limited.
+ */
+export function getTeamProfileMinMembers() {
+  const value = parseInt(process.env.TEAM_PROFILE_MIN_MEMBERS, 10);
+  return Number.isFinite(value) && value >= 0 ? value : 3;
+}
@@ -0,0 +1,155 @@
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { verifyAgentToken, verifySupabaseSession, getSupabaseUserEmail, getTokenScopes } from './agent-token.js';
+import { safeCompare } from './admin-auth.js';
+
+dotenv.config();
+
+/**
+ * Service accounts (e.g. GHL) allowed to act on any user's email
+ * SERVICE_ACCOUNT_KEYS=ghl:<secret>,zapier:<secret>
+ * @returns {Array<{name: string, key: string}>}
+ */
+function getServiceAccounts() {
+  return (process.env.SERVICE_ACCOUNT_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) }
+        : null;
+    })
+    .filter(account => account && account.key);
+}
+
+function normalizeEmail(email) {
+  return String(email).toLowerCase().trim();
+}
+
+/**
+ * Work out who is calling
+ * - X-Service-Key: <secret>        service account from SERVICE_ACCOUNT_KEYS
+ * - Authorization: Bearer <token>  Agent access token or Supabase session JWT
+ * @param {object} req - Express request
+ * @returns {Promise<object>} { success, identity: { type, email, userId, scopes, account }, error }
+ */
+export async function authenticateRequest(req) {
+  const serviceKey = req.headers['x-service-key'];
+
+  if (serviceKey) {
+    const account = getServiceAccounts().find(candidate => safeCompare(serviceKey, candidate.key));
+
+    if (!account) {
+      return { success: false, error: 'Invalid service key' };
+    }
+
+    return { success: true, identity: { type: 'service', account: account.name } };
+  }
+
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return { success: false, error: 'No token provided' };
+  }
+
+  const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+  // Agent tokens are ours; anything else is treated as a Supabase session
+  if (jwt.decode(token)?.type === 'agent_access') {
+    const decoded = await verifyAgentToken(token);
+
+    if (!decoded) {
+      return { success: false, error: 'Invalid or expired token' };
+    }
+
+    const email = decoded.email || await getSupabaseUserEmail(decoded.userId);
+
+    if (!email) {
+      return { success: false, error: 'Token has no associated email' };
+    }
+
+    return {
+      success: true,
+      identity: { type: 'agent', userId: decoded.userId, email: normalizeEmail(email), scopes: getTokenScopes(decoded) }
+    };
+  }
+
+  const user = await verifySupabaseSession(token);
+
+  if (!user || !user.email) {
+    return { success: false, error: 'Invalid or expired token' };
+  }
+
+  return {
+    success: true,
+    identity: { type: 'supabase', userId: user.id, email: normalizeEmail(user.email) }
+  };
+}
+
+/**
+ * Middleware for routes that read or change one user's data
+ * Users may only act on their own email (taken from the token); the email in
+ * the request is optional for them and must match when sent. Service accounts
+ * must name the email they are acting on. Agent tokens also need the route's
+ * scope; Supabase sessions and service accounts have full access.
+ * Sets req.auth (the caller) and req.userEmail (normalized email to use).
+ * @param {function} getRequestedEmail - (req) => email sent in the query or body
+ * @param {object} options - { scope } required of Agent tokens (see AGENT_SCOPES)
+ */
+export function requireUserEmail(getRequestedEmail, { scope } = {}) {
+  return async (req, res, next) => {
+    try {
+      const authResult = await authenticateRequest(req);
+
+      if (!authResult.success) {
+        return res.status(401).json({
+          success: false,
+          error: authResult.error
+        });
+      }
+
+      const identity = authResult.identity;
+      const requestedEmail = getRequestedEmail(req);
+
+      if (identity.type === 'agent' && scope && !identity.scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          error: `Token is missing the ${scope} scope`
+        });
+      }
+
+      if (identity.type === 'service') {
+        if (!requestedEmail) {
+          return res.status(400).json({
+            success: false,
+            error: 'Email is required'
+          });
+        }
+
+        req.auth = identity;
+        req.userEmail = normalizeEmail(requestedEmail);
+        return next();
+      }
+
+      if (requestedEmail && normalizeEmail(requestedEmail) !== identity.email) {
+        console.warn(`⚠️ Rejected ${req.method} ${req.path}: token for ${identity.email} asked for ${normalizeEmail(requestedEmail)}`);
+        return res.status(403).json({
+          success: false,
+          error: 'Email does not match the authenticated user'
+        });
+      }
+
+      req.auth = identity;
+      req.userEmail = identity.email;
+      next();
+    } catch (error) {
+      console.error('❌ Error authenticating request:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to verify credentials'
+      });
+    }
+  };
+}
@@ -0,0 +1,180 @@
+import { createHmac } from 'crypto';
+import dotenv from 'dotenv';
+import { safeCompare } from './admin-auth.js';
+import { claimWebhookNonce, releaseWebhookNonce, recordWebhookAudit } from './postgres-db.js';
+
+dotenv.config();
+
+// How far X-GHL-Timestamp may drift from server time
+const TIMESTAMP_TOLERANCE_SECONDS = parseInt(process.env.GHL_WEBHOOK_TOLERANCE_SECONDS || '300');
+
+/**
+ * Sign a webhook body the way GHL automations must
+ * signature = hex(HMAC-SHA256(GHL_WEBHOOK_SECRET, `${timestamp}.${nonce}.${rawBody}`))
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix seconds sent in X-GHL-Timestamp
+ * @param {string} nonce - Unique per request, sent in X-GHL-Nonce
+ * @param {Buffer|string} rawBody - Exact request body bytes
+ * @returns {string} Hex signature
+ */
+export function signWebhookPayload(secret, timestamp, nonce, rawBody) {
+  return createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(rawBody)
+    .digest('hex');
+}
+
+/**
+ * Reject a nonce that has been used before
+ * @returns {Promise<object|null>} Failure result, or null if the nonce is new
+ */
+async function checkNonce(nonce, method) {
+  const nonceResult = await claimWebhookNonce(nonce);
+
+  if (!nonceResult.success) {
+    return { success: false, method, nonce, status: 503, error: 'Could not check webhook nonce' };
+  }
+
+  if (!nonceResult.fresh) {
+    return { success: false, method, nonce, status: 409, error: 'Webhook request already processed (replay)' };
+  }
+
+  return null;
+}
+
+/**
+ * Keep the raw JSON body for routes that verify signatures
+ * Pass as the `verify` option of express.json()
+ */
+export function captureRawBody(req, res, buf) {
+  if (req.originalUrl.startsWith('/api/ghl/')) {
+    req.rawBody = buf;
+  }
+}
+
+/**
+ * Check the credentials on a webhook request
+ * @returns {Promise<object>} { success, method, nonce, status, error }
+ */
+async function authenticateWebhook(req) {
+  const secret = process.env.GHL_WEBHOOK_SECRET;
+  const apiKey = process.env.GHL_WEBHOOK_API_KEY;
+  const signatureHeader = req.headers['x-ghl-signature'];
+  const providedKey = req.headers['x-ghl-api-key'];
+
+  if (signatureHeader && secret) {
+    const timestamp = req.headers['x-ghl-timestamp'];
+    const timestampSeconds = Number(timestamp);
+    const nonce = req.headers['x-ghl-nonce'];
+
+    if (!timestamp || !Number.isFinite(timestampSeconds)) {
+      return { success: false, method: 'signature', status: 401, error: 'Missing or invalid X-GHL-Timestamp' };
+    }
+
+    if (!nonce) {
+      return { success: false, method: 'signature', status: 401, error: 'Missing X-GHL-Nonce' };
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestampSeconds) > TIMESTAMP_TOLERANCE_SECONDS) {
+      return { success: false, method: 'signature', status: 401, error: 'Webhook timestamp outside the allowed window' };
+    }
+
+    const signature = String(signatureHeader).replace(/^sha256=/, '');
+    const expected = signWebhookPayload(secret, timestamp, nonce, req.rawBody || '');
+
+    if (!safeCompare(signature, expected)) {
+      return { success: false, method: 'signature', status: 401, error: 'Invalid webhook signature' };
+    }
+
+    // The nonce is covered by the signature, so a replay cannot simply swap it
+    const replay = await checkNonce(nonce, 'signature');
+    if (replay) return replay;
+
+    return { success: true, method: 'signature', nonce };
+  }
+
+  if (providedKey && apiKey) {
+    if (!safeCompare(providedKey, apiKey)) {
+      return { success: false, method: 'api_key', status: 401, error: 'Invalid webhook API key' };
+    }
+
+    // A static key cannot prove freshness, but an optional nonce still stops duplicate deliveries
+    const nonce = req.headers['x-ghl-nonce'] || null;
+
+    if (nonce) {
+      const replay = await checkNonce(nonce, 'api_key');
+      if (replay) return replay;
+    }
+
+    return { success: true, method: 'api_key', nonce };
+  }
+
+  return { success: false, method: null, status: 401, error: 'Missing webhook signature or API key' };
+}
+
+/**
+ * Middleware to authenticate inbound GHL webhooks
+ * Accepts either
+ * - X-GHL-Signature + X-GHL-Timestamp + X-GHL-Nonce, signed with GHL_WEBHOOK_SECRET
+ * - X-GHL-Api-Key: <GHL_WEBHOOK_API_KEY>
+ * Every call, accepted or not, is written to the ghl_webhook_audit table. Routes can
+ * add what they returned via req.webhookAudit (email, quizResultId).
+ * A request whose handler fails with a 5xx gives its nonce back, so GHL can retry it.
+ */
+export async function requireGhlWebhookAuth(req, res, next) {
+  req.webhookAudit = {
+    endpoint: req.path,
+    automation: req.headers['x-ghl-automation'] || req.body?.workflowId || req.body?.workflow_id || null,
+    email: req.body?.email || null,
+    sourceIp: req.ip,
+    userAgent: req.headers['user-agent'] || null
+  };
+
+  // Set once this request has claimed a fresh nonce
+  let claimedNonce = null;
+
+  res.on('finish', () => {
+    recordWebhookAudit({ ...req.webhookAudit, statusCode: res.statusCode })
+      .catch(error => console.error('❌ Failed to record webhook audit:', error.message));
+
+    if (claimedNonce && res.statusCode >= 500) {
+      releaseWebhookNonce(claimedNonce)
+        .catch(error => console.error('❌ Failed to release webhook nonce:', error.message));
+    }
+  });
+
+  if (!process.env.GHL_WEBHOOK_SECRET && !process.env.GHL_WEBHOOK_API_KEY) {
+    console.warn('⚠️ GHL_WEBHOOK_SECRET / GHL_WEBHOOK_API_KEY not configured - GHL webhooks are disabled');
+    req.webhookAudit.reason = 'Webhook authentication not configured';
+    return res.status(503).json({
+      success: false,
+      error: 'GHL webhook authentication is not configured',
+    });
+  }
+
+  try {
+    const authResult = await authenticateWebhook(req);
+
+    req.webhookAudit.authMethod = authResult.method;
+    req.webhookAudit.nonce = authResult.nonce || null;
+
+    if (!authResult.success) {
+      console.warn(`⚠️ Rejected GHL webhook ${req.path}: ${authResult.error}`);
+      req.webhookAudit.reason = authResult.error;
+      return res.status(authResult.status).json({
+        success: false,
+        error: authResult.error,
+      });
+    }
+
+    claimedNonce = authResult.nonce;
+    next();
+  } catch (error) {
+    console.error('❌ Error authenticating GHL webhook:', error);
+    req.webhookAudit.reason = error.message;
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify webhook',
+    });
+  }
+}